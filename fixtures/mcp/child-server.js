@@ -0,0 +1,36 @@
+// ============================================
+// MCP CHILD FIXTURE
+// ============================================
+// Tiny stdio MCP server for the MCPClient supervision tests
+// TOOLS: echo (returns its arguments), crash (exits the process after answering)
+// MCP_CHILD_STATE_FILE: if the file says "down", the server exits at startup,
+// so a test can make every reconnect attempt fail
+
+const fs = require('fs');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { ListToolsRequestSchema, CallToolRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+
+const stateFile = process.env.MCP_CHILD_STATE_FILE;
+if (stateFile && fs.existsSync(stateFile) && fs.readFileSync(stateFile, 'utf8').trim() === 'down') {
+  process.exit(1);
+}
+
+const server = new Server({ name: 'mcp-child-fixture', version: '1.0.0' }, { capabilities: { tools: {} } });
+
+server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  tools: [
+    { name: 'echo', inputSchema: { type: 'object' } },
+    { name: 'crash', inputSchema: { type: 'object' } }
+  ]
+}));
+
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  if (request.params.name === 'crash') {
+    setTimeout(() => process.exit(1), 10);
+    return { content: [{ type: 'text', text: JSON.stringify({ crashing: true }) }] };
+  }
+  return { content: [{ type: 'text', text: JSON.stringify({ pid: process.pid, args: request.params.arguments }) }] };
+});
+
+server.connect(new StdioServerTransport());
@@ -1,26 +1,27 @@
 // Quick script to get Requests DB schema
+// Usage: node get_db_schema.js [database_id]   (defaults to REQUESTS_DB_ID)
+// Works with any NOTION_BACKEND - try NOTION_BACKEND=fake with the fixture IDs
 require('dotenv').config();
-const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
-const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const { createNotionGateway } = require('./lib/notion-gateway');
 
 async function getSchema() {
-  const transport = new StdioClientTransport({
-    command: 'npx',
-    args: ['-y', '@notionhq/notion-mcp-server'],
-    env: { ...process.env }
-  });
+  const databaseId = process.argv[2] || process.env.REQUESTS_DB_ID;
+  if (!databaseId) {
+    console.error('❌ Pass a database ID or set REQUESTS_DB_ID');
+    process.exit(1);
+  }
 
-  const client = new Client({ name: 'schema-checker', version: '1.0.0' }, { capabilities: {} });
-  await client.connect(transport);
+  const notion = createNotionGateway({
+    backend: process.env.NOTION_BACKEND || 'mcp',
+    token: process.env.NOTION_TOKEN,
+    rest: { baseUrl: process.env.NOTION_API_BASE_URL },
+    fake: { fixtures: process.env.NOTION_FAKE_FIXTURES }
+  });
+  await notion.connect();
 
   console.log('🔍 Retrieving Requests Database schema...\n');
   
-  const result = await client.callTool({
-    name: 'API-retrieve-a-database',
-    arguments: { database_id: process.env.REQUESTS_DB_ID }
-  });
-
-  const db = JSON.parse(result.content[0].text);
+  const db = await notion.callTool('API-retrieve-a-database', { database_id: databaseId });
   
   console.log('📊 PROPERTY NAMES IN REQUESTS DB:\n');
   Object.keys(db.properties).forEach(propName => {
@@ -28,10 +29,11 @@ async function getSchema() {
     console.log(`  • "${propName}" (${prop.type})`);
   });
   
-  await client.close();
+  await notion.cleanup();
   process.exit(0);
 }
 
-getSchema().catch(console.error);
-
-
+getSchema().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
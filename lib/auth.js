@@ -0,0 +1,294 @@
+// ============================================
+// IE7 REQUEST AUTHENTICATION
+// ============================================
+// Pluggable auth for every HTTP endpoint except GET /health (status only)
+// WHY THIS WORKS: Strategies are tried in order per route, first success wins
+//
+// STRATEGIES:
+// - hmac:   n8n signs the raw body -> X-IE7-Signature: sha256=HMAC(secret, `${timestamp}.${body}`)
+//           + X-IE7-Timestamp (unix seconds). Old timestamps and reused signatures are rejected
+//           Each tenant has its own secret, and a signed webhook only acts for that tenant
+// - apiKey: Authorization: Bearer <key>, each key has scopes (submit, read, admin)
+//           admin implies every scope. A key bound to a tenant only acts for that tenant
+//
+// WITHOUT CREDENTIALS every request is refused (503) - endpoints are only left open with an
+// explicit AUTH_DISABLED=true, and never when NODE_ENV=production
+
+const crypto = require('crypto');
+const fs = require('fs');
+const NodeCache = require('node-cache');
+
+const SCOPES = ['submit', 'read', 'admin'];
+
+class RequestAuthenticator {
+  constructor(options = {}) {
+    // [{ tenant, secret }] - one per tenant with an inbound webhook secret
+    this.hmacSecrets = (options.hmacSecrets || []).filter(entry => entry.secret);
+    this.toleranceSeconds = options.toleranceSeconds || 300;
+    this.keysFile = options.keysFile || null;
+
+    // WHY THIS WORKS: A signature can only be used once inside the tolerance window
+    this.seenSignatures = new NodeCache({
+      stdTTL: this.toleranceSeconds * 2,
+      checkperiod: 60,
+      useClones: false
+    });
+
+    this.apiKeys = this.loadKeys(options.apiKeys);
+
+    this.strategies = {
+      hmac: (req) => this.verifyHmac(req),
+      apiKey: (req, scope) => this.verifyApiKey(req, scope)
+    };
+
+    this.enabled = this.hmacSecrets.length > 0 || this.apiKeys.length > 0;
+
+    // WHY THIS WORKS: A forgotten secret locks the service instead of opening it
+    this.open = !this.enabled && options.disabled === true && !options.production;
+
+    if (this.enabled) {
+      const hmacTenants = this.hmacSecrets.map(entry => entry.tenant).join(', ');
+      console.log(`✅ Request auth enabled (HMAC: ${hmacTenants || 'off'}, API keys: ${this.apiKeys.length})`);
+    } else if (this.open) {
+      console.warn('⚠️ AUTH_DISABLED=true - ALL ENDPOINTS ARE OPEN');
+    } else if (options.disabled && options.production) {
+      console.error('❌ AUTH_DISABLED is ignored when NODE_ENV=production - every request will be refused until INBOUND_WEBHOOK_SECRET or API keys are set');
+    } else {
+      console.error('❌ No INBOUND_WEBHOOK_SECRET or API keys configured - every request will be refused (set AUTH_DISABLED=true to run open locally)');
+    }
+  }
+
+  /**
+   * Load API keys from env string and/or keys file
+   *
+   * Env format:  name:key:scope1|scope2[:tenant],name2:key2:admin
+   * File format: { "keys": [{ "name": "ops", "key": "..." | "keyHash": "<sha256 hex>", "scopes": ["read"], "tenant": "acme" }] }
+   *
+   * @returns {Array} [{ name, keyHash, scopes, tenant }]
+   */
+  loadKeys(envValue) {
+    const keys = [];
+
+    if (envValue) {
+      for (const entry of envValue.split(',').map(e => e.trim()).filter(Boolean)) {
+        const [name, key, scopeList, tenant] = entry.split(':');
+        if (!name || !key) {
+          console.warn(`⚠️ Ignoring malformed API_KEYS entry (expected name:key:scopes[:tenant])`);
+          continue;
+        }
+        keys.push(this.buildKey(name, { key, scopes: (scopeList || 'read').split('|'), tenant }));
+      }
+    }
+
+    if (this.keysFile) {
+      try {
+        const file = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+        for (const entry of file.keys || []) {
+          keys.push(this.buildKey(entry.name, entry));
+        }
+      } catch (error) {
+        // WHY THIS WORKS: Fail fast - a broken keys file must not silently open the API
+        throw new Error(`Could not load API keys file ${this.keysFile}: ${error.message}`);
+      }
+    }
+
+    return keys.filter(Boolean);
+  }
+
+  /**
+   * Normalize one key entry (plaintext keys are hashed immediately)
+   */
+  buildKey(name, entry) {
+    const keyHash = entry.keyHash || (entry.key ? this.hashKey(entry.key) : null);
+    const scopes = (entry.scopes || []).map(s => s.trim()).filter(s => SCOPES.includes(s));
+
+    if (!keyHash || scopes.length === 0) {
+      console.warn(`⚠️ Ignoring API key "${name}": needs a key and at least one of ${SCOPES.join(', ')}`);
+      return null;
+    }
+
+    return { name: name || 'unnamed', keyHash, scopes, tenant: entry.tenant || null };
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Constant-time comparison of two hex strings
+   */
+  safeEqual(a, b) {
+    const bufA = Buffer.from(a || '', 'hex');
+    const bufB = Buffer.from(b || '', 'hex');
+    return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  /**
+   * Verify HMAC signature of the raw body
+   * WHY THIS WORKS: The secret that matches names the tenant, so one tenant's
+   * n8n secret can never submit into another tenant's workspace
+   *
+   * @returns {object} { ok, reason, identity }
+   */
+  verifyHmac(req) {
+    if (this.hmacSecrets.length === 0) {
+      return { ok: false, reason: 'hmac_not_configured' };
+    }
+
+    const signatureHeader = req.get('X-IE7-Signature');
+    const timestampHeader = req.get('X-IE7-Timestamp');
+
+    if (!signatureHeader || !timestampHeader) {
+      return { ok: false, reason: 'missing_signature' };
+    }
+
+    const timestamp = parseInt(timestampHeader);
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > this.toleranceSeconds) {
+      return { ok: false, reason: 'stale_timestamp' };
+    }
+
+    const signature = signatureHeader.replace(/^sha256=/, '');
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const signed = this.hmacSecrets.find(({ secret }) => this.safeEqual(signature, crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex')));
+
+    if (!signed) {
+      return { ok: false, reason: 'bad_signature' };
+    }
+
+    if (this.seenSignatures.has(signature)) {
+      return { ok: false, reason: 'replayed_signature' };
+    }
+    this.seenSignatures.set(signature, true);
+
+    // WHY THIS WORKS: Signed webhooks are trusted for submission only, for their own tenant
+    return { ok: true, identity: { method: 'hmac', name: `webhook:${signed.tenant}`, scopes: ['submit'], tenant: signed.tenant } };
+  }
+
+  /**
+   * Verify a Notion webhook (X-Notion-Signature: sha256=HMAC(verification token, raw body))
+   *
+   * @param {object} req - Express request (rawBody kept by express.json verify)
+   * @param {string} secret - Verification token Notion sent when the subscription was created
+   * @returns {boolean}
+   */
+  verifyNotionSignature(req, secret) {
+    const signature = (req.get('X-Notion-Signature') || '').replace(/^sha256=/, '');
+    if (!secret || !signature) return false;
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(req.rawBody || '')
+      .digest('hex');
+
+    return this.safeEqual(signature, expected);
+  }
+
+  /**
+   * Verify bearer API key and its scope
+   *
+   * @returns {object} { ok, reason, identity }
+   */
+  verifyApiKey(req, scope) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+
+    if (!match) {
+      return { ok: false, reason: 'missing_api_key' };
+    }
+
+    const presentedHash = this.hashKey(match[1].trim());
+    const key = this.apiKeys.find(k => this.safeEqual(k.keyHash, presentedHash));
+
+    if (!key) {
+      return { ok: false, reason: 'unknown_api_key' };
+    }
+
+    if (!RequestAuthenticator.hasScope(key, scope)) {
+      return { ok: false, reason: `missing_scope:${scope}`, forbidden: true };
+    }
+
+    return { ok: true, identity: { method: 'apiKey', name: key.name, scopes: key.scopes, tenant: key.tenant } };
+  }
+
+  /**
+   * Register a custom strategy
+   *
+   * @param {string} name - Strategy name used in middleware options
+   * @param {function} verify - (req, scope) => { ok, reason, identity }
+   */
+  registerStrategy(name, verify) {
+    this.strategies[name] = verify;
+    this.enabled = true;
+    this.open = false;
+  }
+
+  /**
+   * Express middleware requiring a scope
+   *
+   * @param {string} scope - submit | read | admin
+   * @param {object} options - { strategies: ['apiKey'] } (order matters)
+   */
+  middleware(scope, options = {}) {
+    const strategyNames = options.strategies || ['apiKey'];
+
+    return (req, res, next) => {
+      if (this.open) {
+        req.auth = RequestAuthenticator.ANONYMOUS;
+        return next();
+      }
+
+      if (!this.enabled) {
+        console.warn(`🚫 Auth not configured, refused ${req.method} ${req.originalUrl} from ${req.ip}`);
+        return res.status(503).json({
+          success: false,
+          error: 'Authentication is not configured - set INBOUND_WEBHOOK_SECRET or API_KEYS (or AUTH_DISABLED=true outside production)'
+        });
+      }
+
+      const reasons = [];
+      let forbidden = false;
+
+      for (const name of strategyNames) {
+        const strategy = this.strategies[name];
+        if (!strategy) continue;
+
+        const result = strategy(req, scope);
+        if (result.ok) {
+          req.auth = result.identity;
+          return next();
+        }
+
+        reasons.push(`${name}:${result.reason}`);
+        forbidden = forbidden || !!result.forbidden;
+      }
+
+      // WHY THIS WORKS: Every rejection is logged with enough context to spot probing
+      console.warn(`🚫 Auth rejected ${req.method} ${req.originalUrl} from ${req.ip} (${reasons.join(', ')})`);
+
+      res.status(forbidden ? 403 : 401).json({
+        success: false,
+        error: forbidden ? `API key lacks required scope: ${scope}` : 'Authentication required'
+      });
+    };
+  }
+}
+
+/**
+ * Does an identity (req.auth) or key carry a scope? admin implies every scope
+ */
+RequestAuthenticator.hasScope = (identity, scope) => {
+  const scopes = identity?.scopes || [];
+  return scopes.includes(scope) || scopes.includes('admin');
+};
+
+RequestAuthenticator.SCOPES = SCOPES;
+
+// Who every request is when AUTH_DISABLED=true - acts like an admin key, as the service is open anyway
+RequestAuthenticator.ANONYMOUS = Object.freeze({ method: 'none', name: 'anonymous', scopes: Object.freeze(['admin']) });
+
+module.exports = RequestAuthenticator;
@@ -0,0 +1,214 @@
+// ============================================
+// IE7 BLOCK TREE
+// ============================================
+// Nested Notion blocks: fetch a page's full block tree, and write one back
+// WHY THIS WORKS: API-get-block-children only returns one level - toggles, columns,
+// callouts and nested lists keep their contents behind has_children. Fetched
+// children are stored on the block itself (block.children), so SOP parsing,
+// toggle instructions and block copying all read the same tree
+//
+// WRITING: Notion takes at most 2 levels of nesting and 100 children per
+// API-patch-block-children call. appendBlockTree() sends what fits and appends
+// the rest to the blocks it just created
+
+const MAX_BLOCKS_PER_REQUEST = 100;
+const MAX_NESTING_PER_REQUEST = 2;
+
+// Children of these are other pages / databases, not part of the template
+const OPAQUE_BLOCK_TYPES = ['child_page', 'child_database'];
+
+// Readable but not creatable through API-patch-block-children
+const UNWRITABLE_BLOCK_TYPES = ['child_page', 'child_database', 'unsupported', 'link_preview', 'template'];
+
+/**
+ * Nested children of a block - fetched (block.children) or to be written (block[type].children)
+ */
+function childrenOf(block) {
+  return block?.children || block?.[block?.type]?.children || [];
+}
+
+/**
+ * Blocks depth-first, parents before their children
+ */
+function flattenBlocks(blocks) {
+  return (blocks || []).flatMap(block => [block, ...flattenBlocks(childrenOf(block))]);
+}
+
+/**
+ * Every child of a block, following pagination
+ */
+async function listChildren(notion, blockId) {
+  let blocks = [];
+  let cursor;
+
+  do {
+    const response = await notion.callTool('API-get-block-children', {
+      block_id: blockId,
+      page_size: MAX_BLOCKS_PER_REQUEST,
+      ...(cursor && { start_cursor: cursor })
+    });
+
+    blocks = blocks.concat(response.results || []);
+    cursor = response.has_more ? response.next_cursor : null;
+  } while (cursor);
+
+  return blocks;
+}
+
+/**
+ * Run fn over items with at most `concurrency` calls in flight
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Fetch a page (or block) and its descendants
+ * WHY THIS WORKS: One level at a time, each level's parents fetched `concurrency` at a
+ * time - the Notion rate limiter still paces the calls, this just bounds how many of
+ * one template's calls queue at once
+ *
+ * @param {object} notion - NotionGateway
+ * @param {string} blockId - Page or block ID
+ * @param {object} options - { maxDepth (levels below the top, 0 = top level only), concurrency }
+ * @returns {Promise<object>} { blocks, truncated } - truncated = blocks whose children are past maxDepth
+ */
+async function fetchBlockTree(notion, blockId, options = {}) {
+  const maxDepth = options.maxDepth ?? 3;
+  const concurrency = options.concurrency || 3;
+
+  // Copies, never the originals - a backend may hand out its own objects
+  const blocks = (await listChildren(notion, blockId)).map(block => ({ ...block }));
+  let level = blocks;
+
+  for (let depth = 1; depth <= maxDepth && level.length > 0; depth++) {
+    const parents = level.filter(block => block.has_children && !OPAQUE_BLOCK_TYPES.includes(block.type));
+
+    await mapWithConcurrency(parents, concurrency, async (block) => {
+      block.children = (await listChildren(notion, block.id)).map(child => ({ ...child }));
+    });
+
+    level = parents.flatMap(block => block.children);
+  }
+
+  const truncated = level.filter(block => block.has_children && !OPAQUE_BLOCK_TYPES.includes(block.type)).length;
+  return { blocks, truncated };
+}
+
+/**
+ * A fetched block as API-patch-block-children input
+ * WHY THIS WORKS: IDs, timestamps and parents are dropped (Notion assigns new ones),
+ * nested children move into block[type].children where the API expects them
+ *
+ * @returns {object|null} Writable block (null = type can't be created)
+ */
+function toWritableBlock(block) {
+  if (!block?.type || UNWRITABLE_BLOCK_TYPES.includes(block.type)) return null;
+
+  const { children: ownChildren, ...payload } = block[block.type] || {};
+  const children = toWritableBlocks(block.children || ownChildren || []);
+
+  return {
+    object: 'block',
+    type: block.type,
+    [block.type]: children.length > 0 ? { ...payload, children } : payload
+  };
+}
+
+function toWritableBlocks(blocks) {
+  return (blocks || []).map(toWritableBlock).filter(Boolean);
+}
+
+/**
+ * Block cut down to `levels` levels of children (and 100 per level)
+ */
+function trimForRequest(block, levels) {
+  const { children, ...payload } = block[block.type];
+  if (!children || levels === 0 || children.length > MAX_BLOCKS_PER_REQUEST) {
+    return { ...block, [block.type]: payload };
+  }
+  return { ...block, [block.type]: { ...payload, children: children.map(child => trimForRequest(child, levels - 1)) } };
+}
+
+/**
+ * Whether trimForRequest(block, levels) left anything out
+ */
+function isTrimmed(block, levels) {
+  const children = childrenOf(block);
+  if (children.length === 0) return false;
+  if (levels === 0 || children.length > MAX_BLOCKS_PER_REQUEST) return true;
+  return children.some(child => isTrimmed(child, levels - 1));
+}
+
+/**
+ * Append writable blocks (any depth, any count) under a page or block
+ *
+ * @param {object} notion - NotionGateway
+ * @param {string} parentId - Page or block to append to
+ * @param {Array} blocks - Writable blocks (toWritableBlocks)
+ * @returns {Promise<number>} API-patch-block-children calls made
+ */
+async function appendBlockTree(notion, parentId, blocks) {
+  let calls = 0;
+
+  for (let i = 0; i < blocks.length; i += MAX_BLOCKS_PER_REQUEST) {
+    const batch = blocks.slice(i, i + MAX_BLOCKS_PER_REQUEST);
+
+    const response = await notion.callTool('API-patch-block-children', {
+      block_id: parentId,
+      children: batch.map(block => trimForRequest(block, MAX_NESTING_PER_REQUEST))
+    });
+    calls++;
+
+    for (const [index, block] of batch.entries()) {
+      if (isTrimmed(block, MAX_NESTING_PER_REQUEST)) {
+        calls += await appendRemainder(notion, response.results[index], block, MAX_NESTING_PER_REQUEST);
+      }
+    }
+  }
+
+  return calls;
+}
+
+/**
+ * Append what trimForRequest(block, levels) left out, under the block Notion created for it
+ */
+async function appendRemainder(notion, created, block, levels) {
+  const children = childrenOf(block);
+
+  if (levels === 0 || children.length > MAX_BLOCKS_PER_REQUEST) {
+    return appendBlockTree(notion, created.id, children);
+  }
+
+  // Children went out with the parent - find the IDs Notion gave them
+  const createdChildren = await listChildren(notion, created.id);
+  let calls = 0;
+
+  for (const [index, child] of children.entries()) {
+    if (isTrimmed(child, levels - 1) && createdChildren[index]) {
+      calls += await appendRemainder(notion, createdChildren[index], child, levels - 1);
+    }
+  }
+  return calls;
+}
+
+module.exports = {
+  childrenOf,
+  flattenBlocks,
+  listChildren,
+  fetchBlockTree,
+  toWritableBlock,
+  toWritableBlocks,
+  appendBlockTree
+};
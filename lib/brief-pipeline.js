@@ -0,0 +1,729 @@
+// ============================================
+// IE7 BRIEF PIPELINE
+// ============================================
+// Brief -> routed database -> mapped properties -> Notion page + template blocks
+// WHY THIS WORKS: One pipeline shared by queued jobs (run) and dry-runs (preview),
+// so a preview shows exactly what a real run would write
+
+const SmartTemplateProcessor = require('./smart-template-processor');
+const RoutingEngine = require('./routing-engine');
+const { normalizeBrief, resolveField, BriefValidationError } = require('./brief-schema');
+const { toWritableBlocks, appendBlockTree } = require('./block-tree');
+const { notionApiError } = require('./notion-gateway');
+
+const { RoutingReviewError } = RoutingEngine;
+
+/**
+ * Whether Notion rejected a page create as invalid (worth an LLM correction)
+ * Other failures - ETOOLTIMEOUT with outcomeUnknown, 5xx, network - are not
+ */
+function isValidationError(error) {
+  return error.status === 400 || error.code === 'validation_error';
+}
+
+class BriefPipeline {
+  /**
+   * @param {object} components - { notion, templateFetcher, sopParser, semanticMapper, briefRouter, intelligentProcessor,
+   *                                 payloadAdapters, routingEngine, defaultAssignee,
+   *                                 openai: { apiKey, model, routingModel } }
+   */
+  constructor(components) {
+    this.notion = components.notion;
+    this.templateFetcher = components.templateFetcher;
+    this.sopParser = components.sopParser;
+    this.semanticMapper = components.semanticMapper;
+    this.briefRouter = components.briefRouter;
+    this.intelligentProcessor = components.intelligentProcessor;
+    this.payloadAdapters = components.payloadAdapters;
+    this.routingEngine = components.routingEngine || new RoutingEngine({ briefRouter: this.briefRouter });
+    // WHY THIS WORKS: Tenants bring their own assignee and OpenAI settings - no assignee
+    // configured means the Assignee property is left empty, never filled with a guess
+    this.defaultAssignee = components.defaultAssignee || null;
+    this.openai = components.openai || {};
+  }
+
+  /**
+   * Normalize any supported webhook format into { requestType, assetType, briefData, brief, adapter }
+   * WHY THIS WORKS: Format detection lives in the payload adapters (lib/payload-adapters.js),
+   * field naming and validation in the brief schema (lib/brief-schema.js)
+   * briefData = brief as sent (for the LLM steps), brief = canonical model (for code)
+   *
+   * @throws {BriefValidationError} Missing or malformed fields
+   */
+  normalizePayload(originalPayload) {
+    const { requestType, assetType, briefData, adapter } = this.payloadAdapters.normalize(originalPayload);
+
+    console.log('📊 Normalized brief keys:', Object.keys(briefData));
+
+    const { brief, errors } = normalizeBrief(briefData);
+
+    if (errors.length > 0) {
+      throw new BriefValidationError(errors);
+    }
+
+    return { requestType, assetType, briefData, brief, adapter };
+  }
+
+  /**
+   * Pick the request type for a normalized brief
+   * WHY THIS WORKS: A reviewer's choice (overrideType) skips routing, everything else
+   * goes through the routing engine, and per-type required fields are checked
+   * against the type the brief actually lands in
+   *
+   * @param {object} normalized - Result of normalizePayload()
+   * @param {string|Array} overrideType - Request type(s) picked in the review queue, primary first
+   * @returns {Promise<object>} Routing result { type, method, confidence, reason, candidates, linked }
+   * @throws {RoutingReviewError} No stage was confident enough
+   * @throws {BriefValidationError} Brief misses fields a routed type requires
+   */
+  async routeBrief(normalized, overrideType = null) {
+    let routing;
+    if (overrideType && overrideType.length > 0) {
+      const [type, ...others] = [].concat(overrideType);
+      const linked = others.map(other => ({ type: other, method: 'review', confidence: 1, reason: 'linked by reviewer' }));
+      routing = { type, method: 'review', confidence: 1, reason: 'routed by reviewer', candidates: [], linked, needsReview: false };
+    } else {
+      routing = await this.routingEngine.resolve(normalized);
+    }
+
+    if (routing.needsReview) {
+      throw new RoutingReviewError(routing);
+    }
+
+    // Per-type required fields from the database registry (every fanned-out type)
+    const errors = [routing.type, ...routing.linked.map(link => link.type)]
+      .flatMap(type => this.briefRouter.checkRequiredFields(type, normalized.brief));
+    if (errors.length > 0) {
+      throw new BriefValidationError(errors);
+    }
+
+    return routing;
+  }
+
+  /**
+   * Route, fetch schema + template, map properties (everything before the page write)
+   *
+   * @returns {Promise<object>} { databaseInfo, databaseSchema, parsedTemplate, workspaceUsers, mappingResult, notionProperties }
+   */
+  async prepare(requestType, briefData) {
+    console.log(`\n📥 Incoming request: ${requestType}`);
+    console.log(`📊 Brief data fields: ${Object.keys(briefData).join(', ')}`);
+
+    // Step 2: Route to correct database
+    // WHY THIS WORKS: Centralized routing logic
+    const databaseInfo = this.briefRouter.route(requestType);
+
+    console.log(`✅ Routed to: ${databaseInfo.databaseName}`);
+
+    // Step 3: Fetch database schema
+    // WHY THIS WORKS: Dynamic schema fetching adapts to changes
+    console.log('📚 Fetching database schema...');
+    const database = await this.notion.callTool('API-retrieve-a-database', {
+      database_id: databaseInfo.databaseId
+    });
+
+    const databaseSchema = {
+      databaseId: databaseInfo.databaseId,
+      title: database.title?.[0]?.plain_text || databaseInfo.databaseName,
+      properties: database.properties || {}
+    };
+
+    console.log(`✅ Schema fetched: ${Object.keys(databaseSchema.properties).length} properties`);
+
+    // Step 4: Quick template fetch for SOP parsing (for property mapping)
+    // WHY THIS WORKS: Property mapper needs SOPs, but template will be re-fetched by processor
+    console.log('📄 Fetching template for SOP parsing...');
+    const template = await this.templateFetcher.fetchTemplate(
+      databaseInfo.databaseId,
+      null,
+      null,
+      BriefPipeline.templateContext(briefData)
+    );
+
+    // Step 5: Parse template and extract SOPs
+    // WHY THIS WORKS: SOPs guide semantic property mapping
+    console.log('🔍 Parsing template and SOPs...');
+    const parsedTemplate = this.sopParser.parseTemplate(template.blocks);
+
+    console.log(`✅ Template parsed: ${parsedTemplate.totalSections} sections, ${parsedTemplate.totalSOPs} SOPs`);
+
+    // Step 6: Fetch workspace users for intelligent mapping
+    // WHY THIS WORKS: Provides user context to LLM for people field resolution
+    console.log('👥 Fetching workspace users...');
+    let workspaceUsers = [];
+    try {
+      const usersResult = await this.notion.callTool('API-get-users');
+      workspaceUsers = usersResult.results || [];
+      console.log(`✅ Fetched ${workspaceUsers.length} workspace users`);
+    } catch (error) {
+      console.warn(`⚠️ Could not fetch workspace users: ${error.message}`);
+    }
+
+    // Step 7: Semantic property mapping with full schema intelligence (LLM)
+    // WHY THIS WORKS: LLM sees full schema including field types, constraints, select options, and available users
+    // This makes it truly dynamic - adapts to any schema changes automatically
+    console.log('🧠 Performing intelligent semantic property mapping...');
+
+    // WHY THIS WORKS: A registry entry can name its own assignee, the tenant's is the fallback
+    const defaultAssignee = databaseInfo.defaultAssignee || this.defaultAssignee;
+    const sopGuidelines = {
+      defaultAssignee,
+      decisionRules: [
+        defaultAssignee
+          ? 'Assignee field always populated with default assignee (system rule)'
+          : 'Leave the Assignee field empty - no default assignee is configured',
+        'Skip fields with "allocated", "assigned", "approval", "accept" in name (post-intake)',
+        'Skip output fields like "Media Link", "Final Deliverable" (content not created yet)',
+        'Populate user-provided data: name, contact, dates, platform, description, budget'
+      ]
+    };
+
+    const mappingResult = await this.semanticMapper.mapProperties(
+      briefData,
+      databaseSchema,
+      parsedTemplate,
+      sopGuidelines,
+      workspaceUsers
+    );
+
+    if (!mappingResult.success) {
+      throw new Error(`Semantic mapping failed: ${mappingResult.error}`);
+    }
+
+    const { populate = {}, skip = {} } = mappingResult.mapping;
+    if (!defaultAssignee && populate.Assignee) {
+      delete populate.Assignee;
+      mappingResult.mapping.skip = { ...skip, Assignee: { reason: 'No default assignee configured' } };
+    }
+
+    console.log(`✅ Mapping complete: ${Object.keys(mappingResult.mapping.populate || {}).length} properties mapped`);
+
+    // Step 8: Convert to Notion property format
+    // WHY THIS WORKS: LLM outputs semantic values, converter handles Notion API format
+    // Values are already validated against schema constraints by the LLM
+    const notionProperties = this.semanticMapper.convertToNotionFormat(
+      mappingResult.mapping,
+      databaseSchema
+    );
+
+    console.log(`✅ Properties formatted for Notion API`);
+
+    return {
+      databaseInfo,
+      databaseSchema,
+      parsedTemplate,
+      workspaceUsers,
+      mappingResult,
+      notionProperties
+    };
+  }
+
+  /**
+   * Create Notion page with validation & self-correction
+   * WHY THIS WORKS: Retries with LLM corrections if Notion rejects the properties (400).
+   * Anything else - a timed-out write that may have created the page, 5xx, network - is
+   * rethrown unchanged so the job queue's retry policy decides, never a second create here
+   *
+   * @param {object} prepared - Output of prepare()
+   * @returns {Promise<object>} Created page ({ id, url, ... })
+   */
+  async createPage(prepared) {
+    const { databaseInfo, databaseSchema } = prepared;
+    let notionProperties = prepared.notionProperties;
+
+    let createdPage;
+    let lastError = null;
+    let retryCount = 0;
+    const maxRetries = 2;
+
+    while (!createdPage?.id && retryCount <= maxRetries) {
+      try {
+        createdPage = await this.notion.callTool('API-post-page', {
+          parent: { database_id: databaseInfo.databaseId },
+          properties: notionProperties
+        });
+
+        // Check if successful
+        if (createdPage && createdPage.id && createdPage.object !== 'error') {
+          console.log(`✅ Page created: ${createdPage.url}`);
+          break;
+        }
+
+        // MCP backend returns Notion's error body - keep its status and code
+        if (createdPage && createdPage.object === 'error') {
+          throw notionApiError(createdPage, 'API-post-page');
+        }
+
+      } catch (error) {
+        if (!isValidationError(error)) throw error;
+
+        lastError = error;
+        createdPage = null;
+        console.warn(`⚠️ Attempt ${retryCount + 1} failed: ${error.message}`);
+
+        if (retryCount < maxRetries) {
+          console.log('🔄 Attempting self-correction...');
+
+          // Use LLM to fix the validation error
+          try {
+            const correctionPrompt = `A Notion API call failed with this error:
+
+ERROR: ${error.message}
+
+SCHEMA: ${JSON.stringify(databaseSchema.properties, null, 2)}
+
+PROPERTIES WE TRIED: ${JSON.stringify(notionProperties, null, 2)}
+
+Based on the error and schema, fix the properties to match Notion's requirements. Return corrected properties as JSON.`;
+
+            // WHY THIS WORKS: A small JSON fix-up, so it runs on the tenant's routing model
+            // (the mapper's own model when none is set) - never a model the key may not have
+            const response = await this.semanticMapper.openai.chat.completions.create({
+              model: this.openai.routingModel || this.semanticMapper.model,
+              messages: [
+                { role: 'system', content: 'You are a Notion API expert. Fix validation errors by correcting property formats.' },
+                { role: 'user', content: correctionPrompt }
+              ],
+              response_format: { type: 'json_object' },
+              reasoning_effort: 'low',
+              max_completion_tokens: 2000
+            });
+
+            notionProperties = JSON.parse(response.choices[0].message.content.trim());
+            console.log('✅ Properties corrected via LLM');
+
+          } catch (correctionError) {
+            console.error('❌ Self-correction failed:', correctionError.message);
+            break;
+          }
+        }
+
+        retryCount++;
+      }
+    }
+
+    // Final validation check
+    if (!createdPage || !createdPage.id || createdPage.object === 'error') {
+      const errorMsg = lastError?.message || 'Unknown error creating page after retries';
+      console.error('❌ Page creation failed after all attempts:', errorMsg);
+      throw new Error(`Failed to create Notion page after ${retryCount + 1} attempts: ${errorMsg}`);
+    }
+
+    return createdPage;
+  }
+
+  /**
+   * Pre-flight analysis + DCMS template processing
+   *
+   * @param {object} prepared - Result of prepare()
+   * @param {object} briefData - Brief as sent
+   * @param {object} brief - Canonical brief from normalizePayload()
+   * @returns {Promise<object>} { providedComplexity, analysis, finalComplexity, templateBlocks, template }
+   */
+  async buildBlocks(prepared, briefData, brief) {
+    // Step 10: Intelligent Pre-Flight Analysis (Phase 3: Meta-Cognitive Layer)
+    // WHY THIS WORKS: Smart backend checks, complexity re-classification, silent defaults
+    console.log('🧠 Running intelligent pre-flight analysis...');
+
+    // Extract complexity level from brief if provided
+    const providedComplexity = brief.project.complexity || null;
+
+    if (providedComplexity) {
+      console.log(`   Initial complexity: ${providedComplexity}`);
+    } else {
+      console.log('   No complexity level provided - will detect from content');
+    }
+
+    // Run intelligent analysis
+    const analysis = await this.intelligentProcessor.analyze(briefData, providedComplexity);
+
+    // Apply smart defaults to brief data (silent - no markers)
+    const enhancedBriefData = { ...briefData, ...analysis.smartDefaults };
+
+    // Use detected/corrected complexity
+    const finalComplexity = analysis.useComplexity;
+
+    // Step 11: Apply DCMS template with intelligent processing
+    // WHY THIS WORKS: Uses corrected complexity, enhanced data with smart defaults
+    console.log('📄 Applying DCMS template...');
+
+    const smartProcessor = new SmartTemplateProcessor(this.notion, this.templateFetcher, {
+      apiKey: this.openai.apiKey,
+      model: this.openai.model,
+      templateContext: BriefPipeline.templateContext(briefData)
+    });
+    const processedBlocks = await smartProcessor.processTemplate(
+      prepared.databaseInfo.databaseId,
+      enhancedBriefData,
+      finalComplexity,
+      analysis.conflicts // Pass conflicts for natural language callouts
+    );
+
+    // WHY THIS WORKS: Copied template blocks lose their IDs and take their nested
+    // children along, in the shape API-patch-block-children expects
+    const templateBlocks = toWritableBlocks(processedBlocks);
+
+    return {
+      providedComplexity,
+      analysis,
+      finalComplexity,
+      templateBlocks,
+      template: BriefPipeline.describeTemplate(smartProcessor.templateUsed)
+    };
+  }
+
+  /**
+   * Who the brief is for, as TemplateFetcher matches it against client-specific templates
+   */
+  static templateContext(briefData) {
+    return {
+      clients: [resolveField(briefData, 'client.company'), resolveField(briefData, 'client.name')]
+        .filter(value => typeof value === 'string' && value.trim())
+    };
+  }
+
+  /**
+   * Template version recorded on the job (null snapshotHash = LLM-generated page,
+   * fallback = Notion couldn't serve the template, resolution = why this template row)
+   */
+  static describeTemplate(template) {
+    if (!template) return null;
+
+    return {
+      snapshotHash: template.snapshotHash || null,
+      templateType: template.templateType || null,
+      complexityLevel: template.complexityLevel || null,
+      pageId: template.pageId || null,
+      pinned: template.pinned || null,
+      source: template.isLLMOnly ? 'llm_only' : (template.source || 'notion'),
+      fallback: template.fallback || null,
+      resolution: template.resolution || null
+    };
+  }
+
+  /**
+   * Job warnings for requests whose template came from a fallback tier
+   * WHY THIS WORKS: The page still gets created, but ops can see it wasn't built
+   * from the live Notion template (and why)
+   */
+  static templateWarnings(requests) {
+    return requests
+      .filter(request => request.template?.fallback)
+      .map(request => ({
+        code: 'template_fallback',
+        requestType: request.requestType,
+        tier: request.template.fallback.tier,
+        message: `Template for ${request.requestType} came from the ${request.template.fallback.tier === 'bundle' ? 'offline bundle' : 'LLM-only fallback'}: ${request.template.fallback.reason}`
+      }));
+  }
+
+  /**
+   * Append template blocks to the created page
+   * WHY THIS WORKS: API-patch-block-children adds blocks to page
+   * Notion API limits: 100 blocks and 2 levels of nesting per request - deeper
+   * children are appended to their parent once it exists
+   */
+  async appendBlocks(pageId, templateBlocks) {
+    if (templateBlocks.length === 0) return true;
+
+    try {
+      console.log(`📦 Adding ${templateBlocks.length} blocks to page: ${pageId}`);
+
+      const calls = await appendBlockTree(this.notion, pageId, templateBlocks);
+
+      console.log(`✅ Template applied: ${templateBlocks.length} blocks added (${calls} requests)`);
+      return true;
+    } catch (blockError) {
+      console.warn('⚠️ Failed to add template blocks:', blockError.message);
+      // Don't fail the whole request if block creation fails
+      return false;
+    }
+  }
+
+  /**
+   * Relation properties that would link the requests of one brief to each other
+   * WHY THIS WORKS: Only schemas that already relate two of the databases get links,
+   * so fan-out never adds properties a workspace doesn't have
+   *
+   * @param {Array} requests - [{ prepared }] in routing order
+   * @returns {Array} [{ from, property, to: [indexes] }]
+   */
+  planLinks(requests) {
+    const normalizeId = (id) => String(id || '').replace(/-/g, '');
+    const links = [];
+
+    requests.forEach(({ prepared }, from) => {
+      for (const [property, schema] of Object.entries(prepared.databaseSchema.properties)) {
+        if (schema.type !== 'relation') continue;
+
+        const target = normalizeId(schema.relation?.database_id);
+        const to = requests
+          .map((other, index) => (index !== from && normalizeId(other.prepared.databaseInfo.databaseId) === target ? index : -1))
+          .filter(index => index >= 0);
+
+        if (to.length > 0) {
+          links.push({ from, property, to });
+        }
+      }
+    });
+
+    return links;
+  }
+
+  /**
+   * Cross-link created pages through their relation properties
+   * WHY THIS WORKS: API-patch-page sets the full relation, so a re-run after a
+   * restart writes the same links again instead of duplicating them
+   *
+   * @param {Array} requests - [{ prepared, page }] in routing order
+   * @returns {Promise<Array>} [{ from, property, to, error }] one per link written
+   */
+  async linkPages(requests) {
+    const links = this.planLinks(requests);
+    const results = [];
+
+    for (const { from, property, to } of links) {
+      const pageId = requests[from].page.id;
+      const relatedIds = to.map(index => requests[index].page.id);
+
+      try {
+        await this.notion.callTool('API-patch-page', {
+          page_id: pageId,
+          properties: { [property]: { relation: relatedIds.map(id => ({ id })) } }
+        });
+        console.log(`🔗 Linked ${requests[from].prepared.databaseInfo.databaseName} "${property}" → ${relatedIds.length} page${relatedIds.length === 1 ? '' : 's'}`);
+        results.push({ from, property, to, error: null });
+      } catch (linkError) {
+        // Same as blocks - the pages exist, a missing link is fixed by hand
+        console.warn(`⚠️ Failed to link "${property}" on page ${pageId}:`, linkError.message);
+        results.push({ from, property, to, error: linkError.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Run the full pipeline and write to Notion
+   * WHY THIS WORKS: A fanned-out brief (routing.linked) creates one page per request
+   * type, each mapped against its own schema and template, then links them
+   *
+   * @param {object} originalPayload - Raw webhook payload
+   * @param {object} options - { existingPages: [{ requestType, id, url, blocksAppended }], requestType (reviewer override),
+   *                             onStatus: (status, details) => void, onPages: (notionPages) => void }
+   * @returns {Promise<object>} Result summary
+   */
+  async run(originalPayload, options = {}) {
+    const onStatus = options.onStatus || (() => {});
+    const onPages = options.onPages || (() => {});
+    let normalized = null;
+
+    try {
+      normalized = this.normalizePayload(originalPayload);
+      const { briefData, brief, adapter } = normalized;
+
+      const routing = await this.routeBrief(normalized, options.requestType);
+      const requestTypes = [routing.type, ...routing.linked.map(link => link.type)];
+      normalized.requestType = routing.type;
+
+      onStatus('mapping', { requestType: routing.type, adapter, routing });
+
+      // WHY THIS WORKS: Every request is mapped before the first page is written,
+      // so a mapping failure never leaves half a fan-out behind
+      const requests = [];
+      for (const requestType of requestTypes) {
+        requests.push({ requestType, prepared: await this.prepare(requestType, briefData) });
+      }
+
+      // WHY THIS WORKS: A job resumed after a restart may already have some of its pages
+      // Reusing them keeps at-least-once delivery from creating duplicate pages
+      const existingPages = options.existingPages || [];
+      const pages = [];
+
+      for (const request of requests) {
+        // Step 9: Create Notion page
+        console.log(`📝 Creating Notion page (${request.prepared.databaseInfo.databaseName})...`);
+        onStatus('creating_page', { databaseName: requests[0].prepared.databaseInfo.databaseName });
+
+        const existing = existingPages.find(page => page.requestType === request.requestType && page.id);
+        if (existing) {
+          console.log(`♻️  Reusing page from previous attempt: ${existing.url}`);
+          request.page = existing;
+        } else {
+          request.page = await this.createPage(request.prepared);
+        }
+
+        const page = {
+          requestType: request.requestType,
+          databaseName: request.prepared.databaseInfo.databaseName,
+          id: request.page.id,
+          url: request.page.url
+        };
+        pages.push(page);
+
+        // WHY THIS WORKS: Page URLs are recorded as soon as they exist, even if blocks fail later
+        onStatus('appending_blocks', {
+          notionPageId: pages[0].id,
+          notionPageUrl: pages[0].url,
+          notionPages: [...pages]
+        });
+
+        // WHY THIS WORKS: A page whose blocks went in on an earlier attempt keeps them -
+        // retries, boot resumes and replays would otherwise append the template again
+        if (existing?.blocksAppended) {
+          console.log(`♻️  Template already applied on previous attempt: ${existing.url}`);
+          Object.assign(page, { blocksAppended: true, blocksAdded: existing.blocksAdded || 0, template: existing.template || null });
+        } else {
+          const { templateBlocks, template } = await this.buildBlocks(request.prepared, briefData, brief);
+          Object.assign(page, { blocksAppended: false, blocksAdded: templateBlocks.length, template });
+
+          if (await this.appendBlocks(request.page.id, templateBlocks)) {
+            // Recorded on the job right away, so a crash before the next page keeps the marker
+            page.blocksAppended = true;
+            onPages([...pages]);
+          }
+        }
+
+        request.blocksAppended = page.blocksAppended;
+        request.blocksAdded = page.blocksAdded;
+        request.template = page.template;
+      }
+
+      const links = requests.length > 1 ? await this.linkPages(requests) : [];
+
+      console.log(`✅ Request created successfully${requests.length > 1 ? ` (${requests.length} linked pages)` : ''}`);
+
+      const [primary] = requests;
+      const { databaseInfo, parsedTemplate, mappingResult } = primary.prepared;
+
+      return {
+        success: true,
+        message: requests.length > 1
+          ? `${requests.length} linked requests created successfully in Notion`
+          : 'Request created successfully in Notion',
+        notionPageUrl: primary.page.url,
+        notionPageId: primary.page.id,
+        databaseUsed: databaseInfo.databaseName,
+        routing: { type: routing.type, method: routing.method, confidence: routing.confidence, reason: routing.reason },
+        // Every page created for this brief, primary first
+        pages: requests.map((request, index) => ({
+          requestType: request.requestType,
+          databaseName: request.prepared.databaseInfo.databaseName,
+          notionPageId: request.page.id,
+          notionPageUrl: request.page.url,
+          linkedTo: [...new Set(links.filter(link => link.from === index && !link.error).flatMap(link => link.to))]
+            .map(to => requests[to].page.id),
+          blocksAdded: request.blocksAdded,
+          blocksAppended: request.blocksAppended,
+          template: request.template
+        })),
+        linkErrors: links.filter(link => link.error).map(link => ({
+          requestType: requests[link.from].requestType,
+          property: link.property,
+          error: link.error
+        })),
+        propertiesMapped: {
+          populated: Object.keys(mappingResult.mapping.populate || {}),
+          skipped: Object.keys(mappingResult.mapping.skip || {}),
+          uncertain: Object.keys(mappingResult.mapping.uncertain || {})
+        },
+        templateApplied: {
+          sectionsCreated: parsedTemplate.totalSections,
+          blocksAdded: primary.blocksAdded,
+          sopsApplied: parsedTemplate.totalSOPs,
+          ...primary.template
+        },
+        warnings: BriefPipeline.templateWarnings(requests),
+        reasoning: mappingResult.mapping.metadata
+      };
+
+    } catch (error) {
+      // WHY THIS WORKS: The normalized brief travels with the error for the error webhook
+      error.briefData = normalized?.briefData || null;
+      error.requestType = normalized?.requestType || null;
+      throw error;
+    }
+  }
+
+  /**
+   * Dry run: everything run() does except API-post-page, API-patch-block-children and API-patch-page
+   * WHY THIS WORKS: Template authors and prompt tweakers see the exact Notion payload
+   * and block tree without touching the workspace
+   *
+   * @param {object} originalPayload - Raw webhook payload
+   * @returns {Promise<object>} Preview of what would be written (linked requests in linkedRequests)
+   */
+  async preview(originalPayload) {
+    console.log('🔎 DRY RUN: Nothing will be written to Notion');
+
+    const normalized = this.normalizePayload(originalPayload);
+    const { briefData, brief, adapter } = normalized;
+    const routing = await this.routeBrief(normalized);
+    const requestTypes = [routing.type, ...routing.linked.map(link => link.type)];
+
+    const requests = [];
+    for (const requestType of requestTypes) {
+      const prepared = await this.prepare(requestType, briefData);
+      requests.push({ requestType, prepared, ...(await this.buildBlocks(prepared, briefData, brief)) });
+    }
+
+    const links = this.planLinks(requests);
+    const describe = (request, index) => ({
+      requestType: request.requestType,
+      database: {
+        id: request.prepared.databaseInfo.databaseId,
+        name: request.prepared.databaseInfo.databaseName
+      },
+      // Exact API-post-page arguments
+      page: {
+        parent: { database_id: request.prepared.databaseInfo.databaseId },
+        properties: request.prepared.notionProperties
+      },
+      // Exact API-patch-block-children children (sent in batches of 100)
+      blocks: request.templateBlocks,
+      blockCount: request.templateBlocks.length,
+      template: request.template,
+      // Relation properties that would point at the other requests' pages
+      links: links
+        .filter(link => link.from === index)
+        .map(link => ({ property: link.property, to: link.to.map(to => requests[to].requestType) }))
+    });
+
+    const [primary, ...linked] = requests;
+    const { providedComplexity, analysis, finalComplexity } = primary;
+    const { parsedTemplate, mappingResult, notionProperties } = primary.prepared;
+
+    console.log(`✅ Dry run complete: ${Object.keys(notionProperties).length} properties, ${primary.templateBlocks.length} blocks` +
+      (linked.length > 0 ? `, ${linked.length} linked request${linked.length === 1 ? '' : 's'}` : ''));
+
+    return {
+      success: true,
+      dryRun: true,
+      adapter,
+      routing,
+      brief,
+      ...describe(primary, 0),
+      linkedRequests: linked.map((request, index) => describe(request, index + 1)),
+      complexity: {
+        provided: providedComplexity,
+        used: finalComplexity
+      },
+      conflicts: analysis.conflicts,
+      warnings: BriefPipeline.templateWarnings(requests),
+      smartDefaults: analysis.smartDefaults,
+      mapping: {
+        populate: mappingResult.mapping.populate || {},
+        skip: mappingResult.mapping.skip || {},
+        uncertain: mappingResult.mapping.uncertain || {},
+        reasoning: mappingResult.mapping.metadata
+      },
+      template: {
+        sections: parsedTemplate.totalSections,
+        sops: parsedTemplate.totalSOPs,
+        ...primary.template
+      }
+    };
+  }
+}
+
+module.exports = BriefPipeline;
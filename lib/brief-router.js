@@ -4,37 +4,17 @@
 // Routes completed briefs to appropriate Notion databases
 // WHY THIS WORKS: Centralizes database routing logic - easy to add new databases
 
+const DatabaseRegistry = require('./database-registry');
+const { BRIEF_FIELDS, resolveField } = require('./brief-schema');
+
 class BriefRouter {
-  constructor() {
-    // WHY THIS WORKS: Database mapping from env vars
-    // Adding new databases = add env var + mapping entry
-    this.databaseMap = {
-      'content_request': {
-        id: process.env.CONTENT_REQUEST_DB_ID,
-        name: 'Content Request',
-        description: 'Primary intake for content briefs (videos, social posts, etc.)'
-      },
-      'publishing_request': {
-        id: process.env.PUBLISHING_REQUEST_DB_ID,
-        name: 'Publishing Request',
-        description: 'Requests for publishing/posting existing content'
-      },
-      'general_inquiry': {
-        id: process.env.GENERAL_INQUIRY_DB_ID,
-        name: 'General Inquiries',
-        description: 'Questions, support requests, non-content inquiries'
-      },
-      'photoshoot': {
-        id: process.env.PHOTOSHOOT_DB_ID,
-        name: 'Photoshoot Request',
-        description: 'Photography and photoshoot requests'
-      },
-      'event_request': {
-        id: process.env.EVENT_REQUEST_DB_ID,
-        name: 'Event Request',
-        description: 'Event coverage and production requests'
-      }
-    };
+  /**
+   * @param {DatabaseRegistry} registry - Request types from config/databases.json
+   */
+  constructor(registry) {
+    // WHY THIS WORKS: Database mapping lives in the registry file (hot-reloaded)
+    // Adding new databases = add an entry to config/databases.json
+    this.registry = registry || new DatabaseRegistry({ watch: false });
   }
 
   /**
@@ -42,41 +22,86 @@ class BriefRouter {
    * WHY THIS WORKS: Simple lookup by request type
    * 
    * @param {string} requestType - Type from n8n (e.g., 'content_request')
-   * @returns {object} Database info { id, name, description }
+   * @returns {object} Database info { databaseId, databaseName, databaseDescription, requestType,
+   *                   templateType, requiredFields, defaultAssignee }
    */
   route(requestType) {
     console.log(`🧭 Routing request type: ${requestType}`);
     
-    // Normalize request type (handle case variations, spaces, etc.)
-    const normalizedType = this.normalizeRequestType(requestType);
+    // Normalize request type (handle case variations, spaces, aliases like "video brief")
+    const normalizedType = this.resolveRequestType(requestType);
     
     // Look up database
-    const database = this.databaseMap[normalizedType];
+    const database = normalizedType && this.registry.get(normalizedType);
     
     if (!database) {
       throw new Error(
         `Unknown request type: "${requestType}". ` +
-        `Valid types: ${Object.keys(this.databaseMap).join(', ')}`
+        `Valid types: ${this.registry.list().map(db => db.type).join(', ')}`
       );
     }
     
-    if (!database.id) {
+    if (database.disabled) {
+      throw new Error(
+        `Request type "${requestType}" is disabled: its entry in ${this.registry.filePath} is misconfigured ` +
+        `(see GET /databases)`
+      );
+    }
+    
+    if (!database.databaseId) {
       throw new Error(
         `Database ID not configured for request type: "${requestType}". ` +
-        `Set environment variable: ${this.getEnvVarName(normalizedType)}`
+        `Set environment variable: ${database.databaseIdEnv} (or databaseId in ${this.registry.filePath})`
       );
     }
     
-    console.log(`✅ Routed to: ${database.name} (${database.id.substring(0, 8)}...)`);
+    console.log(`✅ Routed to: ${database.name} (${database.databaseId.substring(0, 8)}...)`);
     
     return {
-      databaseId: database.id,
+      databaseId: database.databaseId,
       databaseName: database.name,
       databaseDescription: database.description,
-      requestType: normalizedType
+      requestType: normalizedType,
+      templateType: database.templateType,
+      requiredFields: database.requiredFields,
+      defaultAssignee: database.defaultAssignee
     };
   }
 
+  /**
+   * Request type for a type name or any of its aliases
+   *
+   * @returns {string|null} Registry type, or null if nothing matches
+   */
+  resolveRequestType(requestType) {
+    if (!requestType || typeof requestType !== 'string') return null;
+    return this.registry.resolveType(this.normalizeRequestType(requestType));
+  }
+
+  /**
+   * Check the per-type required fields of a canonical brief
+   * WHY THIS WORKS: Same error shape as normalizeBrief, so /create-request reports
+   * registry requirements field by field like any other validation error
+   *
+   * @param {string} requestType - Type or alias (unknown types have no requirements)
+   * @param {object} brief - Canonical brief from normalizeBrief
+   * @returns {Array} [{ field, source, message, received }]
+   */
+  checkRequiredFields(requestType, brief) {
+    const type = this.resolveRequestType(requestType);
+    const database = type && this.registry.get(type);
+    if (!database || !brief) return [];
+    
+    return database.requiredFields
+      .filter(field => resolveField(brief, field) === null)
+      .map(field => ({
+        field,
+        source: BRIEF_FIELDS[field].label,
+        message: `is required for ${database.name}`,
+        received: null
+      }));
+  }
+
   /**
    * Normalize request type
    * WHY THIS WORKS: Handles variations in naming (ContentRequest, content-request, etc.)
@@ -86,11 +111,8 @@ class BriefRouter {
       throw new Error('Request type is required');
     }
     
-    // Convert to lowercase and replace spaces/dashes with underscores
-    return requestType
-      .toLowerCase()
-      .replace(/[\s-]/g, '_')
-      .replace(/[^a-z0-9_]/g, ''); // Remove special chars
+    // Lowercase, spaces/dashes -> underscores, special chars removed (same rule as registry aliases)
+    return DatabaseRegistry.normalizeType(requestType);
   }
 
   /**
@@ -98,7 +120,7 @@ class BriefRouter {
    * WHY THIS WORKS: Helps generate helpful error messages
    */
   getEnvVarName(normalizedType) {
-    return normalizedType.toUpperCase() + '_DB_ID';
+    return this.registry.get(normalizedType)?.databaseIdEnv || normalizedType.toUpperCase() + '_DB_ID';
   }
 
   /**
@@ -106,33 +128,49 @@ class BriefRouter {
    * WHY THIS WORKS: Useful for debugging and API endpoints
    */
   getAvailableDatabases() {
-    const databases = [];
-    
-    for (const [type, db] of Object.entries(this.databaseMap)) {
-      databases.push({
-        type,
-        name: db.name,
-        description: db.description,
-        configured: !!db.id,
-        envVar: this.getEnvVarName(type)
-      });
-    }
-    
-    return databases;
+    return this.registry.list().map(db => ({
+      type: db.type,
+      name: db.name,
+      description: db.description,
+      configured: !!db.databaseId,
+      disabled: db.disabled,
+      envVar: db.databaseIdEnv,
+      templateType: db.templateType,
+      aliases: db.aliases,
+      requiredFields: db.requiredFields,
+      defaultAssignee: db.defaultAssignee
+    }));
   }
 
   /**
-   * Validate that required databases are configured
-   * WHY THIS WORKS: Fail fast on startup if critical databases are missing
+   * Validate that required databases are configured and have no broken entries
+   * WHY THIS WORKS: Fail fast on startup only for what the service can't run without
+   * (required types, an unreadable file); broken optional types were disabled by the
+   * registry and are listed so their briefs waiting in review can be explained
    */
-  validateConfiguration(requiredTypes = ['content_request']) {
+  validateConfiguration(requiredTypes = this.registry.getRequiredTypes()) {
+    const { errors, warnings, disabled } = this.registry.report;
+    
+    for (const { type, field, message } of warnings) {
+      console.warn(`⚠️ Database registry: ${type}${field ? `.${field}` : ''} - ${message}`);
+    }
+    
+    for (const { type, field, message } of disabled) {
+      console.warn(`🚫 Database registry: ${type}${field ? `.${field}` : ''} - ${message} (type disabled, its briefs go to review)`);
+    }
+    
+    if (errors.length > 0) {
+      const errorList = errors.map(e => `${e.type}${e.field ? `.${e.field}` : ''} ${e.message}`).join('; ');
+      throw new Error(`Database registry ${this.registry.filePath} has ${errors.length} misconfigured entries: ${errorList}`);
+    }
+    
     const missing = [];
     
     for (const type of requiredTypes) {
-      const normalizedType = this.normalizeRequestType(type);
-      const database = this.databaseMap[normalizedType];
+      const normalizedType = this.resolveRequestType(type) || this.normalizeRequestType(type);
+      const database = this.registry.get(normalizedType);
       
-      if (!database || !database.id) {
+      if (!database || !database.databaseId) {
         missing.push({
           type: normalizedType,
           envVar: this.getEnvVarName(normalizedType)
@@ -154,18 +192,25 @@ class BriefRouter {
 
   /**
    * Add custom database mapping (for dynamic configuration)
-   * WHY THIS WORKS: Allows runtime addition of databases without code changes
+   * WHY THIS WORKS: Allows runtime addition of databases without code changes,
+   * and the entry is written to the registry file so it survives restarts
+   *
+   * @param {string} type - Request type
+   * @param {string} databaseId - Notion database ID
+   * @param {string} name - Display name
+   * @param {string} description - Description
+   * @param {object} options - Other registry settings { templateType, aliases, requiredFields, defaultAssignee }
    */
-  addDatabase(type, databaseId, name, description) {
-    const normalizedType = this.normalizeRequestType(type);
-    
-    this.databaseMap[normalizedType] = {
-      id: databaseId,
+  addDatabase(type, databaseId, name, description, options = {}) {
+    const entry = this.registry.upsert(type, {
       name: name || type,
-      description: description || `Custom database for ${type}`
-    };
+      description: description || `Custom database for ${type}`,
+      databaseId,
+      ...options
+    });
     
-    console.log(`✅ Added custom database: ${name} (${type})`);
+    console.log(`✅ Added custom database: ${entry.name} (${entry.type})`);
+    return entry;
   }
 
   /**
@@ -174,8 +219,7 @@ class BriefRouter {
    */
   isSupported(requestType) {
     try {
-      const normalizedType = this.normalizeRequestType(requestType);
-      return !!this.databaseMap[normalizedType];
+      return !!this.resolveRequestType(requestType);
     } catch (error) {
       return false;
     }
@@ -0,0 +1,461 @@
+// ============================================
+// IE7 CANONICAL BRIEF SCHEMA
+// ============================================
+// One model of a brief, whatever sent it (n8n, Typeform, web form, API)
+// WHY THIS WORKS: Field aliases live in ONE place - every module resolves
+// "Project Name" / project_name / projectName through here instead of keeping its own list
+//
+// CANONICAL BRIEF:
+// {
+//   client:   { name, company, email, userNumber },
+//   project:  { name, assetType, complexity, category, priority, budget },
+//   dates:    { due, desired },
+//   deliverables: [string], platforms: [string], references: [string],
+//   rawBrief, briefDetails, interactionNotes,
+//   extra: { ...every field no alias claimed }
+// }
+//
+// NOTE: briefData keeps travelling to the LLM steps untouched - the canonical brief
+// is what code reads and validates
+
+const COMPLEXITY_LEVELS = ['Cup of Tea', 'Pizza', '3-Course Meal'];
+
+// WHY THIS ORDER: First alias found wins, so the n8n label comes first
+// label = the Title Case key n8n sends (adapters convert other sources to it)
+const BRIEF_FIELDS = {
+  'client.name': {
+    label: 'Client Name',
+    aliases: ['Client Name', 'client_name', 'clientName', 'Requested By', 'requested_by', 'requestedBy']
+  },
+  'client.company': {
+    label: 'Company Name',
+    aliases: ['Company Name', 'company_name', 'companyName', 'Company']
+  },
+  'client.email': {
+    label: 'Client Email',
+    aliases: ['Client Email', 'Contact Email', 'client_email', 'clientEmail', 'contact_email', 'contactEmail', 'Email']
+  },
+  'client.userNumber': {
+    label: 'User_Number',
+    aliases: ['User_Number', 'User Number', 'USER ID', 'user_number', 'userNumber', 'user_id', 'userId', 'phone']
+  },
+  'project.name': {
+    label: 'Project Name',
+    aliases: ['Project Name', 'Project_Name', 'project_name', 'projectName']
+  },
+  'project.assetType': {
+    label: 'Asset Type',
+    aliases: ['Asset Type', 'asset_type', 'assetType']
+  },
+  'project.complexity': {
+    label: 'Complexity Level',
+    aliases: ['Complexity Level', 'complexity_level', 'complexityLevel', 'ComplexityLevel', 'complexity']
+  },
+  'project.category': {
+    label: 'Category',
+    aliases: ['Category', 'category']
+  },
+  'project.priority': {
+    label: 'Requested Priority',
+    aliases: ['Requested Priority', 'requested_priority', 'Priority']
+  },
+  'project.budget': {
+    label: 'Budget',
+    aliases: ['Budget', 'budget']
+  },
+  'dates.due': {
+    label: 'Due Dates',
+    aliases: ['Due Dates', 'Due Date', 'due_date', 'dueDate', 'Deadline', 'Timeline', 'Dates']
+  },
+  'dates.desired': {
+    label: 'Desired Date',
+    aliases: ['Desired Date', 'desired_date', 'desiredDate']
+  },
+  'deliverables': {
+    label: 'Deliverables',
+    aliases: ['Deliverables', 'deliverables']
+  },
+  'platforms': {
+    label: 'Platforms',
+    aliases: ['Platforms', 'platforms', 'Platform', 'platform']
+  },
+  'references': {
+    label: 'References',
+    aliases: ['References', 'references', 'Media Link', 'media_link', 'Attachments', 'attachments']
+  },
+  'rawBrief': {
+    label: 'Raw Brief',
+    aliases: ['Raw Brief', 'Raw_Brief', 'raw_brief', 'rawBrief', 'user_brain_dump', 'brief']
+  },
+  'briefDetails': {
+    label: 'Brief Details',
+    aliases: ['Brief Details', 'brief_details', 'briefDetails']
+  },
+  'interactionNotes': {
+    label: 'Interaction Notes',
+    aliases: ['Interaction Notes', 'interaction notes', 'interaction_notes', 'interactionNotes']
+  }
+};
+
+// WHY THIS WORKS: Published so n8n / form builders can validate before they send
+const BRIEF_JSON_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'IE7 Brief',
+  type: 'object',
+  properties: {
+    client: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', maxLength: 200 },
+        company: { type: 'string', maxLength: 200 },
+        email: { type: 'string', format: 'email' },
+        userNumber: { type: 'string', maxLength: 50 }
+      }
+    },
+    project: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 2000 },
+        assetType: { type: 'string' },
+        complexity: { type: 'string', examples: COMPLEXITY_LEVELS },
+        category: { type: 'string' },
+        priority: { type: 'string' },
+        budget: { type: 'string' }
+      }
+    },
+    dates: {
+      type: 'object',
+      properties: {
+        due: { type: 'string' },
+        desired: { type: 'string' }
+      }
+    },
+    deliverables: { type: 'array', items: { type: 'string' } },
+    platforms: { type: 'array', items: { type: 'string' } },
+    references: { type: 'array', items: { type: 'string' } },
+    rawBrief: { type: 'string', minLength: 1 },
+    briefDetails: { type: 'string' },
+    interactionNotes: { type: 'string' },
+    extra: { type: 'object' }
+  },
+  // WHY THIS WORKS: A page needs something to be about - a project name or the brief text
+  anyOf: [
+    { required: ['project'], properties: { project: { required: ['name'] } } },
+    { required: ['rawBrief'] }
+  ],
+  errorMessage: {
+    anyOf: { field: 'project.name', message: 'is required (or send rawBrief)' }
+  }
+};
+
+const CANONICAL_GROUPS = ['client', 'project', 'dates'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Key used for alias comparison (case, spaces, underscores, dashes and ? ignored)
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[\s_\-?]/g, '');
+}
+
+// normalized alias -> canonical field path
+const ALIAS_INDEX = {};
+for (const [field, definition] of Object.entries(BRIEF_FIELDS)) {
+  for (const alias of [field, ...definition.aliases]) {
+    const key = normalizeKey(alias);
+    if (!ALIAS_INDEX[key]) ALIAS_INDEX[key] = field;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((current, part) => (isPlainObject(current) ? current[part] : undefined), obj);
+}
+
+function setPath(obj, path, value) {
+  const parts = path.split('.');
+  let current = obj;
+  for (const part of parts.slice(0, -1)) {
+    current[part] = current[part] || {};
+    current = current[part];
+  }
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Canonical field path for any alias ('Project Name', 'project_name', 'timeline' ...)
+ *
+ * @returns {string|null} e.g. 'project.name'
+ */
+function canonicalField(key) {
+  if (BRIEF_FIELDS[key]) return key;
+  return ALIAS_INDEX[normalizeKey(key)] || null;
+}
+
+/**
+ * n8n label for any alias (what adapters rename form fields to)
+ *
+ * @returns {string|null} e.g. 'Project Name'
+ */
+function canonicalLabel(key) {
+  const field = canonicalField(key);
+  return field ? BRIEF_FIELDS[field].label : null;
+}
+
+/**
+ * Every alias of the given canonical fields
+ * WHY THIS WORKS: Lets modules build "skip these keys" lists without repeating aliases
+ */
+function aliasesFor(fields) {
+  return fields.flatMap(field => [BRIEF_FIELDS[field].label, ...BRIEF_FIELDS[field].aliases]);
+}
+
+/**
+ * Find the value of a field in brief data, whatever it was called
+ * Works for canonical fields ('project.name'), their aliases ('Project Name')
+ * and arbitrary keys ('aspect_ratio'), searching nested objects too
+ *
+ * @returns {*} First non-empty value, or null
+ */
+function resolveField(briefData, fieldKey) {
+  if (!isPlainObject(briefData)) return null;
+
+  const field = canonicalField(fieldKey);
+  const candidates = field ? [field, ...BRIEF_FIELDS[field].aliases] : [fieldKey];
+  const wanted = new Set(candidates.map(normalizeKey));
+
+  // Canonical shape ({ project: { name } }) first
+  if (field && field.includes('.')) {
+    const value = getPath(briefData, field);
+    if (!isEmpty(value) && !isPlainObject(value)) return value;
+  }
+
+  // Exact key, then any spelling of an alias
+  for (const key of candidates) {
+    const value = briefData[key];
+    if (!isEmpty(value) && !(field && isPlainObject(value))) return value;
+  }
+  for (const [key, value] of Object.entries(briefData)) {
+    if (wanted.has(normalizeKey(key)) && !isEmpty(value) && !(field && isPlainObject(value))) return value;
+  }
+
+  // Check nested objects
+  for (const value of Object.values(briefData)) {
+    if (isPlainObject(value)) {
+      const nestedValue = resolveField(value, fieldKey);
+      if (!isEmpty(nestedValue)) return nestedValue;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Coerce a raw value to the type the schema expects
+ *
+ * @returns {object} { value } or { error }
+ */
+function coerce(value, schema) {
+  if (schema.type === 'array') {
+    if (Array.isArray(value)) {
+      if (value.some(item => isPlainObject(item) || Array.isArray(item))) {
+        return { error: 'must be a list of strings' };
+      }
+      return { value: value.map(item => String(item).trim()).filter(Boolean) };
+    }
+    if (typeof value === 'string') {
+      // "Instagram, TikTok" / bullet lists -> one item per entry
+      return {
+        value: value
+          .split(/\r?\n|,|;/)
+          .map(item => item.replace(/^\s*(?:[-•*]|\d+[.)])\s*/, '').trim())
+          .filter(Boolean)
+      };
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return { value: [String(value)] };
+    }
+    return { error: 'must be a string or a list of strings' };
+  }
+
+  if (typeof value === 'string') return { value: value.trim() };
+  if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value) };
+  if (Array.isArray(value) && value.every(item => !isPlainObject(item) && !Array.isArray(item))) {
+    return { value: value.join(', ') };
+  }
+  return { error: 'must be a string' };
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by BRIEF_JSON_SCHEMA
+ * (type, properties, required, items, minLength, maxLength, format: email, anyOf)
+ *
+ * @returns {Array} [{ field, message }]
+ */
+function validateAgainstSchema(value, schema, path = '') {
+  const errors = [];
+  const at = (key) => (path ? `${path}.${key}` : key);
+  const type = schema.type || (schema.properties || schema.required ? 'object' : undefined);
+
+  if (type === 'object') {
+    if (!isPlainObject(value)) {
+      return [{ field: path || '(root)', message: 'must be an object' }];
+    }
+    for (const key of schema.required || []) {
+      if (isEmpty(value[key])) errors.push({ field: at(key), message: 'is required' });
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (!isEmpty(value[key])) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, at(key)));
+      }
+    }
+  } else if (type === 'array') {
+    if (!Array.isArray(value)) return [{ field: path, message: 'must be a list' }];
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items || {}, `${path}[${index}]`));
+    });
+  } else if (type === 'string') {
+    if (typeof value !== 'string') return [{ field: path, message: 'must be a string' }];
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push({ field: path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength && value.length > schema.maxLength) {
+      errors.push({ field: path, message: `must be at most ${schema.maxLength} characters (got ${value.length})` });
+    }
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+      errors.push({ field: path, message: 'must be a valid email address' });
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(subSchema => validateAgainstSchema(value, { type, ...subSchema }, path).length === 0)) {
+    const { field, message } = schema.errorMessage?.anyOf || { field: path, message: 'does not match any allowed shape' };
+    errors.push({ field, message });
+  }
+
+  return errors;
+}
+
+/**
+ * Build the canonical brief from raw briefData and validate it
+ *
+ * @param {object} briefData - Brief as sent (any field naming)
+ * @returns {object} { brief, errors: [{ field, source, message, received }] }
+ */
+function normalizeBrief(briefData) {
+  if (!isPlainObject(briefData)) {
+    return { brief: null, errors: [{ field: '(root)', source: null, message: 'briefData must be an object', received: typeof briefData }] };
+  }
+
+  const brief = { client: {}, project: {}, dates: {}, extra: {} };
+  const errors = [];
+  const claimedKeys = new Set();
+
+  // { client: {...} } etc. are canonical groups, never the value of an alias like "Dates"
+  const isCanonicalGroup = (key) => CANONICAL_GROUPS.includes(key) && isPlainObject(briefData[key]);
+
+  // Actual briefData key for each normalized key, first spelling wins
+  const keysByNormalized = {};
+  for (const key of Object.keys(briefData)) {
+    const normalized = normalizeKey(key);
+    if (!keysByNormalized[normalized]) keysByNormalized[normalized] = key;
+  }
+
+  for (const [field, definition] of Object.entries(BRIEF_FIELDS)) {
+    const schema = getPath(BRIEF_JSON_SCHEMA.properties, field.split('.').join('.properties.'));
+
+    let source = null;
+    let raw = field.includes('.') ? getPath(briefData, field) : undefined;
+
+    if (!isEmpty(raw) && !isPlainObject(raw)) {
+      source = field;
+    } else {
+      raw = undefined;
+      for (const alias of [field, ...definition.aliases]) {
+        const key = keysByNormalized[normalizeKey(alias)];
+        if (key !== undefined && !isEmpty(briefData[key]) && !isCanonicalGroup(key)) {
+          source = key;
+          raw = briefData[key];
+          break;
+        }
+      }
+    }
+
+    // Every spelling of this field is consumed, even the ones that lost
+    for (const alias of [field, ...definition.aliases]) {
+      const key = keysByNormalized[normalizeKey(alias)];
+      if (key !== undefined && !isCanonicalGroup(key)) claimedKeys.add(key);
+    }
+
+    if (source === null) continue;
+
+    const { value, error } = coerce(raw, schema);
+    if (error) {
+      errors.push({ field, source, message: error, received: Array.isArray(raw) ? 'array' : typeof raw });
+      continue;
+    }
+    if (!isEmpty(value)) setPath(brief, field, value);
+  }
+
+  // WHY THIS WORKS: "pizza" / "3 course meal" still count as the tier they name
+  if (brief.project.complexity) {
+    const tier = COMPLEXITY_LEVELS.find(level => normalizeKey(level) === normalizeKey(brief.project.complexity));
+    if (tier) brief.project.complexity = tier;
+  }
+
+  for (const [key, value] of Object.entries(briefData)) {
+    if (!claimedKeys.has(key) && !isCanonicalGroup(key) && !isEmpty(value)) {
+      brief.extra[key] = value;
+    }
+  }
+
+  const sourceFor = (field) => errors.find(e => e.field === field)?.source || BRIEF_FIELDS[field]?.label || field;
+
+  for (const schemaError of validateAgainstSchema(brief, BRIEF_JSON_SCHEMA)) {
+    if (errors.some(e => e.field === schemaError.field)) continue;
+    errors.push({
+      field: schemaError.field,
+      source: sourceFor(schemaError.field.replace(/\[\d+\]$/, '')),
+      message: schemaError.message,
+      received: getPath(brief, schemaError.field) ?? null
+    });
+  }
+
+  return { brief, errors };
+}
+
+/**
+ * Thrown when a brief is missing required fields or has malformed ones
+ * WHY THIS WORKS: retryable = false sends it straight to dead letters,
+ * status = 400 tells the HTTP layer it's the caller's problem
+ */
+class BriefValidationError extends Error {
+  constructor(fields) {
+    super(`Invalid brief: ${fields.map(f => `${f.field} ${f.message}`).join('; ')}`);
+    this.name = 'BriefValidationError';
+    this.status = 400;
+    this.retryable = false;
+    this.fields = fields;
+  }
+}
+
+module.exports = {
+  BRIEF_FIELDS,
+  BRIEF_JSON_SCHEMA,
+  COMPLEXITY_LEVELS,
+  BriefValidationError,
+  aliasesFor,
+  canonicalField,
+  canonicalLabel,
+  normalizeBrief,
+  normalizeKey,
+  resolveField,
+  validateAgainstSchema
+};
@@ -7,8 +7,8 @@ const OpenAI = require('openai');
 const { validateClassification, sanitizeClassification } = require('./validators');
 
 class RequestClassifier {
-  constructor(mcpClient) {
-    this.mcpClient = mcpClient;
+  constructor(notion) {
+    this.notion = notion;
     this.openai = new OpenAI({
       apiKey: process.env.OPENAI_API_KEY
     });
@@ -35,7 +35,7 @@ class RequestClassifier {
     try {
       // Step 1: Find the actual client page (in Clients DB)
       // WHY THIS WORKS: Search for the client name, not just submission
-      const clientSearch = await this.mcpClient.callTool('API-post-search', {
+      const clientSearch = await this.notion.callTool('API-post-search', {
         query: `${clientId} client`,
         filter: { value: 'page', property: 'object' },
         page_size: 10
@@ -46,7 +46,7 @@ class RequestClassifier {
       if (clientSearch.results && clientSearch.results.length > 0) {
         // Try to find the page with Client ID property or "Land Development" in name
         for (const page of clientSearch.results) {
-          const pageDetails = await this.mcpClient.callTool('API-retrieve-a-page', {
+          const pageDetails = await this.notion.callTool('API-retrieve-a-page', {
             page_id: page.id
           });
           
@@ -64,7 +64,7 @@ class RequestClassifier {
         
         // Fallback to first result if no client page found
         if (!actualClientPage && clientSearch.results[0]) {
-          actualClientPage = await this.mcpClient.callTool('API-retrieve-a-page', {
+          actualClientPage = await this.notion.callTool('API-retrieve-a-page', {
             page_id: clientSearch.results[0].id
           });
           context.clientPageId = actualClientPage.id;
@@ -77,7 +77,7 @@ class RequestClassifier {
         
         // Step 2: Get page content blocks (scope, contracts, definitions)
         // WHY THIS WORKS: RAG - retrieve full context from client page
-        const blocks = await this.mcpClient.callTool('API-get-block-children', {
+        const blocks = await this.notion.callTool('API-get-block-children', {
           block_id: actualClientPage.id,
           page_size: 100
         });
@@ -89,12 +89,12 @@ class RequestClassifier {
           const projectRelations = actualClientPage.properties.Projects.relation;
           for (const projectRel of projectRelations.slice(0, 5)) {
             try {
-              const projectPage = await this.mcpClient.callTool('API-retrieve-a-page', {
+              const projectPage = await this.notion.callTool('API-retrieve-a-page', {
                 page_id: projectRel.id
               });
               
               // Get project content too
-              const projectBlocks = await this.mcpClient.callTool('API-get-block-children', {
+              const projectBlocks = await this.notion.callTool('API-get-block-children', {
                 block_id: projectRel.id,
                 page_size: 50
               });
@@ -114,7 +114,7 @@ class RequestClassifier {
         
         // Step 4: Search for scope and contract documents
         // WHY THIS WORKS: Semantic search finds relevant agreements
-        const scopeSearch = await this.mcpClient.callTool('API-post-search', {
+        const scopeSearch = await this.notion.callTool('API-post-search', {
           query: `${clientId} scope of work agreement contract retainer`,
           page_size: 5
         });
@@ -125,7 +125,7 @@ class RequestClassifier {
       // WHY THIS WORKS: Uses database_id from env.example
       if (process.env.RATE_CARDS_DB_ID) {
         try {
-          const rateCards = await this.mcpClient.callTool('API-post-database-query', {
+          const rateCards = await this.notion.callTool('API-post-database-query', {
             database_id: process.env.RATE_CARDS_DB_ID,
             filter: {
               and: [
@@ -152,7 +152,7 @@ class RequestClassifier {
       }
 
       // Step 5: Search for similar past requests
-      const requestsSearch = await this.mcpClient.callTool('API-post-search', {
+      const requestsSearch = await this.notion.callTool('API-post-search', {
         query: `${clientId} request`,
         filter: { value: 'page', property: 'object' },
         page_size: 5
@@ -6,9 +6,11 @@
  * NOTE: Will be enhanced with dynamic RAG in future iteration
  */
 
+const { BRIEF_FIELDS, resolveField } = require('./brief-schema');
+
 class CompletenessChecker {
-  constructor(mcpClient) {
-    this.mcpClient = mcpClient;
+  constructor(notion) {
+    this.notion = notion;
   }
 
   /**
@@ -26,16 +28,17 @@ class CompletenessChecker {
     };
 
     // Basic completeness check - can be enhanced with dynamic RAG later
-    const coreFields = ['project_name', 'deliverables', 'timeline'];
+    const coreFields = ['project.name', 'deliverables', 'dates.due'];
     
     for (const field of coreFields) {
-      const value = this.findFieldValue(briefData, field);
+      const value = resolveField(briefData, field);
+      const label = BRIEF_FIELDS[field].label;
       
       if (!value || (typeof value === 'string' && value.toLowerCase() === 'tbd')) {
         assessment.softFlags.push({
-          field: this.humanizeKey(field),
+          field: label,
           severity: 'medium',
-          recommendation: `Recommended: Confirm ${this.humanizeKey(field)} before proceeding`
+          recommendation: `Recommended: Confirm ${label} before proceeding`
         });
         assessment.complete = false;
       }
@@ -75,34 +78,6 @@ class CompletenessChecker {
       .map(word => word.charAt(0).toUpperCase() + word.slice(1))
       .join(' ');
   }
-
-  /**
-   * Find field value by checking multiple possible keys
-   */
-  findFieldValue(briefData, fieldKey) {
-    // Check various naming conventions
-    const possibleKeys = [
-      fieldKey,
-      fieldKey.toLowerCase(),
-      fieldKey.replace(/_/g, ' '),
-      fieldKey.replace(/_/g, '').toLowerCase()
-    ];
-
-    for (const key of possibleKeys) {
-      if (briefData[key]) return briefData[key];
-    }
-
-    // Check in nested objects
-    for (const value of Object.values(briefData)) {
-      if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-        const nestedValue = this.findFieldValue(value, fieldKey);
-        if (nestedValue) return nestedValue;
-      }
-    }
-
-    return null;
-  }
-
 }
 
 module.exports = CompletenessChecker;
@@ -0,0 +1,480 @@
+// ============================================
+// IE7 DATABASE REGISTRY
+// ============================================
+// One file that declares every request type: its Notion database, display name,
+// template type, aliases, required brief fields and default assignee
+// WHY THIS WORKS: BriefRouter, TemplateFetcher and the pipeline read the same entries,
+// so adding a database = editing config/databases.json (no code, no redeploy)
+//
+// FILE FORMAT (JSON):
+// {
+//   "databases": {
+//     "content_request": {
+//       "name": "Content Request",
+//       "description": "Primary intake for content briefs",
+//       "databaseIdEnv": "CONTENT_REQUEST_DB_ID",    (or "databaseId": "<notion id>")
+//       "templateType": "Content Request",           (Template Type of its DCMS_TEMPLATE pages)
+//       "aliases": ["content-request", "video brief"],
+//       "requiredFields": ["project.name"],          (brief-schema fields or their labels)
+//       "defaultAssignee": { "name": "...", "email": "...", "id": "<notion user id>" },
+//       "routingRules": [{ "name": "...", "all": [...], "any": [...], "confidence": 0.8 }],
+//                                                    (see lib/routing-engine.js)
+//       "required": true                             (startup fails if it has no database ID)
+//     }
+//   }
+// }
+//
+// BROKEN ENTRIES: An error in a required type (or in the file itself) blocks startup and
+// reloads. A broken optional type is disabled instead - no database, no routing rules -
+// so briefs naming it wait in the review queue until the entry is fixed
+//
+// HOT RELOAD: The file is polled; a valid edit replaces the registry, one with blocking
+// errors is reported and the previous registry stays in use
+// EVENTS: 'reloaded' ({ types }), 'reload_failed' ({ errors })
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { canonicalField, BRIEF_FIELDS } = require('./brief-schema');
+
+const DEFAULT_TEMPLATE_TYPE = 'Content Request';
+const NOTION_ID_PATTERN = /^[0-9a-f]{32}$/i;
+const ENTRY_KEYS = ['name', 'description', 'databaseId', 'databaseIdEnv', 'templateType', 'aliases', 'requiredFields', 'defaultAssignee', 'routingRules', 'required'];
+const DEFAULT_RULE_CONFIDENCE = 0.8;
+
+/**
+ * Thrown when the registry file can't be read or parsed at all
+ */
+class DatabaseRegistryError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'DatabaseRegistryError';
+    this.errors = errors;
+  }
+}
+
+class DatabaseRegistry extends EventEmitter {
+  /**
+   * @param {object} options - { filePath, watch, watchInterval, env }
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = path.resolve(options.filePath || path.join(__dirname, '..', 'config', 'databases.json'));
+    this.watchInterval = options.watchInterval || 2000;
+    this.env = options.env || process.env;
+
+    this.entries = {};
+    this.aliasIndex = {};
+    this.report = { errors: [], warnings: [], disabled: [] };
+    this.loadedAt = null;
+    this.lastReloadError = null;
+    this.watching = false;
+
+    // WHY THIS WORKS: At startup even a registry with bad entries is applied, so
+    // validateConfiguration() can report every problem at once (see BriefRouter)
+    this.apply(this.load());
+
+    if (options.watch !== false) {
+      this.watch();
+    }
+  }
+
+  /**
+   * Normalize a request type or alias (ContentRequest, content-request, "Video Brief")
+   */
+  static normalizeType(value) {
+    return String(value)
+      .toLowerCase()
+      .replace(/[\s-]/g, '_')
+      .replace(/[^a-z0-9_]/g, '');
+  }
+
+  /**
+   * Read, parse and validate the file
+   *
+   * @returns {object} { entries, aliasIndex, report }
+   * @throws {DatabaseRegistryError} Missing file or invalid JSON
+   */
+  load() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new DatabaseRegistryError(`Could not load database registry ${this.filePath}: ${error.message}`);
+    }
+
+    if (!raw || typeof raw.databases !== 'object' || Array.isArray(raw.databases)) {
+      throw new DatabaseRegistryError(`Database registry ${this.filePath} must have a "databases" object`);
+    }
+
+    return this.build(raw.databases);
+  }
+
+  /**
+   * Turn raw file entries into registry entries and collect problems
+   * WHY THIS WORKS: Every misconfiguration is reported with its type and field,
+   * instead of surfacing as a failed job for that request type later
+   */
+  build(rawDatabases) {
+    const entries = {};
+    const aliasIndex = {};
+    const errors = [];
+    const warnings = [];
+    const problem = (list, type, field, message) => list.push({ type, field, message });
+    const requiredTypes = new Set(Object.entries(rawDatabases)
+      .filter(([, rawEntry]) => rawEntry?.required === true)
+      .map(([key]) => DatabaseRegistry.normalizeType(key)));
+
+    for (const [key, rawEntry] of Object.entries(rawDatabases)) {
+      const type = DatabaseRegistry.normalizeType(key);
+
+      if (!rawEntry || typeof rawEntry !== 'object' || Array.isArray(rawEntry)) {
+        problem(errors, type, null, 'entry must be an object');
+        continue;
+      }
+      if (entries[type]) {
+        problem(errors, type, null, `duplicate type (also declared as "${entries[type].key}")`);
+        continue;
+      }
+
+      for (const unknownKey of Object.keys(rawEntry).filter(k => !ENTRY_KEYS.includes(k))) {
+        problem(warnings, type, unknownKey, 'unknown setting (ignored)');
+      }
+
+      const databaseIdEnv = rawEntry.databaseIdEnv || `${type.toUpperCase()}_DB_ID`;
+      const databaseId = rawEntry.databaseId || this.env[databaseIdEnv] || null;
+
+      if (rawEntry.databaseId && rawEntry.databaseIdEnv) {
+        problem(warnings, type, 'databaseId', `both databaseId and databaseIdEnv set - databaseId wins`);
+      }
+      if (databaseId && !NOTION_ID_PATTERN.test(databaseId.replace(/-/g, ''))) {
+        problem(errors, type, 'databaseId', `"${databaseId}" is not a Notion database ID (32 hex characters)`);
+      }
+      // Optional types without an ID are simply unconfigured (GET /databases shows configured: false)
+      if (!databaseId && rawEntry.required) {
+        problem(errors, type, 'databaseId', `no database ID (set ${databaseIdEnv} or databaseId)`);
+      }
+
+      if (!rawEntry.name) {
+        problem(warnings, type, 'name', `no display name, using "${key}"`);
+      }
+      if (!rawEntry.templateType) {
+        problem(warnings, type, 'templateType', `no templateType, using "${DEFAULT_TEMPLATE_TYPE}"`);
+      }
+
+      const aliases = rawEntry.aliases || [];
+      if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !alias.trim())) {
+        problem(errors, type, 'aliases', 'must be a list of non-empty strings');
+      }
+
+      const requiredFields = [];
+      if (!Array.isArray(rawEntry.requiredFields || [])) {
+        problem(errors, type, 'requiredFields', 'must be a list of brief fields');
+      } else {
+        for (const field of rawEntry.requiredFields || []) {
+          const canonical = canonicalField(field) || (BRIEF_FIELDS[field] ? field : null);
+          if (canonical) {
+            requiredFields.push(canonical);
+          } else {
+            problem(errors, type, 'requiredFields', `unknown brief field "${field}" (see GET /schema/brief)`);
+          }
+        }
+      }
+
+      const assignee = rawEntry.defaultAssignee || null;
+      if (assignee && (typeof assignee !== 'object' || (!assignee.name && !assignee.email && !assignee.id))) {
+        problem(errors, type, 'defaultAssignee', 'must be an object with a name, email or id');
+      }
+
+      const routingRules = this.compileRules(rawEntry.routingRules, (field, message) => problem(errors, type, field, message));
+
+      entries[type] = {
+        type,
+        key,
+        name: rawEntry.name || key,
+        description: rawEntry.description || `Custom database for ${key}`,
+        databaseId,
+        databaseIdEnv,
+        templateType: rawEntry.templateType || DEFAULT_TEMPLATE_TYPE,
+        aliases: Array.isArray(aliases) ? aliases.filter(alias => typeof alias === 'string') : [],
+        requiredFields,
+        defaultAssignee: assignee && typeof assignee === 'object' ? assignee : null,
+        routingRules,
+        required: rawEntry.required === true,
+        disabled: false
+      };
+    }
+
+    // Aliases must point at exactly one type
+    for (const entry of Object.values(entries)) {
+      for (const alias of entry.aliases) {
+        const normalized = DatabaseRegistry.normalizeType(alias);
+        if (normalized === entry.type) continue;
+
+        if (entries[normalized]) {
+          problem(errors, entry.type, 'aliases', `alias "${alias}" is the name of request type "${normalized}"`);
+        } else if (aliasIndex[normalized] && aliasIndex[normalized] !== entry.type) {
+          problem(errors, entry.type, 'aliases', `alias "${alias}" is also used by "${aliasIndex[normalized]}"`);
+        } else {
+          aliasIndex[normalized] = entry.type;
+        }
+      }
+    }
+
+    // Two types on one database would make template lookup by database ambiguous
+    const byDatabase = {};
+    for (const entry of Object.values(entries).filter(e => e.databaseId)) {
+      const id = entry.databaseId.replace(/-/g, '');
+      if (byDatabase[id] && entries[byDatabase[id]].templateType !== entry.templateType) {
+        problem(warnings, entry.type, 'templateType', `shares its database with "${byDatabase[id]}" but uses a different templateType`);
+      }
+      byDatabase[id] = byDatabase[id] || entry.type;
+    }
+
+    // WHY THIS WORKS: Same policy at boot and on reload - one bad optional entry can't
+    // take the service down, and a disabled type has no database, so the routing engine
+    // parks its briefs in review instead of writing them somewhere else
+    const blocking = [];
+    const disabled = [];
+    for (const error of errors) {
+      if (!error.type || requiredTypes.has(error.type)) {
+        blocking.push(error);
+        continue;
+      }
+      const entry = entries[error.type];
+      if (entry) {
+        entry.disabled = true;
+        entry.databaseId = null;
+        entry.routingRules = [];
+      }
+      disabled.push(error);
+    }
+
+    return { entries, aliasIndex, report: { errors: blocking, warnings, disabled } };
+  }
+
+  /**
+   * Validate routing rules and precompile their patterns
+   *
+   * @param {Array} rawRules - routingRules from the file
+   * @param {function} report - (field, message) => void
+   * @returns {Array} [{ name, all, any, confidence, fanOut }] with RegExp conditions
+   */
+  compileRules(rawRules, report) {
+    if (rawRules === undefined) return [];
+    if (!Array.isArray(rawRules)) {
+      report('routingRules', 'must be a list of rules');
+      return [];
+    }
+
+    const escape = (word) => word.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+
+    const compileCondition = (condition, where) => {
+      if (condition && Array.isArray(condition.mentions) && condition.mentions.length > 0 &&
+          condition.mentions.every(word => typeof word === 'string' && word.trim())) {
+        return { mentions: new RegExp(`\\b(?:${condition.mentions.map(escape).join('|')})\\b`, 'i') };
+      }
+
+      if (condition && typeof condition.field === 'string' && condition.field.trim()) {
+        if (condition.matches === undefined) {
+          return condition.exists === true ? { field: condition.field } : report('routingRules', `${where}: field conditions need "exists": true or "matches"`);
+        }
+        try {
+          return { field: condition.field, matches: new RegExp(condition.matches, 'i') };
+        } catch (error) {
+          return report('routingRules', `${where}: invalid pattern "${condition.matches}" (${error.message})`);
+        }
+      }
+
+      return report('routingRules', `${where}: expected { mentions: [words] } or { field, exists | matches }`);
+    };
+
+    const rules = [];
+    rawRules.forEach((rawRule, index) => {
+      const name = rawRule?.name || `rule ${index + 1}`;
+      const all = Array.isArray(rawRule?.all) ? rawRule.all : [];
+      const any = Array.isArray(rawRule?.any) ? rawRule.any : [];
+      const confidence = rawRule?.confidence ?? DEFAULT_RULE_CONFIDENCE;
+
+      if (all.length === 0 && any.length === 0) {
+        return report('routingRules', `"${name}" needs "all" and/or "any" conditions`);
+      }
+      if (typeof confidence !== 'number' || confidence <= 0 || confidence > 1) {
+        return report('routingRules', `"${name}" confidence must be between 0 and 1`);
+      }
+      if (rawRule.fanOut !== undefined && typeof rawRule.fanOut !== 'boolean') {
+        return report('routingRules', `"${name}" fanOut must be true or false`);
+      }
+
+      const compiled = {
+        name,
+        all: all.map((condition, i) => compileCondition(condition, `"${name}" all[${i}]`)),
+        any: any.map((condition, i) => compileCondition(condition, `"${name}" any[${i}]`)),
+        confidence,
+        fanOut: rawRule.fanOut === true
+      };
+
+      // Any broken condition was reported - skip the rule rather than half-apply it
+      if (compiled.all.every(Boolean) && compiled.any.every(Boolean)) {
+        rules.push(compiled);
+      }
+    });
+
+    return rules;
+  }
+
+  apply(state) {
+    this.entries = state.entries;
+    this.aliasIndex = state.aliasIndex;
+    this.report = state.report;
+    this.loadedAt = new Date().toISOString();
+  }
+
+  /**
+   * Re-read the file; keep the current registry if the new one is broken
+   *
+   * @returns {boolean} true if the new registry was applied
+   */
+  reload() {
+    let state;
+    try {
+      state = this.load();
+    } catch (error) {
+      return this.rejectReload([{ type: null, field: null, message: error.message }]);
+    }
+
+    if (state.report.errors.length > 0) {
+      return this.rejectReload(state.report.errors);
+    }
+
+    this.apply(state);
+    this.lastReloadError = null;
+
+    console.log(`🔄 Database registry reloaded: ${Object.keys(this.entries).length} request types`);
+    this.logProblems(state.report.warnings, '⚠️');
+    this.logProblems(state.report.disabled, '🚫');
+    this.emit('reloaded', { types: Object.keys(this.entries) });
+    return true;
+  }
+
+  rejectReload(errors) {
+    this.lastReloadError = { at: new Date().toISOString(), errors };
+
+    console.error(`❌ Database registry ${this.filePath} not reloaded - keeping previous version:`);
+    this.logProblems(errors, '❌');
+    this.emit('reload_failed', { errors });
+    return false;
+  }
+
+  logProblems(problems, icon) {
+    for (const { type, field, message } of problems) {
+      console.log(`   ${icon} ${type || 'registry'}${field ? `.${field}` : ''}: ${message}`);
+    }
+  }
+
+  /**
+   * Poll the file for edits
+   * WHY THIS WORKS: fs.watchFile survives editors that replace the file and
+   * mounted config volumes, where fs.watch misses changes
+   */
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+
+    fs.watchFile(this.filePath, { interval: this.watchInterval }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    }).unref();
+  }
+
+  close() {
+    if (this.watching) {
+      fs.unwatchFile(this.filePath);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Request type for a type name or alias
+   *
+   * @returns {string|null} Normalized type
+   */
+  resolveType(requestType) {
+    const normalized = DatabaseRegistry.normalizeType(requestType);
+    if (this.entries[normalized]) return normalized;
+    return this.aliasIndex[normalized] || null;
+  }
+
+  get(type) {
+    return this.entries[type] || null;
+  }
+
+  /**
+   * Entry whose database this is (dashes ignored)
+   */
+  getByDatabaseId(databaseId) {
+    const normalizedId = String(databaseId || '').replace(/-/g, '');
+    return Object.values(this.entries).find(entry =>
+      entry.databaseId && entry.databaseId.replace(/-/g, '') === normalizedId
+    ) || null;
+  }
+
+  list() {
+    return Object.values(this.entries);
+  }
+
+  getRequiredTypes() {
+    return this.list().filter(entry => entry.required).map(entry => entry.type);
+  }
+
+  /**
+   * Add or replace a request type and write it to the registry file
+   * WHY THIS WORKS: Runtime additions survive restarts and hot reloads
+   *
+   * @param {string} type - Request type key
+   * @param {object} entry - Same shape as a file entry
+   */
+  upsert(type, entry) {
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const key = DatabaseRegistry.normalizeType(type);
+    const candidate = { ...raw, databases: { ...raw.databases, [key]: entry } };
+
+    const state = this.build(candidate.databases);
+    // An explicit write must be valid - it never lands as a disabled entry
+    const entryErrors = [...state.report.errors, ...state.report.disabled].filter(e => e.type === key);
+    if (entryErrors.length > 0) {
+      throw new DatabaseRegistryError(
+        `Invalid database entry "${key}": ${entryErrors.map(e => `${e.field || 'entry'} ${e.message}`).join('; ')}`,
+        entryErrors
+      );
+    }
+
+    // Write-then-rename so the watcher never reads a half-written file
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(candidate, null, 2) + '\n');
+    fs.renameSync(tempPath, this.filePath);
+
+    this.apply(state);
+    return this.entries[key];
+  }
+
+  /**
+   * Registry state for /health/details and /databases
+   */
+  getStatus() {
+    return {
+      filePath: this.filePath,
+      loadedAt: this.loadedAt,
+      types: Object.keys(this.entries).length,
+      errors: this.report.errors,
+      warnings: this.report.warnings,
+      disabled: this.report.disabled,
+      lastReloadError: this.lastReloadError
+    };
+  }
+}
+
+DatabaseRegistry.DatabaseRegistryError = DatabaseRegistryError;
+
+module.exports = DatabaseRegistry;
@@ -0,0 +1,892 @@
+// ============================================
+// FAKE NOTION - Local Stand-in for Offline Dev & CI
+// ============================================
+// In-memory Notion workspace seeded from fixture JSON (fixtures/notion/workspace.json)
+// Serves the same operations the gateway calls, either in-process (NOTION_BACKEND=fake)
+// or over HTTP (scripts/fake-notion-server.js + NOTION_BACKEND=rest)
+//
+// WHY THIS WORKS: Enforces the Notion rules that break real runs - 100 blocks per request,
+// 2000 chars per rich_text, unknown properties, select/status options, unknown users -
+// so a pipeline that passes here won't trip on them in production
+//
+// Created pages live in memory only (restart = back to the fixtures)
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MAX_BLOCKS_PER_REQUEST = 100;
+const MAX_RICH_TEXT_LENGTH = 2000;
+const MAX_RICH_TEXT_ITEMS = 100;
+const MAX_NESTING_PER_REQUEST = 2;
+const MAX_PAGE_SIZE = 100;
+
+// Block types whose payload holds rich_text (others, like divider, have none)
+const TEXT_BLOCK_TYPES = [
+  'paragraph', 'heading_1', 'heading_2', 'heading_3', 'bulleted_list_item',
+  'numbered_list_item', 'to_do', 'toggle', 'quote', 'callout', 'code'
+];
+
+/**
+ * Notion-shaped API error ({ object: 'error', status, code, message })
+ */
+class FakeNotionError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'FakeNotionError';
+    this.status = status;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { object: 'error', status: this.status, code: this.code, message: this.message };
+  }
+}
+
+function validationError(message) {
+  return new FakeNotionError(400, 'validation_error', message);
+}
+
+function notFound(kind, id) {
+  return new FakeNotionError(404, 'object_not_found',
+    `Could not find ${kind} with ID: ${id}. Make sure the relevant pages and databases are shared with your integration.`);
+}
+
+/**
+ * Notion accepts IDs with or without dashes
+ */
+function normalizeId(id) {
+  return String(id || '').replace(/-/g, '').toLowerCase();
+}
+
+function notionUrl(id) {
+  return `https://www.notion.so/${normalizeId(id)}`;
+}
+
+/**
+ * Fill in the fields Notion adds to every rich text item (type, plain_text, annotations)
+ */
+function toRichText(value) {
+  if (value === undefined || value === null) return [];
+
+  const items = Array.isArray(value) ? value : [{ text: { content: String(value) } }];
+  return items.map(item => {
+    const content = item.text?.content ?? item.plain_text ?? '';
+    return {
+      type: 'text',
+      text: { content, link: item.text?.link || null },
+      annotations: {
+        bold: false, italic: false, strikethrough: false, underline: false, code: false, color: 'default',
+        ...item.annotations
+      },
+      plain_text: content,
+      href: item.text?.link?.url || null
+    };
+  });
+}
+
+function plainText(richText) {
+  return (richText || []).map(item => item.plain_text ?? item.text?.content ?? '').join('');
+}
+
+class FakeNotion {
+  /**
+   * @param {object} fixtures - { bot, users, databases: [{ id, title, properties, pages }] }
+   * @param {object} options - { createSelectOptions }
+   */
+  constructor(fixtures = {}, options = {}) {
+    // WHY THIS WORKS: Real Notion adds unknown select options when the integration can edit
+    // the schema - off by default so typos in mapped values surface as errors
+    this.createSelectOptions = !!options.createSelectOptions;
+
+    this.databases = new Map();
+    this.pages = new Map();
+    this.seededPageIds = new Set();
+    this.blocks = new Map();
+    this.children = new Map();
+
+    this.bot = {
+      object: 'user',
+      id: fixtures.bot?.id || crypto.randomUUID(),
+      type: 'bot',
+      name: fixtures.bot?.name || 'Fake Notion Integration',
+      bot: {}
+    };
+
+    this.users = (fixtures.users || []).map(user => ({
+      object: 'user',
+      id: user.id || crypto.randomUUID(),
+      type: 'person',
+      name: user.name,
+      avatar_url: null,
+      person: { email: user.email }
+    }));
+
+    for (const database of fixtures.databases || []) {
+      this.seedDatabase(database);
+    }
+  }
+
+  /**
+   * Load fixtures from a JSON file
+   */
+  static fromFile(filePath, options = {}) {
+    const fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const fake = new FakeNotion(fixtures, options);
+    console.log(`🧪 Fake Notion loaded ${fake.databases.size} databases, ${fake.pages.size} pages, ${fake.users.length} users from ${filePath}`);
+    return fake;
+  }
+
+  // ============================================
+  // SEEDING
+  // ============================================
+
+  seedDatabase(fixture) {
+    const id = fixture.id || crypto.randomUUID();
+    const properties = {};
+
+    for (const [name, definition] of Object.entries(fixture.properties || {})) {
+      const type = definition.type;
+      const config = {};
+
+      if (['select', 'multi_select', 'status'].includes(type)) {
+        config.options = (definition.options || []).map(option => ({
+          id: crypto.randomUUID(),
+          name: typeof option === 'string' ? option : option.name,
+          color: (typeof option === 'object' && option.color) || 'default'
+        }));
+      }
+
+      if (type === 'relation') {
+        config.database_id = definition.database_id;
+        config.type = 'single_property';
+        config.single_property = {};
+      }
+
+      properties[name] = { id: definition.id || normalizeId(crypto.randomUUID()).slice(0, 4), name, type, [type]: config };
+    }
+
+    const now = new Date().toISOString();
+    const database = {
+      object: 'database',
+      id,
+      created_time: now,
+      last_edited_time: now,
+      title: toRichText(fixture.title || 'Untitled'),
+      description: [],
+      properties,
+      parent: { type: 'workspace', workspace: true },
+      url: notionUrl(id),
+      archived: false,
+      in_trash: false,
+      is_inline: false
+    };
+
+    this.databases.set(normalizeId(id), database);
+
+    for (const page of fixture.pages || []) {
+      this.seedPage(database, page);
+    }
+  }
+
+  seedPage(database, fixture) {
+    // Fixtures use plain values ("Template Type": "Content Request") - expand to Notion shapes
+    const properties = {};
+    for (const [name, value] of Object.entries(fixture.properties || {})) {
+      const schema = database.properties[name];
+      properties[name] = this.isPropertyValue(value, schema) ? value : this.expandPropertyValue(schema, value);
+    }
+
+    const page = this.insertPage({ database_id: database.id }, properties, fixture.id);
+    this.seededPageIds.add(normalizeId(page.id));
+    this.insertChildren(page.id, (fixture.blocks || []).map(block => this.expandBlock(block)));
+  }
+
+  isPropertyValue(value, schema) {
+    return !!schema && value !== null && typeof value === 'object' && !Array.isArray(value) && schema.type in value;
+  }
+
+  expandPropertyValue(schema, value) {
+    if (!schema) return value;
+
+    switch (schema.type) {
+      case 'title':
+      case 'rich_text':
+        return { [schema.type]: toRichText(value) };
+      case 'select':
+      case 'status':
+        return { [schema.type]: value ? { name: value } : null };
+      case 'multi_select':
+        return { multi_select: [].concat(value || []).map(name => ({ name })) };
+      case 'date':
+        return { date: value ? { start: value } : null };
+      case 'people':
+      case 'relation':
+        return { [schema.type]: [].concat(value || []).map(id => ({ id })) };
+      default:
+        return { [schema.type]: value };
+    }
+  }
+
+  /**
+   * Fixture blocks may be full Notion blocks or { type, text, children } shorthand
+   */
+  expandBlock(block) {
+    if (block[block.type]) {
+      return block;
+    }
+
+    const payload = TEXT_BLOCK_TYPES.includes(block.type) ? { rich_text: toRichText(block.text || '') } : {};
+    if (block.type === 'callout') payload.icon = { type: 'emoji', emoji: block.emoji || '💡' };
+    if (block.type === 'to_do') payload.checked = !!block.checked;
+    if (block.children) payload.children = block.children.map(child => this.expandBlock(child));
+
+    return { object: 'block', type: block.type, [block.type]: payload };
+  }
+
+  // ============================================
+  // STORAGE
+  // ============================================
+
+  insertPage(parent, properties, id = crypto.randomUUID()) {
+    const now = new Date().toISOString();
+    const database = parent.database_id ? this.databases.get(normalizeId(parent.database_id)) : null;
+
+    const fullProperties = {};
+    if (database) {
+      // Notion returns every schema property, empty or not
+      for (const [name, schema] of Object.entries(database.properties)) {
+        fullProperties[name] = { id: schema.id, type: schema.type, ...this.emptyValue(schema), ...this.resolveValue(schema, properties[name]) };
+      }
+    } else {
+      fullProperties.title = { id: 'title', type: 'title', title: toRichText(properties.title?.title || []) };
+    }
+
+    const page = {
+      object: 'page',
+      id,
+      created_time: now,
+      last_edited_time: now,
+      created_by: { object: 'user', id: this.bot.id },
+      last_edited_by: { object: 'user', id: this.bot.id },
+      cover: null,
+      icon: null,
+      parent: database
+        ? { type: 'database_id', database_id: database.id }
+        : { type: 'page_id', page_id: parent.page_id },
+      archived: false,
+      in_trash: false,
+      properties: fullProperties,
+      url: notionUrl(id),
+      public_url: null
+    };
+
+    this.pages.set(normalizeId(id), page);
+    this.children.set(normalizeId(id), []);
+    return page;
+  }
+
+  emptyValue(schema) {
+    switch (schema.type) {
+      case 'title':
+      case 'rich_text':
+        return { [schema.type]: [] };
+      case 'multi_select':
+      case 'people':
+      case 'relation':
+      case 'files':
+        return { [schema.type]: [] };
+      case 'checkbox':
+        return { checkbox: false };
+      default:
+        return { [schema.type]: null };
+    }
+  }
+
+  /**
+   * Shape a validated input value the way Notion returns it
+   */
+  resolveValue(schema, value) {
+    if (!value) return {};
+
+    switch (schema.type) {
+      case 'title':
+      case 'rich_text':
+        return { [schema.type]: toRichText(value[schema.type]) };
+      case 'select':
+      case 'status':
+        return { [schema.type]: value[schema.type] ? this.findOption(schema, value[schema.type]) : null };
+      case 'multi_select':
+        return { multi_select: value.multi_select.map(option => this.findOption(schema, option)) };
+      case 'people':
+        return { people: value.people.map(person => this.users.find(user => user.id === person.id) || person) };
+      case 'date':
+        return { date: value.date ? { start: value.date.start, end: value.date.end || null, time_zone: null } : null };
+      default:
+        return { [schema.type]: value[schema.type] };
+    }
+  }
+
+  findOption(schema, option) {
+    const options = schema[schema.type].options;
+    const match = options.find(candidate => candidate.name === option.name || (option.id && candidate.id === option.id));
+    if (match) return match;
+
+    const created = { id: crypto.randomUUID(), name: option.name, color: 'default' };
+    options.push(created);
+    return created;
+  }
+
+  /**
+   * Store blocks under a parent, recursing into nested children
+   */
+  insertChildren(parentId, blocks) {
+    const inserted = [];
+    const list = this.children.get(normalizeId(parentId)) || [];
+
+    for (const input of blocks) {
+      const id = input.id || crypto.randomUUID();
+      const now = new Date().toISOString();
+      const payload = { ...input[input.type] };
+      const nested = payload.children || [];
+      delete payload.children;
+
+      if (TEXT_BLOCK_TYPES.includes(input.type)) {
+        payload.rich_text = toRichText(payload.rich_text || []);
+      }
+
+      const block = {
+        object: 'block',
+        id,
+        parent: this.pages.has(normalizeId(parentId))
+          ? { type: 'page_id', page_id: parentId }
+          : { type: 'block_id', block_id: parentId },
+        created_time: now,
+        last_edited_time: now,
+        has_children: nested.length > 0,
+        archived: false,
+        in_trash: false,
+        type: input.type,
+        [input.type]: payload
+      };
+
+      this.blocks.set(normalizeId(id), block);
+      this.children.set(normalizeId(id), []);
+      list.push(id);
+      inserted.push(block);
+
+      if (nested.length > 0) {
+        this.insertChildren(id, nested);
+      }
+    }
+
+    this.children.set(normalizeId(parentId), list);
+    return inserted;
+  }
+
+  // ============================================
+  // VALIDATION
+  // ============================================
+
+  validateRichText(richText, path) {
+    if (!Array.isArray(richText)) {
+      throw validationError(`${path} should be an array, instead was \`${JSON.stringify(richText)}\`.`);
+    }
+    if (richText.length > MAX_RICH_TEXT_ITEMS) {
+      throw validationError(`${path}.length should be ≤ \`${MAX_RICH_TEXT_ITEMS}\`, instead was \`${richText.length}\`.`);
+    }
+
+    richText.forEach((item, index) => {
+      const content = item?.text?.content;
+      if (typeof content === 'string' && content.length > MAX_RICH_TEXT_LENGTH) {
+        throw validationError(`${path}[${index}].text.content.length should be ≤ \`${MAX_RICH_TEXT_LENGTH}\`, instead was \`${content.length}\`.`);
+      }
+    });
+  }
+
+  validateBlocks(blocks, path, depth = 0) {
+    if (!Array.isArray(blocks)) {
+      throw validationError(`${path} should be an array, instead was \`${JSON.stringify(blocks)}\`.`);
+    }
+    if (blocks.length > MAX_BLOCKS_PER_REQUEST) {
+      throw validationError(`${path}.length should be ≤ \`${MAX_BLOCKS_PER_REQUEST}\`, instead was \`${blocks.length}\`.`);
+    }
+
+    blocks.forEach((block, index) => {
+      const blockPath = `${path}[${index}]`;
+      const type = block?.type;
+      const payload = type && block[type];
+
+      if (!payload) {
+        throw validationError(`${blockPath} should have a "${type || 'type'}" property matching its type.`);
+      }
+      if (payload.rich_text !== undefined) {
+        this.validateRichText(payload.rich_text, `${blockPath}.${type}.rich_text`);
+      }
+      if (payload.children) {
+        if (depth + 1 > MAX_NESTING_PER_REQUEST) {
+          throw validationError(`${blockPath}.${type}.children should not be present (at most ${MAX_NESTING_PER_REQUEST} levels of nesting per request).`);
+        }
+        this.validateBlocks(payload.children, `${blockPath}.${type}.children`, depth + 1);
+      }
+    });
+  }
+
+  /**
+   * Properties can be keyed by name or property ID
+   */
+  findPropertySchema(database, key) {
+    return database.properties[key] || Object.values(database.properties).find(candidate => candidate.id === key);
+  }
+
+  /**
+   * Re-key validated properties by name
+   */
+  propertiesByName(database, properties) {
+    const byName = {};
+    for (const [key, value] of Object.entries(properties || {})) {
+      byName[this.findPropertySchema(database, key).name] = value;
+    }
+    return byName;
+  }
+
+  validateProperties(database, properties) {
+    for (const [name, value] of Object.entries(properties || {})) {
+      const schema = this.findPropertySchema(database, name);
+
+      if (!schema) {
+        throw validationError(`${name} is not a property that exists.`);
+      }
+      if (!value || typeof value !== 'object' || !(schema.type in value)) {
+        throw validationError(`${name} is expected to be ${schema.type}.`);
+      }
+
+      const inner = value[schema.type];
+      switch (schema.type) {
+        case 'title':
+        case 'rich_text':
+          this.validateRichText(inner, `body.properties.${name}.${schema.type}`);
+          break;
+        case 'select':
+        case 'status':
+          if (inner !== null) this.validateOption(schema, name, inner);
+          break;
+        case 'multi_select':
+          if (!Array.isArray(inner)) throw validationError(`${name} is expected to be multi_select.`);
+          inner.forEach(option => this.validateOption(schema, name, option));
+          break;
+        case 'people':
+          if (!Array.isArray(inner)) throw validationError(`${name} is expected to be people.`);
+          for (const person of inner) {
+            if (!this.users.some(user => user.id === person?.id) && person?.id !== this.bot.id) {
+              throw notFound('user', person?.id);
+            }
+          }
+          break;
+        case 'relation':
+          if (!Array.isArray(inner)) throw validationError(`${name} is expected to be relation.`);
+          for (const related of inner) {
+            const target = this.pages.get(normalizeId(related?.id || ''));
+            if (!target || normalizeId(target.parent.database_id || '') !== normalizeId(schema.relation.database_id)) {
+              throw notFound('page', related?.id);
+            }
+          }
+          break;
+        case 'date':
+          if (inner !== null && (!inner.start || isNaN(Date.parse(inner.start)))) {
+            throw validationError(`body.properties.${name}.date.start should be a valid ISO 8601 date string, instead was \`${JSON.stringify(inner.start)}\`.`);
+          }
+          break;
+        case 'number':
+          if (inner !== null && typeof inner !== 'number') {
+            throw validationError(`body.properties.${name}.number should be a number or \`null\`, instead was \`${JSON.stringify(inner)}\`.`);
+          }
+          break;
+        case 'checkbox':
+          if (typeof inner !== 'boolean') {
+            throw validationError(`body.properties.${name}.checkbox should be a boolean, instead was \`${JSON.stringify(inner)}\`.`);
+          }
+          break;
+        case 'url':
+        case 'email':
+        case 'phone_number':
+          if (inner !== null && typeof inner !== 'string') {
+            throw validationError(`body.properties.${name}.${schema.type} should be a string or \`null\`, instead was \`${JSON.stringify(inner)}\`.`);
+          }
+          break;
+      }
+    }
+  }
+
+  validateOption(schema, name, option) {
+    if (!option || typeof option.name !== 'string') {
+      throw validationError(`body.properties.${name}.${schema.type}.name should be defined.`);
+    }
+
+    const exists = schema[schema.type].options.some(candidate => candidate.name === option.name);
+    if (exists) return;
+
+    // Status options can never be created through the API
+    if (schema.type === 'status' || !this.createSelectOptions) {
+      const known = schema[schema.type].options.map(candidate => candidate.name).join(', ');
+      throw validationError(`Invalid ${schema.type} option "${option.name}" for property "${name}". Existing options: ${known}`);
+    }
+  }
+
+  // ============================================
+  // OPERATIONS
+  // ============================================
+
+  /**
+   * Run an operation by its gateway name (API-post-page, API-get-block-children, ...)
+   * Returns a deep copy, so callers can't mutate the store
+   *
+   * @throws {FakeNotionError}
+   */
+  handle(operation, args = {}) {
+    const handler = this.operations()[operation];
+    if (!handler) {
+      throw new FakeNotionError(400, 'invalid_request_url', `Fake Notion does not support ${operation}.`);
+    }
+    return JSON.parse(JSON.stringify(handler(JSON.parse(JSON.stringify(args || {})))));
+  }
+
+  operations() {
+    return {
+      'API-get-self': () => this.bot,
+      'API-get-user': args => this.getUser(args.user_id),
+      'API-get-users': args => this.paginate([...this.users, this.bot], args),
+      'API-retrieve-a-database': args => this.getDatabase(args.database_id),
+      'API-post-database-query': args => this.queryDatabase(args),
+      'API-post-search': args => this.search(args),
+      'API-retrieve-a-page': args => this.getPage(args.page_id),
+      'API-post-page': args => this.createPage(args),
+      'API-patch-page': args => this.updatePage(args),
+      'API-retrieve-a-block': args => this.getBlock(args.block_id),
+      'API-get-block-children': args => this.getBlockChildren(args),
+      'API-patch-block-children': args => this.appendBlockChildren(args)
+    };
+  }
+
+  getUser(id) {
+    if (id === 'me' || normalizeId(id) === normalizeId(this.bot.id)) return this.bot;
+    const user = this.users.find(candidate => normalizeId(candidate.id) === normalizeId(id));
+    if (!user) throw notFound('user', id);
+    return user;
+  }
+
+  getDatabase(id) {
+    const database = this.databases.get(normalizeId(id));
+    if (!database) throw notFound('database', id);
+    return database;
+  }
+
+  getPage(id) {
+    const page = this.pages.get(normalizeId(id));
+    if (!page) throw notFound('page', id);
+    return page;
+  }
+
+  getBlock(id) {
+    const block = this.blocks.get(normalizeId(id));
+    if (block) return block;
+
+    // Pages are blocks too
+    const page = this.pages.get(normalizeId(id));
+    if (page) {
+      return { object: 'block', id: page.id, type: 'child_page', has_children: true, child_page: { title: this.pageTitle(page) } };
+    }
+    throw notFound('block', id);
+  }
+
+  pageTitle(page) {
+    const titleProperty = Object.values(page.properties).find(property => property.type === 'title');
+    return plainText(titleProperty?.title);
+  }
+
+  /**
+   * Cursor = ID of the first item on the next page, like Notion
+   */
+  paginate(items, args = {}) {
+    const pageSize = args.page_size === undefined ? MAX_PAGE_SIZE : parseInt(args.page_size);
+    if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      throw validationError(`body.page_size should be ≤ \`${MAX_PAGE_SIZE}\` and ≥ \`1\`, instead was \`${args.page_size}\`.`);
+    }
+
+    let start = 0;
+    if (args.start_cursor) {
+      start = items.findIndex(item => normalizeId(item.id) === normalizeId(args.start_cursor));
+      if (start === -1) {
+        throw validationError(`start_cursor provided is invalid: ${args.start_cursor}`);
+      }
+    }
+
+    const results = items.slice(start, start + pageSize);
+    const next = items[start + pageSize];
+    return { object: 'list', results, next_cursor: next ? next.id : null, has_more: !!next, type: results[0]?.object || 'block' };
+  }
+
+  queryDatabase(args) {
+    const database = this.getDatabase(args.database_id);
+    let pages = [...this.pages.values()].filter(page =>
+      !page.archived && normalizeId(page.parent.database_id) === normalizeId(database.id)
+    );
+
+    if (args.filter) {
+      pages = pages.filter(page => this.matchesFilter(page, args.filter, database));
+    }
+
+    for (const sort of [...(args.sorts || [])].reverse()) {
+      const direction = sort.direction === 'descending' ? -1 : 1;
+      const key = page => sort.timestamp ? page[sort.timestamp] : this.comparableValue(page.properties[sort.property]);
+      pages.sort((a, b) => (key(a) > key(b) ? 1 : key(a) < key(b) ? -1 : 0) * direction);
+    }
+
+    return { ...this.paginate(pages, args), type: 'page_or_database', page_or_database: {} };
+  }
+
+  matchesFilter(page, filter, database) {
+    if (filter.and) return filter.and.every(inner => this.matchesFilter(page, inner, database));
+    if (filter.or) return filter.or.some(inner => this.matchesFilter(page, inner, database));
+    if (filter.timestamp) return this.matchesTimestamp(page, filter);
+
+    const schema = database.properties[filter.property];
+    if (!schema) {
+      throw validationError(`Could not find property with name or id: ${filter.property}`);
+    }
+
+    const [conditionType] = Object.keys(filter).filter(key => key !== 'property');
+    const condition = filter[conditionType] || {};
+    const value = this.comparableValue(page.properties[filter.property]);
+    const values = Array.isArray(value) ? value : [value];
+    const isEmpty = value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+    if ('is_empty' in condition) return isEmpty;
+    if ('is_not_empty' in condition) return !isEmpty;
+    if ('equals' in condition) return values.some(candidate => candidate === condition.equals);
+    if ('does_not_equal' in condition) return !values.some(candidate => candidate === condition.does_not_equal);
+    if ('contains' in condition) {
+      return values.some(candidate => String(candidate ?? '').toLowerCase().includes(String(condition.contains).toLowerCase()));
+    }
+    if ('does_not_contain' in condition) {
+      return !values.some(candidate => String(candidate ?? '').toLowerCase().includes(String(condition.does_not_contain).toLowerCase()));
+    }
+    if ('before' in condition) return value !== null && value < condition.before;
+    if ('after' in condition) return value !== null && value > condition.after;
+
+    throw validationError(`Unsupported filter condition for ${filter.property}: ${JSON.stringify(condition)}`);
+  }
+
+  /**
+   * Timestamp filter ({ timestamp: 'last_edited_time', last_edited_time: { on_or_after } })
+   */
+  matchesTimestamp(page, filter) {
+    if (!['created_time', 'last_edited_time'].includes(filter.timestamp)) {
+      throw validationError(`Unsupported timestamp filter: ${filter.timestamp}`);
+    }
+
+    const value = page[filter.timestamp];
+    const condition = filter[filter.timestamp] || {};
+
+    if ('equals' in condition) return value === condition.equals;
+    if ('before' in condition) return value < condition.before;
+    if ('after' in condition) return value > condition.after;
+    if ('on_or_before' in condition) return value <= condition.on_or_before;
+    if ('on_or_after' in condition) return value >= condition.on_or_after;
+
+    throw validationError(`Unsupported filter condition for ${filter.timestamp}: ${JSON.stringify(condition)}`);
+  }
+
+  /**
+   * Reduce a property value to something filters and sorts can compare
+   */
+  comparableValue(property) {
+    if (!property) return null;
+
+    const inner = property[property.type];
+    switch (property.type) {
+      case 'title':
+      case 'rich_text':
+        return plainText(inner);
+      case 'select':
+      case 'status':
+        return inner?.name ?? null;
+      case 'multi_select':
+        return inner.map(option => option.name);
+      case 'people':
+      case 'relation':
+        return inner.map(item => item.id);
+      case 'date':
+        return inner?.start ?? null;
+      default:
+        return inner ?? null;
+    }
+  }
+
+  search(args) {
+    const query = String(args.query || '').toLowerCase();
+    const objectType = args.filter?.property === 'object' ? args.filter.value : null;
+
+    const candidates = [];
+    if (objectType !== 'database') {
+      candidates.push(...[...this.pages.values()].filter(page => !page.archived));
+    }
+    if (objectType !== 'page') {
+      candidates.push(...this.databases.values());
+    }
+
+    // Notion's search is fuzzy - match when every query word appears in the title
+    const words = query.split(/\s+/).filter(Boolean);
+    const results = candidates.filter(item => {
+      const title = (item.object === 'database' ? plainText(item.title) : this.pageTitle(item)).toLowerCase();
+      return words.every(word => title.includes(word));
+    });
+
+    return { ...this.paginate(results, args), type: 'page_or_database', page_or_database: {} };
+  }
+
+  createPage(args) {
+    const parent = args.parent || {};
+
+    let properties = args.properties || {};
+    if (parent.database_id) {
+      const database = this.getDatabase(parent.database_id);
+      this.validateProperties(database, properties);
+      properties = this.propertiesByName(database, properties);
+    } else if (parent.page_id) {
+      this.getPage(parent.page_id);
+      const extra = Object.keys(args.properties || {}).filter(name => name !== 'title');
+      if (extra.length > 0) {
+        throw validationError(`Invalid properties for a page under a page: ${extra.join(', ')} (only "title" is allowed).`);
+      }
+    } else {
+      throw validationError('body.parent should be defined, instead was `undefined`.');
+    }
+
+    if (args.children) {
+      this.validateBlocks(args.children, 'body.children');
+    }
+
+    const page = this.insertPage(parent, properties);
+    if (args.children) {
+      this.insertChildren(page.id, args.children);
+    }
+    return page;
+  }
+
+  updatePage(args) {
+    const page = this.getPage(args.page_id);
+    const database = page.parent.database_id ? this.getDatabase(page.parent.database_id) : null;
+
+    if (args.properties) {
+      if (database) {
+        this.validateProperties(database, args.properties);
+        for (const [name, value] of Object.entries(this.propertiesByName(database, args.properties))) {
+          const schema = database.properties[name];
+          page.properties[name] = { id: schema.id, type: schema.type, ...this.resolveValue(schema, value) };
+        }
+      } else if (args.properties.title) {
+        page.properties.title.title = toRichText(args.properties.title.title);
+      }
+    }
+
+    if (typeof args.archived === 'boolean') page.archived = args.archived;
+    if (typeof args.in_trash === 'boolean') page.in_trash = args.in_trash;
+    page.last_edited_time = new Date().toISOString();
+    return page;
+  }
+
+  getBlockChildren(args) {
+    this.getBlock(args.block_id);
+    const ids = this.children.get(normalizeId(args.block_id)) || [];
+    const blocks = ids.map(id => this.blocks.get(normalizeId(id))).filter(block => block && !block.archived);
+    return { ...this.paginate(blocks, args), type: 'block', block: {} };
+  }
+
+  appendBlockChildren(args) {
+    const parent = this.getBlock(args.block_id);
+    if (parent.type !== 'child_page' && !TEXT_BLOCK_TYPES.includes(parent.type)) {
+      throw validationError(`Block type ${parent.type} does not support children.`);
+    }
+
+    this.validateBlocks(args.children, 'body.children');
+
+    const inserted = this.insertChildren(args.block_id, args.children);
+    const stored = this.blocks.get(normalizeId(args.block_id));
+    if (stored && inserted.length > 0) stored.has_children = true;
+
+    // Like Notion, editing a page's content counts as editing the page
+    const page = this.pages.get(normalizeId(args.block_id));
+    if (page) page.last_edited_time = new Date().toISOString();
+
+    return { object: 'list', results: inserted, next_cursor: null, has_more: false, type: 'block', block: {} };
+  }
+
+  /**
+   * Pages created since load, not seeded from fixtures (for tests and /_fake/pages)
+   */
+  getCreatedPages(since) {
+    return [...this.pages.values()].filter(page =>
+      !this.seededPageIds.has(normalizeId(page.id)) && (!since || page.created_time >= since)
+    );
+  }
+}
+
+/**
+ * Express app that serves a FakeNotion over Notion's REST paths
+ * Point the rest backend at it: NOTION_API_BASE_URL=http://localhost:<port>/v1
+ *
+ * @param {FakeNotion} fake
+ * @param {object} routes - Operation table (NOTION_OPERATIONS from lib/notion-gateway.js)
+ */
+function createFakeNotionApp(fake, routes) {
+  const express = require('express');
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  // WHY THIS WORKS: Same header checks as api.notion.com, so a misconfigured client fails here first
+  app.use('/v1', (req, res, next) => {
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+      return res.status(401).json(new FakeNotionError(401, 'unauthorized', 'API token is invalid.'));
+    }
+    if (!req.headers['notion-version']) {
+      return res.status(400).json(new FakeNotionError(400, 'missing_version', 'Notion-Version header failed validation: Notion-Version header should be defined, instead was `undefined`.'));
+    }
+    next();
+  });
+
+  // Static paths first, so /users/me isn't captured by /users/:user_id
+  const entries = Object.entries(routes).sort(([, a], [, b]) =>
+    (a.path.match(/\{/g) || []).length - (b.path.match(/\{/g) || []).length
+  );
+
+  for (const [operation, spec] of entries) {
+    const path = '/v1' + spec.path.replace(/\{(\w+)\}/g, ':$1');
+    app[spec.method.toLowerCase()](path, (req, res) => {
+      try {
+        res.json(fake.handle(operation, { ...req.query, ...req.body, ...req.params }));
+      } catch (error) {
+        const apiError = error instanceof FakeNotionError
+          ? error
+          : new FakeNotionError(500, 'internal_server_error', error.message);
+        res.status(apiError.status).json(apiError);
+      }
+    });
+  }
+
+  // Test helper: what has the pipeline written?
+  app.get('/_fake/pages', (req, res) => {
+    res.json({ results: fake.getCreatedPages(req.query.since) });
+  });
+
+  app.use((req, res) => {
+    res.status(400).json(new FakeNotionError(400, 'invalid_request_url', 'Invalid request URL.'));
+  });
+
+  return app;
+}
+
+module.exports = {
+  FakeNotion,
+  FakeNotionError,
+  createFakeNotionApp
+};
@@ -0,0 +1,113 @@
+// ============================================
+// IDEMPOTENCY - Duplicate Submission Detection
+// ============================================
+// WHY THIS WORKS: n8n retries webhooks and clients resend the same WhatsApp brief
+// A stable key per brief lets /create-request hand back the original job
+// instead of creating a second Notion page
+
+const crypto = require('crypto');
+const { resolveField } = require('./brief-schema');
+
+const MAX_HEADER_KEY_LENGTH = 255;
+
+/**
+ * SHA-256 hex digest of a string
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * JSON with sorted keys so field order doesn't change the hash
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Field value as a trimmed string, whatever the field was called
+ */
+function pickField(data, field) {
+  const value = resolveField(data, field);
+  return value !== null && String(value).trim() !== '' ? String(value).trim() : null;
+}
+
+/**
+ * Derive a fingerprint for a brief
+ * WHY THIS WORKS: Same sender + same project + same raw brief text = same brief,
+ * even if n8n adds timestamps or reorders fields around it
+ *
+ * @param {object} payload - Webhook payload (n8n body wrapper or fields at root)
+ * @returns {string} Fingerprint key
+ */
+function computeFingerprint(payload) {
+  let data = Array.isArray(payload) ? payload[0] : payload;
+  data = data?.body || data?.briefData || data || {};
+
+  const userNumber = pickField(data, 'client.userNumber');
+  const projectName = pickField(data, 'project.name');
+  const rawBrief = pickField(data, 'rawBrief') || pickField(data, 'briefDetails');
+
+  // No identifying fields - fall back to hashing the whole brief
+  if (!userNumber && !projectName && !rawBrief) {
+    return `fingerprint:${sha256(stableStringify(data))}`;
+  }
+
+  const parts = [
+    (userNumber || '').replace(/\s+/g, ''),
+    (projectName || '').toLowerCase(),
+    sha256((rawBrief || '').replace(/\s+/g, ' ').toLowerCase())
+  ];
+
+  return `fingerprint:${sha256(parts.join('|'))}`;
+}
+
+/**
+ * Idempotency key for a request: Idempotency-Key header if sent, else brief fingerprint
+ * WHY THIS WORKS: In a batch the header covers the whole array, so each element
+ * gets "<header>#<index>" and n8n can safely resend the same batch
+ *
+ * @param {object} req - Express request
+ * @param {object} options - { payload, index } for one element of a batch
+ * @returns {string} Idempotency key
+ */
+function getIdempotencyKey(req, options = {}) {
+  const headerKey = req.get('Idempotency-Key');
+  const hasIndex = Number.isInteger(options.index);
+
+  if (headerKey && headerKey.trim()) {
+    const key = resolveIdempotencyKey(headerKey);
+    return hasIndex ? `${key}#${options.index}` : key;
+  }
+
+  return computeFingerprint(options.payload !== undefined ? options.payload : req.body);
+}
+
+/**
+ * Idempotency key from an explicit key (header, MCP tool argument) or the brief fingerprint
+ *
+ * @param {string} explicitKey - Caller-supplied key (may be empty)
+ * @param {object} payload - Brief payload used for the fingerprint fallback
+ * @returns {string} Idempotency key
+ */
+function resolveIdempotencyKey(explicitKey, payload) {
+  if (typeof explicitKey === 'string' && explicitKey.trim()) {
+    return `header:${explicitKey.trim().substring(0, MAX_HEADER_KEY_LENGTH)}`;
+  }
+
+  return computeFingerprint(payload);
+}
+
+module.exports = {
+  computeFingerprint,
+  getIdempotencyKey,
+  resolveIdempotencyKey,
+  stableStringify,
+  sha256
+};
@@ -10,6 +10,8 @@
  * PRINCIPLE: Smart backend, clean frontend. No technical jargon on Notion pages.
  */
 
+const { resolveField } = require('./brief-schema');
+
 class IntelligentProcessor {
   constructor() {
     // Complexity signals for detection
@@ -137,12 +139,12 @@ class IntelligentProcessor {
       if (briefText.includes(platform)) {
         console.log(`   📝 Detected platform: ${platform.toUpperCase()}`);
         
-        if (!this.findFieldValue(briefData, 'aspect_ratio') && platformDefaults.aspect_ratio) {
+        if (!resolveField(briefData, 'aspect_ratio') && platformDefaults.aspect_ratio) {
           defaults.aspect_ratio = platformDefaults.aspect_ratio;
           console.log(`      → Aspect ratio: ${platformDefaults.aspect_ratio}`);
         }
         
-        if (!this.findFieldValue(briefData, 'format') && platformDefaults.format) {
+        if (!resolveField(briefData, 'format') && platformDefaults.format) {
           defaults.format = platformDefaults.format;
           console.log(`      → Format: ${platformDefaults.format}`);
         }
@@ -153,7 +155,7 @@ class IntelligentProcessor {
 
     // "Quick" signals
     if (briefText.includes('quick') || briefText.includes('fast') || briefText.includes('simple')) {
-      if (!this.findFieldValue(briefData, 'editing_style')) {
+      if (!resolveField(briefData, 'editing_style')) {
         defaults.editing_style = 'Fast turnaround - basic cuts and transitions';
         console.log(`   📝 Detected "quick" request → Applied minimal editing style`);
       }
@@ -161,7 +163,7 @@ class IntelligentProcessor {
 
     // "Professional" or "high-end" signals
     if (briefText.includes('professional') || briefText.includes('high-end') || briefText.includes('premium')) {
-      if (!this.findFieldValue(briefData, 'quality_level')) {
+      if (!resolveField(briefData, 'quality_level')) {
         defaults.quality_level = 'Premium production quality';
         console.log(`   📝 Detected quality expectations → Applied premium standard`);
       }
@@ -169,7 +171,7 @@ class IntelligentProcessor {
 
     // Social media defaults
     if (briefText.includes('social media') || briefText.includes('social post')) {
-      if (!this.findFieldValue(briefData, 'captions_needed')) {
+      if (!resolveField(briefData, 'captions_needed')) {
         defaults.captions_needed = 'Yes (for accessibility)';
         console.log(`   📝 Social media content → Captions recommended`);
       }
@@ -194,7 +196,7 @@ class IntelligentProcessor {
     // ONLY KEEP: Factual contradictions
     
     // 1. Platform format contradiction (FACTUAL - requires multiple cuts)
-    const platforms = this.findFieldValue(briefData, 'platforms');
+    const platforms = resolveField(briefData, 'platforms');
     const platformText = typeof platforms === 'string' ? platforms : JSON.stringify(platforms || '');
     
     if (platformText) {
@@ -263,32 +265,6 @@ class IntelligentProcessor {
     
     return complexSignals.some(signal => briefText.includes(signal));
   }
-
-  /**
-   * Find field value in nested brief data
-   */
-  findFieldValue(briefData, fieldKey) {
-    const possibleKeys = [
-      fieldKey,
-      fieldKey.toLowerCase(),
-      fieldKey.replace(/_/g, ' '),
-      fieldKey.replace(/_/g, '').toLowerCase()
-    ];
-
-    for (const key of possibleKeys) {
-      if (briefData[key]) return briefData[key];
-    }
-
-    // Check nested objects
-    for (const value of Object.values(briefData)) {
-      if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-        const nestedValue = this.findFieldValue(value, fieldKey);
-        if (nestedValue) return nestedValue;
-      }
-    }
-
-    return null;
-  }
 }
 
 module.exports = IntelligentProcessor;
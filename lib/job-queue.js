@@ -0,0 +1,303 @@
+// ============================================
+// IE7 JOB QUEUE
+// ============================================
+// Runs persisted jobs with a concurrency limit, resumes them after restarts
+// WHY THIS WORKS: Queue order lives in the JobStore log, not in process memory,
+// so a deploy or crash never loses a brief that n8n was already told 202 about
+//
+// DELIVERY: At-least-once. A job that was half-done when the process died is run
+// again on boot, so the processor must tolerate being re-run for the same job
+//
+// RETRIES: A processor that throws is retried with exponential backoff + jitter
+// while the error is retryable and attempts remain, otherwise the job is
+// dead-lettered (status "failed") and onDeadLetter is called
+//
+// REVIEW: A processor error with needsReview (RoutingReviewError) parks the job in
+// "needs_review" - not a failure, it waits for routeReviewed() with a request type
+
+const { classifyError, computeBackoff } = require('./retry-policy');
+
+class JobQueue {
+  /**
+   * @param {JobStore} jobStore - Persistent job store
+   * @param {function} processor - async (job) => result, runs one job, throws on failure
+   * @param {object} options - { maxConcurrent, maxAttempts, retryBaseDelay, retryMaxDelay, onDeadLetter, onNeedsReview }
+   */
+  constructor(jobStore, processor, options = {}) {
+    this.jobStore = jobStore;
+    this.processor = processor;
+    this.maxConcurrent = options.maxConcurrent || 3;
+    this.maxAttempts = options.maxAttempts || 4;
+    this.retryBaseDelay = options.retryBaseDelay || 5000;
+    this.retryMaxDelay = options.retryMaxDelay || 300000;
+    this.onDeadLetter = options.onDeadLetter || null;
+    this.onNeedsReview = options.onNeedsReview || null;
+
+    this.pending = []; // Job IDs waiting for a slot
+    this.active = new Map(); // Job ID -> processing promise
+    this.retryTimers = new Map(); // Job ID -> backoff timer
+    this.draining = false;
+
+    console.log(`✅ Request queue initialized (Max concurrent: ${this.maxConcurrent}, Max attempts: ${this.maxAttempts})`);
+  }
+
+  /**
+   * Add job to queue and process if slots available
+   */
+  enqueue(job) {
+    this.pending.push(job.id);
+    console.log(`📥 Job queued (Queue size: ${this.pending.length}, Processing: ${this.active.size}/${this.maxConcurrent})`);
+    this.processNextIfAvailable();
+  }
+
+  /**
+   * Re-queue jobs left over from a previous run
+   * WHY THIS WORKS: Jobs that were mid-flight go back to "queued" so their state
+   * history shows the restart, then run again in original submission order
+   *
+   * @returns {number} Number of resumed jobs
+   */
+  resumePending() {
+    const pendingJobs = this.jobStore.getPendingJobs();
+
+    for (const job of pendingJobs) {
+      if (job.status === 'retry_scheduled') {
+        // Keep the original backoff - only wait out what's left of it
+        const remaining = Math.max(0, new Date(job.nextRetryAt).getTime() - Date.now());
+        this.scheduleRetryTimer(job.id, remaining);
+        continue;
+      }
+      if (job.status !== 'queued') {
+        console.log(`♻️  Resuming job ${job.id} (was: ${job.status})`);
+        this.jobStore.updateStatus(job.id, 'queued');
+      }
+      this.pending.push(job.id);
+    }
+
+    if (pendingJobs.length > 0) {
+      console.log(`♻️  Resumed ${pendingJobs.length} jobs from previous run`);
+      this.processNextIfAvailable();
+    }
+
+    return pendingJobs.length;
+  }
+
+  /**
+   * Process next job from queue if under concurrency limit
+   */
+  processNextIfAvailable() {
+    while (!this.draining && this.active.size < this.maxConcurrent && this.pending.length > 0) {
+      const jobId = this.pending.shift();
+      const job = this.jobStore.get(jobId);
+
+      // Job may have been evicted or finished elsewhere
+      if (!job) continue;
+
+      this.jobStore.recordAttempt(jobId);
+      console.log(`🔄 Starting job ${jobId} (Processing: ${this.active.size + 1}/${this.maxConcurrent}, Queue: ${this.pending.length})`);
+
+      const run = Promise.resolve()
+        .then(() => this.processor(job))
+        .catch(err => this.handleFailure(job, err))
+        .finally(() => {
+          this.active.delete(jobId);
+          console.log(`✅ Request slot freed (Processing: ${this.active.size}/${this.maxConcurrent}, Queue: ${this.pending.length})`);
+          this.processNextIfAvailable();
+        });
+
+      this.active.set(jobId, run);
+    }
+
+    if (this.active.size === 0 && this.pending.length === 0 && !this.draining) {
+      console.log('✅ Queue empty, all requests processed');
+    }
+  }
+
+  /**
+   * Decide between retry and dead-letter for a failed attempt
+   */
+  async handleFailure(job, error) {
+    if (error.needsReview) {
+      return this.parkForReview(job, error);
+    }
+
+    const classification = classifyError(error);
+    const attempts = job.attempts || 1;
+
+    if (classification.retryable && attempts < this.maxAttempts) {
+      const delay = computeBackoff(attempts, {
+        baseDelay: this.retryBaseDelay,
+        maxDelay: this.retryMaxDelay
+      });
+
+      console.warn(`🔁 Job ${job.id} attempt ${attempts}/${this.maxAttempts} failed (${classification.reason}), retrying in ${(delay / 1000).toFixed(1)}s`);
+
+      this.jobStore.scheduleRetry(job.id, error, classification, Date.now() + delay);
+      this.scheduleRetryTimer(job.id, delay);
+      return;
+    }
+
+    const why = classification.retryable ? `out of attempts (${attempts}/${this.maxAttempts})` : `permanent error (${classification.reason})`;
+    console.error(`💀 Job ${job.id} dead-lettered: ${why} - ${error.message}`);
+
+    this.jobStore.fail(job.id, error, classification);
+
+    if (this.onDeadLetter) {
+      try {
+        await this.onDeadLetter(job, error);
+      } catch (hookError) {
+        console.error(`❌ Dead-letter hook failed for job ${job.id}:`, hookError.message);
+      }
+    }
+  }
+
+  /**
+   * Move a job to the review queue
+   */
+  async parkForReview(job, error) {
+    console.warn(`🗂️  Job ${job.id} needs routing review: ${error.routing?.reason || error.message}`);
+
+    this.jobStore.markForReview(job.id, error.routing || { reason: error.message });
+
+    if (this.onNeedsReview) {
+      try {
+        await this.onNeedsReview(job, error);
+      } catch (hookError) {
+        console.error(`❌ Review hook failed for job ${job.id}:`, hookError.message);
+      }
+    }
+  }
+
+  /**
+   * Route a job from the review queue and run it
+   *
+   * @param {string} jobId - Job ID
+   * @param {string|Array} requestTypes - Type(s) chosen by the reviewer, primary first
+   * @param {string} reviewer - Who decided
+   * @returns {object} Requeued job
+   */
+  routeReviewed(jobId, requestTypes, reviewer = null) {
+    const job = this.jobStore.get(jobId);
+
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+    if (job.status !== 'needs_review') {
+      throw new Error(`Only jobs waiting for review can be routed (job ${jobId} is "${job.status}")`);
+    }
+
+    console.log(`🧭 Job ${jobId} routed by review to ${[].concat(requestTypes).join(' + ')}`);
+    this.jobStore.resolveReview(jobId, requestTypes, reviewer);
+    this.enqueue(job);
+
+    return job;
+  }
+
+  /**
+   * Re-enqueue a job once its backoff delay has passed
+   */
+  scheduleRetryTimer(jobId, delay) {
+    clearTimeout(this.retryTimers.get(jobId));
+
+    // Shutting down - the job stays "retry_scheduled" on disk and resumes on next boot
+    if (this.draining) return;
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(jobId);
+      const job = this.jobStore.get(jobId);
+      if (!job || job.status !== 'retry_scheduled') return;
+
+      this.jobStore.updateStatus(jobId, 'queued', { nextRetryAt: null });
+      this.enqueue(job);
+    }, delay);
+
+    this.retryTimers.set(jobId, timer);
+  }
+
+  /**
+   * Replay a dead-lettered job with a fresh attempt budget
+   *
+   * @param {string} jobId - Job ID
+   * @returns {object} Requeued job
+   */
+  replay(jobId) {
+    const job = this.jobStore.get(jobId);
+
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+    if (job.status !== 'failed') {
+      throw new Error(`Only failed jobs can be replayed (job ${jobId} is "${job.status}")`);
+    }
+
+    console.log(`♻️  Replaying dead-lettered job ${jobId}`);
+    this.jobStore.resetForReplay(jobId);
+    this.enqueue(job);
+
+    return job;
+  }
+
+  /**
+   * Stop starting new jobs and wait for in-flight jobs to finish
+   * WHY THIS WORKS: Queued jobs stay "queued" on disk and resume on next boot,
+   * in-flight jobs get a chance to finish instead of being cut off mid-write
+   *
+   * @param {number} timeoutMs - Max time to wait for in-flight jobs
+   * @returns {Promise<boolean>} true if all in-flight jobs finished in time
+   */
+  async drain(timeoutMs = 25000) {
+    this.draining = true;
+
+    // Retry timers stop here - jobs stay "retry_scheduled" on disk and resume on next boot
+    for (const timer of this.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+
+    if (this.active.size === 0) {
+      return true;
+    }
+
+    console.log(`⏳ Draining ${this.active.size} in-flight jobs (${this.pending.length} queued jobs will resume on next boot)...`);
+
+    let timer;
+    const timeoutPromise = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+
+    const finished = await Promise.race([
+      Promise.allSettled(Array.from(this.active.values())).then(() => true),
+      timeoutPromise
+    ]);
+    clearTimeout(timer);
+
+    if (finished) {
+      console.log('✅ All in-flight jobs finished');
+    } else {
+      console.warn(`⚠️ Drain timeout: ${this.active.size} jobs still running, they will resume on next boot`);
+    }
+
+    return finished;
+  }
+
+  /**
+   * Queue statistics for /health/details
+   *
+   * @param {string} tenantId - Only count this tenant's jobs (every tenant's when left out)
+   */
+  getStats(tenantId) {
+    const count = jobIds => Array.from(jobIds).filter(jobId =>
+      !tenantId || (this.jobStore.get(jobId)?.tenantId || 'default') === tenantId
+    ).length;
+
+    return {
+      queued: count(this.pending),
+      processing: count(this.active.keys()),
+      retryScheduled: count(this.retryTimers.keys()),
+      maxConcurrent: this.maxConcurrent,
+      draining: this.draining
+    };
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,716 @@
+// ============================================
+// IE7 JOB STORE
+// ============================================
+// Tracks every accepted brief from 202 response to finished Notion page
+// WHY THIS WORKS: n8n and ops can poll job state instead of reading Render logs
+//
+// PERSISTENCE: Every change is appended to a JSONL file (one job snapshot per line)
+// On boot the file is replayed (last line per job wins) and compacted
+// A torn final line from a crash is skipped, every earlier write survives
+// New jobs and finished ones (done, failed) are fdatasync'd before the call returns.
+// Step updates in between are written at once but synced in batches (JOB_STORE_FLUSH_INTERVAL)
+// Batches (n8n array payloads) are logged the same way, one record per batch
+// One process per log: "<file>.lock" holds the owner's PID (see acquireLock)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Lifecycle states in the order a healthy job moves through them
+// retry_scheduled = waiting out a backoff delay, failed = dead-letter (out of attempts or permanent error)
+// needs_review = routing wasn't confident enough, waiting for a person to pick the request type
+const JOB_STATES = ['queued', 'mapping', 'creating_page', 'appending_blocks', 'retry_scheduled', 'needs_review', 'done', 'failed'];
+
+// States a job can be left in when the process dies mid-flight
+const ACTIVE_STATES = ['mapping', 'creating_page', 'appending_blocks'];
+
+// States a job doesn't leave on its own - synced to disk before anyone is told
+const TERMINAL_STATES = ['done', 'failed'];
+
+/**
+ * Whether a process with this PID is running (EPERM = running as another user)
+ */
+function processExists(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+class JobStore {
+  constructor(options = {}) {
+    this.jobs = new Map();
+    this.batches = new Map();
+
+    // WHY THIS WORKS: Bounded history keeps memory flat on long-running instances
+    // Oldest finished jobs are evicted first, active jobs are never evicted
+    this.maxJobs = options.maxJobs || 500;
+
+    // WHY THIS WORKS: Dead letters are kept separately from normal history so they
+    // can't be pushed out by a busy day of successful jobs
+    this.maxDeadLetters = options.maxDeadLetters || 1000;
+    this.maxBatches = options.maxBatches || this.maxJobs;
+
+    // WHY THIS WORKS: No filePath = memory only (nothing survives a restart)
+    this.filePath = options.filePath || null;
+    this.compactThreshold = options.compactThreshold || 5000;
+    this.linesSinceCompaction = 0;
+    this.fd = null;
+    this.lockPath = null;
+
+    // WHY THIS WORKS: One fdatasync per interval instead of one per step update
+    this.flushInterval = options.flushInterval ?? 1000;
+    this.flushTimer = null;
+    this.unsynced = false;
+
+    if (this.filePath) {
+      this.load();
+    }
+
+    console.log(`✅ Job store initialized (History limit: ${this.maxJobs}, Storage: ${this.filePath || 'memory only'})`);
+  }
+
+  /**
+   * Replay the job log from disk and compact it
+   * WHY THIS WORKS: Last snapshot per job ID is the current state
+   */
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.acquireLock();
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      let skipped = 0;
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (parseError) {
+          // Torn write from a crash - earlier entries are still valid
+          skipped++;
+          continue;
+        }
+
+        if (entry.op === 'delete') {
+          this.jobs.delete(entry.id);
+        } else if (entry.op === 'delete_batch') {
+          this.batches.delete(entry.id);
+        } else if (entry.op === 'batch' && entry.batch?.id) {
+          this.batches.set(entry.batch.id, entry.batch);
+        } else if (entry.job?.id) {
+          // Map keeps first insertion position, so order stays creation order
+          this.jobs.set(entry.job.id, entry.job);
+        }
+      }
+
+      console.log(`📂 Loaded ${this.jobs.size} jobs, ${this.batches.size} batches from ${this.filePath}${skipped ? ` (${skipped} unreadable lines skipped)` : ''}`);
+    }
+
+    this.evictOldJobs();
+    this.compact();
+  }
+
+  /**
+   * Rewrite the log as one line per job
+   * WHY THIS WORKS: Write to temp file + rename is atomic, so a crash mid-compaction
+   * leaves either the old log or the new one, never a half-written file
+   */
+  compact() {
+    if (!this.filePath) return;
+
+    const tmpPath = `${this.filePath}.tmp`;
+    const content = [
+      ...Array.from(this.batches.values()).map(batch => JSON.stringify({ op: 'batch', batch })),
+      ...Array.from(this.jobs.values()).map(job => JSON.stringify({ op: 'upsert', job }))
+    ].join('\n');
+
+    fs.writeFileSync(tmpPath, content ? content + '\n' : '');
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.linesSinceCompaction = 0;
+    this.scheduleFlush();
+  }
+
+  /**
+   * Append one entry to the job log
+   * WHY THIS WORKS: The write reaches the OS at once, so a process crash loses nothing.
+   * sync: true also waits for the disk (fdatasync) - the 202 response is only sent once
+   * the job is on disk - the rest is synced by the next flush
+   *
+   * @param {object} entry - Log entry
+   * @param {object} options - { sync }
+   */
+  append(entry, options = {}) {
+    if (this.fd === null) return;
+
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+
+    if (options.sync) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+
+    this.linesSinceCompaction++;
+    if (this.linesSinceCompaction >= this.compactThreshold) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Sync unsynced writes on the next flush interval
+   */
+  scheduleFlush() {
+    this.unsynced = true;
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * fdatasync everything written so far
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.fd === null) return;
+
+    fs.fdatasyncSync(this.fd);
+    this.unsynced = false;
+  }
+
+  /**
+   * Persist the current state of a job
+   *
+   * @param {object} job - Job record
+   * @param {object} options - { sync } (see append)
+   */
+  save(job, options = {}) {
+    this.append({ op: 'upsert', job }, options);
+  }
+
+  /**
+   * Create a new job for an accepted payload
+   *
+   * @param {object} payload - Raw webhook payload as received
+   * @param {object} options - { tenantId, idempotencyKey, callbackUrl, adapter, batchId, batchIndex }
+   * @returns {object} Job record
+   */
+  create(payload, options = {}) {
+    const now = new Date().toISOString();
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      steps: [{ status: 'queued', at: now }],
+      tenantId: options.tenantId || 'default',
+      adapter: options.adapter || null,
+      batchId: options.batchId || null,
+      batchIndex: options.batchIndex ?? null,
+      requestType: null,
+      databaseName: null,
+      notionPageId: null,
+      notionPageUrl: null,
+      notionPages: [],
+      warnings: [],
+      result: null,
+      error: null,
+      errors: [],
+      attempts: 0,
+      nextRetryAt: null,
+      idempotencyKey: options.idempotencyKey || null,
+      callbackUrl: options.callbackUrl || null,
+      notifications: [],
+      payload
+    };
+
+    this.jobs.set(job.id, job);
+    this.save(job, { sync: true });
+    this.evictOldJobs();
+
+    return job;
+  }
+
+  /**
+   * Move a job to a new lifecycle state and record when it happened
+   *
+   * @param {string} jobId - Job ID
+   * @param {string} status - One of JOB_STATES
+   * @param {object} details - Optional fields to merge into the job record
+   */
+  updateStatus(jobId, status, details = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    if (!JOB_STATES.includes(status)) {
+      throw new Error(`Unknown job status: "${status}". Valid states: ${JOB_STATES.join(', ')}`);
+    }
+
+    const now = new Date().toISOString();
+
+    Object.assign(job, details);
+    job.status = status;
+    job.updatedAt = now;
+    job.steps.push({ status, at: now });
+    this.save(job, { sync: TERMINAL_STATES.includes(status) });
+
+    console.log(`📌 Job ${job.id.substring(0, 8)}... → ${status}`);
+
+    return job;
+  }
+
+  /**
+   * Mark a job as finished and keep its result summary
+   */
+  complete(jobId, result) {
+    return this.updateStatus(jobId, 'done', {
+      result,
+      notionPageId: result?.notionPageId || null,
+      notionPageUrl: result?.notionPageUrl || null,
+      notionPages: (result?.pages || []).map(page => ({
+        requestType: page.requestType,
+        databaseName: page.databaseName,
+        id: page.notionPageId,
+        url: page.notionPageUrl,
+        blocksAppended: page.blocksAppended === true,
+        blocksAdded: page.blocksAdded ?? null,
+        // Template snapshot that built the page
+        template: page.template || null
+      })),
+      // Non-fatal problems, e.g. a template served by a fallback tier
+      warnings: result?.warnings || []
+    });
+  }
+
+  /**
+   * Mark a job as failed (dead-lettered) with the error that stopped it
+   *
+   * @param {string} jobId - Job ID
+   * @param {Error} error - Final error
+   * @param {object} classification - { retryable, reason } from retry-policy
+   */
+  fail(jobId, error, classification = {}) {
+    const errorRecord = this.recordError(jobId, error, classification);
+    if (!errorRecord) return null;
+
+    return this.updateStatus(jobId, 'failed', {
+      error: {
+        ...errorRecord,
+        deadLetterReason: classification.retryable === false ? 'permanent' : 'retries_exhausted'
+      },
+      nextRetryAt: null
+    });
+  }
+
+  /**
+   * Park a job until its backoff delay has passed
+   */
+  scheduleRetry(jobId, error, classification, nextRetryAt) {
+    const errorRecord = this.recordError(jobId, error, classification);
+    if (!errorRecord) return null;
+
+    return this.updateStatus(jobId, 'retry_scheduled', {
+      error: errorRecord,
+      nextRetryAt: new Date(nextRetryAt).toISOString()
+    });
+  }
+
+  /**
+   * Park a job until someone picks its request type
+   *
+   * @param {string} jobId - Job ID
+   * @param {object} routing - RoutingEngine result (reason, hint, candidates)
+   */
+  markForReview(jobId, routing) {
+    return this.updateStatus(jobId, 'needs_review', {
+      routing,
+      reviewRequestedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record the reviewer's routing decision and put the job back in the queue
+   * WHY THIS WORKS: routeOverride is read by the pipeline instead of routing again
+   *
+   * @param {string} jobId - Job ID
+   * @param {string|Array} requestTypes - Type(s) chosen by the reviewer, primary first
+   * @param {string} reviewer - Who decided (API key name)
+   */
+  resolveReview(jobId, requestTypes, reviewer = null) {
+    return this.updateStatus(jobId, 'queued', {
+      routeOverride: { requestTypes: [].concat(requestTypes), by: reviewer, at: new Date().toISOString() },
+      attempts: 0,
+      error: null
+    });
+  }
+
+  /**
+   * Append an error to the job's history
+   * WHY THIS WORKS: Dead-letter inspection shows every attempt, not just the last one
+   */
+  recordError(jobId, error, classification = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    const errorRecord = {
+      message: error?.message || String(error),
+      failedAt: job.status,
+      attempt: job.attempts || 0,
+      retryable: classification.retryable ?? null,
+      reason: classification.reason || null,
+      at: new Date().toISOString()
+    };
+
+    // Field-level validation errors (BriefValidationError) tell the sender what to fix
+    if (error?.fields) {
+      errorRecord.fields = error.fields;
+    }
+
+    job.errors = job.errors || [];
+    job.errors.push(errorRecord);
+
+    return errorRecord;
+  }
+
+  /**
+   * Put a failed job back in the queue with a fresh attempt budget
+   * WHY THIS WORKS: notionPageId is kept, so a replay reuses the page if one was created
+   */
+  resetForReplay(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    return this.updateStatus(jobId, 'queued', {
+      attempts: 0,
+      error: null,
+      nextRetryAt: null,
+      replayedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record the job's pages without a lifecycle step
+   * WHY THIS WORKS: blocksAppended is saved the moment a page's template is in,
+   * so a retry, restart or replay skips that page's blocks instead of appending them twice
+   */
+  recordPages(jobId, notionPages) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    job.notionPages = notionPages;
+    job.updatedAt = new Date().toISOString();
+    this.save(job);
+
+    return job;
+  }
+
+  /**
+   * Record that a worker picked the job up
+   * WHY THIS WORKS: attempts > 1 tells ops a job was resumed after a restart
+   */
+  recordAttempt(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    job.attempts = (job.attempts || 0) + 1;
+    job.updatedAt = new Date().toISOString();
+    this.save(job);
+
+    return job;
+  }
+
+  /**
+   * Record the outcome of a webhook delivery for this job
+   * WHY THIS WORKS: Ops can see on the job whether n8n was actually told
+   */
+  recordNotification(jobId, notification) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    job.notifications = job.notifications || [];
+    job.notifications.push({ ...notification, at: new Date().toISOString() });
+    job.updatedAt = new Date().toISOString();
+    this.save(job);
+
+    return job;
+  }
+
+  /**
+   * Jobs that were queued or half-done when the process stopped, oldest first
+   */
+  getPendingJobs() {
+    return Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued' || job.status === 'retry_scheduled' || ACTIVE_STATES.includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Find an earlier job submitted with the same idempotency key
+   * WHY THIS WORKS: Failed jobs don't count, so a client can resubmit after a failure
+   *
+   * @param {string} idempotencyKey - Header key or brief fingerprint
+   * @param {number} windowMs - How far back a repeat counts as a duplicate
+   * @param {string} tenantId - Keys are per tenant
+   * @returns {object|null} Most recent matching job
+   */
+  findByIdempotencyKey(idempotencyKey, windowMs, tenantId = 'default') {
+    if (!idempotencyKey) return null;
+
+    const cutoff = Date.now() - windowMs;
+    let match = null;
+
+    for (const job of this.jobs.values()) {
+      if (job.idempotencyKey !== idempotencyKey) continue;
+      // Two tenants may well use the same key - jobs from before tenants are "default"
+      if ((job.tenantId || 'default') !== tenantId) continue;
+      if (job.status === 'failed') continue;
+      if (new Date(job.createdAt).getTime() < cutoff) continue;
+      match = job;
+    }
+
+    return match;
+  }
+
+  /**
+   * Get a single job by ID
+   */
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * List jobs, newest first
+   *
+   * @param {object} filters - { status, tenantId, limit }
+   */
+  list(filters = {}) {
+    const limit = filters.limit || 50;
+    let jobs = Array.from(this.jobs.values()).reverse();
+
+    if (filters.status) {
+      jobs = jobs.filter(job => job.status === filters.status);
+    }
+    if (filters.tenantId) {
+      jobs = jobs.filter(job => (job.tenantId || 'default') === filters.tenantId);
+    }
+
+    return jobs.slice(0, limit);
+  }
+
+  /**
+   * List dead-lettered jobs, newest first
+   *
+   * @param {object} filters - { reason: 'permanent' | 'retries_exhausted', tenantId, limit }
+   */
+  listDeadLetters(filters = {}) {
+    let jobs = this.list({ status: 'failed', limit: this.maxDeadLetters, tenantId: filters.tenantId });
+
+    if (filters.reason) {
+      jobs = jobs.filter(job => job.error?.deadLetterReason === filters.reason);
+    }
+
+    return filters.limit ? jobs.slice(0, filters.limit) : jobs;
+  }
+
+  /**
+   * Record a batch (one n8n array payload split into one job per element)
+   *
+   * @param {string} batchId - Batch ID (jobs carry it as job.batchId)
+   * @param {Array} items - [{ index, jobId, duplicate, error, fields }] in payload order
+   * @param {string} tenantId - Tenant every job of the batch belongs to
+   * @returns {object} Batch record
+   */
+  createBatch(batchId, items, tenantId = 'default') {
+    const batch = {
+      id: batchId,
+      tenantId,
+      createdAt: new Date().toISOString(),
+      size: items.length,
+      items
+    };
+
+    this.batches.set(batch.id, batch);
+    this.append({ op: 'batch', batch }, { sync: true });
+
+    // WHY THIS WORKS: Batch records are tiny, but still bounded like job history
+    for (const batchIdToEvict of this.batches.keys()) {
+      if (this.batches.size <= this.maxBatches) break;
+      this.batches.delete(batchIdToEvict);
+      this.append({ op: 'delete_batch', id: batchIdToEvict });
+    }
+
+    return batch;
+  }
+
+  /**
+   * Current state of every item in a batch
+   * WHY THIS WORKS: Status is derived from the jobs themselves, so it's never stale
+   *
+   * @returns {object|null} { batchId, tenantId, status, counts, items }
+   */
+  getBatchStatus(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) return null;
+
+    const counts = { total: batch.size, accepted: 0, rejected: 0, succeeded: 0, failed: 0, pending: 0 };
+
+    const items = batch.items.map(item => {
+      if (item.error) {
+        counts.rejected++;
+        return { index: item.index, jobId: null, status: 'rejected', error: item.error, fields: item.fields };
+      }
+
+      counts.accepted++;
+      const job = this.jobs.get(item.jobId);
+
+      // Evicted from history - outcome no longer known
+      if (!job) {
+        return { index: item.index, jobId: item.jobId, status: 'unknown', duplicate: !!item.duplicate };
+      }
+
+      if (job.status === 'done') counts.succeeded++;
+      else if (job.status === 'failed') counts.failed++;
+      else counts.pending++;
+
+      return {
+        index: item.index,
+        jobId: job.id,
+        status: job.status,
+        duplicate: !!item.duplicate,
+        notionPageUrl: job.notionPageUrl,
+        error: job.error?.message || null
+      };
+    });
+
+    let status;
+    if (counts.pending > 0) status = 'processing';
+    else if (counts.succeeded === counts.total) status = 'completed';
+    else if (counts.succeeded === 0) status = 'failed';
+    else status = 'partial';
+
+    return {
+      batchId: batch.id,
+      tenantId: batch.tenantId || 'default',
+      createdAt: batch.createdAt,
+      status,
+      counts,
+      items
+    };
+  }
+
+  /**
+   * Public view of a job (payload omitted unless requested)
+   * WHY THIS WORKS: List views stay small, detail view can include the original brief
+   */
+  toJSON(job, options = {}) {
+    const { payload, ...publicJob } = job;
+    return options.includePayload ? { ...publicJob, payload } : publicJob;
+  }
+
+  /**
+   * Count jobs by state
+   * WHY THIS WORKS: Cheap summary for /health/details and /jobs
+   *
+   * @param {string} tenantId - Only count this tenant's jobs (every tenant's when left out)
+   */
+  getStats(tenantId) {
+    const stats = {};
+    for (const state of JOB_STATES) {
+      stats[state] = 0;
+    }
+    for (const job of this.jobs.values()) {
+      if (tenantId && (job.tenantId || 'default') !== tenantId) continue;
+      stats[job.status] = (stats[job.status] || 0) + 1;
+    }
+    return stats;
+  }
+
+  /**
+   * Drop oldest finished jobs once history exceeds the limit
+   * Dead letters only go once there are more than maxDeadLetters of them
+   */
+  evictOldJobs() {
+    let deadLetterCount = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'failed') deadLetterCount++;
+    }
+
+    for (const [jobId, job] of this.jobs) {
+      if (job.status === 'done' && this.jobs.size - deadLetterCount > this.maxJobs) {
+        this.jobs.delete(jobId);
+        this.append({ op: 'delete', id: jobId });
+      } else if (job.status === 'failed' && deadLetterCount > this.maxDeadLetters) {
+        this.jobs.delete(jobId);
+        this.append({ op: 'delete', id: jobId });
+        deadLetterCount--;
+      }
+    }
+  }
+
+  /**
+   * Flush and close the job log
+   */
+  /**
+   * Take "<filePath>.lock" for this process
+   * WHY THIS WORKS: The HTTP server and stdio mode (npm run mcp) both resume pending jobs -
+   * two processes on one log would run every job twice. A lock whose process is gone
+   * (crash, kill -9, container restart) is taken over
+   *
+   * @throws {Error} Another running process owns the log
+   */
+  acquireLock() {
+    this.lockPath = `${this.filePath}.lock`;
+
+    try {
+      fs.writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const owner = parseInt(fs.readFileSync(this.lockPath, 'utf8'));
+    if (owner && owner !== process.pid && processExists(owner)) {
+      throw new Error(
+        `Job log ${this.filePath} is in use by process ${owner} - ` +
+        `give this process its own JOB_STORE_PATH (two processes must not share a job log)`
+      );
+    }
+
+    console.warn(`⚠️ Taking over job log lock ${this.lockPath} (left by process ${owner || 'unknown'})`);
+    fs.writeFileSync(this.lockPath, String(process.pid));
+  }
+
+  close() {
+    if (this.fd !== null) {
+      if (this.unsynced) this.flush();
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+
+    // Only our own lock - a process that took it over keeps it
+    if (this.lockPath && fs.existsSync(this.lockPath) && parseInt(fs.readFileSync(this.lockPath, 'utf8')) === process.pid) {
+      fs.unlinkSync(this.lockPath);
+    }
+    this.lockPath = null;
+  }
+}
+
+JobStore.JOB_STATES = JOB_STATES;
+JobStore.ACTIVE_STATES = ACTIVE_STATES;
+JobStore.TERMINAL_STATES = TERMINAL_STATES;
+
+module.exports = JobStore;
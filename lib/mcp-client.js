@@ -3,99 +3,295 @@
 // ============================================
 // This code is from the research documentation (Section 2)
 // It spawns Notion MCP server as child process and manages lifecycle
+//
+// SUPERVISION: If the child exits or the transport closes, the client reconnects
+// with backoff (up to maxRestarts attempts per outage)
+// Calls made while reconnecting wait for the new connection (or fail fast if configured)
+//
+// EVENTS: 'connected', 'disconnected', 'reconnecting', 'reconnected',
+//         'reconnect_error', 'reconnect_failed'
 
+const EventEmitter = require('events');
 const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
 const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const { ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { computeBackoff } = require('./retry-policy');
 
-class MCPClient {
+class MCPClient extends EventEmitter {
+  /**
+   * @param {object} config - { command, args, env, maxRestarts, restartDelay, restartMaxDelay,
+   *                            connectTimeout, reconnectWaitTimeout, failFastWhileReconnecting }
+   */
   constructor(config) {
+    super();
     this.config = config;
     this.client = null;
     this.transport = null;
     this.isConnected = false;
+
+    // WHY THIS WORKS: Restart budget is per outage - a successful reconnect resets it
+    this.maxRestarts = config.maxRestarts ?? 5;
+    this.restartDelay = config.restartDelay || 2000;
+    this.restartMaxDelay = config.restartMaxDelay || 30000;
+    this.connectTimeout = config.connectTimeout || 30000;
+
+    // WHY THIS WORKS: A job mid-pipeline rides out a child restart instead of
+    // burning one of its own retry attempts
+    this.reconnectWaitTimeout = config.reconnectWaitTimeout || 45000;
+    this.failFastWhileReconnecting = !!config.failFastWhileReconnecting;
+
+    // disconnected | connecting | connected | reconnecting | failed | closed
+    this.state = 'disconnected';
+    this.restartCount = 0;
+    this.reconnectAttempt = 0;
+    this.lastRestartAt = null;
+    this.lastDisconnect = null;
+
+    // WHY THIS WORKS: Each connection gets a generation number, so close events
+    // from a transport we already replaced are ignored
+    this.generation = 0;
+    this.waiters = [];
+    this.reconnectTimer = null;
+    this.wakeReconnect = null;
+    this.closing = false;
   }
 
   async connect() {
+    this.closing = false;
+    this.state = 'connecting';
+
     try {
-      // WHY THIS WORKS (Research Section 2):
-      // "StdioClientTransport spawns child process automatically"
-      // "You just provide command and args"
-      // Command: 'npx' - Node package executor
-      // Args: ['-y', '@notionhq/notion-mcp-server'] - Auto-approve npx prompt
-      this.transport = new StdioClientTransport({
-        command: this.config.command,
-        args: this.config.args,
-        env: {
-          // CRITICAL (Research Section 2): "Always include ...process.env"
-          // WHY: Child process needs all env vars (PATH, HOME, etc.)
-          ...process.env,
-          ...this.config.env
-        }
-      });
+      await this.openConnection();
+    } catch (error) {
+      console.error('❌ MCP client connection failed:', error);
+      this.state = 'disconnected';
+      await this.cleanup({ final: false });
+      throw error;
+    }
+  }
+
+  /**
+   * Spawn the child and connect the MCP client to it
+   */
+  async openConnection() {
+    const generation = ++this.generation;
+
+    // WHY THIS WORKS (Research Section 2):
+    // "StdioClientTransport spawns child process automatically"
+    // "You just provide command and args"
+    // Command: 'npx' - Node package executor
+    // Args: ['-y', '@notionhq/notion-mcp-server'] - Auto-approve npx prompt
+    this.transport = new StdioClientTransport({
+      command: this.config.command,
+      args: this.config.args,
+      env: {
+        // CRITICAL (Research Section 2): "Always include ...process.env"
+        // WHY: Child process needs all env vars (PATH, HOME, etc.)
+        ...process.env,
+        ...this.config.env
+      }
+    });
 
-      // WHY THIS WORKS (Research Section 2):
-      // "Create MCP client with name and version"
-      // Client negotiates capabilities with server via JSON-RPC
-      this.client = new Client(
-        {
-          name: 'notion-mcp-client',
-          version: '1.0.0'
-        },
-        {
-          capabilities: {
-            tools: {},      // We'll call tools
-            resources: {},  // We can read resources
-            prompts: {}     // We can use prompts
-          }
+    // WHY THIS WORKS (Research Section 2):
+    // "Create MCP client with name and version"
+    // Client negotiates capabilities with server via JSON-RPC
+    this.client = new Client(
+      {
+        name: 'notion-mcp-client',
+        version: '1.0.0'
+      },
+      {
+        capabilities: {
+          tools: {},      // We'll call tools
+          resources: {},  // We can read resources
+          prompts: {}     // We can use prompts
         }
-      );
+      }
+    );
+
+    // WHY THIS WORKS: Client.onclose fires when the transport closes, which
+    // includes the child process exiting or crashing
+    this.client.onclose = () => {
+      if (generation === this.generation) {
+        this.handleDisconnect('transport closed');
+      }
+    };
+    this.client.onerror = (error) => {
+      if (generation === this.generation) {
+        console.warn(`⚠️ MCP transport error: ${error?.message || error}`);
+      }
+    };
 
-      // WHY THIS WORKS (Research Section 2):
-      // "Connect with timeout" - Prevents hanging forever
-      // 30 second timeout for Render (first run may need to cache npm package)
-      const connectPromise = this.client.connect(this.transport);
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Connection timeout')), 30000)
-      );
+    // WHY THIS WORKS (Research Section 2):
+    // "Connect with timeout" - Prevents hanging forever
+    // 30 second timeout for Render (first run may need to cache npm package)
+    // The same limit goes to the SDK's initialize request, whose timer would otherwise
+    // outlive a child that died mid-handshake by the SDK default (60s)
+    let connectTimer;
+    const connectPromise = this.client.connect(this.transport, { timeout: this.connectTimeout });
+    const timeoutPromise = new Promise((_, reject) => {
+      connectTimer = setTimeout(() => reject(new Error('Connection timeout')), this.connectTimeout);
+    });
 
+    try {
       await Promise.race([connectPromise, timeoutPromise]);
-      this.isConnected = true;
+    } finally {
+      clearTimeout(connectTimer);
+    }
 
-      console.log('✅ MCP client connected to Notion server');
-      
-      // WHY THIS WORKS (Research Section 3):
-      // "List available tools for debugging"
-      // Confirms server is responding and shows what tools we can call
-      const tools = await this.client.listTools();
-      console.log(`Available tools: ${tools.tools.map(t => t.name).join(', ')}`);
-      
-    } catch (error) {
-      console.error('❌ MCP client connection failed:', error);
-      await this.cleanup();
-      throw error;
+    console.log(`✅ MCP client connected to Notion server (PID: ${this.getProcessPid()})`);
+
+    // WHY THIS WORKS (Research Section 3):
+    // "List available tools for debugging"
+    // Confirms server is responding and shows what tools we can call
+    const tools = await this.client.listTools();
+    console.log(`Available tools: ${tools.tools.map(t => t.name).join(', ')}`);
+
+    // WHY THIS WORKS: Only marked connected once the server has answered,
+    // so a child that dies during the handshake counts as a failed attempt
+    this.isConnected = true;
+    this.state = 'connected';
+
+    this.emit('connected', { pid: this.getProcessPid() });
+  }
+
+  /**
+   * Connection lost - mark down and start reconnecting
+   */
+  handleDisconnect(reason) {
+    // Failed boot connects are thrown by connect(), failed reconnects retried by reconnect()
+    if (this.closing || this.state !== 'connected') return;
+
+    this.isConnected = false;
+    this.lastDisconnect = { reason, at: new Date().toISOString() };
+
+    console.error(`❌ MCP connection lost (${reason})`);
+    this.emit('disconnected', { reason });
+
+    this.reconnect();
+  }
+
+  /**
+   * Reconnect with backoff, up to maxRestarts attempts
+   * WHY THIS WORKS: A crashed child costs a few seconds instead of a redeploy
+   */
+  async reconnect() {
+    this.state = 'reconnecting';
+
+    for (let attempt = 1; attempt <= this.maxRestarts; attempt++) {
+      this.reconnectAttempt = attempt;
+
+      const delay = computeBackoff(attempt, { baseDelay: this.restartDelay, maxDelay: this.restartMaxDelay });
+      console.log(`🔄 MCP reconnect attempt ${attempt}/${this.maxRestarts} in ${(delay / 1000).toFixed(1)}s`);
+      this.emit('reconnecting', { attempt, maxRestarts: this.maxRestarts, delay });
+
+      await new Promise(resolve => {
+        this.wakeReconnect = resolve;
+        this.reconnectTimer = setTimeout(resolve, delay);
+      });
+      this.reconnectTimer = null;
+      this.wakeReconnect = null;
+
+      if (this.closing) return;
+
+      try {
+        await this.closeConnection();
+        await this.openConnection();
+
+        this.restartCount++;
+        this.lastRestartAt = new Date().toISOString();
+        this.reconnectAttempt = 0;
+
+        console.log(`✅ MCP client reconnected (restart #${this.restartCount})`);
+        this.emit('reconnected', { attempt, restartCount: this.restartCount });
+        this.settleWaiters(null);
+        return;
+
+      } catch (error) {
+        console.error(`❌ MCP reconnect attempt ${attempt} failed: ${error.message}`);
+        this.isConnected = false;
+        this.state = 'reconnecting';
+        this.emit('reconnect_error', { attempt, error });
+      }
     }
+
+    // WHY THIS WORKS: Out of attempts = fail fast until someone calls reconnectNow()
+    // (queued calls fail instead of hanging, /health reports degraded)
+    this.state = 'failed';
+    console.error(`❌ MCP client gave up after ${this.maxRestarts} reconnect attempts`);
+    this.emit('reconnect_failed', { attempts: this.maxRestarts });
+    this.settleWaiters(new Error(`MCP client not connected (reconnect failed after ${this.maxRestarts} attempts)`));
   }
 
-  async callTool(toolName, args, timeout = 30000) {
-    if (!this.isConnected || !this.client) {
-      throw new Error('MCP client not connected');
+  /**
+   * Start a fresh reconnect cycle after maxRestarts was exhausted
+   */
+  reconnectNow() {
+    if (this.state === 'connected' || this.state === 'reconnecting') return;
+    this.closing = false;
+    this.reconnect();
+  }
+
+  /**
+   * Resolve (or reject) every call waiting for the connection
+   */
+  settleWaiters(error) {
+    const waiters = this.waiters;
+    this.waiters = [];
+
+    for (const waiter of waiters) {
+      clearTimeout(waiter.timer);
+      if (error) waiter.reject(error);
+      else waiter.resolve();
+    }
+  }
+
+  /**
+   * Wait until connected, or throw if that can't happen
+   */
+  async ensureConnected() {
+    if (this.isConnected && this.client) return;
+
+    if (this.state !== 'reconnecting' || this.failFastWhileReconnecting) {
+      const detail = this.state === 'reconnecting'
+        ? ` (reconnecting, attempt ${this.reconnectAttempt}/${this.maxRestarts})`
+        : this.state === 'failed' ? ' (reconnect failed)' : '';
+      throw new Error(`MCP client not connected${detail}`);
     }
 
+    // Queue until the reconnect finishes
+    await new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(new Error(`MCP client not connected (still reconnecting after ${this.reconnectWaitTimeout}ms)`));
+      }, this.reconnectWaitTimeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * @param {string} toolName - MCP tool name
+   * @param {object} args - Tool arguments
+   * @param {object|number} options - { timeout, signal } (a number = timeout in ms)
+   */
+  async callTool(toolName, args, options = {}) {
+    if (typeof options === 'number') options = { timeout: options };
+    const timeout = options.timeout || 30000;
+
+    await this.ensureConnected();
+
     try {
       // WHY THIS WORKS (Research Section 3):
       // "All tools return JSON responses in MCP's standard format"
       // Format: { name: string, arguments: object }
-      const toolPromise = this.client.callTool({
+      //
+      // WHY THIS WORKS: The SDK owns the timeout (default 30s for complex API calls) - on
+      // timeout or abort it sends notifications/cancelled to the server and clears its timer
+      const result = await this.client.callTool({
         name: toolName,
         arguments: args || {}
-      });
-      
-      // Add timeout wrapper (default 30s for complex API calls)
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error(`Tool call timeout after ${timeout}ms`)), timeout)
-      );
-      
-      const result = await Promise.race([toolPromise, timeoutPromise]);
+      }, undefined, { timeout, signal: options.signal });
 
       // WHY THIS WORKS (Research Section 3):
       // "Check if result is error"
@@ -109,26 +305,31 @@ class MCPClient {
       // MCP wraps responses in content array with text field
       const contentText = result.content[0]?.text;
       return contentText ? JSON.parse(contentText) : result.content;
-      
+
     } catch (error) {
+      if (options.signal?.aborted) throw options.signal.reason;
+
+      if (error.code === ErrorCode.RequestTimeout) {
+        const timeoutError = new Error(`Tool call timeout after ${timeout}ms`);
+        timeoutError.code = 'ETOOLTIMEOUT';
+        console.error(`Tool call failed for ${toolName}: ${timeoutError.message}`);
+        throw timeoutError;
+      }
+
       console.error(`Tool call failed for ${toolName}:`, error);
       throw error;
     }
   }
 
   async listTools() {
-    if (!this.isConnected || !this.client) {
-      throw new Error('MCP client not connected');
-    }
+    await this.ensureConnected();
 
     const result = await this.client.listTools();
     return result.tools;
   }
 
   async listResources() {
-    if (!this.isConnected || !this.client) {
-      throw new Error('MCP client not connected');
-    }
+    await this.ensureConnected();
 
     const result = await this.client.listResources();
     return result.resources;
@@ -142,16 +343,37 @@ class MCPClient {
     // WHY THIS WORKS (Research Section 2):
     // "Transport holds reference to spawned child process"
     // Useful for health checks and monitoring
-    return this.transport?.process?.pid || null;
+    return this.transport?.pid || null;
   }
 
   getRestartCount() {
-    return this.processManager?.restartCount || 0;
+    return this.restartCount;
   }
 
-  async cleanup() {
-    console.log('Cleaning up MCP client...');
-    
+  /**
+   * Supervision state for /health/details
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      connected: this.isRunning(),
+      pid: this.getProcessPid(),
+      restartCount: this.restartCount,
+      lastRestartAt: this.lastRestartAt,
+      lastDisconnect: this.lastDisconnect,
+      reconnectAttempt: this.state === 'reconnecting' ? this.reconnectAttempt : null,
+      maxRestarts: this.maxRestarts,
+      waitingCalls: this.waiters.length
+    };
+  }
+
+  /**
+   * Close client and transport without touching supervision state
+   */
+  async closeConnection() {
+    // Bump generation first so the close we cause isn't treated as a crash
+    this.generation++;
+
     // WHY THIS WORKS (Research Section 7):
     // "Graceful shutdown - close client before transport"
     // Order matters: client -> transport -> process
@@ -174,11 +396,29 @@ class MCPClient {
     this.client = null;
     this.transport = null;
     this.isConnected = false;
-    
+  }
+
+  /**
+   * Shut down for good (or, with final: false, just tear down a failed connect)
+   */
+  async cleanup(options = {}) {
+    const final = options.final !== false;
+    console.log('Cleaning up MCP client...');
+
+    if (final) {
+      this.closing = true;
+      this.state = 'closed';
+
+      // Stop any reconnect in progress and release queued calls
+      if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+      if (this.wakeReconnect) this.wakeReconnect();
+      this.settleWaiters(new Error('MCP client not connected (shutting down)'));
+    }
+
+    await this.closeConnection();
+
     console.log('✅ MCP client cleanup complete');
   }
 }
 
 module.exports = MCPClient;
-
-
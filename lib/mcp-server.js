@@ -0,0 +1,360 @@
+// ============================================
+// IE7 MCP SERVER - Brief Intake Tools for Agents
+// ============================================
+// Exposes this service as an MCP server, so Claude Desktop, Cursor and other
+// agents can submit and preview briefs without going through n8n
+// WHY THIS WORKS: Tools call the same validateBrief / acceptBrief / jobQueue /
+// BriefPipeline as /create-request and /preview - an agent-submitted brief is
+// routed, mapped and templated exactly like a WhatsApp one
+//
+// TRANSPORTS:
+//   stdio           - node server.js --stdio (agent spawns the process, no HTTP port)
+//   streamable HTTP - POST /mcp on the running server (stateless, API key auth)
+//
+// TOOLS (scope needed over HTTP when auth is on):
+//   create_content_request  - submit   Queue a brief, returns jobId
+//   preview_brief           - submit   Dry run: properties + blocks, nothing written (same scope as POST /preview)
+//   list_databases          - read     Request types and their databases
+//   get_job_status          - read     Job state, steps and Notion page
+//   refresh_template_cache  - admin    Drop cached templates (by database, type, complexity or all)
+
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { ListToolsRequestSchema, CallToolRequestSchema, ErrorCode, McpError } = require('@modelcontextprotocol/sdk/types.js');
+const RequestAuthenticator = require('./auth');
+const { resolveIdempotencyKey } = require('./idempotency');
+const { version } = require('../package.json');
+
+// WHY THIS WORKS: briefData takes the same field names as the n8n webhook
+// (or any alias from GET /schema/brief), so agents can copy what they see in WhatsApp
+const BRIEF_INPUT = {
+  requestType: {
+    type: 'string',
+    description: 'Request type, e.g. "content_request" (see list_databases)'
+  },
+  briefData: {
+    type: 'object',
+    description: 'Brief fields, e.g. { "Project Name", "Asset Type", "Client Name", "Brief Details", "Due Date", "Complexity Level" }',
+    additionalProperties: true
+  }
+};
+
+const TOOLS = [
+  {
+    name: 'create_content_request',
+    scope: 'submit',
+    description: 'Queue a brief to become a Notion page (routed, property-mapped and templated like /create-request). Returns a jobId to poll with get_job_status.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...BRIEF_INPUT,
+        callbackUrl: { type: 'string', description: 'Optional https URL notified when the job finishes (no internal addresses)' },
+        idempotencyKey: { type: 'string', description: 'Optional key - resubmitting with the same key returns the original job' }
+      },
+      required: ['requestType', 'briefData']
+    }
+  },
+  {
+    name: 'preview_brief',
+    scope: 'submit',
+    description: 'Dry run a brief: shows the database, Notion properties, complexity and conflicts it would produce. Nothing is written.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...BRIEF_INPUT,
+        includeBlocks: { type: 'boolean', description: 'Include the full template block tree (large)', default: false }
+      },
+      required: ['requestType', 'briefData']
+    }
+  },
+  {
+    name: 'list_databases',
+    scope: 'read',
+    description: 'List request types and whether their Notion database is configured.',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'get_job_status',
+    scope: 'read',
+    description: 'Status, processing steps, errors and Notion page of a queued brief.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string' },
+        includePayload: { type: 'boolean', default: false }
+      },
+      required: ['jobId']
+    }
+  },
+  {
+    name: 'refresh_template_cache',
+    scope: 'admin',
+    description: 'Clear cached Notion templates so template edits apply to the next brief. Narrow it with databaseId, templateType and/or complexityLevel, or omit all three to clear everything.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        databaseId: { type: 'string' },
+        templateType: { type: 'string', description: 'e.g. "Content Request"' },
+        complexityLevel: { type: 'string', enum: ['Cup of Tea', 'Pizza', '3-Course Meal'] }
+      }
+    }
+  }
+];
+
+/**
+ * Error shown to the agent as a failed tool result (not a protocol error)
+ */
+class ToolError extends Error {
+  constructor(message, fields) {
+    super(message);
+    this.name = 'ToolError';
+    this.fields = fields;
+  }
+}
+
+// The agent that started the process over stdio owns it, like a local admin
+const STDIO_IDENTITY = Object.freeze({ method: 'stdio', name: 'stdio', scopes: Object.freeze(['admin']) });
+
+class ContentOpsMcpServer {
+  /**
+   * @param {object} services - { intake: { validate, accept, enqueue, isDraining }, jobStore,
+   *                              briefPipeline, briefRouter, templateFetcher, tenantId }
+   *                              (one server per tenant - it only sees that tenant's jobs)
+   */
+  constructor(services) {
+    this.services = services;
+    this.stats = { calls: 0, errors: 0, byTool: {} };
+  }
+
+  /**
+   * Build an SDK server with the tool handlers
+   * WHY THIS WORKS: One server per HTTP request (stateless) or one for the stdio session
+   *
+   * @param {object} localIdentity - Identity for calls that carry none (stdio only)
+   */
+  createServer(localIdentity) {
+    const server = new Server(
+      { name: 'ie7-content-operations', version },
+      { capabilities: { tools: {} } }
+    );
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      return this.callTool(request.params.name, request.params.arguments || {}, extra.authInfo || localIdentity);
+    });
+
+    return server;
+  }
+
+  /**
+   * Run one tool call
+   *
+   * @param {string} name - Tool name
+   * @param {object} args - Tool arguments
+   * @param {object} identity - req.auth from the HTTP middleware, or the stdio identity
+   * @returns {Promise<object>} MCP CallToolResult
+   */
+  async callTool(name, args, identity) {
+    const tool = TOOLS.find(t => t.name === name);
+
+    if (!tool) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+    }
+
+    this.stats.calls++;
+    this.stats.byTool[name] = (this.stats.byTool[name] || 0) + 1;
+
+    // WHY THIS WORKS: The /mcp endpoint only checks the read scope, writes are checked per tool.
+    // A call with no identity at all is refused rather than trusted
+    if (!identity) {
+      console.warn(`🚫 MCP tool ${name} rejected (no identity)`);
+      return this.toResult({ success: false, error: 'Authentication required' }, true);
+    }
+    if (!RequestAuthenticator.hasScope(identity, tool.scope)) {
+      console.warn(`🚫 MCP tool ${name} rejected for "${identity.name}" (missing scope: ${tool.scope})`);
+      return this.toResult({ success: false, error: `API key lacks required scope: ${tool.scope}` }, true);
+    }
+
+    console.log(`🧰 MCP tool call: ${name} (${identity.name})`);
+
+    try {
+      const handler = {
+        create_content_request: () => this.createContentRequest(args),
+        preview_brief: () => this.previewBrief(args),
+        list_databases: () => this.listDatabases(),
+        get_job_status: () => this.getJobStatus(args),
+        refresh_template_cache: () => this.refreshTemplateCache(args)
+      }[name];
+
+      return this.toResult(await handler());
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`❌ MCP tool ${name} failed:`, error.message);
+      return this.toResult({ success: false, error: error.message, fields: error.fields }, true);
+    }
+  }
+
+  /**
+   * Brief payload in the "api" adapter shape
+   */
+  toPayload(args) {
+    if (!args.requestType || typeof args.briefData !== 'object' || args.briefData === null) {
+      throw new ToolError('requestType and briefData are required');
+    }
+
+    return {
+      requestType: args.requestType,
+      briefData: args.briefData,
+      ...(args.callbackUrl && { callbackUrl: args.callbackUrl })
+    };
+  }
+
+  async createContentRequest(args) {
+    const { intake, jobStore } = this.services;
+    const payload = this.toPayload(args);
+
+    const result = intake.validate(payload);
+    if (result.error) {
+      throw new ToolError(result.error, result.fields);
+    }
+
+    if (intake.isDraining()) {
+      throw new ToolError('Server is shutting down, retry shortly');
+    }
+
+    const { job, duplicate } = intake.accept(payload, result, {
+      idempotencyKey: resolveIdempotencyKey(args.idempotencyKey, payload)
+    });
+
+    if (!duplicate) {
+      intake.enqueue(job);
+    }
+
+    const current = jobStore.get(job.id) || job;
+
+    return {
+      success: true,
+      duplicate,
+      message: duplicate ? 'Duplicate submission - returning original job' : 'Request accepted and processing',
+      jobId: job.id,
+      status: current.status,
+      notionPageUrl: current.notionPageUrl || null,
+      statusUrl: `/jobs/${job.id}`
+    };
+  }
+
+  async previewBrief(args) {
+    const preview = await this.services.briefPipeline.preview(this.toPayload(args));
+
+    // WHY THIS WORKS: Block trees run to hundreds of blocks - agents usually only need the summary
+    if (!args.includeBlocks) {
+      delete preview.blocks;
+    }
+
+    return preview;
+  }
+
+  async listDatabases() {
+    const databases = this.services.briefRouter.getAvailableDatabases();
+
+    return {
+      success: true,
+      databases,
+      totalConfigured: databases.filter(db => db.configured).length
+    };
+  }
+
+  async getJobStatus(args) {
+    const { jobStore } = this.services;
+    const job = jobStore.get(args.jobId);
+
+    if (!job || (job.tenantId || 'default') !== (this.services.tenantId || 'default')) {
+      throw new ToolError(`Job not found: ${args.jobId}`);
+    }
+
+    return {
+      success: true,
+      job: jobStore.toJSON(job, { includePayload: args.includePayload === true })
+    };
+  }
+
+  async refreshTemplateCache(args) {
+    const { templateFetcher } = this.services;
+    const { databaseId, templateType, complexityLevel } = args;
+    const narrowed = !!(databaseId || templateType || complexityLevel);
+    const removed = templateFetcher.clearCache(narrowed ? { databaseId, templateType, complexityLevel } : null);
+
+    return {
+      success: true,
+      message: narrowed ? `${removed} cached templates cleared` : 'All template cache cleared',
+      removed,
+      cacheStats: templateFetcher.getCacheStats()
+    };
+  }
+
+  /**
+   * Wrap a JSON result as MCP text content
+   */
+  toResult(body, isError = false) {
+    return {
+      content: [{ type: 'text', text: JSON.stringify(body, null, 2) }],
+      ...(isError && { isError: true })
+    };
+  }
+
+  /**
+   * Serve over stdin/stdout (the agent owns the process)
+   * NOTE: stdout belongs to the protocol - server.js sends console.log to stderr in this mode
+   */
+  async connectStdio() {
+    const server = this.createServer(STDIO_IDENTITY);
+    await server.connect(new StdioServerTransport());
+    console.log('🧰 MCP server ready on stdio');
+    return server;
+  }
+
+  /**
+   * Express handler for POST /mcp (streamable HTTP, stateless)
+   * WHY THIS WORKS: No sessions to keep - every request gets its own server + transport,
+   * and state lives in jobStore like the rest of the API
+   */
+  async handleHttp(req, res) {
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: undefined,
+      enableJsonResponse: true
+    });
+
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      console.error('❌ MCP HTTP request failed:', error.message);
+
+      if (!res.headersSent) {
+        res.status(500).json({
+          jsonrpc: '2.0',
+          error: { code: ErrorCode.InternalError, message: 'Internal server error' },
+          id: null
+        });
+      }
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, tools: TOOLS.map(t => t.name) };
+  }
+}
+
+ContentOpsMcpServer.TOOLS = TOOLS;
+
+module.exports = ContentOpsMcpServer;
@@ -0,0 +1,489 @@
+// ============================================
+// NOTION GATEWAY
+// ============================================
+// One interface for every Notion call, whichever backend serves it
+// Operations keep the notion-mcp-server tool names (API-post-page, API-get-block-children, ...)
+// so TemplateFetcher, RequestClassifier and the pipeline don't care what's underneath
+//
+// BACKENDS (NOTION_BACKEND):
+//   mcp  - MCPClient, spawns @notionhq/notion-mcp-server as a child process (default)
+//   rest - Direct HTTPS to the Notion REST API (no child process, no npm registry at boot)
+//   fake - In-memory workspace from fixtures/notion (lib/fake-notion.js) for offline dev and CI
+//
+// INTERFACE: connect(), callTool(operation, args, timeout), listTools(), isRunning(),
+//            getProcessPid(), getStatus(), cleanup()
+// Backends implement request(); callTool() adds the shared rate limiter (lib/rate-limiter.js)
+
+const EventEmitter = require('events');
+const path = require('path');
+const axios = require('axios');
+const MCPClient = require('./mcp-client');
+const ToolPolicy = require('./tool-policy');
+const { classifyError, computeBackoff } = require('./retry-policy');
+
+// WHY THIS WORKS: Same path/body split notion-mcp-server uses - {params} come from args,
+// everything else goes in the query string (GET) or JSON body (POST/PATCH)
+// kind drives timeouts and retries (see lib/tool-policy.js)
+const NOTION_OPERATIONS = {
+  'API-get-user': { method: 'GET', path: '/users/{user_id}', kind: 'read' },
+  'API-get-users': { method: 'GET', path: '/users', kind: 'read' },
+  'API-get-self': { method: 'GET', path: '/users/me', kind: 'read' },
+  'API-post-database-query': { method: 'POST', path: '/databases/{database_id}/query', kind: 'read' },
+  'API-post-search': { method: 'POST', path: '/search', kind: 'read' },
+  'API-get-block-children': { method: 'GET', path: '/blocks/{block_id}/children', kind: 'read' },
+  'API-patch-block-children': { method: 'PATCH', path: '/blocks/{block_id}/children', kind: 'write' },
+  'API-retrieve-a-block': { method: 'GET', path: '/blocks/{block_id}', kind: 'read' },
+  'API-update-a-block': { method: 'PATCH', path: '/blocks/{block_id}', kind: 'idempotent_write' },
+  'API-delete-a-block': { method: 'DELETE', path: '/blocks/{block_id}', kind: 'idempotent_write' },
+  'API-retrieve-a-page': { method: 'GET', path: '/pages/{page_id}', kind: 'read' },
+  'API-patch-page': { method: 'PATCH', path: '/pages/{page_id}', kind: 'idempotent_write' },
+  'API-post-page': { method: 'POST', path: '/pages', kind: 'write' },
+  'API-create-a-database': { method: 'POST', path: '/databases', kind: 'write' },
+  'API-update-a-database': { method: 'PATCH', path: '/databases/{database_id}', kind: 'idempotent_write' },
+  'API-retrieve-a-database': { method: 'GET', path: '/databases/{database_id}', kind: 'read' },
+  'API-retrieve-a-page-property': { method: 'GET', path: '/pages/{page_id}/properties/{property_id}', kind: 'read' },
+  'API-retrieve-a-comment': { method: 'GET', path: '/comments', kind: 'read' },
+  'API-create-a-comment': { method: 'POST', path: '/comments', kind: 'write' }
+};
+
+/**
+ * Build an Error from a Notion error body ({ object: 'error', status, code, message })
+ * WHY THIS WORKS: Keeps status + code, so retry-policy retries 429/5xx, dead-letters
+ * validation_error, and createPage can self-correct from the message
+ */
+function notionApiError(body, operation) {
+  const error = new Error(`Notion API error (${body.status} ${body.code}): ${body.message}`);
+  error.status = body.status;
+  error.code = body.code;
+  error.operation = operation;
+  return error;
+}
+
+const DEFAULT_BASE_URL = 'https://api.notion.com/v1';
+const DEFAULT_NOTION_VERSION = '2022-06-28';
+
+/**
+ * Base class - documents the interface every backend implements
+ * Backends emit the same supervision events where they apply
+ */
+class NotionGateway extends EventEmitter {
+  /**
+   * @param {string} backend - 'mcp' | 'rest' | 'fake'
+   * @param {object} options - { limiter: RateLimiter shared by every call, toolPolicy: ToolPolicy }
+   */
+  constructor(backend, options = {}) {
+    super();
+    this.backend = backend;
+    this.limiter = options.limiter || null;
+    this.toolPolicy = options.toolPolicy || new ToolPolicy({ operations: NOTION_OPERATIONS });
+  }
+
+  async connect() {
+    throw new Error(`${this.backend} gateway does not implement connect()`);
+  }
+
+  /**
+   * Run a Notion operation with its timeout/retry policy (and the rate limiter, if any)
+   * WHY THIS WORKS: Reads are retried on transient errors, non-idempotent writes never are
+   *
+   * @param {string} operation - Operation name (see NOTION_OPERATIONS)
+   * @param {object} args - Path params + query/body fields, as notion-mcp-server takes them
+   * @param {number} timeout - Optional per-call timeout in ms (default: from the tool policy)
+   * @returns {Promise<object>} Parsed Notion response
+   */
+  async callTool(operation, args, timeout) {
+    const policy = this.toolPolicy.resolve(operation, timeout);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const call = () => this.requestWithTimeout(operation, args, policy);
+        return await (this.limiter ? this.limiter.schedule(call, operation) : call());
+      } catch (error) {
+        if (attempt > policy.retries || !classifyError(error).retryable) throw error;
+
+        const delay = computeBackoff(attempt, { baseDelay: policy.retryBaseDelay, maxDelay: policy.retryMaxDelay });
+        console.warn(`🔁 ${operation} failed (${error.message}), retry ${attempt}/${policy.retries} in ${(delay / 1000).toFixed(1)}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * One attempt, aborted when the policy timeout fires
+   * WHY THIS WORKS: The abort reaches the backend (MCP sends notifications/cancelled,
+   * REST aborts the HTTP request) instead of leaving it running after we've given up,
+   * and the timer is always cleared
+   */
+  async requestWithTimeout(operation, args, policy) {
+    const controller = new AbortController();
+    let timer;
+
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = this.timeoutError(operation, policy);
+        controller.abort(error);
+        reject(error);
+      }, policy.timeout);
+    });
+
+    try {
+      return await Promise.race([
+        this.request(operation, args, { signal: controller.signal, timeout: policy.timeout }),
+        timedOut
+      ]);
+    } catch (error) {
+      if (controller.signal.aborted) throw controller.signal.reason;
+      // Backend's own timeout fired first - same rules apply
+      if (error.code === 'ETOOLTIMEOUT') throw this.timeoutError(operation, policy);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Timeout error - permanent for non-idempotent writes
+   * WHY THIS WORKS: A write that timed out may still have been applied; replaying the
+   * job would create a second page or a second set of blocks
+   */
+  timeoutError(operation, policy) {
+    const unsafe = policy.kind === 'write';
+    const error = new Error(
+      `Tool call timeout after ${policy.timeout}ms: ${operation}` +
+      (unsafe ? ' (write may have been applied - not retried)' : '')
+    );
+    error.code = 'ETOOLTIMEOUT';
+    error.operation = operation;
+    if (unsafe) {
+      error.retryable = false;
+      error.outcomeUnknown = true;
+    }
+    return error;
+  }
+
+  /**
+   * Backend-specific call - implemented by each backend
+   *
+   * @param {object} options - { signal: AbortSignal, timeout }
+   */
+  async request(operation, args, options) {
+    throw new Error(`${this.backend} gateway does not implement request()`);
+  }
+
+  async listTools() {
+    return Object.keys(NOTION_OPERATIONS).map(name => ({ name }));
+  }
+
+  isRunning() {
+    return false;
+  }
+
+  getProcessPid() {
+    return null;
+  }
+
+  getStatus() {
+    return { backend: this.backend, connected: this.isRunning() };
+  }
+
+  async cleanup() {}
+}
+
+/**
+ * MCP backend - thin wrapper around the supervised MCPClient
+ */
+class McpNotionGateway extends NotionGateway {
+  /**
+   * @param {MCPClient} client - Configured (not yet connected) MCP client
+   * @param {object} options - { limiter }
+   */
+  constructor(client, options = {}) {
+    super('mcp', options);
+    this.client = client;
+
+    // Re-emit supervision events so server.js listens in one place
+    for (const event of ['connected', 'disconnected', 'reconnecting', 'reconnected', 'reconnect_error', 'reconnect_failed']) {
+      this.client.on(event, payload => this.emit(event, payload));
+    }
+  }
+
+  async connect() {
+    return this.client.connect();
+  }
+
+  async request(operation, args, options) {
+    return this.client.callTool(operation, args, options);
+  }
+
+  async listTools() {
+    return this.client.listTools();
+  }
+
+  isRunning() {
+    return this.client.isRunning();
+  }
+
+  getProcessPid() {
+    return this.client.getProcessPid();
+  }
+
+  getStatus() {
+    return { backend: this.backend, ...this.client.getStatus() };
+  }
+
+  async cleanup() {
+    return this.client.cleanup();
+  }
+}
+
+/**
+ * REST backend - calls the Notion API directly over HTTPS
+ */
+class RestNotionGateway extends NotionGateway {
+  /**
+   * @param {object} options - { token, baseUrl, notionVersion, timeout, limiter }
+   */
+  constructor(options = {}) {
+    super('rest', options);
+    this.token = options.token;
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.notionVersion = options.notionVersion || DEFAULT_NOTION_VERSION;
+    this.timeout = options.timeout || 30000;
+
+    this.state = 'disconnected';
+    this.requestCount = 0;
+    this.errorCount = 0;
+    this.lastError = null;
+
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+        'Notion-Version': this.notionVersion,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Check the token once at boot (GET /users/me)
+   * WHY THIS WORKS: A bad token fails startup, same as the MCP child failing to spawn
+   */
+  async connect() {
+    if (!this.token) {
+      throw new Error('NOTION_TOKEN is required for the rest Notion backend');
+    }
+
+    this.state = 'connecting';
+    try {
+      const self = await this.callTool('API-get-self', {});
+      this.state = 'connected';
+      console.log(`✅ Notion REST backend connected as ${self.name || self.id} (${this.baseUrl})`);
+      this.emit('connected', { baseUrl: this.baseUrl });
+    } catch (error) {
+      this.state = 'disconnected';
+      throw error;
+    }
+  }
+
+  /**
+   * Turn an operation + flat args into method, URL, query and body
+   */
+  buildRequest(operation, args = {}) {
+    const spec = NOTION_OPERATIONS[operation];
+    if (!spec) {
+      throw this.permanentError(`Unknown Notion operation: ${operation}`);
+    }
+
+    const rest = { ...args };
+    const path = spec.path.replace(/\{(\w+)\}/g, (_, param) => {
+      const value = rest[param];
+      if (value === undefined || value === null || value === '') {
+        throw this.permanentError(`Notion operation ${operation} requires ${param}`);
+      }
+      delete rest[param];
+      return encodeURIComponent(value);
+    });
+
+    for (const key of Object.keys(rest)) {
+      if (rest[key] === undefined) delete rest[key];
+    }
+
+    const hasBody = spec.method === 'POST' || spec.method === 'PATCH';
+    return {
+      method: spec.method,
+      url: path,
+      params: hasBody ? undefined : rest,
+      data: hasBody ? rest : undefined
+    };
+  }
+
+  permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+  }
+
+  async request(operation, args, options = {}) {
+    const request = this.buildRequest(operation, args || {});
+    this.requestCount++;
+
+    try {
+      // With a signal the gateway owns the timeout (so write timeouts stay flagged as unsafe)
+      const response = await this.http.request({ ...request, signal: options.signal, timeout: options.signal ? 0 : this.timeout });
+      return response.data;
+    } catch (error) {
+      this.errorCount++;
+      const notionError = this.toNotionError(operation, error);
+      this.lastError = { operation, message: notionError.message, at: new Date().toISOString() };
+      throw notionError;
+    }
+  }
+
+  /**
+   * Normalize axios failures into errors retry-policy can classify
+   */
+  toNotionError(operation, error) {
+    const body = error.response?.data;
+
+    if (body && body.object === 'error') {
+      const notionError = notionApiError(body, operation);
+
+      const retryAfter = parseInt(error.response.headers?.['retry-after']);
+      if (!isNaN(retryAfter)) notionError.retryAfter = retryAfter;
+      return notionError;
+    }
+
+    if (error.code === 'ECONNABORTED') {
+      const timeoutError = new Error(`Tool call timeout: ${operation} (${error.message})`);
+      timeoutError.code = error.code;
+      timeoutError.operation = operation;
+      return timeoutError;
+    }
+
+    // Network errors keep their code (ECONNRESET, ENOTFOUND, ...), HTTP errors their status
+    if (error.response?.status) error.status = error.response.status;
+    error.operation = operation;
+    return error;
+  }
+
+  isRunning() {
+    return this.state === 'connected';
+  }
+
+  getStatus() {
+    return {
+      backend: this.backend,
+      state: this.state,
+      connected: this.isRunning(),
+      baseUrl: this.baseUrl,
+      notionVersion: this.notionVersion,
+      requests: this.requestCount,
+      errors: this.errorCount,
+      lastError: this.lastError
+    };
+  }
+
+  async cleanup() {
+    this.state = 'closed';
+    console.log('✅ Notion REST backend closed');
+  }
+}
+
+/**
+ * Fake backend - in-process FakeNotion seeded from fixtures (offline dev, CI)
+ */
+class FakeNotionGateway extends NotionGateway {
+  /**
+   * @param {FakeNotion} fake - Seeded fake workspace
+   * @param {object} options - { limiter }
+   */
+  constructor(fake, options = {}) {
+    super('fake', options);
+    this.fake = fake;
+    this.state = 'disconnected';
+  }
+
+  async connect() {
+    this.state = 'connected';
+    console.log('🧪 Using fake Notion backend (in-memory, nothing is written to Notion)');
+    this.emit('connected', {});
+  }
+
+  async request(operation, args, options = {}) {
+    options.signal?.throwIfAborted();
+    try {
+      return this.fake.handle(operation, args);
+    } catch (error) {
+      if (error.name === 'FakeNotionError') {
+        throw notionApiError(error.toJSON(), operation);
+      }
+      throw error;
+    }
+  }
+
+  isRunning() {
+    return this.state === 'connected';
+  }
+
+  getStatus() {
+    return {
+      backend: this.backend,
+      state: this.state,
+      connected: this.isRunning(),
+      databases: this.fake.databases.size,
+      createdPages: this.fake.getCreatedPages().length
+    };
+  }
+
+  async cleanup() {
+    this.state = 'closed';
+  }
+}
+
+/**
+ * Build the gateway selected by config
+ *
+ * @param {object} config - { backend: 'mcp' | 'rest' | 'fake', token, limiter, toolPolicy, mcp: MCPClient options,
+ *                            rest: RestNotionGateway options, fake: { fixtures, createSelectOptions } }
+ * @returns {NotionGateway}
+ */
+function createNotionGateway(config = {}) {
+  const backend = (config.backend || 'mcp').toLowerCase();
+  const options = { limiter: config.limiter, toolPolicy: config.toolPolicy };
+
+  if (backend === 'rest') {
+    return new RestNotionGateway({ token: config.token, ...config.rest, ...options });
+  }
+
+  if (backend === 'mcp') {
+    return new McpNotionGateway(new MCPClient({
+      command: 'npx',
+      args: ['-y', '@notionhq/notion-mcp-server'],
+      env: { NOTION_TOKEN: config.token },
+      ...config.mcp
+    }), options);
+  }
+
+  if (backend === 'fake') {
+    // Loaded lazily - production never needs the fake
+    const { FakeNotion } = require('./fake-notion');
+    const fakeConfig = config.fake || {};
+    return new FakeNotionGateway(FakeNotion.fromFile(
+      fakeConfig.fixtures || path.join(__dirname, '..', 'fixtures', 'notion', 'workspace.json'),
+      { createSelectOptions: fakeConfig.createSelectOptions }
+    ), options);
+  }
+
+  throw new Error(`Unknown Notion backend "${config.backend}" (expected "mcp", "rest" or "fake")`);
+}
+
+module.exports = {
+  NotionGateway,
+  McpNotionGateway,
+  RestNotionGateway,
+  FakeNotionGateway,
+  createNotionGateway,
+  notionApiError,
+  NOTION_OPERATIONS
+};
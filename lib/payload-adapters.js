@@ -0,0 +1,367 @@
+// ============================================
+// IE7 PAYLOAD ADAPTERS
+// ============================================
+// Turns inbound webhook payloads (n8n, Typeform, web forms, direct API) into
+// the canonical { requestType, briefData } the pipeline works with
+// WHY THIS WORKS: Each source declares how to recognise its format and how to
+// convert it - adding a new source = registering one adapter, no pipeline changes
+//
+// Form field names are mapped to the n8n labels via lib/brief-schema.js, so briefs
+// look the same downstream whatever the source
+//
+// ADAPTER SHAPE:
+// {
+//   name: 'my_source',
+//   description: 'What sends this',
+//   detect: (payload) => boolean,
+//   normalize: (payload) => ({ assetType | requestType, briefData })
+// }
+
+const { canonicalLabel, resolveField } = require('./brief-schema');
+
+/**
+ * First non-empty value among possible keys
+ */
+function pick(data, keys) {
+  for (const key of keys) {
+    if (data && data[key] !== undefined && data[key] !== null && data[key] !== '') {
+      return data[key];
+    }
+  }
+  return null;
+}
+
+// ============================================
+// ENVELOPE
+// ============================================
+// Delivery fields that travel with a brief but aren't part of it. They may sit at the
+// payload root or in n8n's body wrapper, and are passed alongside briefData, never in it
+
+const ENVELOPE_FIELDS = {
+  tenant: ['tenant'],
+  callbackUrl: ['callbackUrl', 'callback_url']
+};
+const ENVELOPE_KEYS = Object.values(ENVELOPE_FIELDS).flat();
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Envelope of one brief: { tenant, callbackUrl }
+ * WHY THIS WORKS: A field set in two places must agree, so a value inside the brief
+ * can't quietly redirect the callback (or the tenant) set next to it
+ *
+ * @param {object} item - One brief (already unwrapped from any array)
+ * @throws {Error} The root, body wrapper or briefData disagree
+ */
+function readEnvelope(item) {
+  const sources = [item, item?.body, item?.briefData].filter(isPlainObject);
+  const envelope = {};
+
+  for (const [field, keys] of Object.entries(ENVELOPE_FIELDS)) {
+    const values = [...new Set(sources.flatMap(source => keys.map(key => source[key])).filter(Boolean))];
+    if (values.length > 1) {
+      throw new Error(`Invalid payload: ${field} is set more than once with different values - send it once`);
+    }
+    envelope[field] = values[0] || null;
+  }
+
+  return envelope;
+}
+
+// ============================================
+// BUILT-IN ADAPTERS
+// ============================================
+
+/**
+ * Direct API calls already in canonical shape
+ */
+const apiAdapter = {
+  name: 'api',
+  description: 'Direct API call: { requestType, briefData }',
+  detect: (payload) => !!payload.requestType && !!payload.briefData && typeof payload.briefData === 'object',
+  normalize: (payload) => ({
+    requestType: payload.requestType,
+    briefData: payload.briefData
+  })
+};
+
+/**
+ * n8n webhook: fields in a "body" wrapper (CASE 1) or at the root (CASE 2)
+ */
+const n8nAdapter = {
+  name: 'n8n',
+  description: 'n8n webhook with body wrapper or Title Case fields at root',
+  detect: (payload) => {
+    if (payload.requestType) return false;
+    if (payload.body && typeof payload.body === 'object') return true;
+    return !!(payload['Asset Type'] || payload['Project Name']);
+  },
+  normalize: (payload) => {
+    // CASE 1: n8n format with body wrapper
+    if (payload.body && typeof payload.body === 'object') {
+      console.log('✅ CASE 1: n8n format with body wrapper');
+      console.log('📊 Body field keys:', Object.keys(payload.body));
+      console.log('📊 Body["Asset Type"]:', payload.body['Asset Type']);
+
+      return {
+        assetType: resolveField(payload.body, 'project.assetType'),
+        briefData: payload.body
+      };
+    }
+
+    // CASE 2: n8n sending fields directly at root (no body wrapper)
+    console.log('✅ CASE 2: n8n format with fields at root level');
+    console.log('📊 Root level keys:', Object.keys(payload));
+    console.log('📊 payload["Asset Type"]:', payload['Asset Type']);
+
+    // Entire payload IS the briefData (tenant and callbackUrl are dropped by normalize())
+    return {
+      assetType: resolveField(payload, 'project.assetType'),
+      briefData: { ...payload }
+    };
+  }
+};
+
+/**
+ * Typeform-style webhook: answers array keyed by field ref / question title
+ * Accepts the Typeform shape ({ form_response: { answers, definition, hidden } })
+ * and a bare { answers: [...] } from forms that mimic it
+ */
+const typeformAdapter = {
+  name: 'typeform',
+  description: 'Typeform webhook (form_response.answers) or any { answers: [...] } array',
+  detect: (payload) => {
+    const response = payload.form_response || payload;
+    return Array.isArray(response.answers);
+  },
+  normalize: (payload) => {
+    const response = payload.form_response || payload;
+    const definitionFields = response.definition?.fields || [];
+
+    // WHY THIS WORKS: Answers only carry field id/ref - titles live in the definition
+    const titlesById = {};
+    for (const field of definitionFields) {
+      titlesById[field.id] = field.title;
+      if (field.ref) titlesById[field.ref] = field.title;
+    }
+
+    const briefData = {};
+
+    for (const answer of response.answers) {
+      const field = answer.field || {};
+      const rawLabel = answer.title || answer.question || titlesById[field.id] || titlesById[field.ref] || field.ref || field.id;
+      if (!rawLabel) continue;
+
+      const label = canonicalLabel(rawLabel) || rawLabel;
+      briefData[label] = typeformAnswerValue(answer);
+    }
+
+    // Hidden fields (e.g. ?asset_type=... in the form URL) fill gaps, never override answers
+    for (const [key, value] of Object.entries(response.hidden || {})) {
+      const label = canonicalLabel(key) || key;
+      if (briefData[label] === undefined) {
+        briefData[label] = value;
+      }
+    }
+
+    if (response.submitted_at) {
+      briefData['Submitted At'] = response.submitted_at;
+    }
+
+    return {
+      assetType: briefData['Asset Type'] || null,
+      briefData
+    };
+  }
+};
+
+/**
+ * Value of one Typeform answer, whatever its type
+ */
+function typeformAnswerValue(answer) {
+  switch (answer.type) {
+    case 'choice':
+      return answer.choice?.label || answer.choice?.other || null;
+    case 'choices':
+      return [...(answer.choices?.labels || []), ...(answer.choices?.other ? [answer.choices.other] : [])];
+    case 'email':
+      return answer.email;
+    case 'url':
+      return answer.url;
+    case 'file_url':
+      return answer.file_url;
+    case 'date':
+      return answer.date;
+    case 'number':
+      return answer.number;
+    case 'boolean':
+      return answer.boolean;
+    case 'phone_number':
+      return answer.phone_number;
+    case 'text':
+      return answer.text;
+    default:
+      return answer.text ?? answer.value ?? answer.answer ?? null;
+  }
+}
+
+/**
+ * Generic JSON web form: flat snake_case / camelCase fields, optionally wrapped
+ * in "fields", "form" or "formData"
+ */
+const jsonFormAdapter = {
+  name: 'json_form',
+  description: 'Generic JSON form with snake_case/camelCase fields (optionally under fields/form/formData)',
+  detect: (payload) => {
+    const fields = pick(payload, ['fields', 'formData', 'form']);
+    if (fields && typeof fields === 'object' && !Array.isArray(fields)) return true;
+
+    return Object.keys(payload).some(key => canonicalLabel(key));
+  },
+  normalize: (payload) => {
+    const wrapped = pick(payload, ['fields', 'formData', 'form']);
+    const fields = wrapped && typeof wrapped === 'object' ? wrapped : payload;
+
+    const briefData = {};
+    for (const [key, value] of Object.entries(fields)) {
+      const label = canonicalLabel(key) || key;
+      briefData[label] = value;
+    }
+
+    return {
+      assetType: briefData['Asset Type'] || null,
+      briefData
+    };
+  }
+};
+
+// ============================================
+// REGISTRY
+// ============================================
+
+class PayloadAdapterRegistry {
+  /**
+   * @param {BriefRouter} briefRouter - Request type lookups
+   * @param {object} options - { defaultAssetType } used when a brief has no Asset Type (default: none, routing decides)
+   */
+  constructor(briefRouter, options = {}) {
+    this.briefRouter = briefRouter;
+    this.defaultAssetType = options.defaultAssetType || null;
+
+    // WHY THIS ORDER: Most specific shapes first, the catch-all form adapter last
+    this.adapters = [];
+    for (const adapter of [apiAdapter, typeformAdapter, n8nAdapter, jsonFormAdapter]) {
+      this.register(adapter);
+    }
+  }
+
+  /**
+   * Register an adapter
+   *
+   * @param {object} adapter - { name, description, detect, normalize }
+   * @param {object} options - { before: 'adapter_name' } to insert ahead of an existing adapter
+   */
+  register(adapter, options = {}) {
+    if (!adapter?.name || typeof adapter.detect !== 'function' || typeof adapter.normalize !== 'function') {
+      throw new Error('Payload adapter needs a name, detect(payload) and normalize(payload)');
+    }
+
+    // Re-registering a name replaces it
+    this.adapters = this.adapters.filter(a => a.name !== adapter.name);
+
+    const beforeIndex = options.before ? this.adapters.findIndex(a => a.name === options.before) : -1;
+    if (beforeIndex >= 0) {
+      this.adapters.splice(beforeIndex, 0, adapter);
+    } else {
+      this.adapters.push(adapter);
+    }
+  }
+
+  /**
+   * Unwrap n8n's single-item array wrapper
+   * WHY THIS WORKS: Longer arrays are batches - server.js splits them into one job
+   * per element, so they must never reach an adapter as a whole
+   */
+  unwrap(payload) {
+    if (Array.isArray(payload) && payload.length === 1) {
+      console.log('✅ Detected n8n array format, extracting single element');
+      return payload[0];
+    }
+    return payload;
+  }
+
+  /**
+   * Find the adapter that recognises a payload
+   *
+   * @returns {object|null} Adapter
+   */
+  detect(payload) {
+    const item = this.unwrap(payload);
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+
+    return this.adapters.find(adapter => {
+      try {
+        return adapter.detect(item);
+      } catch (error) {
+        console.warn(`⚠️ Payload adapter "${adapter.name}" detect failed: ${error.message}`);
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Normalize a payload into { requestType, assetType, briefData, adapter, envelope }
+   * (envelope = { tenant, callbackUrl }, see readEnvelope)
+   */
+  normalize(payload) {
+    if (Array.isArray(payload) && payload.length > 1) {
+      throw new Error(`Invalid payload: batch of ${payload.length} briefs must be split into one job per element`);
+    }
+
+    const item = this.unwrap(payload);
+    const adapter = this.detect(item);
+
+    if (!adapter) {
+      throw new Error(
+        `Invalid payload: no adapter recognised this format. ` +
+        `Supported: ${this.adapters.map(a => a.name).join(', ')}`
+      );
+    }
+
+    console.log(`🔌 Payload adapter: ${adapter.name}`);
+
+    const envelope = readEnvelope(item);
+    const normalized = adapter.normalize(item);
+
+    if (!normalized.briefData || typeof normalized.briefData !== 'object') {
+      throw new Error(`briefData is required and must be an object (adapter: ${adapter.name})`);
+    }
+
+    const briefData = Object.fromEntries(
+      Object.entries(normalized.briefData).filter(([key]) => !ENVELOPE_KEYS.includes(key))
+    );
+
+    // WHY THIS WORKS: Type names are resolved by the routing engine (explicit, alias,
+    // rules, LLM), so an unknown or missing Asset Type isn't guessed here
+    const requestType = normalized.requestType || null;
+    const assetType = normalized.assetType || this.defaultAssetType || null;
+
+    if (!requestType) {
+      console.log(`📋 Asset Type from brief: ${assetType ? `"${assetType}"` : '(none)'}`);
+    }
+
+    return { requestType, assetType, briefData, adapter: adapter.name, envelope };
+  }
+
+  /**
+   * Registered adapters for /health and error messages
+   */
+  list() {
+    return this.adapters.map(a => ({ name: a.name, description: a.description || '' }));
+  }
+}
+
+PayloadAdapterRegistry.builtInAdapters = { apiAdapter, n8nAdapter, typeformAdapter, jsonFormAdapter };
+PayloadAdapterRegistry.readEnvelope = readEnvelope;
+
+module.exports = PayloadAdapterRegistry;
@@ -0,0 +1,197 @@
+// ============================================
+// IE7 NOTION RATE LIMITER
+// ============================================
+// Shared token bucket in front of every Notion call (all backends, all jobs)
+// WHY THIS WORKS: Notion allows ~3 requests/second per integration. One brief makes
+// 6-20 calls, so MAX_CONCURRENT_REQUESTS=3 jobs easily overrun it without a shared budget
+//
+// PRIORITY: Calls are served oldest-job-first. A job that started earlier (and is
+// further through the pipeline) gets tokens before a job that just started, so
+// in-flight briefs finish instead of every brief slowing down together
+// Calls outside a job (previews, admin endpoints) queue by arrival time
+//
+// 429s: The whole bucket pauses for Retry-After (or a backoff when Notion/MCP
+// doesn't send one), then the call is retried at the front of its queue position
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { getErrorStatus } = require('./retry-policy');
+
+// WHY THIS WORKS: Job context follows the async call chain, so TemplateFetcher,
+// the classifier and the pipeline don't need a priority argument threaded through
+const jobContext = new AsyncLocalStorage();
+
+class RateLimiter {
+  /**
+   * @param {object} options - { requestsPerSecond, burst, maxRetries, defaultRetryAfter, maxRetryAfter }
+   *                           requestsPerSecond 0 = no limiting (429 handling still applies)
+   */
+  constructor(options = {}) {
+    this.requestsPerSecond = Number.isFinite(options.requestsPerSecond) ? options.requestsPerSecond : 3;
+    this.burst = options.burst || Math.max(1, Math.ceil(this.requestsPerSecond));
+    this.maxRetries = Number.isFinite(options.maxRetries) ? options.maxRetries : 3;
+    this.defaultRetryAfter = options.defaultRetryAfter || 1000;
+    this.maxRetryAfter = options.maxRetryAfter || 30000;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.consecutive429s = 0;
+    this.queue = [];
+    this.sequence = 0;
+    this.timer = null;
+
+    this.stats = {
+      calls: 0,
+      throttled: 0,
+      rateLimited: 0,
+      retried: 0,
+      maxQueueDepth: 0,
+      lastRateLimitedAt: null
+    };
+  }
+
+  /**
+   * Run fn with job context, so its Notion calls get job priority
+   *
+   * @param {object} job - Job record ({ id })
+   * @param {function} fn - async () => result
+   */
+  runAsJob(job, fn) {
+    return jobContext.run({ jobId: job.id, startedAt: Date.now() }, fn);
+  }
+
+  /**
+   * Run a Notion call once a token is free, retrying on 429
+   *
+   * @param {function} fn - async () => result
+   * @param {string} label - Operation name (for logs)
+   */
+  async schedule(fn, label = 'call') {
+    const context = jobContext.getStore();
+    const priority = context?.startedAt ?? Date.now();
+    this.stats.calls++;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(priority, context?.jobId);
+
+      let result;
+      try {
+        result = await fn();
+      } catch (error) {
+        if (getErrorStatus(error) !== 429 || attempt >= this.maxRetries) throw error;
+        this.onRateLimited(error.retryAfter, label, context, attempt);
+        continue;
+      }
+
+      // MCP backend: notion-mcp-server returns Notion error bodies as results
+      if (result?.object === 'error' && result.status === 429 && attempt < this.maxRetries) {
+        this.onRateLimited(null, label, context, attempt);
+        continue;
+      }
+
+      this.consecutive429s = 0;
+      return result;
+    }
+  }
+
+  /**
+   * Pause the whole bucket - every caller is over the limit, not just this one
+   */
+  onRateLimited(retryAfterSeconds, label, context, attempt) {
+    this.consecutive429s++;
+    this.stats.rateLimited++;
+    this.stats.retried++;
+    this.stats.lastRateLimitedAt = new Date().toISOString();
+
+    const wait = retryAfterSeconds
+      ? Math.min(this.maxRetryAfter, retryAfterSeconds * 1000)
+      : Math.min(this.maxRetryAfter, this.defaultRetryAfter * Math.pow(2, this.consecutive429s - 1));
+
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + wait);
+    this.tokens = 0;
+    this.lastRefill = this.pausedUntil;
+
+    const owner = context?.jobId ? `job ${context.jobId}` : 'request';
+    console.warn(`🐢 Notion rate limited on ${label} (${owner}), pausing ${(wait / 1000).toFixed(1)}s (retry ${attempt + 1}/${this.maxRetries})`);
+  }
+
+  /**
+   * Wait for a token; lower priority value = served first
+   */
+  acquire(priority, jobId = null) {
+    return new Promise(resolve => {
+      const entry = { priority, jobId, sequence: this.sequence++, resolve };
+
+      // Insert in order (queue stays sorted, usually short)
+      let index = this.queue.findIndex(other =>
+        other.priority > priority || (other.priority === priority && other.sequence > entry.sequence)
+      );
+      if (index === -1) index = this.queue.length;
+      this.queue.splice(index, 0, entry);
+
+      const granted = this.drain();
+      if (!granted.includes(entry)) {
+        this.stats.throttled++;
+        this.stats.maxQueueDepth = Math.max(this.stats.maxQueueDepth, this.queue.length);
+      }
+    });
+  }
+
+  refill() {
+    const now = Date.now();
+    if (this.requestsPerSecond > 0) {
+      this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.requestsPerSecond);
+    } else {
+      this.tokens = this.burst;
+    }
+    this.lastRefill = now;
+  }
+
+  /**
+   * Hand out every token available now, then schedule the next wake-up
+   * @returns {Array} Entries granted in this pass
+   */
+  drain() {
+    const granted = [];
+    const now = Date.now();
+
+    if (now >= this.pausedUntil) {
+      this.refill();
+      while (this.queue.length > 0 && this.tokens >= 1) {
+        this.tokens -= 1;
+        const entry = this.queue.shift();
+        granted.push(entry);
+        entry.resolve();
+      }
+    }
+
+    if (this.queue.length > 0 && !this.timer) {
+      const untilToken = this.requestsPerSecond > 0 ? ((1 - this.tokens) / this.requestsPerSecond) * 1000 : 0;
+      const delay = Math.max(this.pausedUntil - now, untilToken, 1);
+
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.ceil(delay));
+    }
+
+    return granted;
+  }
+
+  /**
+   * Limiter state for /health/details
+   */
+  getStats() {
+    const now = Date.now();
+    return {
+      requestsPerSecond: this.requestsPerSecond,
+      burst: this.burst,
+      queueDepth: this.queue.length,
+      queuedForJobs: this.queue.filter(entry => entry.jobId).length,
+      pausedForMs: Math.max(0, this.pausedUntil - now),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,117 @@
+// ============================================
+// RETRY POLICY - Error Classification & Backoff
+// ============================================
+// WHY THIS WORKS: Transient failures (Notion timeout, OpenAI 429, MCP child crash)
+// are retried with backoff, permanent ones (bad request type, validation) go
+// straight to the dead-letter list instead of burning attempts
+
+// WHY THESE PATTERNS: Permanent = retrying the same brief can never succeed
+const PERMANENT_PATTERNS = [
+  /unknown request type/i,
+  /request ?type is required/i,
+  /briefData is required/i,
+  /database id not configured/i,
+  /invalid payload/i,
+  /validation_error/i,
+  /unauthorized/i,
+  /restricted_resource/i,
+  /object_not_found/i,
+  /api token is invalid/i
+];
+
+// WHY THESE PATTERNS: Network blips, rate limits, overloaded upstreams, dead MCP child
+const RETRYABLE_PATTERNS = [
+  /tool call timeout/i,
+  /connection timeout/i,
+  /mcp client not connected/i,
+  /connection closed/i,
+  /rate.?limit/i,
+  /internal_server_error/i,
+  /service_unavailable/i,
+  /conflict_error/i,
+  /socket hang up/i,
+  /network error/i,
+  /timed? ?out/i
+];
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ECONNABORTED'];
+
+/**
+ * Pull an HTTP status out of the error shapes we see
+ * (OpenAI SDK: error.status, axios: error.response.status, Notion via MCP: "status":429 in text)
+ */
+function getErrorStatus(error) {
+  if (!error) return null;
+  if (typeof error.status === 'number') return error.status;
+  if (typeof error.response?.status === 'number') return error.response.status;
+
+  // MCP tool errors embed the Notion response as (possibly escaped) JSON text
+  const match = String(error.message || '').match(/\\?"status\\?"\s*:\s*(\d{3})/);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Classify an error as retryable or permanent
+ *
+ * @param {Error} error - Error thrown while processing a job
+ * @returns {object} { retryable: boolean, reason: string }
+ */
+function classifyError(error) {
+  const message = String(error?.message || error || '');
+
+  // Explicit flag wins (lets callers mark their own errors)
+  if (typeof error?.retryable === 'boolean') {
+    return { retryable: error.retryable, reason: error.retryable ? 'flagged_retryable' : 'flagged_permanent' };
+  }
+
+  const status = getErrorStatus(error);
+  if (status === 429) {
+    return { retryable: true, reason: 'rate_limited' };
+  }
+  if (status >= 500) {
+    return { retryable: true, reason: `http_${status}` };
+  }
+  if (status >= 400) {
+    return { retryable: false, reason: `http_${status}` };
+  }
+
+  if (error?.code && RETRYABLE_CODES.includes(error.code)) {
+    return { retryable: true, reason: 'network' };
+  }
+
+  if (PERMANENT_PATTERNS.some(pattern => pattern.test(message))) {
+    return { retryable: false, reason: 'permanent' };
+  }
+
+  if (RETRYABLE_PATTERNS.some(pattern => pattern.test(message))) {
+    return { retryable: true, reason: 'transient' };
+  }
+
+  // WHY THIS WORKS: Unknown errors get retried - a wasted retry is cheaper than a lost brief
+  return { retryable: true, reason: 'unclassified' };
+}
+
+/**
+ * Exponential backoff with jitter
+ * WHY THIS WORKS: Jitter spreads retries from jobs that failed together (e.g. a Notion
+ * outage) so they don't all hit the API again at the same instant
+ *
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {object} options - { baseDelay, maxDelay } in ms
+ * @returns {number} Delay in ms before the next attempt
+ */
+function computeBackoff(attempt, options = {}) {
+  const baseDelay = options.baseDelay || 5000;
+  const maxDelay = options.maxDelay || 300000;
+
+  const exponential = Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+
+  // Equal jitter: half fixed, half random
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+module.exports = {
+  classifyError,
+  computeBackoff,
+  getErrorStatus
+};
@@ -0,0 +1,373 @@
+// ============================================
+// IE7 ROUTING ENGINE
+// ============================================
+// Decides which request type (database) a brief belongs to
+// WHY THIS WORKS: Briefs without a usable Asset Type used to be guessed into
+// Content Request - now each stage only routes when it is confident, and the
+// rest wait in a review queue for a person to pick the type
+//
+// STAGES (first confident answer wins):
+//   1. explicit - requestType / Asset Type names a type or one of its aliases
+//                 (a type whose database isn't configured, or whose registry entry is broken,
+//                 goes to review, not to Notion)
+//   2. rule     - routingRules from config/databases.json match the brief fields
+//   3. llm      - OpenAI picks a type and reports its confidence
+//   otherwise   - needsReview (job parks in "needs_review", see GET /review-queue)
+//
+// FAN-OUT: One brief can become several linked requests (photoshoot + the posts + publishing)
+//   - requestType / Asset Type lists several types ("Photoshoot, Social Post", or an array)
+//   - a rule with "fanOut": true matches - its type is added next to the routed one
+// The first type is the primary request, the rest come back in routing.linked
+//
+// RULE FORMAT (per type in config/databases.json):
+// "routingRules": [{
+//   "name": "photographer + location",
+//   "all": [{ "mentions": ["photographer", "photoshoot"] }, { "field": "Location", "exists": true }],
+//   "any": [...],                          (optional: at least one must hold)
+//   "confidence": 0.85,
+//   "fanOut": true                         (optional: also create this type next to the routed one)
+// }]
+// Conditions: { mentions: [words] } anywhere in the brief text,
+//             { field, exists: true } / { field, matches: "regex" } on a brief field or any key
+
+const OpenAI = require('openai');
+const { resolveField } = require('./brief-schema');
+
+/**
+ * Thrown when no stage is confident enough to route a brief
+ * WHY THIS WORKS: JobQueue parks the job for review instead of retrying or dead-lettering it
+ */
+class RoutingReviewError extends Error {
+  constructor(routing) {
+    super(`Routing needs review: ${routing.reason}`);
+    this.name = 'RoutingReviewError';
+    this.needsReview = true;
+    this.retryable = false;
+    this.routing = routing;
+  }
+}
+
+class RoutingEngine {
+  /**
+   * @param {object} options - { briefRouter, minConfidence, llmEnabled, model, apiKey }
+   */
+  constructor(options = {}) {
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+
+    this.briefRouter = options.briefRouter;
+    this.minConfidence = Number.isFinite(options.minConfidence) ? options.minConfidence : 0.7;
+    this.llmEnabled = options.llmEnabled !== false && !!apiKey;
+    this.model = options.model || 'o3-mini';
+
+    this.openai = this.llmEnabled ? new OpenAI({ apiKey }) : null;
+
+    this.stats = { explicit: 0, rule: 0, llm: 0, review: 0, fanOut: 0 };
+  }
+
+  get registry() {
+    return this.briefRouter.registry;
+  }
+
+  /**
+   * Route one brief
+   *
+   * @param {object} input - { requestType, assetType, briefData, brief }
+   * @returns {Promise<object>} { type, method, confidence, reason, candidates, linked, needsReview }
+   */
+  async resolve(input) {
+    const { requestType, assetType, briefData, brief } = input;
+
+    const allRuleMatches = this.evaluateRules(briefData, brief);
+    const ruleMatches = this.bestPerType(allRuleMatches);
+
+    // Stage 1: explicit type or alias (or a list of them)
+    for (const [source, value] of [['requestType', requestType], ['Asset Type', assetType]]) {
+      const explicit = this.explicitTypes(value);
+      if (!explicit) continue;
+
+      // WHY THIS WORKS: Config is missing, not the brief - park it until the database is set
+      // (BriefRouter.route would throw and the job would be dead-lettered)
+      const unconfigured = explicit.filter(({ type }) => !this.registry.get(type)?.databaseId);
+      if (unconfigured.length > 0) {
+        const fixes = unconfigured.map(({ type }) => {
+          const entry = this.registry.get(type);
+          return entry.disabled ? `fix the "${type}" entry in the database registry` : `set ${entry.databaseIdEnv}`;
+        });
+        return this.review({
+          reason: `${source} names ${unconfigured.map(({ type }) => `"${type}"`).join(', ')}, which ${unconfigured.length === 1 ? 'has' : 'have'} no database configured ` +
+            `(${fixes.join(', ')})`,
+          hint: [].concat(value).join(', '),
+          candidates: []
+        });
+      }
+
+      const [primary, ...others] = explicit;
+      const linked = others.map(({ type, label }) => ({
+        type,
+        method: 'explicit',
+        confidence: 1,
+        reason: `${source} also lists "${label}"`
+      }));
+
+      return this.routed({
+        type: primary.type,
+        method: primary.method,
+        confidence: 1,
+        reason: `${source} "${primary.label}" matches ${primary.method === 'alias' ? 'an alias of ' : ''}${primary.type}`,
+        linked
+      }, allRuleMatches);
+    }
+
+    const hint = [].concat(requestType || assetType || []).join(', ') || null;
+    if (hint) {
+      console.log(`🧭 "${hint}" is not a known request type or alias, trying routing rules...`);
+    }
+
+    // Stage 2: declarative rules
+    const best = ruleMatches[0];
+    const tied = best && ruleMatches.some(match => match.type !== best.type && match.confidence === best.confidence);
+
+    if (best && !tied && best.confidence >= this.minConfidence) {
+      return this.routed({
+        type: best.type,
+        method: 'rule',
+        confidence: best.confidence,
+        reason: `rule "${best.rule}" matched`,
+        candidates: ruleMatches
+      }, allRuleMatches);
+    }
+
+    // Stage 3: LLM classifier
+    let llmResult = null;
+    if (this.llmEnabled) {
+      try {
+        llmResult = await this.classifyWithLLM(briefData, hint, ruleMatches);
+      } catch (error) {
+        // WHY THIS WORKS: A classifier outage shouldn't fail the brief - a person can route it
+        console.warn(`⚠️ LLM routing failed: ${error.message}`);
+      }
+
+      if (llmResult && llmResult.confidence >= this.minConfidence) {
+        return this.routed({
+          type: llmResult.type,
+          method: 'llm',
+          confidence: llmResult.confidence,
+          reason: llmResult.reasoning || 'LLM classification',
+          candidates: ruleMatches
+        }, allRuleMatches);
+      }
+    }
+
+    // Nothing confident - park for review
+    const candidates = [
+      ...(llmResult ? [{ type: llmResult.type, confidence: llmResult.confidence, source: 'llm', reasoning: llmResult.reasoning }] : []),
+      ...ruleMatches.map(match => ({ ...match, source: 'rule' }))
+    ];
+
+    let reason;
+    if (tied) reason = `rules disagree (${ruleMatches.filter(m => m.confidence === best.confidence).map(m => m.type).join(' vs ')})`;
+    else if (llmResult) reason = `best guess "${llmResult.type}" at ${llmResult.confidence} is below ${this.minConfidence}`;
+    else if (best) reason = `best rule match "${best.type}" at ${best.confidence} is below ${this.minConfidence}`;
+    else reason = hint ? `"${hint}" is not a known request type and nothing else matched` : 'no request type and nothing matched';
+
+    return this.review({ reason, hint, candidates });
+  }
+
+  /**
+   * Park a brief for a person to route
+   *
+   * @param {object} routing - { reason, hint, candidates }
+   */
+  review({ reason, hint, candidates }) {
+    this.stats.review++;
+    console.warn(`🗂️  Routing needs review: ${reason}`);
+
+    return {
+      type: null,
+      method: 'review',
+      confidence: candidates[0]?.confidence || 0,
+      reason,
+      hint,
+      candidates,
+      linked: [],
+      needsReview: true
+    };
+  }
+
+  /**
+   * Finish a confident route: add fan-out rule matches as linked requests
+   *
+   * @param {object} routing - Primary route { type, method, confidence, reason, linked }
+   * @param {Array} ruleMatches - Every matching rule from evaluateRules()
+   */
+  routed(routing, ruleMatches = []) {
+    const linked = [...(routing.linked || [])];
+    const taken = new Set([routing.type, ...linked.map(link => link.type)]);
+
+    for (const match of ruleMatches) {
+      if (!match.fanOut || match.confidence < this.minConfidence || taken.has(match.type)) continue;
+
+      taken.add(match.type);
+      linked.push({ type: match.type, method: 'rule', confidence: match.confidence, reason: `fan-out rule "${match.rule}" matched` });
+    }
+
+    this.stats[routing.method === 'alias' ? 'explicit' : routing.method]++;
+    console.log(`🧭 Routed by ${routing.method} to ${routing.type} (confidence ${routing.confidence}): ${routing.reason}`);
+
+    if (linked.length > 0) {
+      this.stats.fanOut++;
+      console.log(`🔀 Fan-out: linked ${linked.map(link => link.type).join(', ')} request${linked.length === 1 ? '' : 's'}`);
+    }
+
+    return { candidates: [], ...routing, linked, needsReview: false };
+  }
+
+  /**
+   * Types named by a requestType / Asset Type value
+   * WHY THIS WORKS: The whole value is tried first, so an alias that contains
+   * "and" or a comma still wins over splitting it into a list
+   *
+   * @param {string|Array} value - "Photoshoot", "Photoshoot, Social Post", ["photoshoot", "publishing"]
+   * @returns {Array|null} [{ type, method, label }] (no duplicates), or null if any part is unknown
+   */
+  explicitTypes(value) {
+    const labels = Array.isArray(value)
+      ? value
+      : (typeof value === 'string' && value.trim() ? [value] : []);
+    if (labels.length === 0) return null;
+
+    const resolveLabel = (label) => {
+      const type = this.briefRouter.resolveRequestType(label);
+      if (!type) return null;
+      const method = type === this.briefRouter.normalizeRequestType(label) ? 'explicit' : 'alias';
+      return { type, method, label };
+    };
+
+    const resolved = [];
+    for (const label of labels) {
+      const whole = resolveLabel(label);
+      const parts = whole ? [whole] : String(label).split(/\s*(?:,|;|\+|&|\band\b)\s*/i).filter(Boolean).map(resolveLabel);
+      if (parts.length === 0 || parts.some(part => !part)) return null;
+      resolved.push(...parts);
+    }
+
+    return resolved.filter((entry, index) => resolved.findIndex(other => other.type === entry.type) === index);
+  }
+
+  /**
+   * Every rule that matches (configured databases only)
+   *
+   * @returns {Array} [{ type, rule, confidence, fanOut }]
+   */
+  evaluateRules(briefData, brief) {
+    const text = this.briefText(briefData);
+    const matches = [];
+
+    for (const entry of this.registry.list()) {
+      if (!entry.databaseId) continue;
+
+      for (const rule of entry.routingRules) {
+        const holds = (condition) => this.checkCondition(condition, briefData, brief, text);
+        const allHold = rule.all.every(holds);
+        const anyHolds = rule.any.length === 0 || rule.any.some(holds);
+
+        if (allHold && anyHolds) {
+          matches.push({ type: entry.type, rule: rule.name, confidence: rule.confidence, fanOut: rule.fanOut });
+        }
+      }
+    }
+
+    return matches.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * One match per type (its strongest rule), best first
+   */
+  bestPerType(matches) {
+    const byType = {};
+    for (const match of matches) {
+      if (!byType[match.type] || byType[match.type].confidence < match.confidence) {
+        byType[match.type] = match;
+      }
+    }
+
+    return Object.values(byType).sort((a, b) => b.confidence - a.confidence);
+  }
+
+  checkCondition(condition, briefData, brief, text) {
+    if (condition.mentions) {
+      return condition.mentions.test(text);
+    }
+
+    const value = resolveField(brief, condition.field) ?? resolveField(briefData, condition.field);
+    if (value === null || value === undefined) return false;
+    if (condition.matches) return condition.matches.test(Array.isArray(value) ? value.join(', ') : String(value));
+    return true;
+  }
+
+  /**
+   * All text in the brief, keys included ("Venue: Hilton" mentions venue)
+   */
+  briefText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(item => this.briefText(item)).join('\n');
+    if (typeof value === 'object') {
+      return Object.entries(value).map(([key, item]) => `${key}: ${this.briefText(item)}`).join('\n');
+    }
+    return String(value);
+  }
+
+  /**
+   * Ask the LLM which configured type fits
+   *
+   * @returns {Promise<object>} { type, confidence, reasoning }
+   */
+  async classifyWithLLM(briefData, hint, ruleMatches) {
+    const types = this.registry.list().filter(entry => entry.databaseId);
+    if (types.length === 0) return null;
+
+    console.log('🤖 Asking LLM to route the brief...');
+
+    const prompt = `Pick the request type this brief belongs to.
+
+## REQUEST TYPES
+${types.map(t => `- ${t.type}: ${t.name} - ${t.description}${t.aliases.length ? ` (also called: ${t.aliases.join(', ')})` : ''}`).join('\n')}
+
+## BRIEF
+${hint ? `Sender's label: "${hint}"\n` : ''}${JSON.stringify(briefData, null, 2).substring(0, 6000)}
+${ruleMatches.length ? `\nRouting rules matched: ${ruleMatches.map(m => `${m.type} ("${m.rule}")`).join(', ')}\n` : ''}
+## OUTPUT
+Return JSON: { "requestType": "<one of the types above>", "confidence": <0.0-1.0>, "reasoning": "<one sentence>" }
+Use a low confidence when the brief could fit more than one type or none of them.`;
+
+    const completion = await this.openai.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: 'You route content operations briefs to the right intake database. Return only valid JSON.' },
+        { role: 'user', content: prompt }
+      ],
+      response_format: { type: 'json_object' },
+      reasoning_effort: 'low',
+      max_completion_tokens: 1000
+    });
+
+    const result = JSON.parse(completion.choices[0].message.content.trim());
+    const type = result.requestType && this.briefRouter.resolveRequestType(result.requestType);
+
+    // WHY THIS WORKS: An answer outside the list counts as no answer
+    if (!type || !types.some(t => t.type === type)) {
+      return { type: result.requestType || null, confidence: 0, reasoning: `LLM answered unknown type "${result.requestType}"` };
+    }
+
+    const confidence = Math.max(0, Math.min(1, Number(result.confidence) || 0));
+    return { type, confidence, reasoning: result.reasoning || null };
+  }
+
+  getStats() {
+    return { minConfidence: this.minConfidence, llmEnabled: this.llmEnabled, routedBy: { ...this.stats } };
+  }
+}
+
+RoutingEngine.RoutingReviewError = RoutingReviewError;
+
+module.exports = RoutingEngine;
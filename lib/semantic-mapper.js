@@ -7,9 +7,12 @@
 const OpenAI = require('openai');
 
 class SemanticPropertyMapper {
+  /**
+   * @param {object} options - { apiKey, model, reasoningEffort } (apiKey defaults to OPENAI_API_KEY)
+   */
   constructor(options = {}) {
     this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY
     });
     
     // WHY THIS WORKS: GPT-5 provides superior reasoning and structured output reliability
@@ -80,11 +83,11 @@ class SemanticPropertyMapper {
           } catch (recoveryError) {
             console.error('❌ Recovery failed. Falling back to basic mapping.');
             // Fallback to basic mapping
-            return this.createBasicFallbackMapping(briefData, databaseSchema);
+            return this.createBasicFallbackMapping(briefData, databaseSchema, sopGuidelines);
           }
         } else {
           console.error('❌ Could not recover JSON. Falling back to basic mapping.');
-          return this.createBasicFallbackMapping(briefData, databaseSchema);
+          return this.createBasicFallbackMapping(briefData, databaseSchema, sopGuidelines);
         }
       }
       
@@ -113,7 +116,7 @@ class SemanticPropertyMapper {
    * Create basic fallback mapping when LLM fails
    * WHY THIS EXISTS: System should still work even if LLM produces bad JSON
    */
-  createBasicFallbackMapping(briefData, databaseSchema) {
+  createBasicFallbackMapping(briefData, databaseSchema, sopGuidelines = {}) {
     console.log('🔧 Creating basic fallback mapping...');
     
     const mapping = {
@@ -137,10 +140,10 @@ class SemanticPropertyMapper {
       }
     }
     
-    // Add default assignee
-    const defaultAssignee = process.env.DEFAULT_ASSIGNEE_ID || '6c6d356a-61d2-455e-9ddd-bfb3cf43da4e';
-    if (databaseSchema.properties['Assignee']) {
-      mapping.populate['Assignee'] = { value: defaultAssignee, confidence: 1.0, reason: 'System default' };
+    // Add default assignee (only with a Notion user id - people fields can't take a name)
+    const defaultAssigneeId = sopGuidelines.defaultAssignee?.id;
+    if (defaultAssigneeId && databaseSchema.properties['Assignee']) {
+      mapping.populate['Assignee'] = { value: defaultAssigneeId, confidence: 1.0, reason: 'System default' };
     }
     
     console.log(`✅ Fallback mapping: ${Object.keys(mapping.populate).length} properties`);
@@ -274,7 +277,7 @@ Return ONLY valid JSON with this structure:
 1. **Use semantic understanding** - Don't just match keywords, understand meaning
 2. **Explain reasoning** - Be specific about WHY each decision was made
 3. **When uncertain, flag** - Better to ask than populate incorrectly
-4. **Follow SOPs** - If SOP says "Assignee always = Daniel Fayomi", populate that
+4. **Follow SOPs** - If the SOP names a default assignee, populate that
 5. **Respect Notion types** - Match value format to property type (date format, select options, etc.)
 6. **Check select options** - If property is select/multi_select, ensure value matches available options
 
@@ -308,7 +311,7 @@ Return ONLY the JSON, no other text.`;
       
       if (propType === 'people') {
         description += `\n  → MUST be valid user ID (UUID), NOT a name`;
-        description += `\n  → Example: {"value": "6c6d356a-61d2-455e-9ddd-bfb3cf43da4e"}`;
+        description += `\n  → Example: {"value": "<user ID from the workspace users list>"}`;
       }
       
       if (propType === 'date') {
@@ -395,7 +398,8 @@ Return ONLY the JSON, no other text.`;
     const lines = [];
     
     if (sopGuidelines.defaultAssignee) {
-      lines.push(`**Default Assignee**: ${sopGuidelines.defaultAssignee.name} (${sopGuidelines.defaultAssignee.email})`);
+      const { name, email, id } = sopGuidelines.defaultAssignee;
+      lines.push(`**Default Assignee**: ${name || id}${email ? ` (${email})` : ''}${id ? ` → ID: ${id}` : ''}`);
     }
     
     if (sopGuidelines.decisionRules) {
@@ -423,7 +427,7 @@ Return ONLY the JSON, no other text.`;
     
     // Default assignee rule (from user's SOPs)
     if (sopGuidelines.defaultAssignee) {
-      rules.push(`1. **Assignee Field**: Always populate with "${sopGuidelines.defaultAssignee.name}" (this is a SYSTEM RULE, not workflow assignment)`);
+      rules.push(`1. **Assignee Field**: Always populate with "${sopGuidelines.defaultAssignee.name || sopGuidelines.defaultAssignee.id}" (this is a SYSTEM RULE, not workflow assignment)`);
     }
     
     // Add other special rules from SOPs
@@ -9,20 +9,24 @@ const SOPParser = require('./sop-parser');
 const CompletenessChecker = require('./completeness-checker');
 const SectionPrioritizer = require('./section-prioritizer');
 const StakeholderOptimizer = require('./stakeholder-optimizer');
+const { aliasesFor, resolveField } = require('./brief-schema');
+const { childrenOf, fetchBlockTree } = require('./block-tree');
 // ConflictDetector REMOVED - adds opinions ("budget too low"), IE7 team makes those calls
 
 class SmartTemplateProcessor {
-  constructor(mcpClient, templateFetcher, options = {}) {
-    this.mcpClient = mcpClient;
+  constructor(notion, templateFetcher, options = {}) {
+    this.notion = notion;
     this.templateFetcher = templateFetcher;
     this.sopParser = new SOPParser();
     this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY
     });
     this.model = options.model || 'gpt-5';
+    // { clients } of the brief - picks client-specific templates (TemplateFetcher.fetchTemplate)
+    this.templateContext = options.templateContext || {};
     
     // PHASE 2: Advanced Reasoning Modules
-    this.completenessChecker = new CompletenessChecker(mcpClient);
+    this.completenessChecker = new CompletenessChecker(notion);
     this.sectionPrioritizer = new SectionPrioritizer();
     this.stakeholderOptimizer = new StakeholderOptimizer();
     // this.conflictDetector REMOVED - no opinion-based conflict detection
@@ -56,11 +60,15 @@ class SmartTemplateProcessor {
     const template = await this.templateFetcher.fetchTemplate(
       databaseId,
       null,
-      complexityLevel
+      complexityLevel,
+      this.templateContext
     );
     
     console.log(`✅ Template fetched: ${template.blockCount} blocks`);
     
+    // Which template version built this page (snapshot hash, pin) - read by BriefPipeline
+    this.templateUsed = template;
+    
     // Check if using LLM-only mode (no Notion template)
     if (template.isLLMOnly) {
       console.log('🤖 LLM-ONLY MODE DETECTED: Generating complete page structure from GPT-5');
@@ -347,7 +355,7 @@ Return ONLY valid JSON. Use null for missing fields. NO markdown, NO explanation
       console.error('❌ LLM extraction failed:', error.message);
       
       // Fallback: Basic extraction without debug text
-      const dueDate = briefData['Due Dates'] || briefData['Due Date'] || briefData['Deadline'];
+      const dueDate = resolveField(briefData, 'dates.due');
       let urgencySummary = null;
       
       // If there's a due date, show it (factual)
@@ -554,30 +562,26 @@ Return ONLY valid JSON. Use null for missing fields. NO markdown, NO explanation
         'quality_level', // Inferred quality standard
         
         // Complexity metadata (should be in properties, not content)
-        'complexity level', 'complexityLevel', 'complexity_level',
+        ...aliasesFor(['project.complexity']),
         
         // Duplicate content
-        'user_brain_dump', // Duplicate of Raw Brief
-        'Raw Brief', 'raw_brief', 'rawBrief', // Will be in its own section
-        'Project Name', 'project_name', 'projectName', // In properties
+        ...aliasesFor(['rawBrief']), // Will be in its own section (user_brain_dump is an alias)
+        ...aliasesFor(['project.name']), // In properties
         
         // Property data (ALREADY in page database properties - don't repeat in content)
-        'Client Name', 'client_name', 'clientName',
-        'Company Name', 'company_name', 'companyName',
-        'USER ID', 'user_id', 'userId', 'User_Number', 'User Number',
-        'Contact Email', 'contact_email', 'contactEmail', 'Client Email',
-        'Category', 'category',
-        'Asset Type', 'asset_type', 'assetType',
-        'Desired Date', 'desired_date', 'Due Dates', 'due_date', 'dueDate',
-        'interaction notes', 'interactionNotes', 'interaction_notes',
-        'Requested Priority', 'requested_priority',
+        // WHY THIS WORKS: Aliases come from lib/brief-schema.js, so every spelling is skipped
+        ...aliasesFor([
+          'client.name', 'client.company', 'client.userNumber', 'client.email',
+          'project.category', 'project.assetType', 'project.priority',
+          'dates.desired', 'dates.due', 'interactionNotes'
+        ]),
         'Freelancer Needed?', 'freelancer_needed',
         'Freelancer Allocated', 'freelancer_allocated',
         'Accept Brief?', 'accept_brief',
         'Media Link', 'media_link',
         
         // Parsed content (already processed into sections)
-        'brief_details', 'briefDetails'
+        ...aliasesFor(['briefDetails'])
       ];
     
     for (const [key, value] of Object.entries(allDataFields)) {
@@ -765,17 +769,17 @@ Return ONLY valid JSON. Use null for missing fields. NO markdown, NO explanation
     if (normalizedHeading.includes('keydetails') || normalizedHeading.includes('key details')) {
       // Key Details = dates, priority, client info, complexity
       const keyDetailsData = {
-        dates: originalBriefData['Due Dates'] || originalBriefData['dates'] || extractedData.dates,
-        client: originalBriefData['Client Name'] || extractedData.client_name,
-        email: originalBriefData['Client Email'] || originalBriefData['Contact Email'],
-        company: originalBriefData['Company Name'] || extractedData.company_name,
+        dates: resolveField(originalBriefData, 'dates.due') || extractedData.dates,
+        client: resolveField(originalBriefData, 'client.name') || extractedData.client_name,
+        email: resolveField(originalBriefData, 'client.email'),
+        company: resolveField(originalBriefData, 'client.company') || extractedData.company_name,
         priority: extractedData.priority || extractedData.urgency_level,
         complexity: extractedData.complexity_level,
-        userId: originalBriefData['User_Number'] || originalBriefData['USER ID']
+        userId: resolveField(originalBriefData, 'client.userNumber')
       };
       
-      // Remove undefined values
-      Object.keys(keyDetailsData).forEach(k => keyDetailsData[k] === undefined && delete keyDetailsData[k]);
+      // Remove missing values
+      Object.keys(keyDetailsData).forEach(k => (keyDetailsData[k] === undefined || keyDetailsData[k] === null) && delete keyDetailsData[k]);
       
       if (Object.keys(keyDetailsData).length > 0) {
         console.log(`🎯 SMART MAPPING: "Key Details" ← dates, client, priority`);
@@ -806,12 +810,12 @@ Return ONLY valid JSON. Use null for missing fields. NO markdown, NO explanation
     if (normalizedHeading.includes('notes') || normalizedHeading.includes('considerations') || normalizedHeading.includes('context')) {
       // Notes = interaction notes, everything_else, additional context
       const notesData = {
-        interaction_notes: originalBriefData['interaction notes'] || originalBriefData['Interaction Notes'],
+        interaction_notes: resolveField(originalBriefData, 'interactionNotes'),
         additional_context: originalBriefData['everything_else'] || originalBriefData['Everything_else'],
         conversation_summary: extractedData.conversation_summary
       };
       
-      Object.keys(notesData).forEach(k => notesData[k] === undefined && delete notesData[k]);
+      Object.keys(notesData).forEach(k => (notesData[k] === undefined || notesData[k] === null) && delete notesData[k]);
       
       if (Object.keys(notesData).length > 0) {
         console.log(`🎯 SMART MAPPING: "Notes" ← interaction notes, context`);
@@ -821,7 +825,7 @@ Return ONLY valid JSON. Use null for missing fields. NO markdown, NO explanation
     
     if (normalizedHeading.includes('rawbrief') || normalizedHeading.includes('raw brief')) {
       // Raw Brief = the original request text
-      const rawBrief = originalBriefData['Raw Brief'] || originalBriefData['raw_brief'] || originalBriefData['rawBrief'];
+      const rawBrief = resolveField(originalBriefData, 'rawBrief');
       if (rawBrief) {
         console.log(`🎯 SMART MAPPING: "Raw Brief" ← Raw Brief field`);
         return { data: rawBrief, matchedKey: 'Raw Brief' };
@@ -830,7 +834,7 @@ Return ONLY valid JSON. Use null for missing fields. NO markdown, NO explanation
     
     if (normalizedHeading.includes('briefdetails') || normalizedHeading.includes('brief details') || normalizedHeading.includes('details')) {
       // Brief Details = the structured brief_details field
-      const briefDetails = originalBriefData['brief_details'] || originalBriefData['Brief Details'];
+      const briefDetails = resolveField(originalBriefData, 'briefDetails');
       if (briefDetails) {
         console.log(`🎯 SMART MAPPING: "Brief Details" ← brief_details field`);
         return { data: briefDetails, matchedKey: 'brief_details' };
@@ -1999,15 +2003,18 @@ CRITICAL: Return ONLY valid JSON. No explanations. No markdown in content.`;
 
   /**
    * Read toggle block children to get section instructions
+   * WHY THIS WORKS: Templates arrive as a full block tree, so the children are usually
+   * already on the toggle - Notion is only asked for toggles past TEMPLATE_BLOCK_DEPTH
+   * (or from snapshots taken before nested fetching)
    */
   async readToggleInstructions(toggleBlock) {
+    if (toggleBlock.children || toggleBlock.has_children === false) {
+      return this.sopParser.extractNestedText(toggleBlock);
+    }
+    
     try {
-      const toggleChildren = await this.mcpClient.callTool('API-get-block-children', {
-        block_id: toggleBlock.id,
-        page_size: 50
-      });
-      
-      return this.extractTextFromBlocks(toggleChildren.results || []);
+      const { blocks } = await fetchBlockTree(this.notion, toggleBlock.id, { maxDepth: 2 });
+      return this.sopParser.extractNestedText({ children: blocks });
       
     } catch (error) {
       console.warn(`⚠️  Could not read toggle instructions: ${error.message}`);
@@ -2024,12 +2031,15 @@ CRITICAL: Return ONLY valid JSON. No explanations. No markdown in content.`;
     const blockType = block.type;
     const blockData = block[blockType];
     
+    // Columns, tables, and callouts or lists with only nested content still count
+    const hasChildren = childrenOf(block).length > 0;
+    
     if (!blockData || !blockData.rich_text) {
-      return blockType === 'divider';
+      return blockType === 'divider' || hasChildren;
     }
     
     const text = blockData.rich_text.map(rt => rt.plain_text || '').join('').trim();
-    return text.length > 0;
+    return text.length > 0 || hasChildren;
   }
 
   /**
@@ -2204,8 +2214,11 @@ Return ONLY a valid JSON array of Notion blocks. No markdown code blocks, no exp
   createMinimalFallbackBlocks(briefData) {
     const blocks = [];
     
+    const rawBrief = resolveField(briefData, 'rawBrief');
+    const briefDetails = resolveField(briefData, 'briefDetails');
+    
     // Add raw brief if present
-    if (briefData['Raw Brief'] || briefData.rawBrief) {
+    if (rawBrief) {
       blocks.push({
         object: 'block',
         type: 'heading_2',
@@ -2220,7 +2233,7 @@ Return ONLY a valid JSON array of Notion blocks. No markdown code blocks, no exp
         paragraph: {
           rich_text: [{
             type: 'text',
-            text: { content: briefData['Raw Brief'] || briefData.rawBrief || '' },
+            text: { content: String(rawBrief) },
             annotations: { italic: true }
           }]
         }
@@ -2228,7 +2241,7 @@ Return ONLY a valid JSON array of Notion blocks. No markdown code blocks, no exp
     }
     
     // Add brief details if present
-    if (briefData.brief_details || briefData['Brief Details']) {
+    if (briefDetails) {
       blocks.push({
         object: 'block',
         type: 'heading_2',
@@ -2243,7 +2256,7 @@ Return ONLY a valid JSON array of Notion blocks. No markdown code blocks, no exp
         paragraph: {
           rich_text: [{
             type: 'text',
-            text: { content: briefData.brief_details || briefData['Brief Details'] || '' }
+            text: { content: String(briefDetails) }
           }]
         }
       });
@@ -3,6 +3,10 @@
 // ============================================
 // Extracts SOPs and structure from DCMS_TEMPLATE reference pages
 // WHY THIS WORKS: SOPs embedded in toggle blocks guide semantic intelligence
+// Nested children (block.children from TemplateFetcher) count as part of their block,
+// so the SOP text inside a toggle is read, not just its title
+
+const { childrenOf } = require('./block-tree');
 
 class SOPParser {
   constructor() {
@@ -26,9 +30,10 @@ class SOPParser {
     for (const block of blocks) {
       const blockType = block.type;
       const blockContent = this.extractTextFromBlock(block);
+      const nestedContent = this.extractNestedText(block);
       
       // Skip empty blocks
-      if (!blockContent || blockContent.trim() === '') {
+      if ((!blockContent || blockContent.trim() === '') && !nestedContent) {
         continue;
       }
       
@@ -57,12 +62,12 @@ class SOPParser {
       else if (blockType === 'toggle') {
         // The toggle block content itself is the SOP instruction
         // WHY THIS WORKS: Toggle blocks in IE7 templates ARE the SOPs
-        // No [SOP: ...] markers needed - the whole toggle is the instruction
-        const sopInstruction = blockContent.trim();
+        // No [SOP: ...] markers needed - the whole toggle (title + what's inside) is the instruction
+        const sopInstruction = [blockContent, nestedContent].filter(Boolean).join('\n').trim();
         
         if (sopInstruction && sopInstruction !== '') {
           // Check if this contains [SOP: ...] marker (legacy format)
-          const explicitSOP = this.extractSOP(blockContent);
+          const explicitSOP = this.extractSOP(sopInstruction);
           const sop = explicitSOP || sopInstruction; // Use marker if present, otherwise whole content
           
           if (currentSection) {
@@ -85,14 +90,15 @@ class SOPParser {
       // WHY THIS WORKS: Regular content blocks (paragraph, callout, quote, etc.)
       // These define the template structure
       else {
-        // Extract any embedded SOPs in the content
-        const sops = this.extractAllSOPs(blockContent);
-        const variables = this.extractVariables(blockContent);
+        // Extract any embedded SOPs in the content (nested list items, callout contents...)
+        const fullContent = [blockContent, nestedContent].filter(Boolean).join('\n');
+        const sops = this.extractAllSOPs(fullContent);
+        const variables = this.extractVariables(fullContent);
         
         const contentBlock = {
           blockType,
           originalBlock: block,
-          content: blockContent,
+          content: fullContent,
           sops,
           variables,
           isConditional: this.isConditional(blockContent)
@@ -158,6 +164,19 @@ class SOPParser {
     return '';
   }
 
+  /**
+   * Text of a block's nested children, one line per block, indented by depth
+   */
+  extractNestedText(block, depth = 0) {
+    return childrenOf(block)
+      .flatMap(child => [
+        '  '.repeat(depth) + this.extractTextFromBlock(child),
+        this.extractNestedText(child, depth + 1)
+      ])
+      .filter(line => line.trim())
+      .join('\n');
+  }
+
   /**
    * Extract SOP from text (first occurrence)
    * WHY THIS WORKS: SOPs use [SOP: ...] format
@@ -0,0 +1,104 @@
+// ============================================
+// IE7 TEMPLATE BUNDLE
+// ============================================
+// Offline copy of the DCMS Templates database: every template row (with its Client /
+// Database overrides) and block tree, exported from Notion into one committed JSON file
+// WHY THIS WORKS: When Notion can't give us a template (down, TEMPLATES_DATABASE_ID
+// missing, no matching row) the curated structure still applies, instead of a page
+// GPT-5 invents from scratch
+//
+// Export with: node scripts/export-template-bundle.js
+//
+// FILE FORMAT (JSON):
+// {
+//   "exportedAt": "2025-10-20T10:00:00.000Z",
+//   "templatesDatabaseId": "...",
+//   "templates": [
+//     { "templateType": "Content Request", "complexityLevel": "Pizza", "status": "Active",
+//       "clients": [], "databases": [], "priority": null, "pageId": "...", "pageUrl": "...",
+//       "lastEditedTime": "...", "blocks": [ ...Notion blocks... ] }
+//   ]
+// }
+
+const fs = require('fs');
+const path = require('path');
+const { resolveTemplate } = require('./template-resolution');
+
+class TemplateBundle {
+  /**
+   * @param {object} options - { filePath }
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath ? path.resolve(options.filePath) : null;
+    this.templates = [];
+    this.exportedAt = null;
+    this.loadError = null;
+
+    this.load();
+  }
+
+  /**
+   * Read the bundle file (missing file = empty bundle)
+   * WHY THIS WORKS: A broken bundle is reported, never fatal - Notion stays the first tier
+   */
+  load() {
+    this.templates = [];
+    this.exportedAt = null;
+    this.loadError = null;
+
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const bundle = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+      if (!Array.isArray(bundle.templates)) {
+        throw new Error('"templates" must be an array');
+      }
+
+      this.templates = bundle.templates.filter(template => template.templateType && Array.isArray(template.blocks));
+      this.exportedAt = bundle.exportedAt || null;
+      console.log(`📦 Template bundle loaded: ${this.templates.length} templates from ${this.filePath}${this.exportedAt ? ` (exported ${this.exportedAt})` : ''}`);
+    } catch (error) {
+      this.loadError = error.message;
+      console.error(`❌ Template bundle ${this.filePath} is unreadable: ${error.message}`);
+    }
+  }
+
+  /**
+   * Template for a request
+   * WHY THIS WORKS: Same chain as the live templates database (TemplateResolution) -
+   * bundles exported before overrides existed are all type-level rows
+   *
+   * @param {object} request - TemplateFetcher.resolutionRequest()
+   * @returns {object} { candidate (bundle entry, null = none), resolution }
+   */
+  resolve(request) {
+    return resolveTemplate(this.templates, request);
+  }
+
+  /**
+   * Write a bundle to disk (temp file + rename, so a failed export never leaves half a file)
+   *
+   * @param {object} bundle - { exportedAt, templatesDatabaseId, templates }
+   * @param {string} filePath - Destination
+   */
+  static save(bundle, filePath) {
+    const target = path.resolve(filePath);
+    const tmpPath = `${target}.tmp`;
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(bundle, null, 2) + '\n');
+    fs.renameSync(tmpPath, target);
+  }
+
+  getStatus() {
+    return {
+      filePath: this.filePath,
+      templates: this.templates.length,
+      exportedAt: this.exportedAt,
+      error: this.loadError
+    };
+  }
+}
+
+module.exports = TemplateBundle;
@@ -3,12 +3,59 @@
 // ============================================
 // Fetches DCMS_TEMPLATE reference pages from Notion with 15-minute caching
 // WHY THIS WORKS: Templates live in Notion, not code - team can update without deployment
+//
+// INVALIDATION: Every cached template carries its database, type, complexity, template page
+// and fetch time, so entries are dropped by any of those (invalidate()) instead of by key.
+// Edits are picked up without waiting for the TTL:
+// - revalidate(): one query for template pages edited since the last check (polled)
+// - handleNotionEvent(): a Notion webhook event for a template page
+//
+// SNAPSHOTS: Every template fetched from Notion is recorded in the TemplateSnapshotStore
+// (template.snapshotHash). When the row resolution picks is pinned to a snapshot, that
+// snapshot is served instead - a rollback pin only until the live row stops matching
+// the broken version
+//
+// FALLBACK TIERS (TEMPLATE_MODE):
+// - hybrid (default): Notion -> offline bundle (TemplateBundle) -> LLM-only
+// - bundle: offline bundle -> LLM-only, Notion is never asked
+// - llm_only: LLM-only, no template at all
+// A template served by a lower tier than the mode's first carries fallback: { tier, reason },
+// which ends up as a warning on the job
+//
+// RESOLUTION: Which row of the templates database serves a request is decided by
+// TemplateResolution (client -> database -> type + complexity -> type default), for
+// Notion and the bundle alike. template.resolution reports the steps tried
 
 const NodeCache = require('node-cache');
+const TemplateSnapshotStore = require('./template-snapshots');
+const { fetchBlockTree, flattenBlocks } = require('./block-tree');
+const { toCandidate, resolveTemplate, summarizeResolution } = require('./template-resolution');
+
+// WHY THIS WORKS: Notion rounds last_edited_time down to the minute, so a template fetched
+// less than a minute after the stamp may predate the edit - treat it as stale
+const EDIT_TIME_GRANULARITY_MS = 60000;
+
+const sameId = (a, b) => !!a && !!b && String(a).replace(/-/g, '') === String(b).replace(/-/g, '');
+const selectName = (page, property) => page.properties?.[property]?.select?.name || null;
 
 class TemplateFetcher {
-  constructor(mcpClient, options = {}) {
-    this.mcpClient = mcpClient;
+  /**
+   * @param {object} notion - NotionGateway
+   * @param {object} options - { cacheTTL, registry, templatesDatabaseId, snapshots, bundle, blockDepth, blockConcurrency }
+   *                  (registry = DatabaseRegistry, maps databases to template types)
+   *                  (snapshots = TemplateSnapshotStore, none = no versioning or pins)
+   *                  (bundle = TemplateBundle, none = straight to LLM-only on failure)
+   *                  (blockDepth = nested levels fetched below the top, blockConcurrency = parallel fetches)
+   */
+  constructor(notion, options = {}) {
+    this.notion = notion;
+    this.registry = options.registry || null;
+    this.snapshots = options.snapshots || null;
+    this.bundle = options.bundle || null;
+    this.blockDepth = options.blockDepth ?? 3;
+    this.blockConcurrency = options.blockConcurrency || 3;
+    // WHY THIS WORKS: Each tenant has its own templates database (and its own fetcher, so its own cache)
+    this.templatesDatabaseId = options.templatesDatabaseId || process.env.TEMPLATES_DATABASE_ID;
     
     // WHY THIS WORKS (Caching Pattern):
     // TTL = Time To Live - how long cached data stays valid
@@ -20,19 +67,26 @@ class TemplateFetcher {
       useClones: false // Don't clone objects (performance optimization)
     });
     
+    this.lastRevalidatedAt = Date.now();
+    this.revalidating = null; // In-flight revalidate() promise
+    this.revalidateTimer = null;
+    this.invalidationStats = { revalidations: 0, revalidationErrors: 0, webhookEvents: 0, invalidated: 0 };
+    
     console.log(`✅ Template cache initialized with TTL: ${this.cache.options.stdTTL}s`);
   }
 
   /**
    * Fetch DCMS_TEMPLATE reference page for a specific database
-   * WHY THIS WORKS: Queries central templates database by Template Type + optional Complexity Level
+   * WHY THIS WORKS: Queries central templates database by Template Type, then resolves
+   * client / database / complexity overrides (TemplateResolution)
    * 
    * @param {string} databaseId - Notion database ID
    * @param {string} templateType - Template type to fetch (e.g., 'Content Request', 'Publishing')
    * @param {string} complexityLevel - Optional: 'Cup of Tea', 'Pizza', or '3-Course Meal'
+   * @param {object} context - { clients } (the brief's client company / name, for client templates)
    * @returns {Promise<object>} Template structure with blocks and metadata
    */
-  async fetchTemplate(databaseId, templateType = null, complexityLevel = null) {
+  async fetchTemplate(databaseId, templateType = null, complexityLevel = null, context = {}) {
     // Check if running in LLM-only mode
     const templateMode = process.env.TEMPLATE_MODE || 'hybrid';
     
@@ -41,9 +95,129 @@ class TemplateFetcher {
       return this.getLLMOnlyTemplate(complexityLevel);
     }
     
-    const cacheKey = complexityLevel 
-      ? `template_${databaseId}_${complexityLevel.replace(/\s+/g, '_')}`
-      : `template_${databaseId}`;
+    const template = templateMode === 'bundle'
+      ? this.fetchBundledTemplate(databaseId, templateType, complexityLevel, context)
+      : await this.fetchLiveTemplate(databaseId, templateType, complexityLevel, context);
+    
+    // WHY THIS WORKS: Pins belong to a templates database row, so resolution runs first -
+    // a pin on the type default never replaces a client's override, and the other way round
+    const pin = this.snapshots?.getPin(template.pageId);
+    if (!pin) {
+      return template;
+    }
+    
+    // Rollback pin: only a Notion read that differs from the broken version lifts it
+    // (a plain pin holds until someone removes it)
+    if (pin.untilChangedFrom && template.source === 'notion' && template.snapshotHash !== pin.untilChangedFrom) {
+      this.snapshots.unpin(template.pageId, `live template changed to ${template.snapshotHash}`);
+      return template;
+    }
+    
+    return this.fromSnapshot(pin, template);
+  }
+
+  /**
+   * Template object for a pinned snapshot of the row resolution picked
+   *
+   * @param {object} pin - Pin for template.pageId
+   * @param {object} template - What would have been served (live or bundled)
+   */
+  fromSnapshot(pin, template) {
+    const snapshot = this.snapshots.get(pin.hash);
+    console.log(`📌 Serving pinned template snapshot ${snapshot.hash} for template page ${pin.pageId}`);
+    
+    return {
+      pageId: template.pageId,
+      pageUrl: template.pageUrl,
+      templateType: template.templateType,
+      complexityLevel: template.complexityLevel,
+      databaseId: template.databaseId,
+      resolution: template.resolution,
+      blocks: snapshot.blocks,
+      fetchedAt: snapshot.capturedAt,
+      blockCount: snapshot.blocks.length,
+      lastEditedTime: snapshot.lastEditedTime,
+      properties: {},
+      source: 'snapshot',
+      snapshotHash: snapshot.hash,
+      pinned: pin.reason
+    };
+  }
+
+  /**
+   * What TemplateResolution needs to know about a request
+   */
+  resolutionRequest(databaseId, templateType, complexityLevel = null, context = {}) {
+    const entry = this.registry?.getByDatabaseId(databaseId);
+    
+    return {
+      templateType: templateType || this.getTemplateTypeForDatabase(databaseId),
+      complexityLevel: complexityLevel || null,
+      clients: [].concat(context.clients || []).filter(Boolean),
+      databaseId,
+      requestType: entry?.type || null,
+      databaseName: entry?.name || null
+    };
+  }
+
+  /**
+   * Every row of the templates database (matching an optional filter), following pagination
+   */
+  async queryTemplatePages(filter = null) {
+    const pages = [];
+    let cursor;
+    do {
+      const response = await this.notion.callTool('API-post-database-query', {
+        database_id: this.templatesDatabaseId,
+        ...(filter && { filter }),
+        page_size: 100,
+        ...(cursor && { start_cursor: cursor })
+      });
+      pages.push(...(response.results || []));
+      cursor = response.has_more ? response.next_cursor : null;
+    } while (cursor);
+    
+    return pages;
+  }
+
+  /**
+   * Which templates database row serves a request, without fetching its blocks
+   * WHY THIS WORKS: One query for the Template Type's rows - the chain is ranked in code,
+   * so the choice never depends on the order Notion returns them in
+   *
+   * @returns {Promise<object>} { page (null = no match), resolution, request }
+   */
+  async resolveTemplatePage(databaseId, templateType = null, complexityLevel = null, context = {}) {
+    if (!this.templatesDatabaseId) {
+      throw new Error(
+        `TEMPLATES_DATABASE_ID not configured in .env. ` +
+        `Create a DCMS Templates Database and add its ID to .env`
+      );
+    }
+    
+    const request = this.resolutionRequest(databaseId, templateType, complexityLevel, context);
+    const pages = await this.queryTemplatePages({
+      property: 'Template Type',
+      select: { equals: request.templateType }
+    });
+    
+    const { candidate, resolution } = resolveTemplate(pages.map(toCandidate), request);
+    return {
+      page: candidate && pages.find(page => page.id === candidate.pageId),
+      resolution,
+      request
+    };
+  }
+
+  /**
+   * Fetch the resolved template from Notion (or the cache)
+   */
+  async fetchLiveTemplate(databaseId, templateType = null, complexityLevel = null, context = {}) {
+    const clients = [].concat(context.clients || []).filter(Boolean);
+    // WHY THIS WORKS: A client can have its own template, so its briefs get their own entry
+    const cacheKey = `template_${databaseId}` +
+      (complexityLevel ? `_${complexityLevel.replace(/\s+/g, '_')}` : '') +
+      (clients.length ? `_client_${clients.join('_').toLowerCase().replace(/[^a-z0-9]+/g, '_')}` : '');
     
     // Step 1: Check cache first
     // WHY THIS WORKS: Reduces Notion API calls from ~240/hour to ~16/hour per database
@@ -56,18 +230,7 @@ class TemplateFetcher {
     console.log(`⚠️ Template cache MISS for database: ${databaseId.substring(0, 8)}... Fetching from Notion...`);
     
     try {
-      // Step 2: Query central templates database
-      // WHY THIS WORKS: Templates stored centrally, queried by type AND complexity
-      const templatesDbId = process.env.TEMPLATES_DATABASE_ID;
-      
-      if (!templatesDbId) {
-        throw new Error(
-          `TEMPLATES_DATABASE_ID not configured in .env. ` +
-          `Create a DCMS Templates Database and add its ID to .env`
-        );
-      }
-      
-      // Step 3: Determine template type based on database
+      // Step 2: Determine template type based on database
       // WHY THIS WORKS: Maps database IDs to template types
       if (!templateType) {
         templateType = this.getTemplateTypeForDatabase(databaseId);
@@ -77,95 +240,33 @@ class TemplateFetcher {
         ? `type: "${templateType}" + complexity: "${complexityLevel}"`
         : `type: "${templateType}"`;
       
-      console.log(`🔍 Querying templates database for ${queryDescription}`);
+      console.log(`🔍 Querying templates database for ${queryDescription}${clients.length ? ` (client: ${clients.join(' / ')})` : ''}`);
       
-      // Step 4: Build query filter
-      // WHY THIS WORKS: Filter by Template Type (required) + Complexity Level (optional)
-      const filterConditions = [
-        {
-          property: 'Template Type',
-          select: { equals: templateType }
-        }
-      ];
+      // Step 3: Query the type's rows and resolve client / database / complexity overrides
+      const { page: templatePage, resolution } = await this.resolveTemplatePage(databaseId, templateType, complexityLevel, { clients });
       
-      if (complexityLevel) {
-        filterConditions.push({
-          property: 'Complexity Level',
-          select: { equals: complexityLevel }
-        });
+      if (!templatePage) {
+        throw new Error(
+          `Template not found for ${queryDescription} (${summarizeResolution(resolution)}). ` +
+          `Create a record in DCMS Templates Database with these properties.`
+        );
       }
       
-      filterConditions.push({
-        property: 'Status',
-        select: { equals: 'Active' }
-      });
-      
-      // Step 5: Query for matching template
-      let templatePage = null;
-      const templateQuery = await this.mcpClient.callTool('API-post-database-query', {
-        database_id: templatesDbId,
-        filter: {
-          and: filterConditions
-        },
-        page_size: 1
-      });
-      
-      if (!templateQuery.results || templateQuery.results.length === 0) {
-        // Try without Status filter (in case Status property doesn't exist)
-        console.warn(`⚠️ No active template found, trying without Status filter...`);
-        
-        const fallbackConditions = filterConditions.filter(c => c.property !== 'Status');
-        
-        const fallbackQuery = await this.mcpClient.callTool('API-post-database-query', {
-          database_id: templatesDbId,
-          filter: fallbackConditions.length > 1 
-            ? { and: fallbackConditions }
-            : fallbackConditions[0],
-          page_size: 1
-        });
-        
-        if (!fallbackQuery.results || fallbackQuery.results.length === 0) {
-          throw new Error(
-            `Template not found for ${queryDescription}. ` +
-            `Create a record in DCMS Templates Database with these properties.`
-          );
-        }
-        
-        templatePage = fallbackQuery.results[0];
-      } else {
-        templatePage = templateQuery.results[0];
+      if (resolution.inactive) {
+        console.warn(`⚠️ No Active template matches ${queryDescription} - using ${templatePage.id} anyway`);
       }
       
-      console.log(`✅ Found template: ${templatePage.id}`)
+      console.log(`✅ Found template: ${templatePage.id} [${summarizeResolution(resolution)}]`);
       
-      // Step 5: Fetch the template page's block structure
+      // Step 4: Fetch the template page's block structure
       // WHY THIS WORKS: Database records ARE pages - fetch their content blocks
-      const blocks = await this.mcpClient.callTool('API-get-block-children', {
-        block_id: templatePage.id,
-        page_size: 100 // Most templates won't exceed 100 blocks
-      });
-      
-      // Step 6: If template has more than 100 blocks, fetch remaining pages
-      // WHY THIS WORKS: Notion API paginates large responses
-      let allBlocks = blocks.results || [];
-      let hasMore = blocks.has_more;
-      let nextCursor = blocks.next_cursor;
+      // (reused from another cache entry for the same page and edit, e.g. another client's)
+      const allBlocks = this.cachedBlocksFor(templatePage) || await this.fetchBlocks(templatePage.id);
       
-      while (hasMore) {
-        const nextPage = await this.mcpClient.callTool('API-get-block-children', {
-          block_id: templatePage.id,
-          page_size: 100,
-          start_cursor: nextCursor
-        });
-        
-        allBlocks = allBlocks.concat(nextPage.results || []);
-        hasMore = nextPage.has_more;
-        nextCursor = nextPage.next_cursor;
-      }
-      
-      console.log(`✅ Fetched ${allBlocks.length} blocks from template "${templateType}"${complexityLevel ? ` (${complexityLevel})` : ''}`);
+      const nestedCount = flattenBlocks(allBlocks).length - allBlocks.length;
+      console.log(`✅ Fetched ${allBlocks.length} blocks${nestedCount ? ` (+${nestedCount} nested)` : ''} from template "${templateType}"${complexityLevel ? ` (${complexityLevel})` : ''}`);
       
-      // Step 7: Build template object
+      // Step 5: Build template object
       // WHY THIS WORKS: Metadata helps processor understand what template it's working with
       const template = {
         pageId: templatePage.id,
@@ -176,10 +277,19 @@ class TemplateFetcher {
         blocks: allBlocks,
         fetchedAt: new Date().toISOString(),
         blockCount: allBlocks.length,
-        properties: templatePage.properties || {} // Include page properties for complexity level extraction
+        lastEditedTime: templatePage.last_edited_time || null,
+        properties: templatePage.properties || {}, // Include page properties for complexity level extraction
+        source: 'notion',
+        resolution
       };
       
-      // Step 8: Cache the template
+      // Step 6: Snapshot the block tree
+      // WHY THIS WORKS: The hash goes on every job built from this template
+      if (this.snapshots) {
+        template.snapshotHash = this.snapshots.record(template).hash;
+      }
+      
+      // Step 7: Cache the template
       // WHY THIS WORKS: Next 15 minutes of requests will use cached version
       this.cache.set(cacheKey, template);
       console.log(`✅ Template cached for ${this.cache.options.stdTTL}s`);
@@ -189,11 +299,10 @@ class TemplateFetcher {
     } catch (error) {
       console.error(`❌ Failed to fetch DCMS_TEMPLATE for database ${databaseId}:`, error.message);
       
-      // HYBRID MODE FALLBACK: If template fetch fails, use LLM-only mode
+      // HYBRID MODE FALLBACK: If template fetch fails, use the offline bundle (then LLM-only)
       const templateMode = process.env.TEMPLATE_MODE || 'hybrid';
       if (templateMode === 'hybrid') {
-        console.log('🔄 HYBRID MODE FALLBACK: Switching to LLM-only template generation');
-        return this.getLLMOnlyTemplate(complexityLevel);
+        return this.fetchBundledTemplate(databaseId, templateType, complexityLevel, context, error);
       }
       
       // If not in hybrid mode, throw the error
@@ -201,6 +310,122 @@ class TemplateFetcher {
     }
   }
 
+  /**
+   * Fetch the block tree of a template page, nested children included
+   * WHY THIS WORKS: SOPs inside toggles, callout contents and nested lists are part of
+   * the template - they land on block.children, so the cache, snapshots and bundle keep them
+   *
+   * @param {string} pageId - Template page ID
+   * @returns {Promise<Array>} Top-level blocks in page order
+   */
+  async fetchBlocks(pageId) {
+    const { blocks, truncated } = await fetchBlockTree(this.notion, pageId, {
+      maxDepth: this.blockDepth,
+      concurrency: this.blockConcurrency
+    });
+    
+    if (truncated > 0) {
+      console.warn(`⚠️ Template ${pageId.substring(0, 8)}... nests deeper than ${this.blockDepth} levels - children of ${truncated} blocks not fetched (TEMPLATE_BLOCK_DEPTH)`);
+    }
+    return blocks;
+  }
+
+  /**
+   * Blocks of a template page already cached at the same edit (null = fetch them)
+   * WHY THIS WORKS: Client entries share the type's template until a client has its own -
+   * an edit drops every entry for the page (invalidate({ pageId })), so none can be stale
+   */
+  cachedBlocksFor(page) {
+    const cached = this.cache.keys()
+      .map(key => this.cache.get(key))
+      .find(template => template && sameId(template.pageId, page.id) && template.lastEditedTime === (page.last_edited_time || null));
+    
+    return cached ? cached.blocks : null;
+  }
+
+  /**
+   * Template from the offline bundle, LLM-only if the bundle doesn't have it
+   * WHY THIS WORKS: The curated structure survives a Notion outage or a missing
+   * template row - the job is flagged so someone fixes the cause
+   *
+   * @param {string} databaseId - Notion database ID
+   * @param {string} templateType - Template type (null = from the registry)
+   * @param {string} complexityLevel - Optional complexity level
+   * @param {object} context - { clients } (see fetchTemplate)
+   * @param {Error} failure - Why Notion couldn't serve it (none = TEMPLATE_MODE=bundle)
+   * @returns {object} Template (fallback: { tier, reason } when it's a fallback)
+   */
+  fetchBundledTemplate(databaseId, templateType = null, complexityLevel = null, context = {}, failure = null) {
+    const request = this.resolutionRequest(databaseId, templateType, complexityLevel, context);
+    templateType = request.templateType;
+    
+    const description = `"${templateType}"${complexityLevel ? ` (${complexityLevel})` : ''}`;
+    const { candidate: entry, resolution } = this.bundle
+      ? this.bundle.resolve(request)
+      : { candidate: null, resolution: null };
+    
+    if (!entry) {
+      const missing = `no bundled template for ${description}`;
+      const reason = failure ? `${failure.message} - ${missing}` : missing;
+      
+      console.warn(`⚠️ FALLBACK: Switching to LLM-only template generation (${reason})`);
+      return { ...this.getLLMOnlyTemplate(complexityLevel), fallback: { tier: 'llm_only', reason } };
+    }
+    
+    if (failure) {
+      console.warn(`📦 FALLBACK: Using bundled template ${description}${this.bundle.exportedAt ? ` (exported ${this.bundle.exportedAt})` : ''}`);
+    }
+    
+    return {
+      pageId: entry.pageId || null,
+      pageUrl: entry.pageUrl || null,
+      templateType,
+      complexityLevel: complexityLevel || null,
+      databaseId,
+      blocks: entry.blocks,
+      fetchedAt: new Date().toISOString(),
+      blockCount: entry.blocks.length,
+      lastEditedTime: entry.lastEditedTime || null,
+      properties: {},
+      source: 'bundle',
+      resolution,
+      // WHY THIS WORKS: Same hash as the Notion version it was exported from
+      snapshotHash: TemplateSnapshotStore.hashBlocks(entry.blocks),
+      ...(failure && { fallback: { tier: 'bundle', reason: failure.message } })
+    };
+  }
+
+  /**
+   * Read every template in the templates database for the offline bundle
+   * WHY THIS WORKS: Every row goes in with its Client / Database / Priority / Status, so
+   * the bundle resolves a request exactly like the live database would
+   *
+   * @returns {Promise<object>} Bundle for TemplateBundle.save()
+   */
+  async exportBundle() {
+    if (!this.templatesDatabaseId) {
+      throw new Error('TEMPLATES_DATABASE_ID not configured - nothing to export');
+    }
+    
+    const templates = [];
+    for (const page of await this.queryTemplatePages()) {
+      const candidate = toCandidate(page);
+      if (!candidate.templateType) continue;
+      
+      const template = { ...candidate, blocks: await this.fetchBlocks(page.id) };
+      
+      templates.push(template);
+      const overrides = [...template.clients, ...template.databases];
+      console.log(`📦 Exported "${template.templateType}"${template.complexityLevel ? ` (${template.complexityLevel})` : ''}${overrides.length ? ` for ${overrides.join(', ')}` : ''}: ${template.blocks.length} blocks`);
+    }
+    
+    return {
+      exportedAt: new Date().toISOString(),
+      templatesDatabaseId: this.templatesDatabaseId,
+      templates
+    };
+  }
+
   /**
    * Fetch ALL complexity level templates for a given Template Type
    * WHY THIS WORKS: Allows processor to understand all three styles (Cup of Tea, Pizza, 3-Course Meal)
@@ -240,19 +465,192 @@ class TemplateFetcher {
    * Clear template cache (manual cache bust)
    * WHY THIS WORKS: Allows immediate propagation of template updates
    * Used by /clear-cache endpoint
+   *
+   * @param {string|object} criteria - databaseId, or { databaseId, templateType, complexityLevel, pageId }
+   *                                   (nothing = clear everything)
+   * @returns {number} Templates removed
    */
-  clearCache(databaseId = null) {
-    if (databaseId) {
-      // Clear specific database template
-      const cacheKey = `template_${databaseId}`;
-      this.cache.del(cacheKey);
-      console.log(`✅ Cleared template cache for database: ${databaseId.substring(0, 8)}...`);
-    } else {
+  clearCache(criteria = null) {
+    if (typeof criteria === 'string') {
+      criteria = { databaseId: criteria };
+    }
+    
+    if (!criteria || !Object.values(criteria).some(Boolean)) {
       // Clear all templates
       const keys = this.cache.keys();
       this.cache.flushAll();
       console.log(`✅ Cleared all template cache (${keys.length} templates)`);
+      return keys.length;
+    }
+    
+    const removed = this.invalidate(criteria);
+    console.log(`✅ Cleared ${removed} cached templates for ${this.describeCriteria(criteria)}`);
+    return removed;
+  }
+
+  /**
+   * Drop every cached template matching all of the given criteria
+   * WHY THIS WORKS: Matches on what each entry recorded when it was fetched, so one
+   * database's "Cup of Tea", "Pizza" and plain entries all go together
+   *
+   * @param {object} criteria - { databaseId, templateType, complexityLevel, pageId, editedBefore }
+   *   complexityLevel also matches entries fetched without one (they may hold that level's page)
+   *   editedBefore (ms) only matches entries fetched before it
+   * @returns {number} Templates removed
+   */
+  invalidate(criteria = {}) {
+    const keys = this.cache.keys().filter(key => {
+      const template = this.cache.get(key);
+      if (!template) return false;
+      
+      if (criteria.databaseId && !sameId(template.databaseId, criteria.databaseId)) return false;
+      if (criteria.pageId && !sameId(template.pageId, criteria.pageId)) return false;
+      if (criteria.templateType && template.templateType !== criteria.templateType) return false;
+      if (criteria.complexityLevel && template.complexityLevel && template.complexityLevel !== criteria.complexityLevel) return false;
+      if (criteria.editedBefore && Date.parse(template.fetchedAt) >= criteria.editedBefore) return false;
+      return true;
+    });
+    
+    this.cache.del(keys);
+    this.invalidationStats.invalidated += keys.length;
+    return keys.length;
+  }
+
+  /**
+   * Drop cached templates an edited template page may have changed
+   * WHY THIS WORKS: The page itself, plus anything cached for its type and complexity -
+   * a new or re-activated template can replace the one a query returned before
+   *
+   * @param {object} page - Template page from Notion (properties + last_edited_time)
+   * @returns {number} Templates removed
+   */
+  invalidateEditedPage(page) {
+    const editedBefore = Date.parse(page.last_edited_time) + EDIT_TIME_GRANULARITY_MS;
+    const templateType = selectName(page, 'Template Type');
+    
+    let removed = this.invalidate({ pageId: page.id, editedBefore });
+    if (templateType) {
+      removed += this.invalidate({
+        templateType,
+        complexityLevel: selectName(page, 'Complexity Level'),
+        editedBefore
+      });
+    }
+    
+    if (removed > 0) {
+      console.log(`🔄 Template ${page.id.substring(0, 8)}...${templateType ? ` ("${templateType}")` : ''} was edited, dropped ${removed} cached templates`);
+    }
+    return removed;
+  }
+
+  /**
+   * Ask Notion which template pages changed since the last check
+   * WHY THIS WORKS: One query against the templates database (sorted, filtered on
+   * last_edited_time) instead of re-fetching every cached template
+   *
+   * @returns {Promise<number>} Templates removed
+   */
+  async revalidate() {
+    // Overlapping calls (poll + webhook) share one query
+    if (this.revalidating) return this.revalidating;
+    
+    this.revalidating = this.runRevalidation().finally(() => {
+      this.revalidating = null;
+    });
+    return this.revalidating;
+  }
+
+  async runRevalidation() {
+    const startedAt = Date.now();
+    
+    // Nothing cached = nothing to drop, and the next fetch reads fresh templates anyway
+    if (this.cache.keys().length === 0 || !this.templatesDatabaseId) {
+      this.lastRevalidatedAt = startedAt;
+      return 0;
+    }
+    
+    const since = new Date(this.lastRevalidatedAt - EDIT_TIME_GRANULARITY_MS).toISOString();
+    let removed = 0;
+    let cursor;
+    
+    try {
+      do {
+        const response = await this.notion.callTool('API-post-database-query', {
+          database_id: this.templatesDatabaseId,
+          filter: { timestamp: 'last_edited_time', last_edited_time: { on_or_after: since } },
+          sorts: [{ timestamp: 'last_edited_time', direction: 'descending' }],
+          page_size: 100,
+          ...(cursor && { start_cursor: cursor })
+        });
+        
+        for (const page of response.results || []) {
+          removed += this.invalidateEditedPage(page);
+        }
+        cursor = response.has_more ? response.next_cursor : null;
+      } while (cursor);
+    } catch (error) {
+      // WHY THIS WORKS: The window isn't moved, so the next check covers this one too
+      this.invalidationStats.revalidationErrors++;
+      console.warn(`⚠️ Template revalidation failed: ${error.message}`);
+      return 0;
+    }
+    
+    this.lastRevalidatedAt = startedAt;
+    this.invalidationStats.revalidations++;
+    return removed;
+  }
+
+  /**
+   * Poll for template edits every intervalMs (0 = off)
+   */
+  startRevalidation(intervalMs) {
+    this.stopRevalidation();
+    if (!intervalMs) return;
+    
+    this.revalidateTimer = setInterval(() => this.revalidate(), intervalMs);
+    this.revalidateTimer.unref();
+    console.log(`✅ Template revalidation every ${intervalMs / 1000}s`);
+  }
+
+  stopRevalidation() {
+    clearInterval(this.revalidateTimer);
+    this.revalidateTimer = null;
+  }
+
+  /**
+   * Apply a Notion webhook event (page.content_updated, page.properties_updated, page.created, ...)
+   * WHY THIS WORKS: A cached template page is dropped straight away, and any page in the
+   * templates database triggers a revalidate() so new or re-typed templates count too
+   *
+   * @param {object} event - Webhook body ({ type, entity: { id, type }, data: { parent } })
+   * @returns {Promise<number>} Templates removed
+   */
+  async handleNotionEvent(event) {
+    if (event?.entity?.type !== 'page' || !event.entity.id) return 0;
+    
+    this.invalidationStats.webhookEvents++;
+    const pageId = event.entity.id;
+    const parentId = event.data?.parent?.id;
+    
+    let removed = this.invalidate({ pageId });
+    if (removed > 0) {
+      console.log(`🔄 Notion ${event.type} for template ${pageId.substring(0, 8)}..., dropped ${removed} cached templates`);
+    }
+    
+    if (!parentId || sameId(parentId, this.templatesDatabaseId)) {
+      removed += await this.revalidate();
     }
+    return removed;
+  }
+
+  /**
+   * "databaseId=1e7c0001..., complexityLevel=Pizza" for logs
+   */
+  describeCriteria(criteria) {
+    return Object.entries(criteria)
+      .filter(([, value]) => value)
+      .map(([name, value]) => `${name}=${name.endsWith('Id') ? String(value).substring(0, 8) + '...' : value}`)
+      .join(', ');
   }
 
   /**
@@ -262,7 +660,12 @@ class TemplateFetcher {
   getCacheStats() {
     return {
       keys: this.cache.keys(),
-      stats: this.cache.getStats()
+      stats: this.cache.getStats(),
+      invalidation: {
+        ...this.invalidationStats,
+        polling: !!this.revalidateTimer,
+        lastRevalidatedAt: new Date(this.lastRevalidatedAt).toISOString()
+      }
     };
   }
 
@@ -271,8 +674,7 @@ class TemplateFetcher {
    * WHY THIS WORKS: Useful for debugging and monitoring
    */
   isCached(databaseId) {
-    const cacheKey = `template_${databaseId}`;
-    return this.cache.has(cacheKey);
+    return this.cache.keys().some(key => sameId(this.cache.get(key)?.databaseId, databaseId));
   }
 
   /**
@@ -406,27 +808,13 @@ CRITICAL: Ensure all URLs are properly formatted as embed or bookmark blocks, no
 
   /**
    * Map database ID to template type
-   * WHY THIS WORKS: Each database has a corresponding template type
+   * WHY THIS WORKS: Each database declares its template type in the database registry
    */
   getTemplateTypeForDatabase(databaseId) {
-    // Remove dashes from database ID for comparison
-    const normalizedId = databaseId.replace(/-/g, '');
-    
-    // Map database IDs to template types
-    const CONTENT_REQUEST_ID = (process.env.CONTENT_REQUEST_DB_ID || '').replace(/-/g, '');
-    const PUBLISHING_REQUEST_ID = (process.env.PUBLISHING_REQUEST_DB_ID || '').replace(/-/g, '');
-    const GENERAL_INQUIRY_ID = (process.env.GENERAL_INQUIRY_DB_ID || '').replace(/-/g, '');
-    
-    if (normalizedId === CONTENT_REQUEST_ID || normalizedId === GENERAL_INQUIRY_ID) {
-      return 'Content Request';
-    }
-    
-    if (normalizedId === PUBLISHING_REQUEST_ID) {
-      return 'Publishing';
-    }
+    const entry = this.registry?.getByDatabaseId(databaseId);
     
     // Default fallback
-    return 'Content Request';
+    return entry?.templateType || 'Content Request';
   }
 }
 
@@ -0,0 +1,224 @@
+// ============================================
+// IE7 TEMPLATE RESOLUTION
+// ============================================
+// Picks the DCMS Templates row that serves a request. Most specific first:
+//   1. client          - Client property names the brief's client (company or name)
+//   2. database        - Database property names the request type, database name or ID
+//   3. type+complexity - Complexity Level equals the request's
+//   4. type            - the Template Type's default (no Complexity Level)
+// Client and database rows can have their own complexity variants, tried before their default
+// WHY THIS WORKS: Every rule is a property on the templates database, so an override is a
+// new row, not a deployment - and the steps tried are reported with the template, so
+// "why did this job get that template?" has an answer
+//
+// MATCHING: A row's Client, Database and Complexity Level must match when they are set -
+// a row for another client or database is never used. Ties within a step go to the
+// Active row, then the highest Priority, then the most recently edited one (then the
+// page ID, so the choice never depends on query order). Inactive rows are only used
+// when no Active row matches at all
+//
+// PROPERTIES (templates database, all optional except Template Type):
+// - Client:   select, multi_select or text (comma separated)
+// - Database: select, multi_select or text - request type ("content_request"), database name or ID
+// - Priority: number (higher wins)
+
+const TEMPLATE_PROPERTIES = {
+  templateType: 'Template Type',
+  complexityLevel: 'Complexity Level',
+  status: 'Status',
+  client: 'Client',
+  database: 'Database',
+  priority: 'Priority'
+};
+
+const ACTIVE_STATUS = 'Active';
+
+const normalize = value => String(value ?? '').trim().toLowerCase();
+const normalizeId = value => normalize(value).replace(/-/g, '');
+
+/**
+ * Values of a page property as strings (select, multi_select, status, text) or numbers
+ */
+function propertyValues(page, name) {
+  const property = page?.properties?.[name];
+  if (!property) return [];
+
+  const inner = property[property.type];
+  switch (property.type) {
+    case 'select':
+    case 'status':
+      return inner?.name ? [inner.name] : [];
+    case 'multi_select':
+      return (inner || []).map(option => option.name);
+    case 'title':
+    case 'rich_text':
+      return (inner || [])
+        .map(part => part.plain_text ?? part.text?.content ?? '')
+        .join('')
+        .split(/[,\n]/)
+        .map(value => value.trim())
+        .filter(Boolean);
+    case 'number':
+      return typeof inner === 'number' ? [inner] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * A templates database page as a resolution candidate (same shape as a bundle entry)
+ */
+function toCandidate(page) {
+  const first = name => propertyValues(page, name)[0] ?? null;
+
+  return {
+    pageId: page.id,
+    pageUrl: page.url,
+    templateType: first(TEMPLATE_PROPERTIES.templateType),
+    complexityLevel: first(TEMPLATE_PROPERTIES.complexityLevel),
+    status: first(TEMPLATE_PROPERTIES.status),
+    clients: propertyValues(page, TEMPLATE_PROPERTIES.client),
+    databases: propertyValues(page, TEMPLATE_PROPERTIES.database),
+    priority: first(TEMPLATE_PROPERTIES.priority),
+    lastEditedTime: page.last_edited_time || null
+  };
+}
+
+/**
+ * Steps of the chain that apply to a request
+ * WHY THIS WORKS: No client on the brief = no client steps, no complexity = no variant
+ * steps - but then any complexity variant beats no template at all ("any")
+ */
+function stepsFor(request) {
+  const complexity = `Complexity Level = "${request.complexityLevel}"`;
+  const client = `Client = "${request.clients.join('" or "')}"`;
+  const database = `Database = ${[request.requestType, request.databaseName, request.databaseId].filter(Boolean).map(value => `"${value}"`).join(' or ')}`;
+  const steps = [];
+
+  if (request.clients.length > 0) {
+    if (request.complexityLevel) steps.push({ step: 'client+complexity', criteria: `${client}, ${complexity}` });
+    steps.push({ step: 'client', criteria: `${client}, no Complexity Level` });
+  }
+  if (request.databaseId || request.requestType) {
+    if (request.complexityLevel) steps.push({ step: 'database+complexity', criteria: `${database}, ${complexity}` });
+    steps.push({ step: 'database', criteria: `${database}, no Complexity Level` });
+  }
+  if (request.complexityLevel) steps.push({ step: 'type+complexity', criteria: complexity });
+  steps.push({ step: 'type', criteria: 'no Client, Database or Complexity Level' });
+  if (!request.complexityLevel) steps.push({ step: 'any', criteria: 'any Complexity Level' });
+
+  return steps;
+}
+
+/**
+ * The chain step a candidate belongs to (null = it doesn't apply to this request)
+ */
+function stepOf(candidate, request) {
+  if (candidate.templateType !== request.templateType) return null;
+
+  const clients = candidate.clients || [];
+  const databases = candidate.databases || [];
+
+  if (clients.length > 0 && !clients.some(name => request.clients.some(client => normalize(client) === normalize(name)))) {
+    return null;
+  }
+  if (databases.length > 0 && !databases.some(value =>
+    normalizeId(value) === normalizeId(request.databaseId) ||
+    [request.requestType, request.databaseName].some(name => name && normalize(name) === normalize(value))
+  )) {
+    return null;
+  }
+
+  const scope = clients.length > 0 ? 'client' : databases.length > 0 ? 'database' : 'type';
+
+  if (!candidate.complexityLevel) return scope;
+  if (!request.complexityLevel) return 'any';
+  return candidate.complexityLevel === request.complexityLevel ? `${scope}+complexity` : null;
+}
+
+const SCOPE_RANK = { client: 0, database: 1, type: 2 };
+const scopeOf = candidate => candidate.clients?.length ? 'client' : candidate.databases?.length ? 'database' : 'type';
+
+/**
+ * Order within a step: most specific, then highest Priority, newest edit, page ID
+ */
+function compareCandidates(a, b) {
+  return (SCOPE_RANK[scopeOf(a)] - SCOPE_RANK[scopeOf(b)]) ||
+    ((b.priority ?? 0) - (a.priority ?? 0)) ||
+    String(b.lastEditedTime || '').localeCompare(String(a.lastEditedTime || '')) ||
+    String(a.pageId || '').localeCompare(String(b.pageId || ''));
+}
+
+/**
+ * What decided between the two best candidates of a step
+ */
+function tieBreakOf(chosen, runnerUp) {
+  if (!runnerUp) return null;
+  if (scopeOf(chosen) !== scopeOf(runnerUp)) return 'scope';
+  if ((chosen.priority ?? 0) !== (runnerUp.priority ?? 0)) return 'priority';
+  if (chosen.lastEditedTime !== runnerUp.lastEditedTime) return 'last edited';
+  return 'page id';
+}
+
+/**
+ * Resolve a request against candidate templates
+ *
+ * @param {Array} candidates - toCandidate() pages or bundle entries
+ * @param {object} request - { templateType, complexityLevel, clients, databaseId, requestType, databaseName }
+ * @returns {object} { candidate (null = nothing matched), resolution: { step, criteria, matches, tieBreak, inactive, chain } }
+ */
+function resolveTemplate(candidates, request) {
+  request = { ...request, clients: [].concat(request.clients || []).filter(Boolean) };
+
+  const steps = stepsFor(request);
+  const applicable = candidates
+    .map(candidate => ({ candidate, step: stepOf(candidate, request) }))
+    .filter(entry => entry.step);
+
+  // WHY THIS WORKS: A Draft override must not beat an Active default - inactive rows are a last resort
+  const isActive = entry => !entry.candidate.status || entry.candidate.status === ACTIVE_STATUS;
+  const active = applicable.filter(isActive);
+  const pool = active.length > 0 ? active : applicable;
+
+  const chain = [];
+  for (const { step, criteria } of steps) {
+    const matches = pool.filter(entry => entry.step === step).map(entry => entry.candidate).sort(compareCandidates);
+    chain.push({ step, criteria, matches: matches.length });
+
+    if (matches.length > 0) {
+      return {
+        candidate: matches[0],
+        resolution: {
+          step,
+          criteria,
+          matches: matches.length,
+          tieBreak: tieBreakOf(matches[0], matches[1]),
+          inactive: pool !== active,
+          chain
+        }
+      };
+    }
+  }
+
+  return {
+    candidate: null,
+    resolution: { step: null, criteria: null, matches: 0, tieBreak: null, inactive: false, chain }
+  };
+}
+
+/**
+ * "client: 0 -> database+complexity: 1 (chosen)" for logs and error messages
+ */
+function summarizeResolution(resolution) {
+  return resolution.chain
+    .map(({ step, matches }) => `${step}: ${matches}${step === resolution.step ? ' (chosen)' : ''}`)
+    .join(' -> ');
+}
+
+module.exports = {
+  TEMPLATE_PROPERTIES,
+  propertyValues,
+  toCandidate,
+  resolveTemplate,
+  summarizeResolution
+};
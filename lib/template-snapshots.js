@@ -0,0 +1,516 @@
+// ============================================
+// IE7 TEMPLATE SNAPSHOTS
+// ============================================
+// Versions of every DCMS template the pipeline has used, keyed by a content hash
+// WHY THIS WORKS: Templates are edited live in Notion with no history. Snapshotting the
+// block tree each time it is fetched tells us which version built which page, and
+// gives us something to pin or roll back to when an edit breaks page generation
+//
+// HISTORY is per templates database row (page ID): client and database overrides of the
+// same type + complexity are different templates with their own versions. A version
+// that comes back (A -> B -> A) is the newest again - history is ordered by when each
+// snapshot was last seen on that page, not by when it was first captured
+//
+// PINS: A templates database row can be pinned to one of its snapshots - the fetcher then
+// serves the snapshot whenever resolution picks that row, and only then (another client's
+// override is never replaced, or affected). A rollback is a pin to the snapshot before
+// the current one, lifted automatically once the live row changes (the author fixed it)
+// unless it was made with untilChanged: false
+//
+// PERSISTENCE: Same JSONL log as the job store (snapshot / seen / delete / pin / unpin
+// entries), replayed and compacted on boot
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Fields Notion changes without the template changing
+const VOLATILE_BLOCK_FIELDS = ['id', 'created_time', 'last_edited_time', 'created_by', 'last_edited_by', 'parent', 'request_id'];
+
+/**
+ * Page IDs with or without dashes are the same page
+ */
+const pageKey = pageId => String(pageId || '').replace(/-/g, '').toLowerCase();
+
+/**
+ * Thrown for unknown snapshots and impossible pins / rollbacks
+ */
+class TemplateSnapshotError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TemplateSnapshotError';
+    this.status = status;
+  }
+}
+
+class TemplateSnapshotStore {
+  /**
+   * @param {object} options - { filePath (none = memory only), maxPerTemplate, compactThreshold }
+   */
+  constructor(options = {}) {
+    this.snapshots = new Map(); // Hash -> snapshot (seenOn: page ID -> { at, seq })
+    this.pins = new Map(); // Template page ID -> pin
+    this.sequence = 0; // Orders sightings that share a millisecond
+
+    // WHY THIS WORKS: Old versions of a template are pruned, pinned ones never are
+    this.maxPerTemplate = options.maxPerTemplate || 20;
+
+    this.filePath = options.filePath || null;
+    this.compactThreshold = options.compactThreshold || 1000;
+    this.linesSinceCompaction = 0;
+    this.fd = null;
+
+    if (this.filePath) {
+      this.load();
+    }
+  }
+
+  /**
+   * Replay the snapshot log from disk and compact it
+   */
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      let skipped = 0;
+      let legacyPins = 0;
+
+      for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (parseError) {
+          // Torn write from a crash - earlier entries are still valid
+          skipped++;
+          continue;
+        }
+
+        if (entry.op === 'snapshot' && entry.snapshot?.hash) {
+          const { snapshot } = entry;
+          // Logs written before per-page history: the page it was captured from
+          snapshot.seenOn = snapshot.seenOn || { [pageKey(snapshot.pageId)]: { at: snapshot.lastSeenAt || snapshot.capturedAt, seq: 0 } };
+          this.snapshots.set(snapshot.hash, snapshot);
+        } else if (entry.op === 'seen' && this.snapshots.has(entry.hash)) {
+          this.snapshots.get(entry.hash).seenOn[pageKey(entry.pageId)] = entry.seen;
+        } else if (entry.op === 'delete') {
+          this.snapshots.delete(entry.hash);
+        } else if (entry.op === 'pin' && entry.pin?.pageId) {
+          this.pins.set(pageKey(entry.pin.pageId), entry.pin);
+        } else if (entry.op === 'pin') {
+          // Request type pins could serve one client's template to every client - re-pin by page
+          legacyPins++;
+        } else if (entry.op === 'unpin') {
+          this.pins.delete(pageKey(entry.pageId));
+        }
+      }
+
+      this.sequence = Math.max(0, ...Array.from(this.snapshots.values())
+        .flatMap(snapshot => Object.values(snapshot.seenOn || {}).map(seen => seen.seq || 0)));
+
+      console.log(`📂 Loaded ${this.snapshots.size} template snapshots, ${this.pins.size} pins from ${this.filePath}${skipped ? ` (${skipped} unreadable lines skipped)` : ''}`);
+      if (legacyPins > 0) {
+        console.warn(`⚠️ Dropped ${legacyPins} request type pins from before per-template pins - pin or roll back the template page again`);
+      }
+    }
+
+    this.compact();
+  }
+
+  /**
+   * Rewrite the log as one line per snapshot and pin (temp file + rename)
+   */
+  compact() {
+    if (!this.filePath) return;
+
+    const tmpPath = `${this.filePath}.tmp`;
+    const content = [
+      ...Array.from(this.snapshots.values()).map(snapshot => JSON.stringify({ op: 'snapshot', snapshot })),
+      ...Array.from(this.pins.values()).map(pin => JSON.stringify({ op: 'pin', pin }))
+    ].join('\n');
+
+    fs.writeFileSync(tmpPath, content ? content + '\n' : '');
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.linesSinceCompaction = 0;
+  }
+
+  append(entry) {
+    if (this.fd === null) return;
+
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+    fs.fdatasyncSync(this.fd);
+
+    this.linesSinceCompaction++;
+    if (this.linesSinceCompaction >= this.compactThreshold) {
+      this.compact();
+    }
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  // ============================================
+  // SNAPSHOTS
+  // ============================================
+
+  /**
+   * Record a template fetched from Notion
+   * WHY THIS WORKS: Same content = same hash = same snapshot, so refetching an
+   * unchanged template doesn't grow the history. Seeing an older version again
+   * makes it the newest for that page (logged, so a restart keeps the order)
+   *
+   * @param {object} template - Template from TemplateFetcher.fetchTemplate
+   * @returns {object} Snapshot (with blocks)
+   */
+  record(template) {
+    const hash = TemplateSnapshotStore.hashBlocks(template.blocks);
+    const existing = this.snapshots.get(hash);
+    const seen = { at: new Date().toISOString(), seq: ++this.sequence };
+
+    if (existing) {
+      const wasNewest = this.history(template.pageId)[0]?.hash === hash;
+      existing.lastSeenAt = seen.at;
+      existing.seenOn[pageKey(template.pageId)] = seen;
+
+      if (!wasNewest) {
+        this.append({ op: 'seen', hash, pageId: template.pageId, seen });
+      }
+      return existing;
+    }
+
+    const snapshot = {
+      hash,
+      templateType: template.templateType,
+      complexityLevel: template.complexityLevel || null,
+      pageId: template.pageId,
+      pageUrl: template.pageUrl,
+      lastEditedTime: template.lastEditedTime || null,
+      capturedAt: new Date().toISOString(),
+      lastSeenAt: seen.at,
+      // Templates database rows this content was fetched from (identical rows share a snapshot)
+      seenOn: { [pageKey(template.pageId)]: seen },
+      blockCount: template.blocks.length,
+      blocks: template.blocks
+    };
+
+    this.snapshots.set(hash, snapshot);
+    this.append({ op: 'snapshot', snapshot });
+    console.log(`📸 New template snapshot ${hash} for "${snapshot.templateType}"${snapshot.complexityLevel ? ` (${snapshot.complexityLevel})` : ''} [page ${template.pageId}]`);
+
+    this.prune(template.pageId);
+    return snapshot;
+  }
+
+  /**
+   * Snapshot by hash or an unambiguous prefix of at least 6 characters
+   *
+   * @throws {TemplateSnapshotError} Unknown or ambiguous hash (404 / 400)
+   */
+  get(hash) {
+    if (this.snapshots.has(hash)) return this.snapshots.get(hash);
+
+    const matches = String(hash || '').length >= 6
+      ? Array.from(this.snapshots.keys()).filter(candidate => candidate.startsWith(hash))
+      : [];
+
+    if (matches.length === 1) return this.snapshots.get(matches[0]);
+    if (matches.length > 1) {
+      throw new TemplateSnapshotError(`Snapshot hash "${hash}" is ambiguous (${matches.length} matches)`);
+    }
+    throw new TemplateSnapshotError(`Template snapshot not found: ${hash}`, 404);
+  }
+
+  /**
+   * Snapshots of one templates database row, most recently seen first
+   *
+   * @param {string} pageId - Template page ID
+   */
+  history(pageId) {
+    const seenOn = snapshot => snapshot.seenOn[pageKey(pageId)];
+
+    return Array.from(this.snapshots.values())
+      .filter(seenOn)
+      .sort((a, b) => seenOn(b).at.localeCompare(seenOn(a).at) || (seenOn(b).seq || 0) - (seenOn(a).seq || 0));
+  }
+
+  /**
+   * Snapshot summaries (no blocks), most recently seen first
+   *
+   * @param {object} filters - { pageId, templateType, complexityLevel }
+   */
+  list(filters = {}) {
+    const snapshots = filters.pageId
+      ? this.history(filters.pageId)
+      : Array.from(this.snapshots.values()).sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+
+    return snapshots
+      .filter(snapshot => !filters.templateType || snapshot.templateType === filters.templateType)
+      .filter(snapshot => !filters.complexityLevel || snapshot.complexityLevel === filters.complexityLevel)
+      .map(snapshot => this.summarize(snapshot));
+  }
+
+  summarize(snapshot) {
+    const { blocks, ...summary } = snapshot;
+    return {
+      ...summary,
+      // Template pages pinned to this snapshot
+      pinnedBy: Array.from(this.pins.values())
+        .filter(pin => pin.hash === snapshot.hash)
+        .map(pin => pin.pageId)
+    };
+  }
+
+  /**
+   * Keep the newest maxPerTemplate snapshots of a template page (pinned ones always stay,
+   * and so do snapshots another page still uses)
+   */
+  prune(pageId) {
+    const pinned = new Set(Array.from(this.pins.values()).map(pin => pin.hash));
+    const expired = this.history(pageId)
+      .slice(this.maxPerTemplate)
+      .filter(snapshot => !pinned.has(snapshot.hash) && Object.keys(snapshot.seenOn).length === 1);
+
+    for (const snapshot of expired) {
+      this.snapshots.delete(snapshot.hash);
+      this.append({ op: 'delete', hash: snapshot.hash });
+    }
+  }
+
+  // ============================================
+  // PINS AND ROLLBACK
+  // ============================================
+
+  /**
+   * Pin for a templates database row (null = it serves live)
+   */
+  getPin(pageId) {
+    return this.pins.get(pageKey(pageId)) || null;
+  }
+
+  listPins() {
+    return Array.from(this.pins.values());
+  }
+
+  /**
+   * Serve a snapshot instead of the live template for one templates database row
+   * WHY THIS WORKS: The pin belongs to the row the snapshot was captured from, so it
+   * only applies when resolution picks that row - pinning the type default leaves
+   * client overrides and other complexity levels on their own templates
+   *
+   * @param {string} pageId - Template page ID (null = the only page the snapshot was seen on)
+   * @param {string} hash - Snapshot hash (or unambiguous prefix)
+   * @param {object} options - { by, reason, requestType (what it was pinned for, for the record),
+   *                             untilChangedFrom (live hash that lifts the pin once it changes) }
+   * @returns {object} Pin
+   * @throws {TemplateSnapshotError} Snapshot never seen on that page, or pageId needed (400)
+   */
+  pin(pageId, hash, options = {}) {
+    const snapshot = this.get(hash);
+    const pages = Object.keys(snapshot.seenOn);
+
+    if (!pageId && pages.length > 1) {
+      throw new TemplateSnapshotError(`Snapshot ${snapshot.hash} was seen on ${pages.length} template pages (${pages.join(', ')}) - say which one to pin`);
+    }
+    if (pageId && !snapshot.seenOn[pageKey(pageId)]) {
+      throw new TemplateSnapshotError(`Snapshot ${snapshot.hash} was never captured from template page ${pageId}`);
+    }
+    // One page = the page it was first captured from
+    pageId = pageId || snapshot.pageId;
+
+    const pin = {
+      pageId,
+      requestType: options.requestType || null,
+      complexityLevel: snapshot.complexityLevel,
+      templateType: snapshot.templateType,
+      hash: snapshot.hash,
+      reason: options.reason || 'pinned',
+      untilChangedFrom: options.untilChangedFrom || null,
+      by: options.by || null,
+      at: new Date().toISOString()
+    };
+
+    this.pins.set(pageKey(pageId), pin);
+    this.append({ op: 'pin', pin });
+    console.log(`📌 Template page ${pageId} pinned to snapshot ${pin.hash} (${pin.reason})`);
+
+    return pin;
+  }
+
+  /**
+   * Put a templates database row back on its live template
+   *
+   * @returns {object|null} The removed pin
+   */
+  unpin(pageId, why = 'unpinned') {
+    const pin = this.getPin(pageId);
+    if (!pin) return null;
+
+    this.pins.delete(pageKey(pageId));
+    this.append({ op: 'unpin', pageId });
+    console.log(`📌 Template page ${pageId} back on the live template (${why})`);
+
+    return pin;
+  }
+
+  /**
+   * Pin a templates database row to the snapshot before the one it serves now
+   * WHY THIS WORKS: Rolling back twice walks further back, and by default the pin
+   * lifts itself as soon as the live row differs from the broken version
+   *
+   * @param {string} pageId - Template page ID (from TemplateFetcher.resolveTemplatePage)
+   * @param {object} options - { by, requestType, untilChanged (default true) }
+   * @returns {object} { pin, from, to }
+   * @throws {TemplateSnapshotError} No earlier snapshot to roll back to (409)
+   */
+  rollback(pageId, options = {}) {
+    const history = this.history(pageId);
+    const current = this.getPin(pageId);
+    const fromHash = current ? current.hash : history[0]?.hash;
+    const fromIndex = history.findIndex(snapshot => snapshot.hash === fromHash);
+    const target = fromIndex >= 0 ? history[fromIndex + 1] : null;
+
+    if (!target) {
+      throw new TemplateSnapshotError(
+        `No earlier snapshot of template page ${pageId} to roll back to (${history.length} captured)`,
+        409
+      );
+    }
+
+    const live = history[0].hash;
+    const pin = this.pin(pageId, target.hash, {
+      by: options.by,
+      requestType: options.requestType,
+      reason: 'rollback',
+      untilChangedFrom: options.untilChanged === false ? null : (current?.untilChangedFrom || live)
+    });
+
+    return { pin, from: fromHash, to: target.hash };
+  }
+
+  // ============================================
+  // DIFF
+  // ============================================
+
+  /**
+   * Line diff of two snapshots' block outlines
+   *
+   * @returns {object} { from, to, summary: { added, removed, unchanged }, lines: [{ op: '+'|'-'|' ', line }] }
+   */
+  diff(fromHash, toHash) {
+    const from = this.get(fromHash);
+    const to = this.get(toHash);
+    const lines = diffLines(outline(from.blocks), outline(to.blocks));
+
+    return {
+      from: this.summarize(from),
+      to: this.summarize(to),
+      summary: {
+        added: lines.filter(line => line.op === '+').length,
+        removed: lines.filter(line => line.op === '-').length,
+        unchanged: lines.filter(line => line.op === ' ').length
+      },
+      lines
+    };
+  }
+
+  getStats() {
+    return {
+      snapshots: this.snapshots.size,
+      pins: this.pins.size,
+      storage: this.filePath || 'memory only'
+    };
+  }
+
+  /**
+   * Content hash of a block tree (16 hex chars of SHA-256)
+   * WHY THIS WORKS: IDs and timestamps are stripped and keys sorted, so only a
+   * real content edit changes the hash
+   */
+  static hashBlocks(blocks) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify(canonical(blocks || [])))
+      .digest('hex')
+      .substring(0, 16);
+  }
+}
+
+/**
+ * Blocks without volatile fields, object keys sorted
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (!value || typeof value !== 'object') return value;
+
+  const result = {};
+  for (const key of Object.keys(value).sort()) {
+    if (VOLATILE_BLOCK_FIELDS.includes(key)) continue;
+    result[key] = canonical(value[key]);
+  }
+  return result;
+}
+
+/**
+ * One line per block: indentation, type and text (children indented under their parent)
+ */
+function outline(blocks, depth = 0) {
+  const lines = [];
+
+  for (const block of blocks || []) {
+    const content = block[block.type] || {};
+    const text = (content.rich_text || [])
+      .map(part => part.plain_text ?? part.text?.content ?? '')
+      .join('');
+    const extra = content.url ? ` <${content.url}>` : (typeof content.checked === 'boolean' ? ` [${content.checked ? 'x' : ' '}]` : '');
+
+    lines.push(`${'  '.repeat(depth)}${block.type}: ${text}${extra}`.trimEnd());
+    lines.push(...outline(block.children || content.children, depth + 1));
+  }
+
+  return lines;
+}
+
+/**
+ * Longest-common-subsequence line diff
+ */
+function diffLines(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ op: '-', line: a[i++] });
+    } else {
+      lines.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ op: '-', line: a[i++] });
+  while (j < b.length) lines.push({ op: '+', line: b[j++] });
+
+  return lines;
+}
+
+TemplateSnapshotStore.TemplateSnapshotError = TemplateSnapshotError;
+
+module.exports = TemplateSnapshotStore;
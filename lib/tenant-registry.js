@@ -0,0 +1,343 @@
+// ============================================
+// IE7 TENANT REGISTRY
+// ============================================
+// Brands and agencies we run intake for, each with its own Notion workspace,
+// database registry, templates database, default assignee and OpenAI settings
+// WHY THIS WORKS: Every tenant gets its own set of services (Notion gateway and rate
+// limiter, template cache, router, pipeline, MCP server), built once and kept apart,
+// so one tenant's token, cache or outage never leaks into another's briefs
+//
+// The "default" tenant is always there and comes from the global env
+// (NOTION_TOKEN, *_DB_ID, TEMPLATES_DATABASE_ID, DEFAULT_ASSIGNEE_*, OPENAI_API_KEY),
+// so a deployment without config/tenants.json works exactly as before
+//
+// FILE FORMAT (JSON):
+// {
+//   "tenants": {
+//     "acme": {
+//       "name": "Acme Studios",
+//       "notion": { "tokenEnv": "ACME_NOTION_TOKEN", "backend": "rest",     (backend defaults to NOTION_BACKEND)
+//                   "webhookSecretEnv": "ACME_NOTION_WEBHOOK_SECRET" },       (optional, POST /webhooks/notion)
+//       "inboundWebhookSecretEnv": "ACME_INBOUND_WEBHOOK_SECRET",           (optional, HMAC-signed n8n webhooks)
+//       "databaseRegistryPath": "./config/tenants/acme.databases.json",
+//       "templatesDatabaseIdEnv": "ACME_TEMPLATES_DATABASE_ID",             (or "templatesDatabaseId")
+//       "templateBundlePath": "./config/tenants/acme.template-bundle.json",  (optional, offline fallback)
+//       "defaultAssignee": { "name": "...", "email": "...", "id": "<notion user id>" },
+//       "openai": { "apiKeyEnv": "ACME_OPENAI_API_KEY", "model": "gpt-5", "routingModel": "o3-mini" }
+//     }
+//   }
+// }
+// Secrets are only read from env vars (tokenEnv, apiKeyEnv) - never from the file
+//
+// SELECTION (see resolve()): key or webhook secret bound to a tenant > /t/<tenant>/... path > "tenant" payload field > default
+// Only admin keys may pick a tenant by path or payload - everything else is held to its own tenant
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TENANT = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const NOTION_BACKENDS = ['mcp', 'rest', 'fake'];
+const TENANT_KEYS = ['name', 'notion', 'inboundWebhookSecretEnv', 'databaseRegistryPath', 'templatesDatabaseId', 'templatesDatabaseIdEnv', 'templateBundlePath', 'defaultAssignee', 'openai'];
+
+/**
+ * Thrown when the tenants file is broken, or a request names a tenant it can't use
+ */
+class TenantError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'TenantError';
+    this.status = options.status || 500;
+    this.errors = options.errors || [];
+    // WHY THIS WORKS: A job whose tenant was removed can't succeed on retry
+    this.retryable = false;
+  }
+}
+
+class TenantRegistry {
+  /**
+   * @param {object} options - { filePath, env, createServices: (tenant) => services }
+   */
+  constructor(options = {}) {
+    this.filePath = path.resolve(options.filePath || path.join(__dirname, '..', 'config', 'tenants.json'));
+    this.env = options.env || process.env;
+    this.createServices = options.createServices;
+
+    this.tenants = this.load();
+    this.services = new Map(); // Tenant ID -> services from createServices
+
+    const extra = this.list().filter(tenant => tenant.id !== DEFAULT_TENANT);
+    if (extra.length > 0) {
+      console.log(`✅ Tenants loaded: ${DEFAULT_TENANT}, ${extra.map(tenant => tenant.id).join(', ')}`);
+    }
+  }
+
+  /**
+   * Read and validate the file (a missing file = only the default tenant)
+   *
+   * @returns {object} Tenant ID -> tenant
+   * @throws {TenantError} Invalid JSON or misconfigured tenants (every problem listed)
+   */
+  load() {
+    const tenants = { [DEFAULT_TENANT]: this.buildDefault() };
+
+    if (!fs.existsSync(this.filePath)) {
+      return tenants;
+    }
+
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new TenantError(`Could not load tenants file ${this.filePath}: ${error.message}`);
+    }
+
+    if (!raw || typeof raw.tenants !== 'object' || Array.isArray(raw.tenants)) {
+      throw new TenantError(`Tenants file ${this.filePath} must have a "tenants" object`);
+    }
+
+    const errors = [];
+    for (const [id, rawTenant] of Object.entries(raw.tenants)) {
+      const tenant = this.build(id, rawTenant, (field, message) => errors.push({ tenant: id, field, message }));
+      if (!tenant) continue;
+
+      // WHY THIS WORKS: The webhook secret is the tenant's identity - a shared one
+      // would let either tenant's n8n submit as the other
+      const sharing = Object.values(tenants).find(other => tenant.inboundWebhookSecret && other.inboundWebhookSecret === tenant.inboundWebhookSecret);
+      if (sharing) {
+        errors.push({ tenant: id, field: 'inboundWebhookSecretEnv', message: `is the same secret as tenant "${sharing.id}" - each tenant needs its own` });
+      }
+      tenants[id] = tenant;
+    }
+
+    if (errors.length > 0) {
+      const errorList = errors.map(e => `${e.tenant}${e.field ? `.${e.field}` : ''} ${e.message}`).join('; ');
+      throw new TenantError(`Tenants file ${this.filePath} has ${errors.length} problems: ${errorList}`, { errors });
+    }
+
+    return tenants;
+  }
+
+  /**
+   * The default tenant, straight from the global env
+   */
+  buildDefault() {
+    const env = this.env;
+
+    return {
+      id: DEFAULT_TENANT,
+      name: 'Default',
+      notion: {
+        backend: env.NOTION_BACKEND || 'mcp',
+        token: env.NOTION_TOKEN,
+        fixtures: env.NOTION_FAKE_FIXTURES,
+        webhookSecret: env.NOTION_WEBHOOK_SECRET
+      },
+      inboundWebhookSecret: env.INBOUND_WEBHOOK_SECRET || null,
+      databaseRegistryPath: env.DATABASE_REGISTRY_PATH,
+      templatesDatabaseId: env.TEMPLATES_DATABASE_ID,
+      templateBundlePath: env.TEMPLATE_BUNDLE_PATH || path.join(__dirname, '..', 'config', 'template-bundle.json'),
+      // WHY THIS WORKS: Nobody is assigned unless the deployment names someone
+      defaultAssignee: env.DEFAULT_ASSIGNEE_NAME || env.DEFAULT_ASSIGNEE_ID ? {
+        name: env.DEFAULT_ASSIGNEE_NAME || null,
+        email: env.DEFAULT_ASSIGNEE_EMAIL || null,
+        id: env.DEFAULT_ASSIGNEE_ID || null
+      } : null,
+      openai: {
+        apiKey: env.OPENAI_API_KEY,
+        model: undefined,
+        routingModel: env.ROUTING_MODEL
+      }
+    };
+  }
+
+  /**
+   * Turn one file entry into a tenant, reporting every problem
+   *
+   * @returns {object|null} Tenant, or null if the entry is unusable
+   */
+  build(id, rawTenant, report) {
+    if (id === DEFAULT_TENANT) {
+      report(null, `"${DEFAULT_TENANT}" is reserved for the env-configured tenant`);
+      return null;
+    }
+    if (!TENANT_ID_PATTERN.test(id)) {
+      report(null, 'tenant IDs are lowercase letters, digits, "-" and "_" (they appear in /t/<tenant>/ URLs)');
+      return null;
+    }
+    if (!rawTenant || typeof rawTenant !== 'object' || Array.isArray(rawTenant)) {
+      report(null, 'entry must be an object');
+      return null;
+    }
+
+    for (const unknownKey of Object.keys(rawTenant).filter(k => !TENANT_KEYS.includes(k))) {
+      report(unknownKey, 'unknown setting');
+    }
+
+    const notion = rawTenant.notion || {};
+    const backend = notion.backend || this.env.NOTION_BACKEND || 'mcp';
+    const token = notion.tokenEnv ? this.env[notion.tokenEnv] : null;
+
+    if (!NOTION_BACKENDS.includes(backend)) {
+      report('notion.backend', `must be one of ${NOTION_BACKENDS.join(', ')}`);
+    }
+    if (notion.token) {
+      report('notion.token', 'secrets are not read from this file - put the token in an env var and set notion.tokenEnv');
+    }
+    if (backend !== 'fake' && !token) {
+      report('notion.tokenEnv', notion.tokenEnv ? `env var ${notion.tokenEnv} is not set` : 'is required');
+    }
+    const webhookSecret = notion.webhookSecretEnv ? this.env[notion.webhookSecretEnv] : null;
+    if (notion.webhookSecretEnv && !webhookSecret) {
+      report('notion.webhookSecretEnv', `env var ${notion.webhookSecretEnv} is not set`);
+    }
+
+    const inboundWebhookSecret = rawTenant.inboundWebhookSecretEnv ? this.env[rawTenant.inboundWebhookSecretEnv] : null;
+    if (rawTenant.inboundWebhookSecretEnv && !inboundWebhookSecret) {
+      report('inboundWebhookSecretEnv', `env var ${rawTenant.inboundWebhookSecretEnv} is not set`);
+    }
+
+    if (!rawTenant.databaseRegistryPath) {
+      report('databaseRegistryPath', 'is required (each tenant has its own database registry)');
+    }
+
+    const templatesDatabaseId = rawTenant.templatesDatabaseId ||
+      (rawTenant.templatesDatabaseIdEnv ? this.env[rawTenant.templatesDatabaseIdEnv] : null);
+    if (!templatesDatabaseId) {
+      report(rawTenant.templatesDatabaseIdEnv ? 'templatesDatabaseIdEnv' : 'templatesDatabaseId',
+        rawTenant.templatesDatabaseIdEnv ? `env var ${rawTenant.templatesDatabaseIdEnv} is not set` : 'is required');
+    }
+
+    // WHY THIS WORKS: No fallback to DEFAULT_ASSIGNEE_ID - that user lives in another workspace
+    const assignee = rawTenant.defaultAssignee;
+    if (!assignee || typeof assignee !== 'object' || !assignee.name || !assignee.id) {
+      report('defaultAssignee', 'needs a name and the Notion user id');
+    }
+
+    const openai = rawTenant.openai || {};
+    if (openai.apiKey) {
+      report('openai.apiKey', 'secrets are not read from this file - set openai.apiKeyEnv');
+    }
+    const apiKey = openai.apiKeyEnv ? this.env[openai.apiKeyEnv] : this.env.OPENAI_API_KEY;
+    if (openai.apiKeyEnv && !apiKey) {
+      report('openai.apiKeyEnv', `env var ${openai.apiKeyEnv} is not set`);
+    }
+
+    return {
+      id,
+      name: rawTenant.name || id,
+      notion: { backend, token, fixtures: notion.fixtures, webhookSecret },
+      inboundWebhookSecret,
+      databaseRegistryPath: rawTenant.databaseRegistryPath || null,
+      templatesDatabaseId,
+      templateBundlePath: rawTenant.templateBundlePath || null,
+      defaultAssignee: assignee || null,
+      openai: {
+        apiKey,
+        model: openai.model,
+        routingModel: openai.routingModel || this.env.ROUTING_MODEL
+      }
+    };
+  }
+
+  get(tenantId) {
+    return this.tenants[tenantId || DEFAULT_TENANT] || null;
+  }
+
+  list() {
+    return Object.values(this.tenants);
+  }
+
+  /**
+   * Services for a tenant, built on first use
+   *
+   * @throws {TenantError} Unknown tenant (404)
+   */
+  getServices(tenantId) {
+    const tenant = this.get(tenantId);
+    if (!tenant) {
+      throw new TenantError(`Unknown tenant: "${tenantId}"`, { status: 404 });
+    }
+
+    if (!this.services.has(tenant.id)) {
+      this.services.set(tenant.id, this.createServices(tenant));
+    }
+    return this.services.get(tenant.id);
+  }
+
+  /**
+   * Every tenant's services (builds the ones not built yet)
+   */
+  allServices() {
+    return this.list().map(tenant => this.getServices(tenant.id));
+  }
+
+  /**
+   * Services built so far (shutdown only cleans up what was started)
+   */
+  activeServices() {
+    return Array.from(this.services.values());
+  }
+
+  /**
+   * Pick the tenant for a request
+   * WHY THIS WORKS: A key or webhook secret bound to a tenant can only ever act for that
+   * tenant. Picking one by path or payload needs an admin key - an unbound submit or read
+   * key stays on the default tenant, so it can't write into (or read) anyone else's
+   *
+   * Only an admin left on the default sees every tenant's jobs - any other identity is scoped
+   * to the tenant it resolved to, the default one included
+   *
+   * @param {object} sources - { identity (req.auth - an admin when AUTH_DISABLED=true), pathTenant, payloadTenant }
+   * @returns {object} { tenantId, source, scoped } (scoped = only sees tenantId's jobs)
+   * @throws {TenantError} Unknown tenant (404), or a tenant the identity may not act for (403)
+   */
+  resolve({ identity, pathTenant, payloadTenant }) {
+    const keyTenant = identity?.tenant || null;
+    const admin = (identity?.scopes || []).includes('admin');
+
+    for (const [source, requested] of [['path', pathTenant], ['payload', payloadTenant]]) {
+      if (requested && keyTenant && requested !== keyTenant) {
+        throw new TenantError(`${identity.method === 'hmac' ? 'Webhook secret' : 'API key'} "${identity.name}" belongs to tenant "${keyTenant}", not "${requested}" (${source})`, { status: 403 });
+      }
+      if (requested && identity && !keyTenant && !admin) {
+        throw new TenantError(`API key "${identity.name}" is not bound to a tenant - only admin keys can pick tenant "${requested}" (${source})`, { status: 403 });
+      }
+    }
+
+    const [source, tenantId] = [
+      ['apiKey', keyTenant],
+      ['path', pathTenant],
+      ['payload', payloadTenant]
+    ].find(([, value]) => value) || ['default', DEFAULT_TENANT];
+
+    if (!this.get(tenantId)) {
+      throw new TenantError(`Unknown tenant: "${tenantId}"`, { status: 404 });
+    }
+
+    return { tenantId, source, scoped: source !== 'default' || !admin };
+  }
+
+  /**
+   * Tenants without secrets (GET /tenants)
+   */
+  getStatus() {
+    return this.list().map(tenant => ({
+      id: tenant.id,
+      name: tenant.name,
+      notionBackend: tenant.notion.backend,
+      notionWebhookConfigured: !!tenant.notion.webhookSecret,
+      inboundWebhookConfigured: !!tenant.inboundWebhookSecret,
+      databaseRegistryPath: tenant.databaseRegistryPath || null,
+      templatesDatabaseConfigured: !!tenant.templatesDatabaseId,
+      templateBundlePath: tenant.templateBundlePath || null,
+      defaultAssignee: tenant.defaultAssignee?.name || null,
+      openaiConfigured: !!tenant.openai.apiKey
+    }));
+  }
+}
+
+TenantRegistry.TenantError = TenantError;
+TenantRegistry.DEFAULT_TENANT = DEFAULT_TENANT;
+
+module.exports = TenantRegistry;
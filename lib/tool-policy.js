@@ -0,0 +1,86 @@
+// ============================================
+// IE7 NOTION TOOL POLICY - Timeouts & Retries per Operation
+// ============================================
+// WHY THIS WORKS: A timed-out read is safe to send again, a timed-out append is not -
+// it may still land after we gave up, and a retry would duplicate the blocks
+//
+// KINDS:
+//   read             - GET-style calls (retrieve, query, search, list) - retried
+//   idempotent_write - Same request twice = same end state (update page/block, delete) - retried once
+//   write            - Creates something new (post-page, append block children) - never retried,
+//                      and a timeout is reported as permanent (outcome unknown)
+//
+// Per-tool overrides win over the kind defaults, e.g.
+//   { "API-patch-block-children": { "timeout": 60000 } }
+
+const DEFAULT_KIND_POLICIES = {
+  read: { timeout: 15000, retries: 2, retryBaseDelay: 500, retryMaxDelay: 5000 },
+  idempotent_write: { timeout: 30000, retries: 1, retryBaseDelay: 1000, retryMaxDelay: 5000 },
+  write: { timeout: 30000, retries: 0, retryBaseDelay: 1000, retryMaxDelay: 5000 }
+};
+
+// WHY THIS WORKS: 100-block appends are the slowest call Notion serves
+const DEFAULT_TOOL_OVERRIDES = {
+  'API-patch-block-children': { timeout: 60000 }
+};
+
+class ToolPolicy {
+  /**
+   * @param {object} options - { kinds: { read: {...}, ... }, overrides: { 'API-post-page': {...} }, operations }
+   *                           operations = { name: { kind } } (NOTION_OPERATIONS)
+   */
+  constructor(options = {}) {
+    this.kinds = {};
+    for (const [kind, defaults] of Object.entries(DEFAULT_KIND_POLICIES)) {
+      this.kinds[kind] = { ...defaults, ...this.clean(options.kinds?.[kind]) };
+    }
+
+    this.overrides = { ...DEFAULT_TOOL_OVERRIDES };
+    for (const [operation, override] of Object.entries(options.overrides || {})) {
+      this.overrides[operation] = { ...this.overrides[operation], ...this.clean(override) };
+    }
+
+    this.operations = options.operations || {};
+  }
+
+  /**
+   * Drop undefined/NaN values so unset env vars fall back to defaults
+   */
+  clean(policy = {}) {
+    const cleaned = {};
+    for (const [key, value] of Object.entries(policy || {})) {
+      if (key === 'kind' ? DEFAULT_KIND_POLICIES[value] : Number.isFinite(value)) {
+        cleaned[key] = value;
+      }
+    }
+    return cleaned;
+  }
+
+  /**
+   * Policy for one call
+   * WHY THIS WORKS: Unknown operations are treated as non-idempotent writes (never retried)
+   *
+   * @param {string} operation - Operation name
+   * @param {number} timeout - Caller's explicit timeout (wins over the table)
+   * @returns {object} { operation, kind, timeout, retries, retryBaseDelay, retryMaxDelay }
+   */
+  resolve(operation, timeout) {
+    const override = this.overrides[operation] || {};
+    const kind = override.kind || this.operations[operation]?.kind || 'write';
+
+    const policy = { operation, ...this.kinds[kind], ...override, kind };
+    if (Number.isFinite(timeout) && timeout > 0) {
+      policy.timeout = timeout;
+    }
+    return policy;
+  }
+
+  /**
+   * Full table (for docs and /health)
+   */
+  describe() {
+    return { kinds: this.kinds, overrides: this.overrides };
+  }
+}
+
+module.exports = ToolPolicy;
@@ -0,0 +1,221 @@
+// ============================================
+// IE7 WEBHOOK NOTIFIER
+// ============================================
+// POSTs job outcomes (success + dead-letter) to n8n / per-request callback URLs
+// WHY THIS WORKS: Signed + retried delivery, so n8n can trust the payload and
+// send the client their Notion link even if the first POST hits a blip
+//
+// SIGNATURE: X-IE7-Signature = "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+// Receivers should recompute it from the raw body and X-IE7-Timestamp header
+//
+// CALLBACK URLS: whoever submits a brief picks its callbackUrl, so it must not reach
+// our own network - https only, no loopback/link-local/private addresses (checked on
+// the URL at intake and on every resolved address at connect time), no redirects.
+// Hosts in the allowlist (CALLBACK_URL_ALLOWLIST) skip the address checks and may use http;
+// once the allowlist is set, no other host is accepted
+
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { classifyError, computeBackoff } = require('./retry-policy');
+
+// WHY THESE RANGES: loopback, link-local (cloud metadata at 169.254.169.254), private,
+// carrier-grade NAT, benchmarking, multicast and reserved - none of them is a client's server
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+];
+const BLOCKED_IPV6 = [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]];
+
+const blockList = new net.BlockList();
+for (const [address, prefix] of BLOCKED_IPV4) blockList.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of BLOCKED_IPV6) blockList.addSubnet(address, prefix, 'ipv6');
+
+/**
+ * Is this IP one a callback must never reach? (IPv4-mapped IPv6 is checked as IPv4)
+ */
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return blockList.check(mapped[1], 'ipv4');
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+class WebhookNotifier {
+  constructor(options = {}) {
+    this.secret = options.secret || null;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.timeout = options.timeout || 5000;
+    this.retryBaseDelay = options.retryBaseDelay || 1000;
+    // Host names, or "*.example.com" for any subdomain
+    this.callbackAllowlist = (options.callbackAllowlist || []).map(host => host.trim().toLowerCase()).filter(Boolean);
+
+    // WHY THIS WORKS: The address check runs in the agents' DNS lookup, on the address
+    // the socket actually connects to - a host that resolves to a public IP at intake
+    // and a private one later (DNS rebinding) is still refused
+    const lookup = (hostname, lookupOptions, callback) => this.lookupCallbackHost(hostname, lookupOptions, callback);
+    this.callbackAgents = {
+      httpAgent: new http.Agent({ lookup }),
+      httpsAgent: new https.Agent({ lookup })
+    };
+
+    if (!this.secret) {
+      console.warn('⚠️ WEBHOOK_SIGNING_SECRET not set - outgoing webhooks will be unsigned');
+    }
+  }
+
+  /**
+   * Compute signature headers for a body
+   *
+   * @param {string} body - Exact JSON string that will be sent
+   * @param {number} timestamp - Unix seconds
+   */
+  sign(body, timestamp) {
+    if (!this.secret) return {};
+
+    const signature = crypto
+      .createHmac('sha256', this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return { 'X-IE7-Signature': `sha256=${signature}` };
+  }
+
+  /**
+   * POST a payload with retries
+   * WHY THIS WORKS: Never throws - delivery failures are reported, not raised,
+   * so a dead callback URL can't fail a job that already created its page
+   *
+   * @param {string} url - Destination URL
+   * @param {object} payload - JSON payload
+   * @param {object} options - { event, callback (url came from a brief: address checks, no redirects) }
+   * @returns {Promise<object>} { delivered, attempts, status, error }
+   */
+  async send(url, payload, options = {}) {
+    const event = options.event || 'job.updated';
+    const body = JSON.stringify(payload);
+
+    let lastError = null;
+    let attempts = 0;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      attempts = attempt;
+
+      // WHY THIS WORKS: Fresh timestamp per attempt keeps replay windows tight on receivers
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      try {
+        const response = await axios.post(url, body, {
+          timeout: this.timeout,
+          ...(options.callback && { ...this.callbackAgents, maxRedirects: 0 }),
+          headers: {
+            'Content-Type': 'application/json',
+            'X-IE7-Event': event,
+            'X-IE7-Timestamp': String(timestamp),
+            ...this.sign(body, timestamp)
+          }
+        });
+
+        console.log(`✅ Webhook "${event}" delivered (${response.status}, attempt ${attempt})`);
+        return { delivered: true, attempts: attempt, status: response.status, error: null };
+
+      } catch (error) {
+        lastError = error;
+        const classification = classifyError(error);
+
+        console.warn(`⚠️ Webhook "${event}" attempt ${attempt}/${this.maxAttempts} failed: ${error.message}`);
+
+        if (!classification.retryable || attempt === this.maxAttempts) {
+          break;
+        }
+
+        const delay = computeBackoff(attempt, { baseDelay: this.retryBaseDelay, maxDelay: 30000 });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    console.error(`❌ Webhook "${event}" not delivered: ${lastError?.message}`);
+
+    return {
+      delivered: false,
+      attempts,
+      status: lastError?.response?.status || null,
+      error: lastError?.message || 'Unknown error'
+    };
+  }
+
+  /**
+   * Is a host on the callback allowlist?
+   */
+  isAllowlisted(hostname) {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+    return this.callbackAllowlist.some(entry => (entry.startsWith('*.')
+      ? host.endsWith(entry.substring(1))
+      : host === entry));
+  }
+
+  /**
+   * Check a per-request callback URL at intake
+   * WHY THIS WORKS: Rejected with a 400 before a job exists, with the reason
+   *
+   * @param {string} value - callbackUrl from the brief
+   * @returns {string|null} Why the URL is refused, or null if it's fine
+   */
+  checkCallbackUrl(value) {
+    if (typeof value !== 'string' || !value.trim()) return 'must be a URL';
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return 'must be a URL';
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+    if (this.isAllowlisted(hostname)) {
+      return url.protocol === 'https:' || url.protocol === 'http:' ? null : 'must be an http(s) URL';
+    }
+    if (this.callbackAllowlist.length > 0) {
+      return `host "${hostname}" is not in CALLBACK_URL_ALLOWLIST`;
+    }
+    if (url.protocol !== 'https:') {
+      return 'must be an https URL';
+    }
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || isBlockedAddress(hostname)) {
+      return 'must not point at a loopback, link-local or private address';
+    }
+
+    return null;
+  }
+
+  /**
+   * dns.lookup for callback sockets that refuses blocked addresses
+   */
+  lookupCallbackHost(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      const blocked = !this.isAllowlisted(hostname) && addresses.find(({ address }) => isBlockedAddress(address));
+      if (blocked) {
+        const refused = new Error(`Callback host ${hostname} resolves to blocked address ${blocked.address}`);
+        refused.code = 'ECALLBACKBLOCKED';
+        refused.retryable = false;
+        return callback(refused);
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+}
+
+WebhookNotifier.isBlockedAddress = isBlockedAddress;
+
+module.exports = WebhookNotifier;
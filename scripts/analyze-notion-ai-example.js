@@ -1,18 +1,29 @@
 // Fetch the Notion AI example to see proper formatting
+// Usage: node scripts/analyze-notion-ai-example.js <page_id> [output.json]
+// (page ID can also come from NOTION_EXAMPLE_PAGE_ID; works with any NOTION_BACKEND)
 require('dotenv').config();
-const MCPClient = require('../lib/mcp-client');
+const path = require('path');
+const { createNotionGateway } = require('../lib/notion-gateway');
 
 async function analyzeExample() {
-  const mcpClient = new MCPClient({
-    command: 'npx',
-    args: ['-y', '@notionhq/notion-mcp-server'],
-    env: { NOTION_API_KEY: process.env.NOTION_API_KEY }
+  const pageId = process.argv[2] || process.env.NOTION_EXAMPLE_PAGE_ID;
+  const outputPath = process.argv[3] || path.join(process.cwd(), 'notion-ai-example-blocks.json');
+
+  if (!pageId) {
+    console.error('❌ Pass a page ID or set NOTION_EXAMPLE_PAGE_ID');
+    process.exit(1);
+  }
+
+  const notion = createNotionGateway({
+    backend: process.env.NOTION_BACKEND || 'mcp',
+    token: process.env.NOTION_TOKEN,
+    rest: { baseUrl: process.env.NOTION_API_BASE_URL },
+    fake: { fixtures: process.env.NOTION_FAKE_FIXTURES }
   });
 
   try {
-    await mcpClient.connect();
+    await notion.connect();
     
-    const pageId = '2984900fe66a80fa85d9cb133640649f'; // Notion AI's recreation
     console.log(`📖 Analyzing Notion AI's beautiful example...\n`);
     
     // Fetch all blocks from the page
@@ -21,7 +32,7 @@ async function analyzeExample() {
     let cursor = null;
     
     while (hasMore) {
-      const response = await mcpClient.callTool('API-get-block-children', {
+      const response = await notion.callTool('API-get-block-children', {
         block_id: pageId,
         page_size: 100,
         ...(cursor && { start_cursor: cursor })
@@ -75,13 +86,11 @@ async function analyzeExample() {
     
     // Save detailed analysis
     const fs = require('fs');
-    fs.writeFileSync(
-      '/Users/unothekidd/cursor_projects/velto-client-request-automation-main/notion-ai-example-blocks.json',
-      JSON.stringify(allBlocks, null, 2)
-    );
+    fs.writeFileSync(outputPath, JSON.stringify(allBlocks, null, 2));
     
-    console.log('\n✅ Detailed blocks saved to notion-ai-example-blocks.json');
+    console.log(`\n✅ Detailed blocks saved to ${outputPath}`);
     
+    await notion.cleanup();
     process.exit(0);
   } catch (error) {
     console.error('❌ Error:', error.message);
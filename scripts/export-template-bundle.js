@@ -0,0 +1,52 @@
+// Export the DCMS Templates database into the offline template bundle (commit the result)
+// Run:   node scripts/export-template-bundle.js [tenant] [output.json]
+// Uses the tenant's Notion settings and templates database (default tenant = .env),
+// writes to its templateBundlePath (default: TEMPLATE_BUNDLE_PATH or config/template-bundle.json)
+require('dotenv').config();
+const { createNotionGateway } = require('../lib/notion-gateway');
+const TemplateFetcher = require('../lib/template-fetcher');
+const TemplateBundle = require('../lib/template-bundle');
+const TenantRegistry = require('../lib/tenant-registry');
+
+async function main() {
+  const [tenantId = TenantRegistry.DEFAULT_TENANT, outputPath] = process.argv.slice(2);
+  const tenant = new TenantRegistry({ filePath: process.env.TENANTS_PATH }).get(tenantId);
+
+  if (!tenant) {
+    throw new Error(`Unknown tenant: ${tenantId}`);
+  }
+
+  const target = outputPath || tenant.templateBundlePath;
+  if (!target) {
+    throw new Error(`Tenant ${tenant.id} has no templateBundlePath - pass the output file as the second argument`);
+  }
+
+  const notion = createNotionGateway({
+    backend: tenant.notion.backend,
+    token: tenant.notion.token,
+    fake: { fixtures: tenant.notion.fixtures }
+  });
+
+  try {
+    await notion.connect();
+
+    const fetcher = new TemplateFetcher(notion, {
+      templatesDatabaseId: tenant.templatesDatabaseId,
+      blockDepth: parseInt(process.env.TEMPLATE_BLOCK_DEPTH ?? '3'),
+      blockConcurrency: parseInt(process.env.TEMPLATE_FETCH_CONCURRENCY) || 3
+    });
+    const bundle = await fetcher.exportBundle();
+    TemplateBundle.save(bundle, target);
+
+    console.log(`✅ ${bundle.templates.length} templates written to ${target}`);
+  } finally {
+    await notion.cleanup();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`❌ Export failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,28 @@
+// Local Notion stand-in over HTTP (offline dev, CI)
+// Run:   node scripts/fake-notion-server.js [fixtures.json]
+// Then:  NOTION_BACKEND=rest NOTION_API_BASE_URL=http://localhost:4010/v1 NOTION_TOKEN=fake node server.js
+// Or skip HTTP entirely with NOTION_BACKEND=fake
+require('dotenv').config();
+const path = require('path');
+const { FakeNotion, createFakeNotionApp } = require('../lib/fake-notion');
+const { NOTION_OPERATIONS } = require('../lib/notion-gateway');
+
+const PORT = process.env.FAKE_NOTION_PORT || 4010;
+const fixturesPath = process.argv[2]
+  || process.env.NOTION_FAKE_FIXTURES
+  || path.join(__dirname, '..', 'fixtures', 'notion', 'workspace.json');
+
+const fake = FakeNotion.fromFile(fixturesPath);
+const app = createFakeNotionApp(fake, NOTION_OPERATIONS);
+
+const server = app.listen(PORT, () => {
+  console.log(`🧪 Fake Notion listening on http://localhost:${PORT}/v1`);
+  console.log('   GET /_fake/pages - pages created since start');
+
+  for (const database of fake.databases.values()) {
+    console.log(`   📚 ${database.title[0]?.plain_text}: ${database.id}`);
+  }
+});
+
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
+process.on('SIGINT', () => server.close(() => process.exit(0)));
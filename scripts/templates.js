@@ -0,0 +1,92 @@
+// Template snapshots, pins and rollback from the command line (talks to a running server)
+// Run:   node scripts/templates.js rollback content "Pizza" [client]   (or: rollback <template pageId>)
+//        node scripts/templates.js list [pageId] | show <hash> | diff <from> <to> | pins
+//        node scripts/templates.js pin <hash> [pageId] | unpin <pageId>
+// Env:   IE7_URL (default http://localhost:$PORT), IE7_API_KEY (admin scope to pin / roll back),
+//        IE7_TENANT (default: the key's tenant)
+require('dotenv').config();
+
+const baseUrl = (process.env.IE7_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const prefix = process.env.IE7_TENANT ? `/t/${encodeURIComponent(process.env.IE7_TENANT)}` : '';
+
+async function call(method, route, body) {
+  const response = await fetch(`${baseUrl}${prefix}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.IE7_API_KEY && { Authorization: `Bearer ${process.env.IE7_API_KEY}` })
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
+
+  if (!response.ok || result.success === false) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+  return result;
+}
+
+const label = snapshot => `${snapshot.hash}  ${snapshot.templateType}${snapshot.complexityLevel ? ` (${snapshot.complexityLevel})` : ''}` +
+  `  ${snapshot.blockCount} blocks  captured ${snapshot.capturedAt}` +
+  (snapshot.pinnedBy?.length ? `  📌 pinned on ${snapshot.pinnedBy.join(', ')}` : '');
+
+const commands = {
+  async list(pageId) {
+    const query = new URLSearchParams({ ...(pageId && { pageId }) });
+    const { snapshots } = await call('GET', `/templates/snapshots?${query}`);
+    snapshots.forEach(snapshot => console.log(label(snapshot)));
+    if (snapshots.length === 0) console.log('No template snapshots yet');
+  },
+
+  async show(hash) {
+    const { snapshot } = await call('GET', `/templates/snapshots/${encodeURIComponent(hash)}`);
+    console.log(JSON.stringify(snapshot, null, 2));
+  },
+
+  async diff(from, to) {
+    const query = new URLSearchParams({ from, to });
+    const { from: fromSnapshot, to: toSnapshot, summary, lines } = await call('GET', `/templates/diff?${query}`);
+    console.log(`--- ${label(fromSnapshot)}`);
+    console.log(`+++ ${label(toSnapshot)}`);
+    lines.forEach(line => console.log(`${line.op} ${line.line}`));
+    console.log(`\n${summary.added} added, ${summary.removed} removed`);
+  },
+
+  async pins() {
+    const { pins } = await call('GET', '/templates/pins');
+    pins.forEach(pin => console.log(`${pin.pageId}  "${pin.templateType}"${pin.complexityLevel ? ` (${pin.complexityLevel})` : ''} -> ${pin.hash}  ` +
+      `${pin.reason}${pin.untilChangedFrom ? ` until the live template is no longer ${pin.untilChangedFrom}` : ''}`));
+    if (pins.length === 0) console.log('No pins - every template page is served live');
+  },
+
+  async pin(hash, pageId) {
+    const { pin } = await call('POST', '/templates/pins', { hash, ...(pageId && { pageId }) });
+    console.log(`📌 Template page ${pin.pageId} pinned to ${pin.hash}`);
+  },
+
+  async unpin(pageId) {
+    await call('DELETE', `/templates/pins/${encodeURIComponent(pageId)}`);
+    console.log(`✅ Template page ${pageId} back on the live template`);
+  },
+
+  async rollback(requestTypeOrPageId, complexityLevel, client) {
+    // A Notion page ID (32 hex digits, dashes optional) is rolled back as it is
+    const target = /^[0-9a-f]{32}$/i.test(requestTypeOrPageId.replace(/-/g, ''))
+      ? { pageId: requestTypeOrPageId }
+      : { requestType: requestTypeOrPageId, complexityLevel, client };
+    const result = await call('POST', '/templates/rollback', target);
+    console.log(`⏪ ${result.message} (+${result.diff.added} / -${result.diff.removed} lines)`);
+  }
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!commands[command]) {
+  console.log(`Usage: node scripts/templates.js <${Object.keys(commands).join('|')}> [args]`);
+  process.exit(command ? 1 : 0);
+}
+
+commands[command](...args).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
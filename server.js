@@ -5,14 +5,47 @@
 // Routes completed briefs to Notion databases with semantic intelligence
 
 require('dotenv').config();
+
+// WHY THIS WORKS: In stdio mode stdout carries MCP protocol messages, so every log
+// line goes to stderr instead (agents like Claude Desktop show stderr as the server log)
+const STDIO_MODE = process.argv.includes('--stdio') || process.env.MCP_TRANSPORT === 'stdio';
+if (STDIO_MODE) {
+  console.log = console.error;
+  console.info = console.error;
+}
+
+// WHY THIS WORKS: stdio mode is a second process next to the HTTP server - by default it
+// keeps its own job log and template snapshots, so neither resumes the other's jobs
+const DATA_DIR = STDIO_MODE ? './data/stdio' : './data';
+
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
-const MCPClient = require('./lib/mcp-client');
+const { createNotionGateway, NOTION_OPERATIONS } = require('./lib/notion-gateway');
+const RateLimiter = require('./lib/rate-limiter');
+const ToolPolicy = require('./lib/tool-policy');
 const TemplateFetcher = require('./lib/template-fetcher');
+const TemplateSnapshotStore = require('./lib/template-snapshots');
+const TemplateBundle = require('./lib/template-bundle');
 const SOPParser = require('./lib/sop-parser');
 const SemanticPropertyMapper = require('./lib/semantic-mapper');
-const SmartTemplateProcessor = require('./lib/smart-template-processor');
 const BriefRouter = require('./lib/brief-router');
+const DatabaseRegistry = require('./lib/database-registry');
 const IntelligentProcessor = require('./lib/intelligent-processor');
+const RoutingEngine = require('./lib/routing-engine');
+const BriefPipeline = require('./lib/brief-pipeline');
+const JobStore = require('./lib/job-store');
+const JobQueue = require('./lib/job-queue');
+const { getIdempotencyKey } = require('./lib/idempotency');
+const { classifyError } = require('./lib/retry-policy');
+const WebhookNotifier = require('./lib/webhook-notifier');
+const RequestAuthenticator = require('./lib/auth');
+const PayloadAdapterRegistry = require('./lib/payload-adapters');
+const { normalizeBrief, BriefValidationError, BRIEF_JSON_SCHEMA } = require('./lib/brief-schema');
+const ContentOpsMcpServer = require('./lib/mcp-server');
+const TenantRegistry = require('./lib/tenant-registry');
+
+const { TenantError } = TenantRegistry;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -21,96 +54,408 @@ const PORT = process.env.PORT || 3000;
 // INITIALIZE COMPONENTS
 // ============================================
 
-// WHY THIS WORKS: MCP client spawns Notion server as child process
-const mcpClient = new MCPClient({
-  command: 'npx',
-  args: ['-y', '@notionhq/notion-mcp-server'],
-  env: {
-    NOTION_TOKEN: process.env.NOTION_TOKEN
+// WHY THIS WORKS: Per-operation timeouts and retries - reads retry, non-idempotent writes never do
+// NOTION_TOOL_POLICIES overrides single operations, e.g. {"API-post-search": {"timeout": 5000}}
+let toolPolicyOverrides = {};
+try {
+  toolPolicyOverrides = JSON.parse(process.env.NOTION_TOOL_POLICIES || '{}');
+} catch (error) {
+  console.warn(`⚠️ Ignoring NOTION_TOOL_POLICIES (invalid JSON): ${error.message}`);
+}
+
+const toolPolicy = new ToolPolicy({
+  operations: NOTION_OPERATIONS,
+  kinds: {
+    read: {
+      timeout: parseInt(process.env.NOTION_READ_TIMEOUT),
+      retries: parseInt(process.env.NOTION_READ_RETRIES)
+    },
+    idempotent_write: {
+      timeout: parseInt(process.env.NOTION_WRITE_TIMEOUT),
+      retries: parseInt(process.env.NOTION_IDEMPOTENT_WRITE_RETRIES)
+    },
+    write: {
+      timeout: parseInt(process.env.NOTION_WRITE_TIMEOUT)
+    }
   },
-  maxRestarts: 5,
-  restartDelay: 2000
+  overrides: toolPolicyOverrides
+});
+
+// WHY THIS WORKS: Every accepted brief gets a job record that n8n and ops can poll
+// Records are appended to disk so queued and in-flight briefs survive restarts
+const jobStore = new JobStore({
+  maxJobs: parseInt(process.env.JOB_HISTORY_LIMIT) || 500,
+  filePath: process.env.JOB_STORE_PATH || path.join(DATA_DIR, 'jobs.jsonl'),
+  flushInterval: parseInt(process.env.JOB_STORE_FLUSH_INTERVAL) || 1000
+});
+
+// ============================================
+// TENANTS
+// ============================================
+// WHY THIS WORKS: Each tenant (config/tenants.json) gets its own Notion gateway, database
+// registry, template cache, router and pipeline - the env-configured "default" tenant
+// is always there, so a single-workspace deployment needs no tenants file
+const tenants = new TenantRegistry({
+  filePath: process.env.TENANTS_PATH,
+  createServices: createTenantServices
+});
+
+/**
+ * Build the services for one tenant
+ * WHY THIS WORKS: Nothing below is shared between tenants except the job store,
+ * the queue and the tool policy - a tenant's token, rate limit and cache stay its own
+ *
+ * @param {object} tenant - Tenant from TenantRegistry
+ * @returns {object} { tenant, notionLimiter, notion, databaseRegistry, templateSnapshots, templateBundle,
+ *                     templateFetcher, briefRouter, payloadAdapters, routingEngine, briefPipeline, mcpServer }
+ */
+function createTenantServices(tenant) {
+  const label = tenant.id === TenantRegistry.DEFAULT_TENANT ? '' : ` [tenant ${tenant.id}]`;
+
+  // WHY THIS WORKS: One token bucket per Notion integration, shared by all of its jobs
+  // Notion allows ~3 requests/second per integration - running jobs get tokens first
+  const notionLimiter = new RateLimiter({
+    requestsPerSecond: parseFloat(process.env.NOTION_RATE_LIMIT ?? '3'),
+    burst: parseInt(process.env.NOTION_RATE_BURST) || undefined,
+    maxRetries: parseInt(process.env.NOTION_RATE_LIMIT_RETRIES ?? '3')
+  });
+
+  // WHY THIS WORKS: Every Notion call goes through one gateway per tenant
+  // NOTION_BACKEND=mcp spawns the Notion MCP server as a child process (default),
+  // NOTION_BACKEND=rest calls the Notion API directly (faster cold starts, no npm at boot),
+  // NOTION_BACKEND=fake serves an in-memory workspace from fixtures (offline dev, CI)
+  const notion = createNotionGateway({
+    backend: tenant.notion.backend,
+    token: tenant.notion.token,
+    limiter: notionLimiter,
+    toolPolicy,
+    mcp: {
+      maxRestarts: parseInt(process.env.MCP_MAX_RESTARTS) || 5,
+      restartDelay: parseInt(process.env.MCP_RESTART_DELAY) || 2000,
+      reconnectWaitTimeout: parseInt(process.env.MCP_RECONNECT_WAIT_TIMEOUT) || 45000,
+      failFastWhileReconnecting: process.env.MCP_FAIL_FAST === 'true'
+    },
+    rest: {
+      baseUrl: process.env.NOTION_API_BASE_URL,
+      notionVersion: process.env.NOTION_VERSION
+    },
+    fake: {
+      fixtures: tenant.notion.fixtures
+    }
+  });
+
+  // WHY THIS WORKS: If the Notion child dies the client restarts it on its own
+  // Once restarts run out, /health stays degraded until the next deploy
+  notion.on('reconnect_failed', ({ attempts }) => {
+    console.error(`🚨 Notion MCP server${label} is down after ${attempts} restart attempts - redeploy to recover`);
+  });
+
+  // WHY THIS WORKS: Request types, their databases, template types and aliases live in
+  // one hot-reloaded file (config/databases.json) instead of code
+  const databaseRegistry = new DatabaseRegistry({
+    filePath: tenant.databaseRegistryPath,
+    watch: process.env.DATABASE_REGISTRY_WATCH !== 'false',
+    watchInterval: parseInt(process.env.DATABASE_REGISTRY_WATCH_INTERVAL) || 2000
+  });
+
+  // WHY THIS WORKS: Every template version used is kept (by content hash) so a broken
+  // template edit can be diffed against the last good one and rolled back
+  const templateSnapshots = new TemplateSnapshotStore({
+    filePath: path.join(process.env.TEMPLATE_SNAPSHOT_DIR || path.join(DATA_DIR, 'template-snapshots'), `${tenant.id}.jsonl`),
+    maxPerTemplate: parseInt(process.env.TEMPLATE_SNAPSHOT_LIMIT) || 20
+  });
+
+  // WHY THIS WORKS: Committed export of the templates database (scripts/export-template-bundle.js)
+  // Served when Notion can't give us a template, or always with TEMPLATE_MODE=bundle
+  const templateBundle = new TemplateBundle({ filePath: tenant.templateBundlePath });
+  if (process.env.TEMPLATE_MODE === 'bundle' && templateBundle.templates.length === 0) {
+    console.warn(`⚠️ TEMPLATE_MODE=bundle but the template bundle${label} is empty - every page will be LLM-only`);
+  } else if (templateBundle.templates.length === 0 && process.env.TEMPLATE_MODE !== 'llm_only') {
+    // The repo ships no bundle - it has to be exported from this tenant's own workspace
+    console.warn(`⚠️ No template bundle${label} at ${tenant.templateBundlePath || '(none set)'} - when Notion can't serve a template the page is LLM-only (run scripts/export-template-bundle.js)`);
+  }
+
+  // WHY THIS WORKS: Template caching reduces API calls by 90%+
+  const templateFetcher = new TemplateFetcher(notion, {
+    cacheTTL: parseInt(process.env.TEMPLATE_CACHE_TTL) || 900, // 15 minutes
+    registry: databaseRegistry,
+    templatesDatabaseId: tenant.templatesDatabaseId,
+    snapshots: templateSnapshots,
+    bundle: templateBundle,
+    // WHY THIS WORKS: Toggles, columns and nested lists come with their contents
+    blockDepth: parseInt(process.env.TEMPLATE_BLOCK_DEPTH ?? '3'),
+    blockConcurrency: parseInt(process.env.TEMPLATE_FETCH_CONCURRENCY) || 3
+  });
+
+  // A registry edit can change which template a database uses
+  databaseRegistry.on('reloaded', () => templateFetcher.clearCache());
+  
+  // WHY THIS WORKS: One cheap query for recently edited templates, so edits apply
+  // within seconds instead of after the TTL (Notion webhooks make it near-instant)
+  templateFetcher.startRevalidation(parseInt(process.env.TEMPLATE_REVALIDATE_INTERVAL ?? '30') * 1000);
+
+  const briefRouter = new BriefRouter(databaseRegistry);
+
+  // WHY THIS WORKS: n8n, Typeform, web forms and direct API calls each get an adapter
+  // Register more with payloadAdapters.register({ name, detect, normalize })
+  const payloadAdapters = new PayloadAdapterRegistry(briefRouter);
+
+  // WHY THIS WORKS: Type/alias match, then routing rules, then an LLM guess - anything
+  // below ROUTING_MIN_CONFIDENCE waits in the review queue instead of being guessed
+  const routingEngine = new RoutingEngine({
+    briefRouter,
+    minConfidence: parseFloat(process.env.ROUTING_MIN_CONFIDENCE) || 0.7,
+    llmEnabled: process.env.ROUTING_LLM !== 'false',
+    apiKey: tenant.openai.apiKey,
+    model: tenant.openai.routingModel
+  });
+
+  // WHY THIS WORKS: Same pipeline for queued jobs and dry-run previews
+  const briefPipeline = new BriefPipeline({
+    notion,
+    templateFetcher,
+    sopParser: new SOPParser(),
+    semanticMapper: new SemanticPropertyMapper({ apiKey: tenant.openai.apiKey, model: tenant.openai.model }),
+    briefRouter,
+    intelligentProcessor: new IntelligentProcessor(), // Phase 3: Meta-cognitive layer
+    payloadAdapters,
+    routingEngine,
+    defaultAssignee: tenant.defaultAssignee,
+    openai: { apiKey: tenant.openai.apiKey, model: tenant.openai.model, routingModel: tenant.openai.routingModel }
+  });
+
+  const services = {
+    tenant,
+    notionLimiter,
+    notion,
+    databaseRegistry,
+    templateSnapshots,
+    templateBundle,
+    templateFetcher,
+    briefRouter,
+    payloadAdapters,
+    routingEngine,
+    briefPipeline
+  };
+
+  // WHY THIS WORKS: Agents (Claude Desktop, Cursor) get the same intake as /create-request
+  // Served on stdio (--stdio) and on POST /mcp (or /t/<tenant>/mcp)
+  services.mcpServer = new ContentOpsMcpServer({
+    intake: {
+      validate: (payload) => validateBrief(payload, services),
+      accept: (payload, intake, options) => acceptBrief(payload, intake, { ...options, tenantId: tenant.id }),
+      enqueue: (job) => jobQueue.enqueue(job),
+      isDraining: () => jobQueue.draining
+    },
+    jobStore,
+    briefPipeline,
+    briefRouter,
+    templateFetcher,
+    tenantId: tenant.id
+  });
+
+  return services;
+}
+
+// WHY THIS WORKS: The env-configured tenant - /health reports it at the top level like before
+const defaultServices = tenants.getServices(TenantRegistry.DEFAULT_TENANT);
+
+// WHY THIS WORKS: Signed, retried delivery of job outcomes to n8n / callback URLs
+const webhookNotifier = new WebhookNotifier({
+  secret: process.env.WEBHOOK_SIGNING_SECRET,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 3,
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 5000,
+  callbackAllowlist: (process.env.CALLBACK_URL_ALLOWLIST || '').split(',')
 });
 
-// WHY THIS WORKS: Template caching reduces API calls by 90%+
-const templateFetcher = new TemplateFetcher(mcpClient, {
-  cacheTTL: parseInt(process.env.TEMPLATE_CACHE_TTL) || 900 // 15 minutes
+// WHY THIS WORKS: n8n signs webhooks with its tenant's secret (INBOUND_WEBHOOK_SECRET for
+// default, inboundWebhookSecretEnv for the rest), people and tools use scoped API keys
+const authenticator = new RequestAuthenticator({
+  hmacSecrets: tenants.list().map(tenant => ({ tenant: tenant.id, secret: tenant.inboundWebhookSecret })),
+  toleranceSeconds: parseInt(process.env.INBOUND_WEBHOOK_TOLERANCE) || 300,
+  apiKeys: process.env.API_KEYS,
+  keysFile: process.env.API_KEYS_FILE,
+  disabled: process.env.AUTH_DISABLED === 'true',
+  production: process.env.NODE_ENV === 'production'
 });
 
-const sopParser = new SOPParser();
-const semanticMapper = new SemanticPropertyMapper();
-const briefRouter = new BriefRouter();
-const intelligentProcessor = new IntelligentProcessor(); // Phase 3: Meta-cognitive layer
+// WHY THIS WORKS: Auth first, then the tenant - a key bound to a tenant can't pick another one
+const requireSubmit = [authenticator.middleware('submit', { strategies: ['hmac', 'apiKey'] }), withTenant];
+const requireRead = [authenticator.middleware('read'), withTenant];
+const requireAdmin = [authenticator.middleware('admin'), withTenant];
+
+// WHY THIS WORKS: Repeat submissions inside this window return the original job
+const IDEMPOTENCY_WINDOW_MS = (parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS) || 86400) * 1000;
 
 // ============================================
 // JOB QUEUE FOR CONCURRENT REQUEST PROCESSING
 // ============================================
 // WHY THIS WORKS: Prevents rate limit issues, controls resource usage
-const requestQueue = [];
-let currentlyProcessing = 0;
+// Queue is backed by jobStore, so it resumes after restarts (see lib/job-queue.js)
 const MAX_CONCURRENT = parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 3;
 
-console.log(`✅ Request queue initialized (Max concurrent: ${MAX_CONCURRENT})`);
+// WHY THIS WORKS: Retryable failures back off and retry, the rest are dead-lettered
+// Each job runs against its own tenant's services (an unknown tenant is a permanent error)
+const jobQueue = new JobQueue(
+  jobStore,
+  (job) => tenants.getServices(job.tenantId).notionLimiter.runAsJob(job, () => processRequestAsync(job.payload, job)),
+  {
+    maxConcurrent: MAX_CONCURRENT,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 4,
+    retryBaseDelay: parseInt(process.env.JOB_RETRY_BASE_DELAY) || 5000,
+    retryMaxDelay: parseInt(process.env.JOB_RETRY_MAX_DELAY) || 300000,
+    onDeadLetter: (job, error) => sendErrorWebhook(job, error),
+    onNeedsReview: (job, error) => sendReviewWebhook(job, error)
+  }
+);
+
+// WHY THIS WORKS: Raw body is kept so HMAC signatures are checked against the exact bytes n8n signed
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// WHY THIS WORKS: /t/<tenant>/create-request is /create-request for that tenant -
+// the prefix is stripped here so every route below works under it
+app.use((req, res, next) => {
+  const match = req.url.match(/^\/t\/([^/?]+)(\/[^?]*)?(\?.*)?$/);
+  if (match) {
+    req.pathTenant = decodeURIComponent(match[1]);
+    req.url = (match[2] || '/') + (match[3] || '');
+  }
+  next();
+});
 
 /**
- * Add request to queue and process if slots available
+ * Tenant named in a payload ("tenant" at the root or in n8n's body wrapper)
+ *
+ * @throws {TenantError} An array payload whose elements name different tenants, or an
+ *   element that names two (400)
  */
-function enqueueRequest(payload) {
-  requestQueue.push(payload);
-  console.log(`📥 Request queued (Queue size: ${requestQueue.length}, Processing: ${currentlyProcessing}/${MAX_CONCURRENT})`);
-  processNextIfAvailable();
+function payloadTenant(body) {
+  const items = Array.isArray(body) ? body : [body];
+  let named;
+  try {
+    named = [...new Set(items.map(item => PayloadAdapterRegistry.readEnvelope(item).tenant).filter(Boolean))];
+  } catch (error) {
+    throw new TenantError(error.message, { status: 400 });
+  }
+  
+  if (named.length > 1) {
+    throw new TenantError(`A batch can't mix tenants (${named.join(', ')}) - send one batch per tenant`, { status: 400 });
+  }
+  return named[0] || null;
 }
 
 /**
- * Process next request from queue if under concurrency limit
+ * Middleware: pick the request's tenant (see TenantRegistry.resolve)
+ * Sets req.tenantId, req.tenantScoped (chosen explicitly) and req.tenant (its services)
  */
-function processNextIfAvailable() {
-  if (currentlyProcessing >= MAX_CONCURRENT) {
-    console.log(`⏸️  Queue paused: ${currentlyProcessing} requests processing (max ${MAX_CONCURRENT})`);
-    return;
+function withTenant(req, res, next) {
+  try {
+    const { tenantId, scoped } = tenants.resolve({
+      identity: req.auth,
+      pathTenant: req.pathTenant,
+      payloadTenant: payloadTenant(req.body)
+    });
+    
+    req.tenantId = tenantId;
+    req.tenantScoped = scoped;
+    req.tenant = tenants.getServices(tenantId);
+    next();
+  } catch (error) {
+    if (!(error instanceof TenantError)) return next(error);
+    
+    console.warn(`🚫 Tenant rejected ${req.method} ${req.originalUrl}: ${error.message}`);
+    res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
   }
-  
-  if (requestQueue.length === 0) {
-    if (currentlyProcessing === 0) {
-      console.log('✅ Queue empty, all requests processed');
-    }
-    return;
+}
+
+/**
+ * Job by ID as the request may see it
+ * WHY THIS WORKS: A tenant-scoped request (tenant key, /t/<tenant>/, payload tenant, or any
+ * non-admin identity on the default tenant) only ever sees that tenant's jobs - others look
+ * like they don't exist
+ */
+function findJob(req, jobId) {
+  const job = jobStore.get(jobId);
+  if (!job || (req.tenantScoped && (job.tenantId || TenantRegistry.DEFAULT_TENANT) !== req.tenantId)) {
+    return null;
   }
-  
-  currentlyProcessing++;
-  const payload = requestQueue.shift();
-  
-  console.log(`🔄 Starting request (Processing: ${currentlyProcessing}/${MAX_CONCURRENT}, Queue: ${requestQueue.length})`);
-  
-  // Process asynchronously
-  processRequestAsync(payload)
-    .catch(err => console.error('❌ Request processing failed:', err))
-    .finally(() => {
-      currentlyProcessing--;
-      console.log(`✅ Request slot freed (Processing: ${currentlyProcessing}/${MAX_CONCURRENT}, Queue: ${requestQueue.length})`);
-      processNextIfAvailable(); // Process next in queue
-    });
+  return job;
 }
 
-app.use(express.json());
+/**
+ * Tenant filter for job lists and stats (only unscoped admins see every tenant's jobs)
+ */
+function tenantFilter(req) {
+  return req.tenantScoped ? req.tenantId : undefined;
+}
 
 // ============================================
 // HEALTH CHECK ENDPOINT
 // ============================================
 
+// WHY THIS WORKS: Open for Render health checks, so it only says whether the service is up.
+// Tenants, queue and Notion details need a read key (GET /health/details)
 app.get('/health', (req, res) => {
+  res.json({
+    // One tenant's Notion being down is worth a page, even if the default is fine
+    status: tenants.activeServices().every(services => services.notion.isRunning()) ? 'healthy' : 'degraded',
+    service: 'IE7 Content Operations MCP',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/health/details', requireRead, (req, res) => {
+  // WHY THIS WORKS: A tenant-scoped key sees its own tenant, like /jobs and /tenants
+  const services = req.tenantScoped ? req.tenant : defaultServices;
+  const { notion, notionLimiter, databaseRegistry, routingEngine, templateFetcher, templateBundle, mcpServer } = services;
   const cacheStats = templateFetcher.getCacheStats();
+  const activeServices = tenants.activeServices().filter(active => !req.tenantScoped || active.tenant.id === req.tenantId);
+  const jobStats = jobStore.getStats(tenantFilter(req));
   
   res.json({
-    status: mcpClient.isRunning() ? 'healthy' : 'degraded',
+    status: activeServices.every(active => active.notion.isRunning()) ? 'healthy' : 'degraded',
     service: 'IE7 Content Operations MCP',
-    childPid: mcpClient.getProcessPid(),
+    tenant: services.tenant.id,
+    childPid: notion.getProcessPid(),
+    notion: notion.getStatus(),
+    notionRateLimit: notionLimiter.getStats(),
+    databaseRegistry: {
+      types: databaseRegistry.getStatus().types,
+      loadedAt: databaseRegistry.loadedAt,
+      lastReloadError: databaseRegistry.lastReloadError
+    },
+    routing: {
+      ...routingEngine.getStats(),
+      awaitingReview: jobStats.needs_review
+    },
     uptime: process.uptime(),
     templateCache: {
       cachedDatabases: cacheStats.keys.length,
       cacheHits: cacheStats.stats.hits,
-      cacheMisses: cacheStats.stats.misses
+      cacheMisses: cacheStats.stats.misses,
+      mode: process.env.TEMPLATE_MODE || 'hybrid',
+      bundledTemplates: templateBundle.templates.length
     },
+    jobs: jobStats,
+    // The queue is shared by every tenant - a scoped request only counts its own jobs
+    queue: jobQueue.getStats(tenantFilter(req)),
+    mcpServer: mcpServer.getStats(),
+    tenants: activeServices.map(active => ({
+      id: active.tenant.id,
+      status: active.notion.isRunning() ? 'healthy' : 'degraded',
+      notionBackend: active.notion.backend,
+      databaseTypes: active.databaseRegistry.getStatus().types,
+      lastReloadError: active.databaseRegistry.lastReloadError,
+      cachedTemplates: active.templateFetcher.getCacheStats().keys.length
+    })),
     timestamp: new Date().toISOString()
   });
 });
@@ -119,7 +464,7 @@ app.get('/health', (req, res) => {
 // MAIN ENDPOINT: CREATE REQUEST FROM BRIEF
 // ============================================
 
-app.post('/create-request', async (req, res) => {
+app.post('/create-request', requireSubmit, async (req, res) => {
   // Quick validation and immediate response
   console.log('\n' + '='.repeat(80));
   console.log('📥 INCOMING WEBHOOK REQUEST');
@@ -131,404 +476,547 @@ app.post('/create-request', async (req, res) => {
   console.log('📄 Full payload (first 500 chars):', JSON.stringify(req.body, null, 2).substring(0, 500));
   console.log('='.repeat(80));
   
-  // Basic validation before accepting
-  let payload = req.body;
-  if (Array.isArray(payload) && payload.length > 0) {
-    payload = payload[0];
+  // WHY THIS WORKS: n8n batches several items into one array - each becomes its own job
+  if (Array.isArray(req.body) && req.body.length > 1) {
+    return handleBatch(req, res);
   }
   
-  const hasData = payload && (payload.body || payload.briefData || payload['Project Name'] || payload['Asset Type']);
+  // Basic validation before accepting
+  const payload = req.tenant.payloadAdapters.unwrap(req.body) || {};
+  const intake = validateBrief(payload, req.tenant);
   
-  if (!hasData) {
+  if (intake.error) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid payload: No brief data found'
+      error: intake.error,
+      fields: intake.fields,
+      supportedFormats: intake.supportedFormats
+    });
+  }
+  
+  // Dry run: same pipeline, nothing written, answered synchronously
+  if (req.query.dryRun === 'true') {
+    return handlePreview(req, res);
+  }
+  
+  // WHY THIS WORKS: During shutdown we stop accepting, so n8n retries against the new instance
+  if (jobQueue.draining) {
+    return res.status(503).json({
+      success: false,
+      error: 'Server is shutting down, retry shortly'
+    });
+  }
+  
+  // Deduplicate n8n retries and resubmitted briefs
+  // WHY THIS WORKS: Idempotency-Key header wins, otherwise the brief fingerprint is used
+  const { job, duplicate } = acceptBrief(req.body, intake, {
+    idempotencyKey: getIdempotencyKey(req),
+    tenantId: req.tenantId
+  });
+  
+  if (duplicate) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(200).json({
+      success: true,
+      duplicate: true,
+      message: 'Duplicate submission - returning original job',
+      jobId: job.id,
+      status: job.status,
+      notionPageUrl: job.notionPageUrl,
+      notionPageId: job.notionPageId,
+      statusUrl: `/jobs/${job.id}`,
+      timestamp: new Date().toISOString()
     });
   }
   
   // RESPOND IMMEDIATELY - Don't make n8n wait!
+  // WHY THIS WORKS: jobId + statusUrl let n8n poll for the final result
   res.status(202).json({
     success: true,
     message: 'Request accepted and processing',
+    jobId: job.id,
+    statusUrl: `/jobs/${job.id}`,
     timestamp: new Date().toISOString()
   });
   
-  console.log('✅ Responded 202 to webhook, adding to queue...');
+  console.log(`✅ Responded 202 to webhook (Job: ${job.id}), adding to queue...`);
   
   // Add to queue (don't process directly)
-  enqueueRequest(req.body);
+  jobQueue.enqueue(job);
 });
 
 /**
- * Async request processing function
- * WHY THIS WORKS: Processes after webhook response, calls error webhook only on failure
+ * Accept an n8n array payload as a batch: one job per element
+ * WHY THIS WORKS: Elements are validated independently, so one bad brief is
+ * reported back without blocking the rest of the batch
  */
-async function processRequestAsync(originalPayload) {
-  const startTime = Date.now();
+async function handleBatch(req, res) {
+  const items = req.body;
   
-  try {
-    console.log('\n' + '='.repeat(80));
-    console.log('🔄 ASYNC PROCESSING STARTED');
-    console.log('='.repeat(80));
-    
-    // Step 0: Normalize n8n webhook format
-    // WHY THIS WORKS: n8n sends array wrapper with body object
-    let payload = originalPayload;
-    
-    // If n8n sends array, extract first element
-    if (Array.isArray(payload) && payload.length > 0) {
-      console.log('✅ Detected n8n array format, extracting first element');
-      console.log('📊 Array length:', payload.length);
-      payload = payload[0];
-      console.log('📊 Extracted payload keys:', Object.keys(payload || {}));
-    }
-    
-    console.log('🔍 Checking normalization conditions:');
-    console.log('   - payload.body exists?', !!payload.body);
-    console.log('   - payload.requestType exists?', !!payload.requestType);
-    console.log('   - payload["Asset Type"] exists?', !!payload['Asset Type']);
-    
-    // CASE 1: n8n format with body wrapper (array was already extracted)
-    if (payload.body && !payload.requestType) {
-      console.log('✅ CASE 1: n8n format with body wrapper');
-      
-      console.log('📊 Body field keys:', Object.keys(payload.body || {}));
-      console.log('📊 Body["Asset Type"]:', payload.body['Asset Type']);
-      
-      // Extract Asset Type from n8n body (case-insensitive)
-      const assetType = payload.body['Asset Type'] || 
-                        payload.body['asset_type'] || 
-                        payload.body['assetType'] || 
-                        'Content Request';
-      
-      console.log(`📋 Asset Type from brief: "${assetType}"`);
-      
-      const requestType = briefRouter.normalizeRequestType(assetType);
-      console.log(`🔄 Normalized to: "${requestType}"`);
-      
-      payload = {
-        requestType: requestType,
-        briefData: payload.body
-      };
-      
-      console.log('✅ Normalization complete (CASE 1)');
-    }
-    // CASE 2: n8n sending fields directly at root (no body wrapper)
-    else if (!payload.requestType && (payload['Asset Type'] || payload['Project Name'])) {
-      console.log('✅ CASE 2: n8n format with fields at root level');
-      
-      console.log('📊 Root level keys:', Object.keys(payload));
-      console.log('📊 payload["Asset Type"]:', payload['Asset Type']);
-      
-      // Extract Asset Type from root level
-      const assetType = payload['Asset Type'] || 
-                        payload['asset_type'] || 
-                        payload['assetType'] || 
-                        'Content Request';
-      
-      console.log(`📋 Asset Type from brief: "${assetType}"`);
-      
-      const requestType = briefRouter.normalizeRequestType(assetType);
-      console.log(`🔄 Normalized to: "${requestType}"`);
-      
-      // Entire payload IS the briefData
-      const briefData = { ...payload };
-      
-      payload = {
-        requestType: requestType,
-        briefData: briefData
-      };
-      
-      console.log('✅ Normalization complete (CASE 2)');
-    } else {
-      console.log('⚠️ Normalization NOT triggered');
-      console.log('   Payload structure:', JSON.stringify(payload, null, 2).substring(0, 300));
-    }
-    
-    console.log('📊 Final payload keys:', Object.keys(payload));
-    
-    const { requestType, briefData } = payload;
-    
-    // Step 1: Validate input
-    if (!requestType) {
-      return res.status(400).json({
-        success: false,
-        error: 'requestType is required',
-        example: { requestType: 'content_request', briefData: {} },
-        hint: 'If using n8n, data should be in body field'
-      });
-    }
-    
-    if (!briefData || typeof briefData !== 'object') {
-      return res.status(400).json({
-        success: false,
-        error: 'briefData is required and must be an object'
-      });
-    }
-    
-    console.log(`\n📥 Incoming request: ${requestType}`);
-    console.log(`📊 Brief data fields: ${Object.keys(briefData).join(', ')}`);
-    
-    // Step 2: Route to correct database
-    // WHY THIS WORKS: Centralized routing logic
-    let databaseInfo;
-    try {
-      databaseInfo = briefRouter.route(requestType);
-    } catch (routingError) {
-      return res.status(400).json({
-        success: false,
-        error: routingError.message,
-        availableDatabases: briefRouter.getAvailableDatabases()
-      });
-    }
-    
-    console.log(`✅ Routed to: ${databaseInfo.databaseName}`);
-    
-    // Step 3: Fetch database schema
-    // WHY THIS WORKS: Dynamic schema fetching adapts to changes
-    console.log('📚 Fetching database schema...');
-    const database = await mcpClient.callTool('API-retrieve-a-database', {
-      database_id: databaseInfo.databaseId
+  console.log(`📦 Batch payload with ${items.length} briefs`);
+  
+  // Every element must at least be recognisable before we preview or queue anything
+  const intakes = items.map(item => validateBrief(item || {}, req.tenant));
+  
+  if (intakes.every(intake => intake.error)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid payload: No brief data found in any batch element',
+      rejected: intakes.map((intake, index) => ({ index, error: intake.error, fields: intake.fields })),
+      supportedFormats: req.tenant.payloadAdapters.list()
     });
+  }
+  
+  if (req.query.dryRun === 'true') {
+    return handlePreview(req, res);
+  }
+  
+  if (jobQueue.draining) {
+    return res.status(503).json({
+      success: false,
+      error: 'Server is shutting down, retry shortly'
+    });
+  }
+  
+  const batchId = crypto.randomUUID();
+  const batchItems = [];
+  const newJobs = [];
+  
+  items.forEach((item, index) => {
+    const intake = intakes[index];
     
-    const databaseSchema = {
-      databaseId: databaseInfo.databaseId,
-      title: database.title?.[0]?.plain_text || databaseInfo.databaseName,
-      properties: database.properties || {}
-    };
-    
-    console.log(`✅ Schema fetched: ${Object.keys(databaseSchema.properties).length} properties`);
-    
-    // Step 4: Quick template fetch for SOP parsing (for property mapping)
-    // WHY THIS WORKS: Property mapper needs SOPs, but template will be re-fetched by processor
-    console.log('📄 Fetching template for SOP parsing...');
-    const template = await templateFetcher.fetchTemplate(databaseInfo.databaseId);
-    
-    // Step 5: Parse template and extract SOPs
-    // WHY THIS WORKS: SOPs guide semantic property mapping
-    console.log('🔍 Parsing template and SOPs...');
-    const parsedTemplate = sopParser.parseTemplate(template.blocks);
-    
-    console.log(`✅ Template parsed: ${parsedTemplate.totalSections} sections, ${parsedTemplate.totalSOPs} SOPs`);
-    
-    // Step 6: Fetch workspace users for intelligent mapping
-    // WHY THIS WORKS: Provides user context to LLM for people field resolution
-    console.log('👥 Fetching workspace users...');
-    let workspaceUsers = [];
-    try {
-      const usersResult = await mcpClient.callTool('API-get-users');
-      workspaceUsers = usersResult.results || [];
-      console.log(`✅ Fetched ${workspaceUsers.length} workspace users`);
-    } catch (error) {
-      console.warn(`⚠️ Could not fetch workspace users: ${error.message}`);
+    if (intake.error) {
+      console.warn(`⚠️ Batch ${batchId.substring(0, 8)}... item ${index} rejected: ${intake.error}`);
+      batchItems.push({ index, jobId: null, duplicate: false, error: intake.error, fields: intake.fields });
+      return;
     }
     
-    // Step 7: Semantic property mapping with full schema intelligence (LLM)
-    // WHY THIS WORKS: LLM sees full schema including field types, constraints, select options, and available users
-    // This makes it truly dynamic - adapts to any schema changes automatically
-    console.log('🧠 Performing intelligent semantic property mapping...');
+    const { job, duplicate } = acceptBrief(item, intake, {
+      idempotencyKey: getIdempotencyKey(req, { payload: item, index }),
+      tenantId: req.tenantId,
+      batchId,
+      batchIndex: index
+    });
     
-    const sopGuidelines = {
-      defaultAssignee: {
-        name: process.env.DEFAULT_ASSIGNEE_NAME || 'Daniel Fayomi',
-        email: process.env.DEFAULT_ASSIGNEE_EMAIL || 'daniel@velto.co.uk'
-      },
-      decisionRules: [
-        'Assignee field always populated with default assignee (system rule)',
-        'Skip fields with "allocated", "assigned", "approval", "accept" in name (post-intake)',
-        'Skip output fields like "Media Link", "Final Deliverable" (content not created yet)',
-        'Populate user-provided data: name, contact, dates, platform, description, budget'
-      ]
+    batchItems.push({ index, jobId: job.id, duplicate, error: null });
+    if (!duplicate) newJobs.push(job);
+  });
+  
+  jobStore.createBatch(batchId, batchItems, req.tenantId);
+  
+  res.status(202).json({
+    success: true,
+    message: `Batch accepted: ${newJobs.length} queued, ${batchItems.filter(i => i.duplicate).length} duplicate, ${batchItems.filter(i => i.error).length} rejected`,
+    batchId,
+    statusUrl: `/batches/${batchId}`,
+    jobs: batchItems.map(item => ({
+      index: item.index,
+      jobId: item.jobId,
+      statusUrl: item.jobId ? `/jobs/${item.jobId}` : null,
+      duplicate: item.duplicate,
+      error: item.error,
+      fields: item.fields
+    })),
+    timestamp: new Date().toISOString()
+  });
+  
+  console.log(`✅ Responded 202 to batch ${batchId} (${newJobs.length} jobs), adding to queue...`);
+  
+  for (const job of newJobs) {
+    jobQueue.enqueue(job);
+  }
+}
+
+/**
+ * Check that a single brief can be accepted
+ * WHY THIS WORKS: Reject unknown formats and bad callback URLs up front instead of failing the job later
+ *
+ * @param {object} payload - One brief (already unwrapped from any array)
+ * @param {object} services - The tenant's services (req.tenant)
+ * @returns {object} { adapter, callbackUrl } or { error, supportedFormats }
+ */
+function validateBrief(payload, services) {
+  const { payloadAdapters, briefRouter } = services;
+  const adapter = payloadAdapters.detect(payload);
+  
+  if (!adapter) {
+    return {
+      error: 'Invalid payload: No brief data found',
+      supportedFormats: payloadAdapters.list()
     };
+  }
+  
+  console.log(`🔌 Detected payload format: ${adapter.name}`);
+  
+  // WHY THIS WORKS: Missing / malformed fields are reported now, field by field,
+  // instead of surfacing as a dead-lettered job minutes later
+  let normalized;
+  try {
+    normalized = payloadAdapters.normalize(payload);
+  } catch (error) {
+    return { error: error.message };
+  }
+  
+  // Optional per-request callback - from the envelope (root or n8n body wrapper), never the brief
+  const { callbackUrl } = normalized.envelope;
+  
+  const callbackProblem = callbackUrl && webhookNotifier.checkCallbackUrl(callbackUrl);
+  if (callbackProblem) {
+    return { error: `Invalid callbackUrl: ${callbackProblem}` };
+  }
+  
+  // Unknown or missing types aren't errors here - the job is routed (or sent to review) later
+  const { brief, errors } = normalizeBrief(normalized.briefData);
+  errors.push(...briefRouter.checkRequiredFields(normalized.requestType || normalized.assetType, brief));
+  
+  if (errors.length > 0) {
+    return { error: new BriefValidationError(errors).message, fields: errors };
+  }
+  
+  return { adapter, callbackUrl };
+}
+
+/**
+ * Create a job for a validated brief, or return the original job for a duplicate
+ *
+ * @param {object} payload - Brief exactly as it will be stored on the job
+ * @param {object} intake - Result of validateBrief
+ * @param {object} options - { idempotencyKey, tenantId, batchId, batchIndex }
+ * @returns {object} { job, duplicate }
+ */
+function acceptBrief(payload, intake, options = {}) {
+  const tenantId = options.tenantId || TenantRegistry.DEFAULT_TENANT;
+  const existingJob = jobStore.findByIdempotencyKey(options.idempotencyKey, IDEMPOTENCY_WINDOW_MS, tenantId);
+  
+  if (existingJob) {
+    console.log(`♻️  Duplicate submission detected, returning original job ${existingJob.id} (${existingJob.status})`);
+    return { job: existingJob, duplicate: true };
+  }
+  
+  const job = jobStore.create(payload, {
+    tenantId,
+    idempotencyKey: options.idempotencyKey,
+    callbackUrl: intake.callbackUrl,
+    adapter: intake.adapter.name,
+    batchId: options.batchId,
+    batchIndex: options.batchIndex
+  });
+  
+  return { job, duplicate: false };
+}
+
+// ============================================
+// DRY-RUN PREVIEW
+// ============================================
+// WHY THIS WORKS: Runs the full brief-to-page pipeline but stops before
+// API-post-page / API-patch-block-children, returning what would be written
+
+app.post('/preview', requireSubmit, (req, res) => handlePreview(req, res));
+
+async function handlePreview(req, res) {
+  const { briefPipeline, briefRouter } = req.tenant;
+  const startTime = Date.now();
+  
+  // Batch dry run: preview every element, report each one separately
+  if (Array.isArray(req.body) && req.body.length > 1) {
+    const items = [];
     
-    const mappingResult = await semanticMapper.mapProperties(
-      briefData,
-      databaseSchema,
-      parsedTemplate,
-      sopGuidelines,
-      workspaceUsers
-    );
-    
-    if (!mappingResult.success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Semantic mapping failed',
-        details: mappingResult.error
-      });
+    for (const [index, item] of req.body.entries()) {
+      try {
+        items.push({ index, ...(await briefPipeline.preview(item)) });
+      } catch (error) {
+        console.error(`❌ Preview of batch item ${index} failed:`, error.message);
+        items.push({ index, success: false, dryRun: true, error: error.message, fields: error.fields, routing: error.routing });
+      }
     }
     
-    console.log(`✅ Mapping complete: ${Object.keys(mappingResult.mapping.populate || {}).length} properties mapped`);
-    
-    // Step 8: Convert to Notion property format
-    // WHY THIS WORKS: LLM outputs semantic values, converter handles Notion API format
-    // Values are already validated against schema constraints by the LLM
-    const notionProperties = semanticMapper.convertToNotionFormat(
-      mappingResult.mapping,
-      databaseSchema
-    );
+    return res.json({
+      success: items.every(item => item.success),
+      dryRun: true,
+      batch: true,
+      items,
+      processingDuration: ((Date.now() - startTime) / 1000).toFixed(2) + 's'
+    });
+  }
+  
+  try {
+    const preview = await briefPipeline.preview(req.body);
     
-    console.log(`✅ Properties formatted for Notion API`);
+    res.json({
+      ...preview,
+      processingDuration: ((Date.now() - startTime) / 1000).toFixed(2) + 's'
+    });
+  } catch (error) {
+    console.error('❌ Preview failed:', error.message);
     
-    // Step 9: Create Notion page with validation & self-correction
-    // WHY THIS WORKS: Retries with LLM corrections if validation fails
-    console.log('📝 Creating Notion page...');
+    // Bad input (unknown type, missing brief) is the caller's problem, the rest is ours
+    const { retryable } = classifyError(error);
     
-    let createdPage;
-    let retryCount = 0;
-    const maxRetries = 2;
+    res.status(retryable ? 500 : 400).json({
+      success: false,
+      dryRun: true,
+      error: error.message,
+      fields: error.fields,
+      routing: error.routing,
+      availableDatabases: retryable ? undefined : briefRouter.getAvailableDatabases()
+    });
+  }
+}
+
+// ============================================
+// JOB STATUS ENDPOINTS
+// ============================================
+
+app.get('/jobs', requireRead, (req, res) => {
+  const { status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  
+  if (status && !JobStore.JOB_STATES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown job status: "${status}"`,
+      validStatuses: JobStore.JOB_STATES
+    });
+  }
+  
+  const jobs = jobStore.list({ status, limit, tenantId: tenantFilter(req) });
+  
+  res.json({
+    success: true,
+    jobs: jobs.map(job => jobStore.toJSON(job)),
+    stats: jobStore.getStats(tenantFilter(req))
+  });
+});
+
+app.get('/jobs/:id', requireRead, (req, res) => {
+  const job = findJob(req, req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    job: jobStore.toJSON(job, { includePayload: req.query.includePayload === 'true' })
+  });
+});
+
+// WHY THIS WORKS: n8n / form builders can validate briefs before sending them
+app.get('/schema/brief', requireRead, (req, res) => {
+  res.json(BRIEF_JSON_SCHEMA);
+});
+
+// WHY THIS WORKS: One call tells n8n which items of a batch made it and which didn't
+app.get('/batches/:id', requireRead, (req, res) => {
+  const batch = jobStore.getBatchStatus(req.params.id);
+  
+  if (!batch || (req.tenantScoped && batch.tenantId !== req.tenantId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Batch not found: ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    ...batch
+  });
+});
+
+app.post('/jobs/:id/retry', requireAdmin, (req, res) => {
+  const job = findJob(req, req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.id}`
+    });
+  }
+  
+  try {
+    jobQueue.replay(job.id);
     
-    while (retryCount <= maxRetries) {
-      try {
-        createdPage = await mcpClient.callTool('API-post-page', {
-          parent: { database_id: databaseInfo.databaseId },
-          properties: notionProperties
-        });
-        
-        // Check if successful
-        if (createdPage && createdPage.id && createdPage.object !== 'error') {
-          console.log(`✅ Page created: ${createdPage.url}`);
-          break;
-        }
-        
-        // If error response, try to self-correct
-        if (createdPage && createdPage.object === 'error') {
-          throw new Error(createdPage.message || 'Validation error');
-        }
-        
-      } catch (error) {
-        console.warn(`⚠️ Attempt ${retryCount + 1} failed: ${error.message}`);
-        
-        if (retryCount < maxRetries) {
-          console.log('🔄 Attempting self-correction...');
-          
-          // Use LLM to fix the validation error
-          try {
-            const correctionPrompt = `A Notion API call failed with this error:
-            
-ERROR: ${error.message}
-
-SCHEMA: ${JSON.stringify(databaseSchema.properties, null, 2)}
-
-PROPERTIES WE TRIED: ${JSON.stringify(notionProperties, null, 2)}
-
-Based on the error and schema, fix the properties to match Notion's requirements. Return corrected properties as JSON.`;
-
-            const response = await semanticMapper.openai.chat.completions.create({
-              model: 'o3-mini',
-              messages: [
-                { role: 'system', content: 'You are a Notion API expert. Fix validation errors by correcting property formats.' },
-                { role: 'user', content: correctionPrompt }
-              ],
-              response_format: { type: 'json_object' },
-              reasoning_effort: 'low',
-              max_completion_tokens: 2000
-            });
-            
-            notionProperties = JSON.parse(response.choices[0].message.content.trim());
-            console.log('✅ Properties corrected via LLM');
-            
-          } catch (correctionError) {
-            console.error('❌ Self-correction failed:', correctionError.message);
-            break;
-          }
-        }
-        
-        retryCount++;
-      }
-    }
+    res.status(202).json({
+      success: true,
+      message: 'Job requeued',
+      jobId: job.id,
+      statusUrl: `/jobs/${job.id}`
+    });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// ROUTING REVIEW QUEUE
+// ============================================
+// WHY THIS WORKS: Briefs the routing engine couldn't place confidently wait here
+// with its reason and candidates, and run as soon as someone picks the type
+
+app.get('/review-queue', requireRead, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 1000);
+  const jobs = jobStore.list({ status: 'needs_review', limit, tenantId: tenantFilter(req) });
+  
+  res.json({
+    success: true,
+    total: jobs.length,
+    jobs: jobs.map(job => jobStore.toJSON(job)),
+    availableDatabases: req.tenant.briefRouter.getAvailableDatabases().filter(db => db.configured)
+  });
+});
+
+app.post('/jobs/:id/route', requireAdmin, (req, res) => {
+  // Body: { requestType } - a type or alias from GET /databases
+  // or { requestTypes: [...] } to fan the brief out into linked requests (primary first)
+  const { requestType, requestTypes } = req.body || {};
+  const job = findJob(req, req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.id}`
+    });
+  }
+  
+  // Types come from the job's own tenant - an unscoped admin may route any tenant's job
+  const { briefRouter } = tenants.getServices(job.tenantId);
+  const labels = Array.isArray(requestTypes) ? requestTypes : [requestType].filter(Boolean);
+  const types = [...new Set(labels.map(label => briefRouter.resolveRequestType(label)))];
+  const unknown = labels.filter(label => !briefRouter.getDatabaseInfo(briefRouter.resolveRequestType(label)));
+  
+  if (labels.length === 0 || unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: labels.length > 0
+        ? `Unknown or unconfigured request type: ${unknown.map(label => `"${label}"`).join(', ')}`
+        : 'requestType (or requestTypes) is required',
+      availableDatabases: briefRouter.getAvailableDatabases().filter(db => db.configured)
+    });
+  }
+  
+  try {
+    jobQueue.routeReviewed(job.id, types, req.auth?.name || null);
     
-    // Final validation check
-    if (!createdPage || !createdPage.id || createdPage.object === 'error') {
-      const errorMsg = createdPage?.message || 'Unknown error creating page after retries';
-      console.error('❌ Page creation failed after all attempts:', errorMsg);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to create Notion page',
-        details: errorMsg,
-        attempts: retryCount + 1
-      });
+    res.status(202).json({
+      success: true,
+      message: `Job routed to ${types.join(' + ')} and requeued`,
+      jobId: job.id,
+      requestTypes: types,
+      statusUrl: `/jobs/${job.id}`
+    });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// DEAD-LETTER ENDPOINTS
+// ============================================
+// WHY THIS WORKS: Failed jobs (out of attempts or permanent error) are kept for
+// inspection and can be replayed once the cause is fixed
+
+app.get('/dead-letters', requireRead, (req, res) => {
+  const { reason } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 1000);
+  
+  const jobs = jobStore.listDeadLetters({ reason, limit, tenantId: tenantFilter(req) });
+  
+  res.json({
+    success: true,
+    total: jobs.length,
+    jobs: jobs.map(job => jobStore.toJSON(job))
+  });
+});
+
+app.post('/dead-letters/replay', requireAdmin, (req, res) => {
+  // Body: { jobIds: [...] } for specific jobs, or { reason } / {} for everything matching
+  const { jobIds, reason } = req.body || {};
+  
+  const targets = Array.isArray(jobIds)
+    ? jobIds
+    : jobStore.listDeadLetters({ reason, tenantId: tenantFilter(req) }).map(job => job.id);
+  
+  const replayed = [];
+  const skipped = [];
+  
+  for (const jobId of targets) {
+    if (!findJob(req, jobId)) {
+      skipped.push({ jobId, error: `Job not found: ${jobId}` });
+      continue;
     }
     
-    // Step 10: Intelligent Pre-Flight Analysis (Phase 3: Meta-Cognitive Layer)
-    // WHY THIS WORKS: Smart backend checks, complexity re-classification, silent defaults
-    console.log('🧠 Running intelligent pre-flight analysis...');
-    
-    // Extract complexity level from brief if provided
-    const providedComplexity = briefData['Complexity Level'] || briefData['complexity_level'] || briefData['ComplexityLevel'] || null;
-    
-    if (providedComplexity) {
-      console.log(`   Initial complexity: ${providedComplexity}`);
-    } else {
-      console.log('   No complexity level provided - will detect from content');
+    try {
+      jobQueue.replay(jobId);
+      replayed.push(jobId);
+    } catch (error) {
+      skipped.push({ jobId, error: error.message });
     }
+  }
+  
+  console.log(`♻️  Bulk replay: ${replayed.length} requeued, ${skipped.length} skipped`);
+  
+  res.status(202).json({
+    success: true,
+    replayed,
+    skipped
+  });
+});
+
+/**
+ * Async request processing function
+ * WHY THIS WORKS: Processes after webhook response, records progress on the job,
+ * throws on failure so jobQueue can retry or dead-letter
+ * 
+ * @param {object} originalPayload - Raw webhook payload
+ * @param {object} job - Job record from jobStore (tracks state + result)
+ * @returns {Promise<object>} Result summary
+ */
+async function processRequestAsync(originalPayload, job) {
+  const startTime = Date.now();
+  const { briefPipeline } = tenants.getServices(job.tenantId);
+  
+  try {
+    console.log('\n' + '='.repeat(80));
+    console.log('🔄 ASYNC PROCESSING STARTED');
+    console.log('='.repeat(80));
     
-    // Run intelligent analysis
-    const analysis = await intelligentProcessor.analyze(briefData, providedComplexity);
-    
-    // Apply smart defaults to brief data (silent - no markers)
-    const enhancedBriefData = { ...briefData, ...analysis.smartDefaults };
-    
-    // Use detected/corrected complexity
-    const finalComplexity = analysis.useComplexity;
-    
-    // Step 11: Apply DCMS template with intelligent processing
-    // WHY THIS WORKS: Uses corrected complexity, enhanced data with smart defaults
-    console.log('📄 Applying DCMS template...');
-    
-    const smartProcessor = new SmartTemplateProcessor(mcpClient, templateFetcher);
-    const templateBlocks = await smartProcessor.processTemplate(
-      databaseInfo.databaseId,
-      enhancedBriefData,
-      finalComplexity,
-      analysis.conflicts // Pass conflicts for natural language callouts
-    );
-    
-    if (templateBlocks.length > 0) {
-      try {
-        // WHY THIS WORKS: API-patch-block-children adds blocks to page
-        // Notion API limits: 100 blocks per request
-        const BATCH_SIZE = 100;
-        
-        for (let i = 0; i < templateBlocks.length; i += BATCH_SIZE) {
-          const batch = templateBlocks.slice(i, i + BATCH_SIZE);
-          
-          console.log(`📦 Adding blocks ${i + 1}-${Math.min(i + BATCH_SIZE, templateBlocks.length)} to page: ${createdPage.id}`);
-          
-        await mcpClient.callTool('API-patch-block-children', {
-          block_id: createdPage.id,
-            children: batch
-          });
-          
-          console.log(`✅ Added blocks ${i + 1}-${Math.min(i + BATCH_SIZE, templateBlocks.length)} of ${templateBlocks.length}`);
-        }
-        
-        console.log(`✅ Template applied: ${templateBlocks.length} blocks added`);
-      } catch (blockError) {
-        console.warn('⚠️ Failed to add template blocks:', blockError.message);
-        // Don't fail the whole request if block creation fails
-      }
-    }
+    const result = await briefPipeline.run(originalPayload, {
+      // Jobs recorded before fan-out only have notionPageId
+      existingPages: job.notionPages?.length
+        ? job.notionPages
+        : (job.notionPageId ? [{ requestType: job.requestType, id: job.notionPageId, url: job.notionPageUrl }] : []),
+      requestType: job.routeOverride?.requestTypes || null,
+      onStatus: (status, details) => jobStore.updateStatus(job.id, status, details),
+      onPages: (notionPages) => jobStore.recordPages(job.id, notionPages)
+    });
     
-    // Step 11: Return success response
-    console.log('✅ Request created successfully');
+    // Record result summary on the job
+    jobStore.complete(job.id, result);
     
-    res.json({
-        success: true,
-        message: 'Request created successfully in Notion',
-        notionPageUrl: createdPage.url,
-        notionPageId: createdPage.id,
-      databaseUsed: databaseInfo.databaseName,
-      propertiesMapped: {
-        populated: Object.keys(mappingResult.mapping.populate || {}),
-        skipped: Object.keys(mappingResult.mapping.skip || {}),
-        uncertain: Object.keys(mappingResult.mapping.uncertain || {})
-      },
-      templateApplied: {
-        sectionsCreated: parsedTemplate.totalSections,
-        blocksAdded: templateBlocks.length,
-        sopsApplied: parsedTemplate.totalSOPs
-      },
-      reasoning: mappingResult.mapping.metadata
+    // Tell n8n (and the per-request callback) the page exists
+    await notifyJobOutcome(job, 'job.succeeded', {
+      success: true,
+      jobId: job.id,
+      tenantId: job.tenantId || TenantRegistry.DEFAULT_TENANT,
+      ...result,
+      timestamp: new Date().toISOString()
+    }, {
+      notionPageUrl: result.notionPageUrl,
+      notionPageId: result.notionPageId,
+      pages: result.pages.map(page => ({
+        requestType: page.requestType,
+        notionPageId: page.notionPageId,
+        notionPageUrl: page.notionPageUrl
+      }))
     });
     
     // SUCCESS - Log completion
@@ -536,6 +1024,8 @@ Based on the error and schema, fix the properties to match Notion's requirements
     console.log(`✅ Async processing completed successfully in ${duration}s`);
     console.log('='.repeat(80));
     
+    return result;
+    
   } catch (error) {
     console.error('❌ Async processing failed:', error);
     
@@ -543,35 +1033,109 @@ Based on the error and schema, fix the properties to match Notion's requirements
     console.log(`❌ Processing failed after ${duration}s`);
     console.log('='.repeat(80));
     
-    // Call error webhook if configured
-    const errorWebhookUrl = process.env.ERROR_WEBHOOK_URL;
+    // WHY THIS WORKS: jobQueue decides retry vs dead-letter, so the error goes back up
+    // (briefPipeline attaches the normalized brief for the error webhook)
+    error.processingDuration = duration + 's';
+    throw error;
+  }
+}
+
+/**
+ * Notify ERROR_WEBHOOK_URL (and the per-request callback) once a job is dead-lettered
+ * WHY THIS WORKS: Only fires after retries are exhausted (or the error is permanent),
+ * so ops aren't paged for blips that a retry fixed. The stack, payload and brief
+ * only go to ops - the callback gets the error message and where to retry
+ */
+async function sendErrorWebhook(job, error) {
+  await notifyJobOutcome(job, 'job.failed', {
+    success: false,
+    jobId: job.id,
+    tenantId: job.tenantId || TenantRegistry.DEFAULT_TENANT,
+    error: error.message,
+    errorStack: error.stack,
+    deadLetterReason: job.error?.deadLetterReason || null,
+    attempts: job.attempts,
+    retryUrl: `/jobs/${job.id}/retry`,
+    timestamp: new Date().toISOString(),
+    processingDuration: error.processingDuration || null,
+    originalPayload: job.payload,
+    briefData: error.briefData || null,
+    requestType: error.requestType || job.requestType || null,
+    fields: error.fields || undefined
+  }, {
+    error: error.message,
+    retryUrl: `/jobs/${job.id}/retry`
+  });
+}
+
+/**
+ * Notify REVIEW_WEBHOOK_URL (falls back to ERROR_WEBHOOK_URL) and the per-request
+ * callback that a job is waiting for someone to pick its request type
+ */
+async function sendReviewWebhook(job, error) {
+  await notifyJobOutcome(job, 'job.needs_review', {
+    success: false,
+    jobId: job.id,
+    tenantId: job.tenantId || TenantRegistry.DEFAULT_TENANT,
+    needsReview: true,
+    routing: error.routing,
+    routeUrl: `/jobs/${job.id}/route`,
+    briefData: error.briefData || null,
+    timestamp: new Date().toISOString()
+  }, {
+    reason: error.routing?.reason || null
+  });
+}
+
+/**
+ * Deliver a job outcome to the global webhook for that event and the job's callbackUrl
+ * WHY THIS WORKS: Delivery results are recorded on the job, never thrown. The callback
+ * URL comes from whoever submitted the brief, so it only gets a minimal body
+ * (jobId, status and the callbackFields) - the full body is for our own webhooks
+ * 
+ * @param {object} job - Job record
+ * @param {string} event - 'job.succeeded', 'job.failed' or 'job.needs_review'
+ * @param {object} body - Full webhook payload (SUCCESS/ERROR/REVIEW_WEBHOOK_URL)
+ * @param {object} callbackFields - Extra fields for the callbackUrl body
+ */
+async function notifyJobOutcome(job, event, body, callbackFields = {}) {
+  const CALLBACK_STATUSES = { 'job.succeeded': 'done', 'job.failed': 'failed', 'job.needs_review': 'needs_review' };
+  const callbackBody = {
+    success: body.success,
+    jobId: job.id,
+    status: CALLBACK_STATUSES[event],
+    ...callbackFields,
+    timestamp: body.timestamp
+  };
+
+  const GLOBAL_WEBHOOKS = {
+    'job.succeeded': { url: process.env.SUCCESS_WEBHOOK_URL, target: 'success_webhook' },
+    'job.failed': { url: process.env.ERROR_WEBHOOK_URL, target: 'error_webhook' },
+    'job.needs_review': process.env.REVIEW_WEBHOOK_URL
+      ? { url: process.env.REVIEW_WEBHOOK_URL, target: 'review_webhook' }
+      : { url: process.env.ERROR_WEBHOOK_URL, target: 'error_webhook' }
+  };
+  const globalTarget = GLOBAL_WEBHOOKS[event];
+  
+  const targets = [
+    globalTarget?.url && { ...globalTarget, payload: body },
+    job.callbackUrl && { url: job.callbackUrl, target: 'callback_url', payload: callbackBody }
+  ].filter(Boolean);
+  
+  if (targets.length === 0) {
+    console.log(`⚠️ No webhook configured for "${event}", skipping notification`);
+    return;
+  }
+  
+  for (const { url, target, payload } of targets) {
+    console.log(`📤 Sending "${event}" to ${target}...`);
     
-    if (errorWebhookUrl) {
-      console.log('🚨 Sending error notification to webhook...');
-      
-      try {
-        const axios = require('axios');
-        
-        await axios.post(errorWebhookUrl, {
-          success: false,
-          error: error.message,
-          errorStack: error.stack,
-          timestamp: new Date().toISOString(),
-          processingDuration: duration + 's',
-          originalPayload: originalPayload,
-          briefData: payload?.briefData || null,
-          requestType: payload?.requestType || null
-        }, {
-          timeout: 5000,
-          headers: { 'Content-Type': 'application/json' }
-        });
-        
-        console.log('✅ Error webhook called successfully');
-      } catch (webhookError) {
-        console.error('❌ Failed to call error webhook:', webhookError.message);
-      }
-    } else {
-      console.log('⚠️ No ERROR_WEBHOOK_URL configured, skipping error notification');
+    try {
+      const outcome = await webhookNotifier.send(url, payload, { event, callback: target === 'callback_url' });
+      jobStore.recordNotification(job.id, { event, target, ...outcome });
+    } catch (notifyError) {
+      // Notifier doesn't throw - this only guards the job record write
+      console.error(`❌ Failed to record "${event}" notification:`, notifyError.message);
     }
   }
 }
@@ -581,16 +1145,20 @@ Based on the error and schema, fix the properties to match Notion's requirements
 // CACHE MANAGEMENT ENDPOINTS
 // ============================================
 
-app.post('/clear-cache', (req, res) => {
-  const { databaseId } = req.body;
+app.post('/clear-cache', requireAdmin, (req, res) => {
+  // Body: {} for everything, or any of { databaseId, templateType, complexityLevel, pageId }
+  const { databaseId, templateType, complexityLevel, pageId } = req.body || {};
+  const { templateFetcher } = req.tenant;
+  const narrowed = !!(databaseId || templateType || complexityLevel || pageId);
   
   try {
-    templateFetcher.clearCache(databaseId);
+    const removed = templateFetcher.clearCache(narrowed ? { databaseId, templateType, complexityLevel, pageId } : null);
     const stats = templateFetcher.getCacheStats();
     
     res.json({
       success: true,
-      message: databaseId ? 'Database template cache cleared' : 'All template cache cleared',
+      message: narrowed ? `${removed} cached templates cleared` : 'All template cache cleared',
+      removed,
       cacheStats: stats
     });
   } catch (error) {
@@ -601,100 +1169,500 @@ app.post('/clear-cache', (req, res) => {
   }
 });
 
-app.get('/cache-stats', (req, res) => {
-  const stats = templateFetcher.getCacheStats();
+// ============================================
+// NOTION WEBHOOKS (TEMPLATE EDITS)
+// ============================================
+// WHY THIS WORKS: Subscribe an integration's webhook to page events and template edits
+// reach the cache within seconds. Signed with the subscription's verification token
+// (NOTION_WEBHOOK_SECRET, or a tenant's notion.webhookSecretEnv) instead of an API key
+
+// Verification tokens from subscription handshakes, by tenant (memory only, never logged)
+const notionVerificationTokens = new Map();
+
+app.post('/webhooks/notion', (req, res) => {
+  // Subscription handshake: Notion sends the token once, it has to be pasted back in Notion
+  if (req.body?.verification_token) {
+    const tenant = tenants.get(req.pathTenant || TenantRegistry.DEFAULT_TENANT);
+    
+    if (!tenant) {
+      return res.status(404).json({ success: false, error: 'Notion webhooks are not configured' });
+    }
+    // WHY THIS WORKS: Once a tenant has a secret, a handshake must be signed like any event -
+    // otherwise anyone could swap in a token of their own
+    if (tenant.notion.webhookSecret && !authenticator.verifyNotionSignature(req, tenant.notion.webhookSecret)) {
+      console.warn(`🚫 Notion webhook verification rejected from ${req.ip} (bad_signature)`);
+      return res.status(401).json({ success: false, error: 'Invalid signature' });
+    }
+    
+    // The token is the webhook secret - it stays out of the logs, an admin reads it once
+    notionVerificationTokens.set(tenant.id, { token: req.body.verification_token, receivedAt: new Date().toISOString() });
+    console.log(`🔑 Notion webhook verification token received for tenant ${tenant.id} - read it with GET /webhooks/notion/verification-token (admin key)`);
+    return res.status(200).json({ success: true });
+  }
+  
+  const candidates = req.pathTenant
+    ? tenants.list().filter(tenant => tenant.id === req.pathTenant)
+    : tenants.list();
+  const secured = candidates.filter(tenant => tenant.notion.webhookSecret);
+  
+  if (secured.length === 0) {
+    return res.status(404).json({ success: false, error: 'Notion webhooks are not configured' });
+  }
+  
+  // The signature says which tenant's integration sent the event
+  const matched = secured.filter(tenant => authenticator.verifyNotionSignature(req, tenant.notion.webhookSecret));
+  
+  if (matched.length === 0) {
+    console.warn(`🚫 Notion webhook rejected from ${req.ip} (bad_signature)`);
+    return res.status(401).json({ success: false, error: 'Invalid signature' });
+  }
+  
+  // Acknowledge first - Notion only needs a 200, the cache work happens after
+  res.status(200).json({ success: true });
+  
+  for (const tenant of matched) {
+    tenants.getServices(tenant.id).templateFetcher.handleNotionEvent(req.body)
+      .catch(error => console.error(`❌ Notion webhook ${req.body?.type} failed:`, error.message));
+  }
+});
+
+app.get('/webhooks/notion/verification-token', requireAdmin, (req, res) => {
+  const verification = notionVerificationTokens.get(req.tenantId);
+  
+  if (!verification) {
+    return res.status(404).json({
+      success: false,
+      error: `No Notion webhook verification token received for tenant "${req.tenantId}" since the last restart`
+    });
+  }
+  
+  res.json({
+    success: true,
+    tenant: req.tenantId,
+    verificationToken: verification.token,
+    receivedAt: verification.receivedAt
+  });
+});
+
+app.get('/cache-stats', requireRead, (req, res) => {
+  const stats = req.tenant.templateFetcher.getCacheStats();
+  
+  res.json({
+    success: true,
+    cacheStats: stats,
+    snapshots: req.tenant.templateSnapshots.getStats(),
+    bundle: req.tenant.templateBundle.getStatus()
+  });
+});
+
+// ============================================
+// TEMPLATE RESOLUTION
+// ============================================
+// WHY THIS WORKS: Shows template authors which templates database row a request would get
+// (client -> database -> type + complexity -> type default) before any brief is sent -
+// jobs report the same resolution on notionPages[].template
+
+app.get('/templates/resolve', requireRead, async (req, res) => {
+  // Query: requestType (required), complexityLevel, client (company or name, repeatable)
+  const { requestType, complexityLevel = null } = req.query;
+  const target = resolveTemplateTarget(req, requestType);
+  
+  if (!target) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown request type: "${requestType}"`
+    });
+  }
+  
+  try {
+    const clients = [].concat(req.query.client || []);
+    const { page, resolution } = await req.tenant.templateFetcher.resolveTemplatePage(
+      target.databaseId,
+      target.templateType,
+      complexityLevel,
+      { clients }
+    );
+    const pin = page && req.tenant.templateSnapshots.getPin(page.id);
+    
+    res.json({
+      success: true,
+      requestType: target.requestType,
+      templateType: target.templateType,
+      complexityLevel,
+      clients,
+      template: page ? { pageId: page.id, pageUrl: page.url, lastEditedTime: page.last_edited_time || null } : null,
+      resolution,
+      // The resolved row's pin - its snapshot is served instead of the live row
+      pin: pin || null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// TEMPLATE SNAPSHOTS, PINS AND ROLLBACK
+// ============================================
+// WHY THIS WORKS: Each job records the snapshot hash of the template that built its pages
+// (notionPages[].template). When a template edit breaks generation, diff the snapshots,
+// then roll that templates database row back until the Notion template is fixed.
+// History and pins are per row (page ID), so a client's override is rolled back on its own
+
+/**
+ * Registry type for a request type or alias, with its template type
+ */
+function resolveTemplateTarget(req, label) {
+  const { briefRouter, databaseRegistry } = req.tenant;
+  const requestType = briefRouter.resolveRequestType(label);
+  const entry = requestType && databaseRegistry.get(requestType);
+  
+  return entry ? { requestType, templateType: entry.templateType, databaseId: entry.databaseId } : null;
+}
+
+function sendSnapshotError(res, error) {
+  res.status(error instanceof TemplateSnapshotStore.TemplateSnapshotError ? error.status : 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+app.get('/templates/snapshots', requireRead, (req, res) => {
+  const { pageId, templateType, complexityLevel } = req.query;
+  const snapshots = req.tenant.templateSnapshots.list({ pageId, templateType, complexityLevel });
+  
+  res.json({
+    success: true,
+    total: snapshots.length,
+    snapshots
+  });
+});
+
+app.get('/templates/snapshots/:hash', requireRead, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      snapshot: req.tenant.templateSnapshots.get(req.params.hash)
+    });
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
+app.get('/templates/diff', requireRead, (req, res) => {
+  const { from, to } = req.query;
+  
+  if (!from || !to) {
+    return res.status(400).json({ success: false, error: 'from and to snapshot hashes are required' });
+  }
   
+  try {
+    res.json({
+      success: true,
+      ...req.tenant.templateSnapshots.diff(from, to)
+    });
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
+app.get('/templates/pins', requireRead, (req, res) => {
   res.json({
     success: true,
-    cacheStats: stats
+    pins: req.tenant.templateSnapshots.listPins()
   });
 });
 
+/**
+ * Templates database row to roll back: { pageId } as given, or the row
+ * { requestType, complexityLevel, client } resolves to (like GET /templates/resolve)
+ *
+ * @returns {Promise<object>} { pageId, requestType } or { error }
+ */
+async function resolveRollbackTarget(req, body) {
+  if (body.pageId) {
+    return { pageId: body.pageId, requestType: null };
+  }
+  
+  const target = resolveTemplateTarget(req, body.requestType);
+  if (!target) {
+    return { error: body.requestType ? `Unknown request type: "${body.requestType}"` : 'pageId or requestType is required' };
+  }
+  
+  const { page, resolution } = await req.tenant.templateFetcher.resolveTemplatePage(
+    target.databaseId,
+    target.templateType,
+    body.complexityLevel || null,
+    { clients: [].concat(body.client || []) }
+  );
+  if (!page) {
+    return { error: `No template row for ${target.requestType}${body.complexityLevel ? ` (${body.complexityLevel})` : ''} (${resolution.step || 'nothing matched'})` };
+  }
+  
+  return { pageId: page.id, requestType: target.requestType };
+}
+
+app.post('/templates/pins', requireAdmin, (req, res) => {
+  // Body: { hash, pageId, reason } - pageId can be left out when the snapshot came from one page
+  const { hash, pageId, reason } = req.body || {};
+  
+  if (!hash) {
+    return res.status(400).json({ success: false, error: 'hash is required' });
+  }
+  
+  try {
+    const pin = req.tenant.templateSnapshots.pin(pageId || null, hash, {
+      by: req.auth?.name || null,
+      reason
+    });
+    res.json({ success: true, pin });
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
+app.delete('/templates/pins/:pageId', requireAdmin, (req, res) => {
+  const pin = req.tenant.templateSnapshots.unpin(req.params.pageId);
+  
+  if (!pin) {
+    return res.status(404).json({
+      success: false,
+      error: `No pin for template page ${req.params.pageId}`
+    });
+  }
+  
+  res.json({ success: true, removed: pin });
+});
+
+app.post('/templates/rollback', requireAdmin, async (req, res) => {
+  // Body: { pageId } or { requestType, complexityLevel, client } (the row that resolves to), untilChanged
+  // untilChanged: false keeps the pin after the Notion template is edited (remove it with DELETE /templates/pins/:pageId)
+  const body = req.body || {};
+  
+  try {
+    const target = await resolveRollbackTarget(req, body);
+    if (target.error) {
+      return res.status(400).json({ success: false, error: target.error });
+    }
+    
+    const rollback = req.tenant.templateSnapshots.rollback(target.pageId, {
+      by: req.auth?.name || null,
+      requestType: target.requestType,
+      untilChanged: body.untilChanged
+    });
+    
+    res.json({
+      success: true,
+      message: `Template page ${target.pageId} now uses snapshot ${rollback.to} (was ${rollback.from})`,
+      pageId: target.pageId,
+      ...rollback,
+      diff: req.tenant.templateSnapshots.diff(rollback.to, rollback.from).summary
+    });
+  } catch (error) {
+    sendSnapshotError(res, error);
+  }
+});
+
 // ============================================
 // UTILITY ENDPOINTS
 // ============================================
 
-app.get('/databases', (req, res) => {
+app.get('/databases', requireRead, (req, res) => {
+  const { briefRouter, databaseRegistry } = req.tenant;
   const databases = briefRouter.getAvailableDatabases();
   
   res.json({
     success: true,
     databases,
     totalConfigured: databases.filter(db => db.configured).length,
-    totalAvailable: databases.length
+    totalAvailable: databases.length,
+    registry: databaseRegistry.getStatus()
+  });
+});
+
+// WHY THIS WORKS: The file is polled anyway - this applies an edit immediately
+// (a file with errors in a required type is rejected and the current registry stays in use)
+app.post('/databases/reload', requireAdmin, (req, res) => {
+  const { briefRouter, databaseRegistry } = req.tenant;
+  const reloaded = databaseRegistry.reload();
+  
+  res.status(reloaded ? 200 : 422).json({
+    success: reloaded,
+    databases: briefRouter.getAvailableDatabases(),
+    registry: databaseRegistry.getStatus()
+  });
+});
+
+// WHY THIS WORKS: No secrets, only what each tenant is wired to - a tenant's key sees just its own
+app.get('/tenants', requireAdmin, (req, res) => {
+  const list = tenants.getStatus().filter(tenant => !req.tenantScoped || tenant.id === req.tenantId);
+  
+  res.json({
+    success: true,
+    tenants: list
   });
 });
 
-app.get('/api/notion/tools', async (req, res) => {
+app.get('/api/notion/tools', requireAdmin, async (req, res) => {
   try {
-    const tools = await mcpClient.listTools();
+    const tools = await req.tenant.notion.listTools();
     res.json({ success: true, tools });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// ============================================
+// MCP SERVER (STREAMABLE HTTP)
+// ============================================
+// WHY THIS WORKS: Stateless - POST only, no sessions, so GET (SSE stream) and DELETE are refused
+// Tools needing submit/admin are checked per call against the API key's scopes
+
+app.post('/mcp', requireRead, (req, res) => req.tenant.mcpServer.handleHttp(req, res));
+
+app.all('/mcp', (req, res) => {
+  res.status(405).set('Allow', 'POST').json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message: 'Method not allowed (stateless server, use POST)' },
+    id: null
+  });
+});
+
 // ============================================
 // GRACEFUL SHUTDOWN
 // ============================================
 
+const SHUTDOWN_DRAIN_TIMEOUT = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT) || 25000;
+
 const shutdown = async (signal) => {
   console.log(`\n${signal} received, shutting down gracefully...`);
   
-  await mcpClient.cleanup();
-  
-  server.close(() => {
-    console.log('HTTP server closed');
-    process.exit(0);
-  });
-  
   // Force exit after 30 seconds
   setTimeout(() => {
     console.error('Forced shutdown after timeout');
     process.exit(1);
   }, 30000);
+  
+  // WHY THIS WORKS: In-flight jobs finish before the MCP child goes away
+  // Anything still queued stays on disk and resumes on next boot
+  await jobQueue.drain(SHUTDOWN_DRAIN_TIMEOUT);
+  
+  for (const { notion, databaseRegistry, templateFetcher, templateSnapshots } of tenants.activeServices()) {
+    templateFetcher.stopRevalidation();
+    await notion.cleanup();
+    databaseRegistry.close();
+    templateSnapshots.close();
+  }
+  jobStore.close();
+  
+  if (!server) {
+    process.exit(0);
+  }
+  
+  server.close(() => {
+    console.log('HTTP server closed');
+    process.exit(0);
+  });
 };
 
 process.on('SIGTERM', () => shutdown('SIGTERM'));
 process.on('SIGINT', () => shutdown('SIGINT'));
 
+// WHY THIS WORKS: The agent closing our stdin is how stdio MCP servers are told to stop
+if (STDIO_MODE) {
+  process.stdin.on('end', () => shutdown('stdin closed'));
+}
+
 // ============================================
 // START SERVER
 // ============================================
 
-const server = app.listen(PORT, async () => {
+/**
+ * Connect Notion, check configuration and resume pending jobs
+ * WHY THIS WORKS: Shared by the HTTP server and stdio mode
+ */
+async function startServices() {
+  for (const { tenant, notion, briefRouter } of tenants.allServices()) {
+    const label = tenant.id === TenantRegistry.DEFAULT_TENANT ? '' : ` [tenant ${tenant.id}]`;
+    
+    try {
+      // Connect Notion backend (spawns the MCP child, or checks the token over REST)
+      await notion.connect();
+      console.log(`✅ Notion ${notion.backend} backend connected successfully${label}`);
+      
+      // Validate required databases
+      briefRouter.validateConfiguration();
+      console.log(`✅ Database configuration validated${label}`);
+    } catch (error) {
+      // WHY THIS WORKS: Fail fast like a single-workspace deploy, but say which tenant is broken
+      if (label) error.message = `Tenant "${tenant.id}": ${error.message}`;
+      throw error;
+    }
+  }
+  
+  // Resume jobs that were queued or half-done before the last restart
+  jobQueue.resumePending();
+}
+
+function exitWithTroubleshooting(error) {
+  console.error('❌ Failed to start server:', error.message);
+  console.error('');
+  console.error('💡 Troubleshooting:');
+  console.error('   1. Check NOTION_TOKEN is set in .env');
+  console.error('   2. Verify integration has access to databases');
+  console.error('   3. Ensure CONTENT_REQUEST_DB_ID is configured (and config/databases.json is valid)');
+  console.error('   4. Run: npx @notionhq/notion-mcp-server (test connection)');
+  console.error('   5. Or skip the MCP child: NOTION_BACKEND=rest');
+  process.exit(1);
+}
+
+// WHY THIS WORKS: In stdio mode the agent owns the process - no HTTP port to clash
+// with a server that is already running
+const server = STDIO_MODE ? null : app.listen(PORT, async () => {
   console.log(`✅ IE7 Content Operations MCP listening on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   
   try {
-    // Connect MCP client
-    await mcpClient.connect();
-    console.log('✅ MCP client connected successfully');
-    
-    // Validate required databases
-    briefRouter.validateConfiguration(['content_request']);
-    console.log('✅ Database configuration validated');
+    await startServices();
     
     console.log('');
     console.log('🚀 Server ready! Available endpoints:');
     console.log('   POST /create-request       - Main endpoint: create Notion page from brief');
-    console.log('   POST /clear-cache          - Clear template cache');
+    console.log('   POST /preview              - Dry run: show what would be written (also ?dryRun=true)');
+    console.log('   POST /clear-cache          - Clear template cache (all, or by database/type/complexity)');
     console.log('   GET  /cache-stats          - Get cache statistics');
+    console.log('   GET  /jobs                 - List recent jobs (?status=&limit=)');
+    console.log('   GET  /jobs/:id             - Job status, steps and result');
+    console.log('   POST /jobs/:id/retry       - Replay a failed (dead-lettered) job');
+    console.log('   POST /jobs/:id/route       - Pick the request type for a job in review');
+    console.log('   GET  /review-queue         - Jobs waiting for a routing decision');
+    console.log('   GET  /batches/:id          - Per-item status of a batch (array payload)');
+    console.log('   GET  /schema/brief         - JSON Schema of the canonical brief');
+    console.log('   GET  /dead-letters         - List dead-lettered jobs');
+    console.log('   POST /dead-letters/replay  - Bulk replay dead-lettered jobs');
     console.log('   GET  /databases            - List configured databases');
+    console.log('   POST /databases/reload     - Reload config/databases.json now');
     console.log('   GET  /health               - Health check');
+    console.log('   GET  /health/details       - Notion, queue, cache and tenant status (read key)');
     console.log('   GET  /api/notion/tools     - List available Notion MCP tools');
+    console.log('   POST /webhooks/notion      - Notion webhook receiver (template edits clear the cache)');
+    console.log('   GET  /webhooks/notion/verification-token - Token from the last Notion handshake (admin key)');
+    console.log('   GET  /tenants              - List tenants (any endpoint also works under /t/<tenant>/)');
+    console.log('   POST /mcp                  - MCP server (streamable HTTP) for agents');
     console.log('');
     console.log('📚 Documentation: See README.md');
     console.log('');
     
   } catch (error) {
-    console.error('❌ Failed to start server:', error.message);
-    console.error('');
-    console.error('💡 Troubleshooting:');
-    console.error('   1. Check NOTION_TOKEN is set in .env');
-    console.error('   2. Verify integration has access to databases');
-    console.error('   3. Ensure CONTENT_REQUEST_DB_ID is configured');
-    console.error('   4. Run: npx @notionhq/notion-mcp-server (test connection)');
-    process.exit(1);
+    exitWithTroubleshooting(error);
   }
 });
+
+if (STDIO_MODE) {
+  // WHY THIS WORKS: An agent session belongs to one tenant - MCP_TENANT picks it
+  startServices()
+    .then(() => tenants.getServices(process.env.MCP_TENANT || TenantRegistry.DEFAULT_TENANT).mcpServer.connectStdio())
+    .catch(exitWithTroubleshooting);
+}
@@ -0,0 +1,157 @@
+// HMAC signatures with timestamp/replay protection, scoped API keys, the auth middleware and failing closed
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const RequestAuthenticator = require('../lib/auth');
+const ContentOpsMcpServer = require('../lib/mcp-server');
+const { quietConsole, fakeRequest, fakeResponse } = require('./helpers');
+
+quietConsole();
+
+const SECRET = 'n8n-shared-secret';
+const body = { requestType: 'content_request', briefData: { 'Project Name': 'Launch' } };
+
+/**
+ * Request signed like n8n signs it
+ */
+function signedRequest(options = {}) {
+  const raw = JSON.stringify(options.body || body);
+  const timestamp = options.timestamp ?? Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', options.secret || SECRET).update(`${timestamp}.${raw}`).digest('hex');
+
+  return fakeRequest({
+    headers: { 'X-IE7-Signature': `sha256=${signature}`, 'X-IE7-Timestamp': String(timestamp) },
+    body: raw
+  });
+}
+
+describe('HMAC webhooks', () => {
+  const authenticator = () => new RequestAuthenticator({
+    hmacSecrets: [{ tenant: 'default', secret: SECRET }, { tenant: 'acme', secret: 'acme-secret' }, { tenant: 'beta', secret: null }]
+  });
+
+  test('accepts a fresh signature for submission only', () => {
+    const result = authenticator().verifyHmac(signedRequest());
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.identity.scopes, ['submit']);
+  });
+
+  test('binds a signed webhook to the tenant whose secret signed it', () => {
+    const auth = authenticator();
+
+    assert.equal(auth.verifyHmac(signedRequest()).identity.tenant, 'default');
+    assert.deepEqual(auth.verifyHmac(signedRequest({ secret: 'acme-secret' })).identity,
+      { method: 'hmac', name: 'webhook:acme', scopes: ['submit'], tenant: 'acme' });
+    assert.deepEqual(auth.hmacSecrets.map(entry => entry.tenant), ['default', 'acme']);
+  });
+
+  test('rejects the same signature twice', () => {
+    const auth = authenticator();
+    const req = signedRequest();
+
+    assert.equal(auth.verifyHmac(req).ok, true);
+    assert.equal(auth.verifyHmac(req).reason, 'replayed_signature');
+  });
+
+  test('rejects timestamps outside the tolerance window', () => {
+    const auth = authenticator();
+    const now = Math.floor(Date.now() / 1000);
+
+    assert.equal(auth.verifyHmac(signedRequest({ timestamp: now - 301 })).reason, 'stale_timestamp');
+    assert.equal(auth.verifyHmac(signedRequest({ timestamp: now + 301 })).reason, 'stale_timestamp');
+    assert.equal(auth.verifyHmac(signedRequest({ timestamp: now - 200 })).ok, true);
+  });
+
+  test('rejects a wrong secret, a tampered body and missing headers', () => {
+    const auth = authenticator();
+    const tampered = signedRequest();
+    tampered.rawBody = Buffer.from(JSON.stringify({ ...body, requestType: 'publishing_request' }));
+
+    assert.equal(auth.verifyHmac(signedRequest({ secret: 'other' })).reason, 'bad_signature');
+    assert.equal(auth.verifyHmac(tampered).reason, 'bad_signature');
+    assert.equal(auth.verifyHmac(fakeRequest({ body })).reason, 'missing_signature');
+  });
+});
+
+describe('API keys', () => {
+  const authenticator = () => new RequestAuthenticator({
+    apiKeys: 'reader:read-key:read,ops:ops-key:admin,acme:acme-key:submit|read:acme'
+  });
+  const withKey = key => fakeRequest({ headers: { Authorization: `Bearer ${key}` }, method: 'GET', url: '/jobs' });
+
+  test('grant their scopes, with admin implying every scope', () => {
+    const auth = authenticator();
+
+    assert.equal(auth.verifyApiKey(withKey('read-key'), 'read').ok, true);
+    assert.equal(auth.verifyApiKey(withKey('read-key'), 'admin').reason, 'missing_scope:admin');
+    assert.equal(auth.verifyApiKey(withKey('ops-key'), 'submit').ok, true);
+    assert.equal(auth.verifyApiKey(withKey('nope'), 'read').reason, 'unknown_api_key');
+  });
+
+  test('carry the tenant they are bound to', () => {
+    const result = authenticator().verifyApiKey(withKey('acme-key'), 'submit');
+
+    assert.equal(result.identity.tenant, 'acme');
+    assert.equal(result.identity.name, 'acme');
+  });
+
+  test('middleware answers 401 without credentials and 403 without the scope', () => {
+    const auth = authenticator();
+    const run = (req, scope) => {
+      const res = fakeResponse();
+      let passed = false;
+      auth.middleware(scope)(req, res, () => { passed = true; });
+      return { res, passed, req };
+    };
+
+    assert.equal(run(fakeRequest(), 'read').res.statusCode, 401);
+    assert.equal(run(withKey('read-key'), 'admin').res.statusCode, 403);
+
+    const allowed = run(withKey('read-key'), 'read');
+    assert.equal(allowed.passed, true);
+    assert.equal(allowed.req.auth.name, 'reader');
+  });
+});
+
+describe('without credentials', () => {
+  const run = (auth, scope = 'read') => {
+    const req = fakeRequest();
+    const res = fakeResponse();
+    let passed = false;
+    auth.middleware(scope)(req, res, () => { passed = true; });
+    return { res, passed, req };
+  };
+
+  test('refuses every request unless auth is explicitly disabled', () => {
+    const refused = run(new RequestAuthenticator());
+    assert.equal(refused.passed, false);
+    assert.equal(refused.res.statusCode, 503);
+
+    const open = run(new RequestAuthenticator({ disabled: true }), 'admin');
+    assert.equal(open.passed, true);
+    assert.equal(open.req.auth, RequestAuthenticator.ANONYMOUS);
+  });
+
+  test('never runs open in production', () => {
+    const auth = new RequestAuthenticator({ disabled: true, production: true });
+
+    assert.equal(auth.open, false);
+    assert.equal(run(auth).res.statusCode, 503);
+  });
+});
+
+test('MCP tool calls without an identity are refused', async () => {
+  const result = await new ContentOpsMcpServer({}).callTool('list_databases', {}, undefined);
+
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /Authentication required/);
+});
+
+test('MCP preview_brief needs submit, like POST /preview', async () => {
+  const reader = { method: 'apiKey', name: 'reader', scopes: ['read'], tenant: null };
+  const result = await new ContentOpsMcpServer({}).callTool('preview_brief', body, reader);
+
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /submit/);
+});
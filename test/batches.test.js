@@ -0,0 +1,194 @@
+// Batch intake over HTTP: array payloads split into jobs, per-item rejection, dry runs, GET /batches/:id
+// Runs server.js as a child process on the fake Notion backend
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { once } = require('events');
+const { spawn } = require('child_process');
+const { FIXTURE_ENV, FIXTURE_IDS } = require('./helpers');
+
+const ROOT = path.join(__dirname, '..');
+const KEYS = { n8n: 'sk_test_n8n', acme: 'sk_test_acme', admin: 'sk_test_admin' };
+
+let server;
+let baseUrl;
+let dataDir;
+
+async function freePort() {
+  const probe = net.createServer().listen(0, '127.0.0.1');
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  probe.close();
+  return port;
+}
+
+/**
+ * JSON request against the test server with one of KEYS
+ */
+async function call(method, url, { key = 'n8n', body } = {}) {
+  const response = await fetch(baseUrl + url, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${KEYS[key]}` },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function until(predicate, timeoutMs = 20000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await predicate();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Condition not met within ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+const brief = (name, extra = {}) => ({ requestType: 'content_request', briefData: { 'Project Name': name, 'Client Name': 'Batch Co', ...extra } });
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'ie7-batches-'));
+
+  // Second tenant on the same fake workspace, to check batches stay with their tenant
+  const registryPath = path.join(dataDir, 'acme.databases.json');
+  fs.writeFileSync(registryPath, JSON.stringify({ databases: { content_request: { name: 'Content Request', databaseId: FIXTURE_IDS.contentRequestDb, required: true } } }));
+  const tenantsPath = path.join(dataDir, 'tenants.json');
+  fs.writeFileSync(tenantsPath, JSON.stringify({ tenants: { acme: {
+    name: 'Acme',
+    notion: { backend: 'fake' },
+    databaseRegistryPath: registryPath,
+    templatesDatabaseId: FIXTURE_IDS.templatesDb,
+    defaultAssignee: { name: 'Daniel', id: FIXTURE_IDS.users.daniel }
+  } } }));
+
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    stdio: process.env.DEBUG_TESTS ? 'inherit' : 'ignore',
+    env: {
+      PATH: process.env.PATH,
+      ...FIXTURE_ENV,
+      PORT: String(port),
+      NOTION_BACKEND: 'fake',
+      TEMPLATES_DATABASE_ID: FIXTURE_IDS.templatesDb,
+      TENANTS_PATH: tenantsPath,
+      API_KEYS: `n8n:${KEYS.n8n}:submit|read,acme:${KEYS.acme}:submit|read:acme,ops:${KEYS.admin}:admin`,
+      JOB_STORE_PATH: path.join(dataDir, 'jobs.log'),
+      TEMPLATE_SNAPSHOT_DIR: path.join(dataDir, 'snapshots'),
+      JOB_MAX_ATTEMPTS: '1',
+      DATABASE_REGISTRY_WATCH: 'false',
+      ROUTING_LLM: 'false',
+      // Nothing answers here - accepted jobs fail at semantic mapping instead of reaching OpenAI
+      OPENAI_API_KEY: 'sk-test',
+      OPENAI_BASE_URL: 'http://127.0.0.1:9/v1'
+    }
+  });
+
+  await until(async () => {
+    if (server.exitCode !== null) throw new Error(`server.js exited with code ${server.exitCode}`);
+    return fetch(`${baseUrl}/health`).then(response => response.ok, () => false);
+  });
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    server.kill();
+    await once(server, 'exit');
+  }
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('POST /create-request with an array', () => {
+  let accepted;
+
+  test('queues each valid element as its own job and rejects the rest per item', async () => {
+    accepted = await call('POST', '/create-request', { body: [brief('Batch A'), { nothing: 'here' }, brief('Batch B')] });
+
+    assert.equal(accepted.status, 202);
+    assert.equal(accepted.body.message, 'Batch accepted: 2 queued, 0 duplicate, 1 rejected');
+    assert.equal(accepted.body.statusUrl, `/batches/${accepted.body.batchId}`);
+    assert.deepEqual(accepted.body.jobs.map(job => [job.index, !!job.jobId, job.error]), [
+      [0, true, null],
+      [1, false, 'Invalid payload: No brief data found'],
+      [2, true, null]
+    ]);
+    assert.equal(accepted.body.jobs[0].statusUrl, `/jobs/${accepted.body.jobs[0].jobId}`);
+  });
+
+  test('the same batch again is answered with the original jobs', async () => {
+    const again = await call('POST', '/create-request', { body: [brief('Batch A'), { nothing: 'here' }, brief('Batch B')] });
+
+    assert.equal(again.status, 202);
+    assert.notEqual(again.body.batchId, accepted.body.batchId);
+    assert.equal(again.body.message, 'Batch accepted: 0 queued, 2 duplicate, 1 rejected');
+    assert.deepEqual(again.body.jobs.map(job => job.jobId), accepted.body.jobs.map(job => job.jobId));
+    assert.deepEqual(again.body.jobs.map(job => job.duplicate), [true, false, true]);
+  });
+
+  test('GET /batches/:id reports every item from its job until all are settled', async () => {
+    const { status, body } = await call('GET', accepted.body.statusUrl);
+
+    assert.equal(status, 200);
+    assert.equal(body.batchId, accepted.body.batchId);
+    assert.equal(body.tenantId, 'default');
+    assert.deepEqual({ total: body.counts.total, accepted: body.counts.accepted, rejected: body.counts.rejected }, { total: 3, accepted: 2, rejected: 1 });
+    assert.deepEqual(body.items.map(item => item.jobId), accepted.body.jobs.map(job => job.jobId));
+    assert.equal(body.items[1].status, 'rejected');
+
+    const settled = await until(async () => {
+      const batch = (await call('GET', accepted.body.statusUrl)).body;
+      return batch.status !== 'processing' && batch;
+    });
+    assert.equal(settled.status, 'failed');
+    assert.deepEqual(settled.counts, { total: 3, accepted: 2, rejected: 1, succeeded: 0, failed: 2, pending: 0 });
+    assert.match(settled.items[0].error, /Semantic mapping failed/);
+  });
+
+  test('once its jobs have failed, the same batch is queued again', async () => {
+    const retry = await call('POST', '/create-request', { body: [brief('Batch A'), brief('Batch B')] });
+
+    assert.equal(retry.body.message, 'Batch accepted: 2 queued, 0 duplicate, 0 rejected');
+    assert.notDeepEqual(retry.body.jobs.map(job => job.jobId), [accepted.body.jobs[0].jobId, accepted.body.jobs[2].jobId]);
+  });
+
+  test('a batch with no valid element is rejected as a whole', async () => {
+    const { status, body } = await call('POST', '/create-request', { body: [{ a: 1 }, 'text'] });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid payload: No brief data found in any batch element');
+    assert.deepEqual(body.rejected.map(item => item.index), [0, 1]);
+  });
+
+  test('?dryRun=true previews each element and queues nothing', async () => {
+    const before = (await call('GET', '/jobs')).body.jobs.length;
+    const { status, body } = await call('POST', '/create-request?dryRun=true', { body: [brief('Dry A'), { requestType: 'no_such_type', briefData: { 'Project Name': 'Dry B' } }] });
+
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.equal(body.batch, true);
+    assert.deepEqual(body.items.map(item => item.index), [0, 1]);
+    assert.equal(body.success, false);
+    assert.equal((await call('GET', '/jobs')).body.jobs.length, before);
+  });
+});
+
+describe('GET /batches/:id scoping', () => {
+  test('a batch is only visible to its tenant and to admins', async () => {
+    const { body: { batchId } } = await call('POST', '/create-request', { key: 'acme', body: [brief('Acme A'), brief('Acme B')] });
+
+    assert.equal((await call('GET', `/batches/${batchId}`, { key: 'acme' })).body.tenantId, 'acme');
+    assert.equal((await call('GET', `/batches/${batchId}`, { key: 'admin' })).status, 200);
+
+    const hidden = await call('GET', `/batches/${batchId}`, { key: 'n8n' });
+    assert.equal(hidden.status, 404);
+    assert.equal(hidden.body.error, `Batch not found: ${batchId}`);
+  });
+
+  test('an unknown batch is a 404', async () => {
+    assert.equal((await call('GET', '/batches/does-not-exist', { key: 'admin' })).status, 404);
+  });
+});
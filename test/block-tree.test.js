@@ -0,0 +1,153 @@
+// Block tree: fetching nested blocks to a depth limit, and writing any depth back within Notion's limits
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchBlockTree, flattenBlocks, toWritableBlocks, appendBlockTree } = require('../lib/block-tree');
+const { quietConsole, connectFakeNotion, FIXTURE_IDS } = require('./helpers');
+
+quietConsole();
+
+let notion;
+let pageId;
+
+const text = block => block[block.type].rich_text?.map(item => item.plain_text ?? item.text.content).join('') ?? '';
+
+/**
+ * Writable toggle with the given children
+ */
+const toggle = (label, children = []) => ({
+  type: 'toggle',
+  toggle: { rich_text: [{ text: { content: label } }], ...(children.length > 0 && { children }) }
+});
+
+/**
+ * Toggle `levels` deep: "level 1" > "level 2" > ... > "leaf"
+ */
+function chain(levels, depth = 1) {
+  return depth > levels ? toggle('leaf') : toggle(`level ${depth}`, [chain(levels, depth + 1)]);
+}
+
+/**
+ * [text, depth] for every block below a page, read back from Notion
+ */
+async function outline(id) {
+  const { blocks } = await fetchBlockTree(notion, id, { maxDepth: 10 });
+  const walk = (list, depth) => list.flatMap(block => [[text(block), depth], ...walk(block.children || [], depth + 1)]);
+  return walk(blocks, 0);
+}
+
+/**
+ * Count API-patch-block-children calls and their sizes
+ */
+function recordAppends() {
+  const appends = [];
+  const callTool = notion.callTool.bind(notion);
+  notion.callTool = (operation, args, timeout) => {
+    if (operation === 'API-patch-block-children') appends.push(args.children.length);
+    return callTool(operation, args, timeout);
+  };
+  return appends;
+}
+
+beforeEach(async () => {
+  notion = await connectFakeNotion();
+  pageId = (await notion.callTool('API-post-page', {
+    parent: { database_id: FIXTURE_IDS.contentRequestDb },
+    properties: { 'Project name': { title: [{ text: { content: 'Block tree' } }] } }
+  })).id;
+});
+afterEach(() => notion.cleanup());
+
+describe('fetchBlockTree()', () => {
+  test('fetches nested children up to maxDepth and counts what it left out', async () => {
+    notion.fake.insertChildren(pageId, [chain(4), toggle('flat')]);
+
+    const full = await fetchBlockTree(notion, pageId);
+    assert.equal(full.truncated, 1, 'default maxDepth 3 stops above "level 4"');
+    assert.deepEqual(flattenBlocks(full.blocks).map(text), ['level 1', 'level 2', 'level 3', 'level 4', 'flat']);
+    assert.equal(full.blocks[0].children[0].children[0].children[0].children, undefined);
+
+    const top = await fetchBlockTree(notion, pageId, { maxDepth: 0 });
+    assert.deepEqual(top.blocks.map(text), ['level 1', 'flat']);
+    assert.equal(top.truncated, 1);
+
+    const deep = await fetchBlockTree(notion, pageId, { maxDepth: 10 });
+    assert.equal(deep.truncated, 0);
+    assert.equal(flattenBlocks(deep.blocks).length, 6);
+  });
+
+  test('follows pagination and skips child pages', async () => {
+    notion.fake.insertChildren(pageId, Array.from({ length: 130 }, (_, i) => toggle(`item ${i}`)));
+    const [subpage] = notion.fake.insertChildren(pageId, [{ type: 'child_page', child_page: { title: 'Sub page' } }]);
+    notion.fake.insertChildren(subpage.id, [toggle('not part of the template')]);
+
+    const { blocks, truncated } = await fetchBlockTree(notion, pageId);
+
+    assert.equal(blocks.length, 131);
+    assert.equal(blocks[130].type, 'child_page');
+    assert.equal(blocks[130].children, undefined);
+    assert.equal(truncated, 0);
+  });
+
+  test('returns copies, so callers can\'t change the backend\'s blocks', async () => {
+    notion.fake.insertChildren(pageId, [chain(1)]);
+    const { blocks } = await fetchBlockTree(notion, pageId);
+    blocks[0].toggle.rich_text[0].plain_text = 'changed';
+    blocks[0].children.push('extra');
+
+    const again = await fetchBlockTree(notion, pageId);
+    assert.equal(text(again.blocks[0]), 'level 1');
+    assert.equal(again.blocks[0].children.length, 1);
+  });
+});
+
+describe('toWritableBlocks()', () => {
+  test('drops IDs and unwritable types, and moves fetched children into the payload', async () => {
+    notion.fake.insertChildren(pageId, [chain(2), { type: 'child_page', child_page: { title: 'Sub page' } }]);
+    const { blocks } = await fetchBlockTree(notion, pageId);
+
+    const writable = toWritableBlocks(blocks);
+
+    assert.equal(writable.length, 1);
+    assert.deepEqual(Object.keys(writable[0]).sort(), ['object', 'toggle', 'type']);
+    assert.equal(text(writable[0].toggle.children[0].toggle.children[0]), 'leaf');
+    assert.equal(writable[0].toggle.children[0].toggle.children[0].toggle.children, undefined);
+  });
+});
+
+describe('appendBlockTree()', () => {
+  test('writes nesting deeper than two levels with follow-up appends', async () => {
+    const appends = recordAppends();
+
+    const calls = await appendBlockTree(notion, pageId, [chain(5), toggle('after')]);
+
+    assert.deepEqual(await outline(pageId), [
+      ['level 1', 0], ['level 2', 1], ['level 3', 2], ['level 4', 3], ['level 5', 4], ['leaf', 5], ['after', 0]
+    ]);
+    // level 1 > 2 > 3 fit the first call, level 4 > 5 > leaf the one under "level 3"
+    assert.equal(calls, 2);
+    assert.deepEqual(appends, [2, 1]);
+  });
+
+  test('splits more than 100 blocks per level into batches', async () => {
+    const appends = recordAppends();
+    const many = (prefix, count) => Array.from({ length: count }, (_, i) => toggle(`${prefix} ${i}`));
+
+    await appendBlockTree(notion, pageId, [...many('top', 149), toggle('big', many('child', 120))]);
+
+    const written = await outline(pageId);
+    assert.equal(written.filter(([, depth]) => depth === 0).length, 150);
+    assert.equal(written.filter(([, depth]) => depth === 1).length, 120);
+    assert.deepEqual(written.slice(-2), [['child 118', 1], ['child 119', 1]]);
+    // 150 top-level blocks in two calls; "big" went out empty and its 120 children followed in two more
+    assert.deepEqual(appends, [100, 50, 100, 20]);
+  });
+
+  test('copies a fetched template tree block for block', async () => {
+    const template = FIXTURE_IDS.templates.threeCourseMeal;
+    const { blocks } = await fetchBlockTree(notion, template, { maxDepth: 10 });
+
+    await appendBlockTree(notion, pageId, toWritableBlocks(blocks));
+
+    assert.deepEqual(await outline(pageId), await outline(template));
+  });
+});
@@ -0,0 +1,247 @@
+// Brief pipeline against the fake workspace: fan-out into linked pages, page reuse on re-runs
+// The LLM steps (property mapping, pre-flight analysis, template content) are stubbed -
+// the template blocks are copied as fetched
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const BriefPipeline = require('../lib/brief-pipeline');
+const SmartTemplateProcessor = require('../lib/smart-template-processor');
+const TemplateFetcher = require('../lib/template-fetcher');
+const SOPParser = require('../lib/sop-parser');
+const PayloadAdapterRegistry = require('../lib/payload-adapters');
+const RoutingEngine = require('../lib/routing-engine');
+const { flattenBlocks } = require('../lib/block-tree');
+const { quietConsole, connectFakeNotion, createRouter, FIXTURE_IDS } = require('./helpers');
+
+quietConsole();
+delete process.env.TEMPLATE_MODE;
+
+// Maps the project name into the title property, like the LLM mapper would
+const semanticMapper = {
+  openai: null,
+  async mapProperties(briefData) {
+    return { success: true, mapping: { populate: { title: { value: briefData['Project Name'] } }, skip: {}, uncertain: {}, metadata: {} } };
+  },
+  convertToNotionFormat(mapping, databaseSchema) {
+    const [titleProperty] = Object.entries(databaseSchema.properties).find(([, schema]) => schema.type === 'title');
+    return { [titleProperty]: { title: [{ text: { content: mapping.populate.title.value } }] } };
+  }
+};
+
+const intelligentProcessor = {
+  async analyze(briefData, providedComplexity) {
+    return { smartDefaults: {}, useComplexity: providedComplexity || 'Pizza', conflicts: [] };
+  }
+};
+
+const originalProcessTemplate = SmartTemplateProcessor.prototype.processTemplate;
+
+before(() => {
+  SmartTemplateProcessor.prototype.processTemplate = async function (databaseId, briefData, complexityLevel) {
+    const template = await this.templateFetcher.fetchTemplate(databaseId, null, complexityLevel, this.templateContext);
+    this.templateUsed = template;
+    return template.blocks;
+  };
+});
+after(() => {
+  SmartTemplateProcessor.prototype.processTemplate = originalProcessTemplate;
+});
+
+let notion;
+let pipeline;
+
+beforeEach(async () => {
+  notion = await connectFakeNotion();
+  const briefRouter = createRouter();
+
+  pipeline = new BriefPipeline({
+    notion,
+    templateFetcher: new TemplateFetcher(notion, { registry: briefRouter.registry, templatesDatabaseId: FIXTURE_IDS.templatesDb }),
+    sopParser: new SOPParser(),
+    semanticMapper,
+    briefRouter,
+    intelligentProcessor,
+    payloadAdapters: new PayloadAdapterRegistry(briefRouter),
+    routingEngine: new RoutingEngine({ briefRouter, llmEnabled: false }),
+    defaultAssignee: { name: 'Amara Okafor', id: FIXTURE_IDS.users.amara },
+    openai: { apiKey: 'sk-test' }
+  });
+});
+afterEach(() => notion.cleanup());
+
+/**
+ * Every block on a page, nested ones included
+ */
+async function pageBlocks(pageId) {
+  const { results } = await notion.callTool('API-get-block-children', { block_id: pageId, page_size: 100 });
+  const nested = await Promise.all(results.filter(block => block.has_children).map(block => pageBlocks(block.id)));
+  return [...results, ...nested.flat()];
+}
+
+const fanOutBrief = {
+  requestType: 'Content Request, Publishing',
+  briefData: { 'Project Name': 'Spring Launch', 'Complexity Level': 'Pizza', 'Raw Brief': 'Teaser video, then publish it' }
+};
+
+describe('brief pipeline', () => {
+  test('fans a brief out into linked pages with their own templates', async () => {
+    const result = await pipeline.run(fanOutBrief);
+
+    assert.deepEqual(result.pages.map(page => page.requestType), ['content_request', 'publishing_request']);
+    assert.deepEqual(result.linkErrors, []);
+
+    const [content, publishing] = result.pages;
+    assert.equal(content.template.pageId, FIXTURE_IDS.templates.pizza);
+    assert.equal(publishing.template.pageId, FIXTURE_IDS.templates.publishing);
+    assert.deepEqual(content.linkedTo, [publishing.notionPageId]);
+    assert.deepEqual(publishing.linkedTo, [content.notionPageId]);
+
+    const created = notion.fake.getCreatedPages();
+    assert.equal(created.length, 2);
+    const contentPage = created.find(page => page.id === content.notionPageId);
+    assert.deepEqual(contentPage.properties['Publishing Requests'].relation, [{ id: publishing.notionPageId }]);
+
+    const template = await pipeline.templateFetcher.fetchTemplate(FIXTURE_IDS.contentRequestDb, null, 'Pizza');
+    assert.equal((await pageBlocks(content.notionPageId)).length, flattenBlocks(template.blocks).length);
+  });
+
+  test('reuses pages from an earlier attempt instead of creating new ones', async () => {
+    const first = await pipeline.run(fanOutBrief);
+    const existingPages = first.pages.map(page => ({ requestType: page.requestType, id: page.notionPageId, url: page.notionPageUrl }));
+
+    const second = await pipeline.run(fanOutBrief, { existingPages });
+
+    assert.deepEqual(second.pages.map(page => page.notionPageId), first.pages.map(page => page.notionPageId));
+    assert.equal(notion.fake.getCreatedPages().length, 2);
+  });
+
+  test('a re-run does not append the template to pages that already have it', async () => {
+    const recorded = [];
+    const first = await pipeline.run(fanOutBrief, { onPages: notionPages => recorded.push(notionPages) });
+    const blockCounts = await Promise.all(first.pages.map(async page => (await pageBlocks(page.notionPageId)).length));
+
+    // The job's pages as the job store keeps them between attempts
+    const existingPages = recorded.at(-1);
+    assert.deepEqual(existingPages.map(page => page.blocksAppended), [true, true]);
+
+    const second = await pipeline.run(fanOutBrief, { existingPages });
+
+    for (const [index, page] of second.pages.entries()) {
+      assert.equal((await pageBlocks(page.notionPageId)).length, blockCounts[index]);
+      assert.equal(page.blocksAdded, first.pages[index].blocksAdded);
+      assert.deepEqual(page.template, first.pages[index].template);
+    }
+  });
+
+  test('a page whose blocks failed gets them on the next attempt', async () => {
+    const appendBlocks = pipeline.appendBlocks;
+    pipeline.appendBlocks = async () => false;
+    const recorded = [];
+    const first = await pipeline.run(fanOutBrief, { onPages: notionPages => recorded.push(notionPages) });
+    pipeline.appendBlocks = appendBlocks;
+
+    assert.deepEqual(recorded, []);
+    assert.deepEqual(first.pages.map(page => page.blocksAppended), [false, false]);
+
+    const existingPages = first.pages.map(page => ({ requestType: page.requestType, id: page.notionPageId, url: page.notionPageUrl }));
+    await pipeline.run(fanOutBrief, { existingPages });
+
+    assert.ok((await pageBlocks(first.pages[0].notionPageId)).length > 0);
+  });
+
+  test('leaves Assignee empty when no default assignee is configured', async () => {
+    const mapProperties = semanticMapper.mapProperties;
+    const seen = [];
+    semanticMapper.mapProperties = async (briefData, databaseSchema, parsedTemplate, sopGuidelines) => {
+      seen.push(sopGuidelines.defaultAssignee);
+      const result = await mapProperties(briefData);
+      result.mapping.populate.Assignee = { value: FIXTURE_IDS.users.amara };
+      return result;
+    };
+    pipeline.defaultAssignee = null;
+
+    try {
+      const { mappingResult } = await pipeline.prepare('content_request', fanOutBrief.briefData);
+
+      assert.deepEqual(seen, [null]);
+      assert.equal(mappingResult.mapping.populate.Assignee, undefined);
+      assert.match(mappingResult.mapping.skip.Assignee.reason, /No default assignee/);
+    } finally {
+      semanticMapper.mapProperties = mapProperties;
+    }
+  });
+
+  test("corrects rejected properties with the tenant's routing model", async () => {
+    const { callTool } = notion;
+    const models = [];
+    let rejected = false;
+    notion.callTool = async (name, args) => {
+      if (name === 'API-post-page' && !rejected) {
+        rejected = true;
+        return { object: 'error', status: 400, code: 'validation_error', message: 'Title is not a property that exists' };
+      }
+      return callTool.call(notion, name, args);
+    };
+    semanticMapper.openai = {
+      chat: {
+        completions: {
+          async create(request) {
+            models.push(request.model);
+            return { choices: [{ message: { content: JSON.stringify(prepared.notionProperties) } }] };
+          }
+        }
+      }
+    };
+    pipeline.openai = { apiKey: 'sk-test', model: 'gpt-5', routingModel: 'gpt-5-mini' };
+
+    const prepared = await pipeline.prepare('content_request', fanOutBrief.briefData);
+    try {
+      const page = await pipeline.createPage(prepared);
+
+      assert.ok(page.id);
+      assert.deepEqual(models, ['gpt-5-mini']);
+    } finally {
+      semanticMapper.openai = null;
+    }
+  });
+
+  test('rethrows timeouts, 5xx and network errors without self-correcting', async () => {
+    const { callTool } = notion;
+    const timeout = Object.assign(new Error('Tool call timeout after 30000ms: API-post-page'), {
+      code: 'ETOOLTIMEOUT', retryable: false, outcomeUnknown: true
+    });
+    const failures = [timeout, Object.assign(new Error('bad gateway'), { status: 502 }), Object.assign(new Error('reset'), { code: 'ECONNRESET' })];
+    let creates = 0;
+    notion.callTool = async (name, args) => {
+      if (name === 'API-post-page') {
+        creates++;
+        throw failures[creates - 1];
+      }
+      return callTool.call(notion, name, args);
+    };
+    semanticMapper.openai = {
+      chat: { completions: { create: async () => assert.fail('no correction expected') } }
+    };
+
+    const prepared = await pipeline.prepare('content_request', fanOutBrief.briefData);
+    try {
+      for (const failure of failures) {
+        await assert.rejects(pipeline.createPage(prepared), error => error === failure);
+      }
+      assert.equal(creates, failures.length);
+      assert.equal(notion.fake.getCreatedPages().length, 0);
+    } finally {
+      semanticMapper.openai = null;
+    }
+  });
+
+  test('reports status as it goes and parks unroutable briefs', async () => {
+    const statuses = [];
+    await pipeline.run(fanOutBrief, { onStatus: status => statuses.push(status) });
+    assert.deepEqual([...new Set(statuses)], ['mapping', 'creating_page', 'appending_blocks']);
+
+    await assert.rejects(
+      pipeline.run({ body: { 'Asset Type': 'Holiday card', 'Project Name': 'Card' } }),
+      error => error.needsReview === true && error.briefData['Project Name'] === 'Card'
+    );
+  });
+});
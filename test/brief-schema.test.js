@@ -0,0 +1,53 @@
+// Canonical brief: alias resolution, coercion and field-level validation
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBrief, resolveField, canonicalLabel, BriefValidationError } = require('../lib/brief-schema');
+const { classifyError } = require('../lib/retry-policy');
+
+describe('brief schema', () => {
+  test('resolves every spelling of a field to one canonical brief', () => {
+    const spellings = [
+      { 'Project Name': 'Launch', 'Client Email': 'a@example.com', 'Complexity Level': 'Pizza' },
+      { project_name: 'Launch', client_email: 'a@example.com', complexity: 'pizza' },
+      { projectName: 'Launch', contactEmail: 'a@example.com', ComplexityLevel: 'PIZZA' }
+    ];
+
+    for (const briefData of spellings) {
+      const { brief, errors } = normalizeBrief(briefData);
+      assert.deepEqual(errors, []);
+      assert.equal(brief.project.name, 'Launch');
+      assert.equal(brief.client.email, 'a@example.com');
+      assert.equal(brief.project.complexity, 'Pizza');
+    }
+  });
+
+  test('the first alias wins and every spelling is consumed', () => {
+    const { brief } = normalizeBrief({ 'Project Name': 'Launch', 'Requested By': 'loses', 'Client Name': 'Label wins', Venue: 'Hilton' });
+
+    assert.equal(brief.client.name, 'Label wins');
+    assert.deepEqual(brief.extra, { Venue: 'Hilton' });
+  });
+
+  test('resolveField and canonicalLabel look fields up by any alias', () => {
+    assert.equal(resolveField({ 'Company Name': 'Acme Studios' }, 'client.company'), 'Acme Studios');
+    assert.equal(resolveField({ companyName: 'Acme Studios' }, 'client.company'), 'Acme Studios');
+    assert.equal(resolveField({}, 'client.company'), null);
+    assert.equal(canonicalLabel('requested_by'), 'Client Name');
+  });
+
+  test('reports malformed and missing fields with their source key', () => {
+    const { errors } = normalizeBrief({ 'Client Email': 'not-an-email' });
+    const byField = Object.fromEntries(errors.map(error => [error.field, error]));
+
+    assert.equal(byField['client.email'].source, 'Client Email');
+    assert.equal(byField['project.name'].message, 'is required (or send rawBrief)');
+  });
+
+  test('validation errors are permanent 400s carrying the fields', () => {
+    const error = new BriefValidationError([{ field: 'project.name', message: 'is required' }]);
+
+    assert.equal(error.status, 400);
+    assert.equal(classifyError(error).retryable, false);
+    assert.match(error.message, /project\.name is required/);
+  });
+});
@@ -0,0 +1,262 @@
+// Database registry: entry validation, one policy for broken entries at boot and on reload, hot reload
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const DatabaseRegistry = require('../lib/database-registry');
+const BriefRouter = require('../lib/brief-router');
+const RoutingEngine = require('../lib/routing-engine');
+const { normalizeBrief } = require('../lib/brief-schema');
+const { quietConsole, tempDir, waitFor, FIXTURE_IDS } = require('./helpers');
+
+quietConsole();
+
+const CONTENT = {
+  name: 'Content Request',
+  databaseId: FIXTURE_IDS.contentRequestDb,
+  templateType: 'Content Request',
+  aliases: ['video brief'],
+  required: true
+};
+
+const PUBLISHING = {
+  name: 'Publishing Request',
+  databaseId: FIXTURE_IDS.publishingDb,
+  templateType: 'Publishing',
+  aliases: ['publishing'],
+  routingRules: [{ name: 'publish', all: [{ mentions: ['publish'] }], confidence: 0.9 }]
+};
+
+/**
+ * Registry file in a temp directory (not watched - tests call reload())
+ */
+function registryFile(t, databases) {
+  const filePath = path.join(tempDir(t), 'databases.json');
+  fs.writeFileSync(filePath, JSON.stringify({ databases }));
+  return filePath;
+}
+
+function openRegistry(filePath) {
+  return new DatabaseRegistry({ filePath, env: {}, watch: false });
+}
+
+/**
+ * Every reported problem (blocking or disabling) as "type.field: message"
+ */
+function problems(registry) {
+  return [...registry.report.errors, ...registry.report.disabled]
+    .map(({ type, field, message }) => `${type}${field ? `.${field}` : ''}: ${message}`);
+}
+
+function input(briefData, requestType = null) {
+  return { requestType, assetType: null, briefData, brief: normalizeBrief(briefData).brief };
+}
+
+describe('database registry: broken entries', () => {
+  test('a broken optional type is disabled and boot still validates', async (t) => {
+    const registry = openRegistry(registryFile(t, {
+      content_request: CONTENT,
+      publishing_request: { ...PUBLISHING, requiredFields: ['Not A Field'] }
+    }));
+    const router = new BriefRouter(registry);
+
+    assert.deepEqual(registry.report.errors, []);
+    assert.deepEqual(registry.report.disabled.map(e => [e.type, e.field]), [['publishing_request', 'requiredFields']]);
+    assert.equal(router.validateConfiguration(), true);
+
+    const publishing = registry.get('publishing_request');
+    assert.equal(publishing.disabled, true);
+    assert.equal(publishing.databaseId, null);
+    assert.deepEqual(publishing.routingRules, []);
+    assert.equal(router.route('content_request').databaseId, FIXTURE_IDS.contentRequestDb);
+    assert.throws(() => router.route('publishing'), /is disabled/);
+
+    const engine = new RoutingEngine({ briefRouter: router, llmEnabled: false });
+    const routing = await engine.resolve(input({ 'Project Name': 'Reel' }, 'publishing_request'));
+    assert.equal(routing.needsReview, true);
+    assert.match(routing.reason, /fix the "publishing_request" entry/);
+
+    // Its routing rules are off too - the brief isn't guessed into the broken type
+    const byRule = await engine.resolve(input({ 'Project Name': 'Reel', 'Raw Brief': 'Publish it on Friday' }));
+    assert.notEqual(byRule.type, 'publishing_request');
+  });
+
+  test('a broken required type still fails boot', (t) => {
+    const registry = openRegistry(registryFile(t, {
+      content_request: { ...CONTENT, databaseId: 'not-an-id' },
+      publishing_request: PUBLISHING
+    }));
+
+    assert.deepEqual(registry.report.errors.map(e => [e.type, e.field]), [['content_request', 'databaseId']]);
+    assert.throws(() => new BriefRouter(registry).validateConfiguration(), /1 misconfigured entries: content_request\.databaseId/);
+  });
+
+  test('reload applies an edit that only breaks an optional type', (t) => {
+    const filePath = registryFile(t, { content_request: CONTENT, publishing_request: PUBLISHING });
+    const registry = openRegistry(filePath);
+
+    fs.writeFileSync(filePath, JSON.stringify({ databases: {
+      content_request: CONTENT,
+      publishing_request: { ...PUBLISHING, databaseId: 'not-an-id' }
+    } }));
+    assert.equal(registry.reload(), true);
+    assert.equal(registry.get('publishing_request').disabled, true);
+    assert.equal(registry.getStatus().disabled.length, 1);
+
+    fs.writeFileSync(filePath, JSON.stringify({ databases: {
+      content_request: { ...CONTENT, aliases: 'video brief' },
+      publishing_request: PUBLISHING
+    } }));
+    assert.equal(registry.reload(), false);
+    assert.equal(registry.get('publishing_request').disabled, true, 'previous registry stays in use');
+    assert.deepEqual(registry.lastReloadError.errors.map(e => [e.type, e.field]), [['content_request', 'aliases']]);
+  });
+
+  test('upsert refuses to write a broken entry even for an optional type', (t) => {
+    const filePath = registryFile(t, { content_request: CONTENT });
+    const registry = openRegistry(filePath);
+
+    assert.throws(
+      () => registry.upsert('photoshoot', { name: 'Photoshoot', databaseId: 'nope' }),
+      DatabaseRegistry.DatabaseRegistryError
+    );
+    assert.equal(registry.get('photoshoot'), null);
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).databases.photoshoot, undefined);
+  });
+});
+
+describe('database registry: validation', () => {
+  test('normalizes entries: env database IDs, type names, field labels and defaults', (t) => {
+    const registry = new DatabaseRegistry({
+      filePath: registryFile(t, {
+        'Content-Request': { ...CONTENT, databaseId: undefined, databaseIdEnv: 'MY_CONTENT_DB', requiredFields: ['Due Date', 'project.name'] },
+        photoshoot: {}
+      }),
+      env: { MY_CONTENT_DB: FIXTURE_IDS.contentRequestDb },
+      watch: false
+    });
+
+    const content = registry.get('content_request');
+    assert.equal(content.key, 'Content-Request');
+    assert.equal(content.databaseId, FIXTURE_IDS.contentRequestDb);
+    assert.deepEqual(content.requiredFields, ['dates.due', 'project.name']);
+    assert.equal(registry.resolveType('Video Brief'), 'content_request');
+    assert.equal(registry.getByDatabaseId(FIXTURE_IDS.contentRequestDb.replace(/-/g, '')).type, 'content_request');
+    assert.deepEqual(registry.getRequiredTypes(), ['content_request']);
+
+    // An optional type without an ID is unconfigured, not broken
+    const photoshoot = registry.get('photoshoot');
+    assert.equal(photoshoot.databaseId, null);
+    assert.equal(photoshoot.databaseIdEnv, 'PHOTOSHOOT_DB_ID');
+    assert.equal(photoshoot.templateType, 'Content Request');
+    assert.equal(photoshoot.disabled, false);
+    assert.deepEqual(problems(registry), []);
+    assert.deepEqual(registry.report.warnings.map(w => `${w.type}.${w.field}`), ['photoshoot.name', 'photoshoot.templateType']);
+  });
+
+  test('reports every misconfigured field with its type', (t) => {
+    const registry = openRegistry(registryFile(t, {
+      content_request: { ...CONTENT, requiredFields: ['Shoe Size'], defaultAssignee: { nickname: 'J' } },
+      publishing_request: { ...PUBLISHING, aliases: ['video brief', 'content request', ''] },
+      general_inquiry: {
+        name: 'General',
+        databaseId: FIXTURE_IDS.generalInquiryDb,
+        routingRules: [
+          { name: 'empty' },
+          { name: 'too sure', any: [{ mentions: ['help'] }], confidence: 1.5 },
+          { name: 'bad pattern', all: [{ field: 'Raw Brief', matches: '(' }] },
+          { name: 'no test', all: [{ field: 'Raw Brief' }] }
+        ]
+      },
+      events: 'not an entry'
+    }));
+
+    assert.deepEqual(problems(registry), [
+      'content_request.requiredFields: unknown brief field "Shoe Size" (see GET /schema/brief)',
+      'content_request.defaultAssignee: must be an object with a name, email or id',
+      'publishing_request.aliases: must be a list of non-empty strings',
+      'general_inquiry.routingRules: "empty" needs "all" and/or "any" conditions',
+      'general_inquiry.routingRules: "too sure" confidence must be between 0 and 1',
+      'general_inquiry.routingRules: "bad pattern" all[0]: invalid pattern "(" (Invalid regular expression: /(/i: Unterminated group)',
+      'general_inquiry.routingRules: "no test" all[0]: field conditions need "exists": true or "matches"',
+      'events: entry must be an object',
+      'publishing_request.aliases: alias "video brief" is also used by "content_request"',
+      'publishing_request.aliases: alias "content request" is the name of request type "content_request"'
+    ]);
+    assert.deepEqual(registry.get('general_inquiry').routingRules, [], 'broken rules are never half-applied');
+  });
+
+  test('warns about unknown settings and databaseId next to databaseIdEnv', (t) => {
+    const registry = openRegistry(registryFile(t, {
+      content_request: { ...CONTENT, databaseIdEnv: 'CONTENT_REQUEST_DB_ID', colour: 'blue' }
+    }));
+
+    assert.deepEqual(registry.report.warnings.map(w => `${w.type}.${w.field}: ${w.message}`), [
+      'content_request.colour: unknown setting (ignored)',
+      'content_request.databaseId: both databaseId and databaseIdEnv set - databaseId wins'
+    ]);
+    assert.equal(registry.get('content_request').databaseId, FIXTURE_IDS.contentRequestDb);
+  });
+
+  test('a missing or unparseable file throws DatabaseRegistryError', (t) => {
+    const dir = tempDir(t);
+    assert.throws(() => openRegistry(path.join(dir, 'missing.json')), DatabaseRegistry.DatabaseRegistryError);
+
+    const filePath = path.join(dir, 'databases.json');
+    fs.writeFileSync(filePath, JSON.stringify({ types: {} }));
+    assert.throws(() => openRegistry(filePath), /must have a "databases" object/);
+  });
+});
+
+describe('database registry: hot reload', () => {
+  /**
+   * Rewrite the file with a later mtime, so the poller sees the change
+   */
+  function edit(filePath, databases, delay = 0) {
+    fs.writeFileSync(filePath, typeof databases === 'string' ? databases : JSON.stringify({ databases }));
+    const later = new Date(Date.now() + 1000 + delay);
+    fs.utimesSync(filePath, later, later);
+  }
+
+  test('a watched file applies valid edits and keeps the previous registry on broken ones', async (t) => {
+    const filePath = registryFile(t, { content_request: CONTENT });
+    const registry = new DatabaseRegistry({ filePath, env: {}, watchInterval: 20 });
+    t.after(() => registry.close());
+
+    // The poller is unref'd - waitFor keeps the test alive while it fires
+    const events = [];
+    registry.on('reloaded', event => events.push(['reloaded', event]));
+    registry.on('reload_failed', event => events.push(['reload_failed', event]));
+
+    edit(filePath, { content_request: CONTENT, publishing_request: PUBLISHING });
+    await waitFor(() => events.length === 1);
+    assert.deepEqual(events[0], ['reloaded', { types: ['content_request', 'publishing_request'] }]);
+    assert.equal(registry.resolveType('publishing'), 'publishing_request');
+
+    edit(filePath, '{ "databases": ', 1000);
+    await waitFor(() => events.length === 2);
+    assert.equal(events[1][0], 'reload_failed');
+    assert.match(events[1][1].errors[0].message, /Could not load database registry/);
+    assert.equal(registry.get('publishing_request').databaseId, FIXTURE_IDS.publishingDb, 'previous registry stays in use');
+    assert.match(registry.getStatus().lastReloadError.errors[0].message, /Could not load/);
+
+    // A good edit clears the last reload error
+    edit(filePath, { content_request: CONTENT }, 2000);
+    await waitFor(() => events.length === 3);
+    assert.equal(events[2][0], 'reloaded');
+    assert.equal(registry.get('publishing_request'), null);
+    assert.equal(registry.getStatus().lastReloadError, null);
+  });
+
+  test('upsert writes the entry to the file and applies it', (t) => {
+    const filePath = registryFile(t, { content_request: CONTENT });
+    const registry = openRegistry(filePath);
+
+    const entry = registry.upsert('Photo Shoot', { name: 'Photoshoot', databaseId: FIXTURE_IDS.generalInquiryDb, aliases: ['shoot'] });
+
+    assert.equal(entry.type, 'photo_shoot');
+    assert.equal(registry.resolveType('shoot'), 'photo_shoot');
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')).databases), ['content_request', 'photo_shoot']);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+  });
+});
@@ -0,0 +1,125 @@
+// Fake Notion: the validation limits that break real runs, in-process and over HTTP
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { createFakeNotionApp } = require('../lib/fake-notion');
+const { RestNotionGateway, NOTION_OPERATIONS } = require('../lib/notion-gateway');
+const { quietConsole, connectFakeNotion, FIXTURE_IDS } = require('./helpers');
+
+quietConsole();
+
+const paragraph = (content = 'Line') => ({ type: 'paragraph', paragraph: { rich_text: [{ text: { content } }] } });
+const title = content => ({ 'Project name': { title: [{ text: { content } }] } });
+
+/**
+ * Create a Content Requests page
+ */
+function createPage(notion, { properties = title('Teaser'), children } = {}) {
+  return notion.callTool('API-post-page', {
+    parent: { database_id: FIXTURE_IDS.contentRequestDb },
+    properties,
+    ...(children && { children })
+  });
+}
+
+async function assertValidationError(promise, message) {
+  await assert.rejects(promise, error => {
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'validation_error');
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+describe('fake Notion validation', () => {
+  test('accepts 100 children per request and rejects 101', async () => {
+    const notion = await connectFakeNotion();
+
+    const page = await createPage(notion, { children: Array.from({ length: 100 }, () => paragraph()) });
+    assert.equal((await notion.callTool('API-get-block-children', { block_id: page.id })).results.length, 100);
+
+    await assertValidationError(
+      notion.callTool('API-patch-block-children', { block_id: page.id, children: Array.from({ length: 101 }, () => paragraph()) }),
+      /body\.children\.length should be ≤ `100`, instead was `101`/
+    );
+    await assertValidationError(
+      createPage(notion, { children: Array.from({ length: 101 }, () => paragraph()) }),
+      /body\.children\.length should be ≤ `100`/
+    );
+    assert.equal(notion.fake.getCreatedPages().length, 1, 'a rejected create writes nothing');
+  });
+
+  test('rejects rich text over 2000 characters in blocks and properties', async () => {
+    const notion = await connectFakeNotion();
+
+    await createPage(notion, { properties: title('x'.repeat(2000)), children: [paragraph('y'.repeat(2000))] });
+
+    await assertValidationError(
+      createPage(notion, { children: [paragraph(), paragraph('y'.repeat(2001))] }),
+      /body\.children\[1\]\.paragraph\.rich_text\[0\]\.text\.content\.length should be ≤ `2000`, instead was `2001`/
+    );
+    await assertValidationError(
+      createPage(notion, { properties: { ...title('Teaser'), Brief: { rich_text: [{ text: { content: 'z'.repeat(2001) } }] } } }),
+      /body\.properties\.Brief\.rich_text\[0\]\.text\.content\.length should be ≤ `2000`/
+    );
+  });
+
+  test('rejects blocks nested deeper than two levels per request', async () => {
+    const notion = await connectFakeNotion();
+    const nested = (depth) => depth === 0
+      ? paragraph('leaf')
+      : { type: 'toggle', toggle: { rich_text: [{ text: { content: `level ${depth}` } }], children: [nested(depth - 1)] } };
+
+    await createPage(notion, { children: [nested(2)] });
+    await assertValidationError(createPage(notion, { children: [nested(3)] }), /at most 2 levels of nesting per request/);
+  });
+
+  test('rejects unknown select options and properties', async () => {
+    const notion = await connectFakeNotion();
+
+    await createPage(notion, { properties: { ...title('Teaser'), Priority: { select: { name: 'High' } } } });
+    await assertValidationError(
+      createPage(notion, { properties: { ...title('Teaser'), Priority: { select: { name: 'Critical' } } } }),
+      /Invalid select option "Critical" for property "Priority"\. Existing options: Low, Medium, High, Urgent/
+    );
+    await assertValidationError(
+      createPage(notion, { properties: { ...title('Teaser'), Platforms: { multi_select: [{ name: 'Instagram' }, { name: 'MySpace' }] } } }),
+      /Invalid multi_select option "MySpace"/
+    );
+    await assertValidationError(
+      createPage(notion, { properties: { ...title('Teaser'), Budgett: { number: 5 } } }),
+      /Budgett is not a property that exists/
+    );
+  });
+
+  test('createSelectOptions adds select options but never status options', async () => {
+    const notion = await connectFakeNotion({ fake: { createSelectOptions: true } });
+
+    const page = await createPage(notion, { properties: { ...title('Teaser'), Priority: { select: { name: 'Critical' } } } });
+    assert.equal(page.properties.Priority.select.name, 'Critical');
+
+    await assertValidationError(
+      createPage(notion, { properties: { ...title('Teaser'), Status: { status: { name: 'Blocked' } } } }),
+      /Invalid status option "Blocked"/
+    );
+  });
+
+  test('the HTTP app returns the same Notion error bodies to the rest backend', async (t) => {
+    const fakeNotion = await connectFakeNotion();
+    const server = createFakeNotionApp(fakeNotion.fake, NOTION_OPERATIONS).listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => server.close());
+
+    const notion = new RestNotionGateway({ token: 'secret_fake', baseUrl: `http://127.0.0.1:${server.address().port}/v1` });
+    await notion.connect();
+
+    await assertValidationError(
+      createPage(notion, { children: Array.from({ length: 101 }, () => paragraph()) }),
+      /Notion API error \(400 validation_error\): body\.children\.length should be ≤ `100`/
+    );
+    await assert.rejects(
+      notion.callTool('API-retrieve-a-page', { page_id: '1e7c0009-0000-4000-8000-000000000000' }),
+      { status: 404, code: 'object_not_found' }
+    );
+  });
+});
@@ -0,0 +1,139 @@
+// ============================================
+// TEST HELPERS
+// ============================================
+// Shared setup for the node --test suites (npm test)
+// WHY THIS WORKS: Every suite runs against the fake Notion backend seeded from
+// fixtures/notion/workspace.json, so nothing needs a token, a network or OpenAI
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNotionGateway } = require('../lib/notion-gateway');
+const DatabaseRegistry = require('../lib/database-registry');
+const BriefRouter = require('../lib/brief-router');
+
+// IDs from fixtures/notion/workspace.json
+const FIXTURE_IDS = {
+  contentRequestDb: '1e7c0001-0000-4000-8000-000000000001',
+  publishingDb: '1e7c0001-0000-4000-8000-000000000002',
+  generalInquiryDb: '1e7c0001-0000-4000-8000-000000000003',
+  templatesDb: '1e7c0001-0000-4000-8000-000000000004',
+  templates: {
+    cupOfTea: '1e7c0002-0000-4000-8000-000000000001',
+    pizza: '1e7c0002-0000-4000-8000-000000000002',
+    threeCourseMeal: '1e7c0002-0000-4000-8000-000000000003',
+    publishing: '1e7c0002-0000-4000-8000-000000000004',
+    acme: '1e7c0002-0000-4000-8000-000000000005'
+  },
+  users: {
+    daniel: '1e7c0000-0000-4000-8000-000000000a01',
+    amara: '1e7c0000-0000-4000-8000-000000000a02'
+  }
+};
+
+// Env for config/databases.json: the fixture databases are configured, photoshoot and events are not
+const FIXTURE_ENV = {
+  CONTENT_REQUEST_DB_ID: FIXTURE_IDS.contentRequestDb,
+  PUBLISHING_REQUEST_DB_ID: FIXTURE_IDS.publishingDb,
+  GENERAL_INQUIRY_DB_ID: FIXTURE_IDS.generalInquiryDb
+};
+
+/**
+ * Mute console output for the rest of the file (DEBUG_TESTS=1 keeps it)
+ * WHY THIS WORKS: Every module logs its progress, which buries the test report
+ */
+function quietConsole() {
+  if (process.env.DEBUG_TESTS) return;
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+}
+
+/**
+ * Connected fake Notion gateway (gateway.fake is the FakeNotion workspace)
+ */
+async function connectFakeNotion(options = {}) {
+  const notion = createNotionGateway({ backend: 'fake', ...options });
+  await notion.connect();
+  return notion;
+}
+
+/**
+ * Database registry from config/databases.json with the fixture database IDs
+ */
+function createRegistry(env = {}) {
+  return new DatabaseRegistry({ env: { ...FIXTURE_ENV, ...env }, watch: false });
+}
+
+function createRouter(env = {}) {
+  return new BriefRouter(createRegistry(env));
+}
+
+/**
+ * Fresh temp directory, removed when the test finishes
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ie7-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Resolve once predicate() holds (polled), fail after timeoutMs
+ */
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error(`Condition not met within ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Minimal Express-like request: headers are matched case-insensitively like req.get()
+ */
+function fakeRequest({ headers = {}, body = null, method = 'POST', url = '/create-request' } = {}) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const rawBody = body === null ? undefined : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+
+  return {
+    method,
+    originalUrl: url,
+    ip: '127.0.0.1',
+    params: {},
+    body: rawBody ? JSON.parse(rawBody.toString('utf8')) : {},
+    rawBody,
+    get: name => lowered[name.toLowerCase()]
+  };
+}
+
+/**
+ * Minimal Express-like response recording status and JSON body
+ */
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+module.exports = {
+  FIXTURE_IDS,
+  FIXTURE_ENV,
+  quietConsole,
+  connectFakeNotion,
+  createRegistry,
+  createRouter,
+  tempDir,
+  waitFor,
+  fakeRequest,
+  fakeResponse
+};
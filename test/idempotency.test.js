@@ -0,0 +1,78 @@
+// Duplicate submission detection: fingerprints, Idempotency-Key headers, per-tenant lookups
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const JobStore = require('../lib/job-store');
+const { computeFingerprint, getIdempotencyKey, resolveIdempotencyKey } = require('../lib/idempotency');
+const { quietConsole, fakeRequest } = require('./helpers');
+
+quietConsole();
+
+const brief = {
+  'User_Number': '+44 7700 900123',
+  'Project Name': 'Spring Launch',
+  'Raw Brief': 'Need a 30s teaser for the spring launch.'
+};
+
+describe('fingerprints', () => {
+  test('ignore field order, whitespace, case and extra fields', () => {
+    const reordered = {
+      'receivedAt': '2025-10-20T10:00:00Z',
+      'Raw Brief': '  need a 30s   teaser for the SPRING launch. ',
+      'Project Name': 'spring launch',
+      'User_Number': '+447700900123'
+    };
+
+    assert.equal(computeFingerprint(brief), computeFingerprint(reordered));
+    assert.equal(computeFingerprint({ body: brief }), computeFingerprint([{ body: brief }]));
+  });
+
+  test('resolve field aliases like the brief schema does', () => {
+    const aliased = { userNumber: brief['User_Number'], project_name: 'Spring Launch', rawBrief: brief['Raw Brief'] };
+    assert.equal(computeFingerprint(brief), computeFingerprint(aliased));
+  });
+
+  test('differ when the brief text changes', () => {
+    assert.notEqual(computeFingerprint(brief), computeFingerprint({ ...brief, 'Raw Brief': 'Different brief' }));
+  });
+
+  test('hash the whole payload when no identifying field is present', () => {
+    assert.equal(computeFingerprint({ b: 1, a: 2 }), computeFingerprint({ a: 2, b: 1 }));
+    assert.notEqual(computeFingerprint({ a: 1 }), computeFingerprint({ a: 2 }));
+  });
+});
+
+describe('idempotency keys', () => {
+  test('prefer the Idempotency-Key header and suffix batch elements with their index', () => {
+    const req = fakeRequest({ headers: { 'Idempotency-Key': ' n8n-run-42 ' }, body: [brief, brief] });
+
+    assert.equal(getIdempotencyKey(req), 'header:n8n-run-42');
+    assert.equal(getIdempotencyKey(req, { payload: brief, index: 1 }), 'header:n8n-run-42#1');
+  });
+
+  test('fall back to the fingerprint of the element', () => {
+    const req = fakeRequest({ body: brief });
+
+    assert.equal(getIdempotencyKey(req), computeFingerprint(brief));
+    assert.equal(resolveIdempotencyKey('', brief), computeFingerprint(brief));
+    assert.equal(resolveIdempotencyKey('x'.repeat(400), brief).length, 'header:'.length + 255);
+  });
+});
+
+describe('job lookup by key', () => {
+  test('finds earlier jobs per tenant, inside the window, ignoring failed ones', () => {
+    const jobStore = new JobStore();
+    const first = jobStore.create(brief, { idempotencyKey: 'header:a' });
+    jobStore.create(brief, { idempotencyKey: 'header:a', tenantId: 'acme' });
+
+    assert.equal(jobStore.findByIdempotencyKey('header:a', 60000).id, first.id);
+    assert.notEqual(jobStore.findByIdempotencyKey('header:a', 60000, 'acme').id, first.id);
+    assert.equal(jobStore.findByIdempotencyKey('header:a', 60000, 'other'), null);
+
+    jobStore.fail(first.id, new Error('validation_error'), { retryable: false });
+    assert.equal(jobStore.findByIdempotencyKey('header:a', 60000), null);
+
+    const old = jobStore.create(brief, { idempotencyKey: 'header:b' });
+    old.createdAt = new Date(Date.now() - 120000).toISOString();
+    assert.equal(jobStore.findByIdempotencyKey('header:b', 60000), null);
+  });
+});
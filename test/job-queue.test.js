@@ -0,0 +1,245 @@
+// Retries with backoff, dead-lettering, replay, review parking and resume after restart
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const JobStore = require('../lib/job-store');
+const JobQueue = require('../lib/job-queue');
+const { classifyError, computeBackoff } = require('../lib/retry-policy');
+const { quietConsole, tempDir, waitFor } = require('./helpers');
+
+quietConsole();
+
+const payload = { requestType: 'content_request', briefData: { 'Project Name': 'Launch video' } };
+
+/**
+ * Queue whose processor runs handler(job, attemptNumber) and completes the job like processRequestAsync
+ */
+function createQueue(handler, options = {}) {
+  const jobStore = options.jobStore || new JobStore();
+  const calls = [];
+
+  const queue = new JobQueue(jobStore, async (job) => {
+    calls.push(job.id);
+    const result = await handler(job, calls.length);
+    jobStore.complete(job.id, result);
+  }, { retryBaseDelay: 5, retryMaxDelay: 20, ...options });
+
+  return { jobStore, queue, calls };
+}
+
+const settled = (jobStore, job, status) => waitFor(() => jobStore.get(job.id).status === status);
+
+describe('retry policy', () => {
+  test('classifies rate limits, 5xx and network errors as retryable', () => {
+    assert.equal(classifyError({ status: 429, message: 'slow down' }).retryable, true);
+    assert.equal(classifyError({ status: 503, message: 'unavailable' }).reason, 'http_503');
+    assert.equal(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })).reason, 'network');
+    assert.equal(classifyError(new Error('Tool call timeout after 30000ms')).reason, 'transient');
+    assert.equal(classifyError(new Error('something odd')).reason, 'unclassified');
+  });
+
+  test('classifies 4xx, bad request types and flagged errors as permanent', () => {
+    assert.equal(classifyError({ status: 400, message: 'bad' }).retryable, false);
+    assert.equal(classifyError(new Error('Unknown request type: "nope"')).reason, 'permanent');
+    assert.equal(classifyError(Object.assign(new Error('socket hang up'), { retryable: false })).reason, 'flagged_permanent');
+    assert.equal(classifyError(new Error('MCP error: {\\"status\\":404}')).retryable, false);
+  });
+
+  test('backs off exponentially with jitter, capped at maxDelay', () => {
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      const full = 100 * Math.pow(2, attempt - 1);
+      const delay = computeBackoff(attempt, { baseDelay: 100, maxDelay: 100000 });
+      assert.ok(delay >= full / 2 && delay <= full, `attempt ${attempt}: ${delay}ms outside ${full / 2}-${full}`);
+    }
+    assert.ok(computeBackoff(20, { baseDelay: 100, maxDelay: 1000 }) <= 1000);
+  });
+});
+
+describe('job queue', () => {
+  test('retries a transient failure and then completes', async () => {
+    const { jobStore, queue } = createQueue(async (job, attempt) => {
+      if (attempt === 1) throw new Error('socket hang up');
+      return { notionPageId: 'page-1', pages: [] };
+    });
+
+    const job = jobStore.create(payload);
+    queue.enqueue(job);
+    await settled(jobStore, job, 'done');
+
+    const done = jobStore.get(job.id);
+    assert.equal(done.attempts, 2);
+    assert.equal(done.errors.length, 1);
+    assert.equal(done.errors[0].reason, 'transient');
+    assert.ok(done.steps.some(step => step.status === 'retry_scheduled'));
+  });
+
+  test('dead-letters a permanent error without retrying', async () => {
+    const deadLetters = [];
+    const { jobStore, queue, calls } = createQueue(async () => {
+      throw new Error('Unknown request type: "holiday"');
+    }, { onDeadLetter: (job, error) => deadLetters.push(error.message) });
+
+    const job = jobStore.create(payload);
+    queue.enqueue(job);
+    await settled(jobStore, job, 'failed');
+
+    assert.equal(calls.length, 1);
+    assert.equal(jobStore.get(job.id).error.deadLetterReason, 'permanent');
+    assert.deepEqual(deadLetters, ['Unknown request type: "holiday"']);
+    assert.equal(jobStore.listDeadLetters({ reason: 'permanent' }).length, 1);
+  });
+
+  test('dead-letters a retryable error once attempts run out', async () => {
+    const { jobStore, queue, calls } = createQueue(async () => {
+      throw new Error('service_unavailable');
+    }, { maxAttempts: 3 });
+
+    const job = jobStore.create(payload);
+    queue.enqueue(job);
+    await settled(jobStore, job, 'failed');
+
+    assert.equal(calls.length, 3);
+    assert.equal(jobStore.get(job.id).error.deadLetterReason, 'retries_exhausted');
+    assert.equal(jobStore.get(job.id).errors.length, 3);
+  });
+
+  test('replays a dead letter with a fresh attempt budget and keeps its pages', async () => {
+    let broken = true;
+    const { jobStore, queue } = createQueue(async (job) => {
+      if (broken) throw Object.assign(new Error('validation_error'), { retryable: false });
+      // Pages from the failed attempt are still on the job
+      return { notionPageId: job.notionPageId, pages: [] };
+    });
+
+    const job = jobStore.create(payload);
+    jobStore.updateStatus(job.id, 'appending_blocks', { notionPageId: 'page-1', notionPages: [{ requestType: 'content_request', id: 'page-1' }] });
+    queue.enqueue(job);
+    await settled(jobStore, job, 'failed');
+
+    assert.throws(() => queue.replay('missing'), /Job not found/);
+
+    broken = false;
+    queue.replay(job.id);
+    await settled(jobStore, job, 'done');
+
+    const replayed = jobStore.get(job.id);
+    assert.equal(replayed.attempts, 1);
+    assert.equal(replayed.notionPageId, 'page-1');
+    assert.ok(replayed.replayedAt);
+    assert.throws(() => queue.replay(job.id), /Only failed jobs can be replayed/);
+  });
+
+  test('parks a job for review and runs it once a type is picked', async () => {
+    const reviews = [];
+    const { jobStore, queue } = createQueue(async (job) => {
+      if (!job.routeOverride) {
+        throw Object.assign(new Error('Routing needs review'), { needsReview: true, routing: { reason: 'nothing matched' } });
+      }
+      return { routedTo: job.routeOverride.requestTypes, pages: [] };
+    }, { onNeedsReview: job => reviews.push(job.id) });
+
+    const job = jobStore.create(payload);
+    queue.enqueue(job);
+    await settled(jobStore, job, 'needs_review');
+
+    assert.deepEqual(reviews, [job.id]);
+    assert.equal(jobStore.get(job.id).routing.reason, 'nothing matched');
+
+    queue.routeReviewed(job.id, ['content_request', 'publishing_request'], 'ops');
+    await settled(jobStore, job, 'done');
+
+    assert.deepEqual(jobStore.get(job.id).result.routedTo, ['content_request', 'publishing_request']);
+    assert.equal(jobStore.get(job.id).routeOverride.by, 'ops');
+  });
+});
+
+describe('job store persistence', () => {
+  test('replays the log on boot, skips a torn line and resumes half-done jobs', async (t) => {
+    const filePath = path.join(tempDir(t), 'jobs.jsonl');
+
+    const first = new JobStore({ filePath });
+    const finished = first.create(payload, { idempotencyKey: 'header:a' });
+    first.complete(finished.id, { notionPageId: 'page-1', pages: [] });
+    const interrupted = first.create(payload);
+    first.updateStatus(interrupted.id, 'mapping');
+    first.close();
+
+    fs.appendFileSync(filePath, '{"op":"upsert","job":{"id":"torn');
+
+    const jobStore = new JobStore({ filePath });
+    t.after(() => jobStore.close());
+
+    assert.equal(jobStore.get(finished.id).status, 'done');
+    assert.deepEqual(jobStore.getPendingJobs().map(job => job.id), [interrupted.id]);
+
+    const { queue } = createQueue(async () => ({ pages: [] }), { jobStore });
+    assert.equal(queue.resumePending(), 1);
+    await settled(jobStore, interrupted, 'done');
+
+    const statuses = jobStore.get(interrupted.id).steps.map(step => step.status);
+    assert.deepEqual(statuses, ['queued', 'mapping', 'queued', 'done']);
+  });
+
+  test('keeps the blocksAppended marker across a restart without adding a step', (t) => {
+    const filePath = path.join(tempDir(t), 'jobs.jsonl');
+
+    const first = new JobStore({ filePath });
+    const job = first.create(payload);
+    first.updateStatus(job.id, 'appending_blocks', { notionPages: [{ requestType: 'content_request', id: 'page-1' }] });
+    first.recordPages(job.id, [{ requestType: 'content_request', id: 'page-1', blocksAppended: true, blocksAdded: 12 }]);
+    first.close();
+
+    const jobStore = new JobStore({ filePath });
+    t.after(() => jobStore.close());
+
+    const reloaded = jobStore.get(job.id);
+    assert.deepEqual(reloaded.notionPages.map(page => [page.id, page.blocksAppended]), [['page-1', true]]);
+    assert.deepEqual(reloaded.steps.map(step => step.status), ['queued', 'appending_blocks']);
+  });
+
+  test('syncs new and finished jobs at once and batches the steps in between', (t) => {
+    const filePath = path.join(tempDir(t), 'jobs.jsonl');
+    const jobStore = new JobStore({ filePath, flushInterval: 60000 });
+    t.after(() => jobStore.close());
+
+    const fdatasyncSync = fs.fdatasyncSync;
+    let syncs = 0;
+    fs.fdatasyncSync = (fd) => { syncs++; return fdatasyncSync(fd); };
+    t.after(() => { fs.fdatasyncSync = fdatasyncSync; });
+
+    const job = jobStore.create(payload);
+    assert.equal(syncs, 1);
+
+    for (const status of ['mapping', 'creating_page', 'appending_blocks']) {
+      jobStore.updateStatus(job.id, status);
+    }
+    jobStore.recordPages(job.id, [{ requestType: 'content_request', id: 'page-1', blocksAppended: true }]);
+    assert.equal(syncs, 1);
+    assert.equal(jobStore.unsynced, true);
+
+    jobStore.complete(job.id, { notionPageId: 'page-1', pages: [] });
+    assert.equal(syncs, 2);
+    assert.equal(jobStore.unsynced, false);
+
+    jobStore.recordNotification(job.id, { event: 'job.succeeded', delivered: true });
+    jobStore.close();
+    assert.equal(syncs, 3);
+  });
+
+  test('refuses a log another running process holds and takes over a stale lock', (t) => {
+    const filePath = path.join(tempDir(t), 'jobs.jsonl');
+    const lockPath = `${filePath}.lock`;
+
+    // The test runner that spawned this file is alive, a PID this large never is
+    fs.writeFileSync(lockPath, String(process.ppid));
+    assert.throws(() => new JobStore({ filePath }), /in use by process \d+ - give this process its own JOB_STORE_PATH/);
+
+    fs.writeFileSync(lockPath, '2147483646');
+    const jobStore = new JobStore({ filePath });
+    assert.equal(fs.readFileSync(lockPath, 'utf8'), String(process.pid));
+
+    jobStore.close();
+    assert.equal(fs.existsSync(lockPath), false);
+  });
+});
@@ -0,0 +1,118 @@
+// MCPClient supervision: reconnect with backoff after the child dies, queued calls, giving up
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const MCPClient = require('../lib/mcp-client');
+const { quietConsole, tempDir } = require('./helpers');
+
+quietConsole();
+
+const CHILD_SERVER = path.join(__dirname, '..', 'fixtures', 'mcp', 'child-server.js');
+
+/**
+ * Connected client for the fixture child (stateFile = "down" makes restarts fail)
+ */
+async function connectChild(t, options = {}) {
+  const stateFile = path.join(tempDir(t), 'child-state');
+  const client = new MCPClient({
+    command: process.execPath,
+    args: [CHILD_SERVER],
+    env: { MCP_CHILD_STATE_FILE: stateFile },
+    restartDelay: 20,
+    restartMaxDelay: 40,
+    connectTimeout: 3000,
+    ...options
+  });
+  t.after(() => client.cleanup());
+
+  await client.connect();
+  return { client, stateFile };
+}
+
+describe('MCP client supervision', () => {
+  test('reconnects to a new child after a crash and resets the attempt count', async (t) => {
+    const { client } = await connectChild(t);
+    const firstPid = client.getProcessPid();
+    assert.equal((await client.callTool('echo', { n: 1 })).pid, firstPid);
+
+    const reconnected = once(client, 'reconnected');
+    await client.callTool('crash', {});
+    const [{ attempt, restartCount }] = await reconnected;
+
+    assert.equal(attempt, 1);
+    assert.equal(restartCount, 1);
+    assert.equal(client.getStatus().state, 'connected');
+    assert.equal(client.getStatus().reconnectAttempt, null);
+    assert.equal(client.getStatus().lastDisconnect.reason, 'transport closed');
+    assert.notEqual(client.getProcessPid(), firstPid);
+    assert.equal((await client.callTool('echo', { n: 2 })).pid, client.getProcessPid());
+  });
+
+  test('a call made while reconnecting waits for the new child', async (t) => {
+    const { client } = await connectChild(t);
+    const disconnected = once(client, 'disconnected');
+    await client.callTool('crash', {});
+    await disconnected;
+
+    assert.equal(client.getStatus().state, 'reconnecting');
+    const result = await client.callTool('echo', { queued: true });
+
+    assert.deepEqual(result.args, { queued: true });
+    assert.equal(client.getRestartCount(), 1);
+  });
+
+  test('fails fast while reconnecting when configured to', async (t) => {
+    const { client } = await connectChild(t, { failFastWhileReconnecting: true });
+    const disconnected = once(client, 'disconnected');
+    await client.callTool('crash', {});
+    await disconnected;
+
+    await assert.rejects(client.callTool('echo', {}), /MCP client not connected \(reconnecting, attempt \d\/5\)/);
+    await once(client, 'reconnected');
+  });
+
+  test('gives up after maxRestarts with backoff, then reconnectNow() starts over', async (t) => {
+    const { client, stateFile } = await connectChild(t, { maxRestarts: 2 });
+    const delays = [];
+    const errors = [];
+    client.on('reconnecting', ({ attempt, delay }) => delays.push([attempt, delay]));
+    client.on('reconnect_error', ({ attempt }) => errors.push(attempt));
+
+    fs.writeFileSync(stateFile, 'down');
+    const failed = once(client, 'reconnect_failed');
+    await client.callTool('crash', {});
+    const [{ attempts }] = await failed;
+
+    assert.equal(attempts, 2);
+    assert.deepEqual(errors, [1, 2]);
+    assert.deepEqual(delays.map(([attempt]) => attempt), [1, 2]);
+    // Equal jitter: attempt 1 waits 10-20ms, attempt 2 20-40ms (restartDelay 20, capped at 40)
+    assert.ok(delays[0][1] >= 10 && delays[0][1] <= 20, `attempt 1 delay ${delays[0][1]}`);
+    assert.ok(delays[1][1] >= 20 && delays[1][1] <= 40, `attempt 2 delay ${delays[1][1]}`);
+    assert.equal(client.getStatus().state, 'failed');
+    await assert.rejects(client.callTool('echo', {}), /MCP client not connected \(reconnect failed\)/);
+
+    fs.writeFileSync(stateFile, 'up');
+    const reconnected = once(client, 'reconnected');
+    client.reconnectNow();
+    await reconnected;
+    assert.equal(client.isRunning(), true);
+  });
+
+  test('cleanup() releases calls waiting for a reconnect', async (t) => {
+    const { client, stateFile } = await connectChild(t, { restartDelay: 5000, restartMaxDelay: 5000 });
+    fs.writeFileSync(stateFile, 'down');
+    const disconnected = once(client, 'disconnected');
+    await client.callTool('crash', {});
+    await disconnected;
+
+    const waiting = client.callTool('echo', {});
+    assert.equal(client.getStatus().waitingCalls, 1);
+    await client.cleanup();
+
+    await assert.rejects(waiting, /shutting down/);
+    assert.equal(client.getStatus().state, 'closed');
+  });
+});
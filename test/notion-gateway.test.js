@@ -0,0 +1,156 @@
+// REST Notion backend: request building, error normalization, a round trip over HTTP
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { RestNotionGateway, createNotionGateway } = require('../lib/notion-gateway');
+const { classifyError } = require('../lib/retry-policy');
+const { quietConsole } = require('./helpers');
+
+quietConsole();
+
+/**
+ * Local HTTP server answering with handler(req, body) => { status, headers, body }
+ */
+async function notionServer(t, handler) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const request = { method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null };
+    requests.push(request);
+
+    const reply = await handler(request);
+    res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+    res.end(JSON.stringify(reply.body));
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  return { baseUrl: `http://127.0.0.1:${server.address().port}/v1`, requests };
+}
+
+describe('REST backend: buildRequest', () => {
+  const gateway = new RestNotionGateway({ token: 'secret_test' });
+
+  test('fills path params and sends the rest as the JSON body for POST/PATCH', () => {
+    const request = gateway.buildRequest('API-post-database-query', {
+      database_id: 'db/1',
+      filter: { property: 'Status', select: { equals: 'Ready' } },
+      start_cursor: undefined
+    });
+
+    assert.deepEqual(request, {
+      method: 'POST',
+      url: '/databases/db%2F1/query',
+      params: undefined,
+      data: { filter: { property: 'Status', select: { equals: 'Ready' } } }
+    });
+  });
+
+  test('sends the rest as query parameters for GET', () => {
+    const request = gateway.buildRequest('API-get-block-children', { block_id: 'abc', page_size: 100 });
+
+    assert.deepEqual(request, { method: 'GET', url: '/blocks/abc/children', params: { page_size: 100 }, data: undefined });
+  });
+
+  test('rejects unknown operations and missing path params as permanent errors', () => {
+    for (const [operation, args, message] of [
+      ['API-do-something', {}, /Unknown Notion operation: API-do-something/],
+      ['API-retrieve-a-page', {}, /API-retrieve-a-page requires page_id/],
+      ['API-retrieve-a-page', { page_id: '' }, /requires page_id/]
+    ]) {
+      assert.throws(() => gateway.buildRequest(operation, args), error => {
+        assert.match(error.message, message);
+        assert.equal(error.retryable, false);
+        return true;
+      });
+    }
+  });
+});
+
+describe('REST backend: toNotionError', () => {
+  const gateway = new RestNotionGateway({ token: 'secret_test' });
+
+  test('keeps status, code and Retry-After from a Notion error body', () => {
+    const error = gateway.toNotionError('API-post-page', {
+      response: {
+        status: 429,
+        headers: { 'retry-after': '7' },
+        data: { object: 'error', status: 429, code: 'rate_limited', message: 'Slow down' }
+      }
+    });
+
+    assert.equal(error.message, 'Notion API error (429 rate_limited): Slow down');
+    assert.equal(error.status, 429);
+    assert.equal(error.code, 'rate_limited');
+    assert.equal(error.operation, 'API-post-page');
+    assert.equal(error.retryAfter, 7);
+    assert.equal(classifyError(error).retryable, true);
+  });
+
+  test('a validation_error body is permanent', () => {
+    const error = gateway.toNotionError('API-post-page', {
+      response: { status: 400, headers: {}, data: { object: 'error', status: 400, code: 'validation_error', message: 'bad' } }
+    });
+
+    assert.equal(error.retryAfter, undefined);
+    assert.equal(classifyError(error).retryable, false);
+  });
+
+  test('axios timeouts become tool timeouts, network and HTTP errors keep their code or status', () => {
+    const timeout = gateway.toNotionError('API-post-search', Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }));
+    assert.match(timeout.message, /Tool call timeout: API-post-search/);
+    assert.equal(timeout.code, 'ECONNABORTED');
+
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    assert.equal(gateway.toNotionError('API-post-search', reset), reset);
+    assert.equal(reset.operation, 'API-post-search');
+
+    const badGateway = gateway.toNotionError('API-post-search', Object.assign(new Error('Request failed'), {
+      response: { status: 502, headers: {}, data: '<html>Bad Gateway</html>' }
+    }));
+    assert.equal(badGateway.status, 502);
+    assert.equal(classifyError(badGateway).retryable, true);
+  });
+});
+
+describe('REST backend over HTTP', () => {
+  test('connects with the token and Notion-Version headers, then calls operations', async (t) => {
+    const { baseUrl, requests } = await notionServer(t, ({ url }) => (
+      url === '/v1/users/me'
+        ? { body: { object: 'user', id: 'bot-1', name: 'IE7 Bot' } }
+        : { body: { object: 'page', id: 'page-1' } }
+    ));
+    const notion = createNotionGateway({ backend: 'rest', token: 'secret_test', rest: { baseUrl: `${baseUrl}/` } });
+
+    await notion.connect();
+    const page = await notion.callTool('API-post-page', { parent: { database_id: 'db-1' }, properties: {} });
+
+    assert.equal(page.id, 'page-1');
+    assert.deepEqual(requests.map(r => [r.method, r.url]), [['GET', '/v1/users/me'], ['POST', '/v1/pages']]);
+    assert.equal(requests[0].headers.authorization, 'Bearer secret_test');
+    assert.equal(requests[0].headers['notion-version'], '2022-06-28');
+    assert.deepEqual(requests[1].body, { parent: { database_id: 'db-1' }, properties: {} });
+    assert.equal(notion.getStatus().state, 'connected');
+    assert.equal(notion.getStatus().requests, 2);
+  });
+
+  test('a rejected token fails connect() and is recorded as the last error', async (t) => {
+    const { baseUrl } = await notionServer(t, () => ({
+      status: 401,
+      body: { object: 'error', status: 401, code: 'unauthorized', message: 'API token is invalid.' }
+    }));
+    const notion = new RestNotionGateway({ token: 'secret_bad', baseUrl });
+
+    await assert.rejects(notion.connect(), { status: 401, code: 'unauthorized' });
+    assert.equal(notion.isRunning(), false);
+    assert.equal(notion.getStatus().errors, 1);
+    assert.equal(notion.getStatus().lastError.operation, 'API-get-self');
+  });
+
+  test('connect() without a token fails before any request', async () => {
+    await assert.rejects(new RestNotionGateway({}).connect(), /NOTION_TOKEN is required/);
+  });
+});
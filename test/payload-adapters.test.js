@@ -0,0 +1,136 @@
+// Payload adapters (api, n8n, Typeform, JSON forms) and batch records
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const PayloadAdapterRegistry = require('../lib/payload-adapters');
+const JobStore = require('../lib/job-store');
+const { quietConsole, createRouter } = require('./helpers');
+
+quietConsole();
+
+const adapters = () => new PayloadAdapterRegistry(createRouter());
+
+describe('payload adapters', () => {
+  test('direct API calls keep their request type and brief', () => {
+    const normalized = adapters().normalize({ requestType: 'publishing_request', briefData: { 'Project Name': 'Post it' } });
+
+    assert.equal(normalized.adapter, 'api');
+    assert.equal(normalized.requestType, 'publishing_request');
+    assert.deepEqual(normalized.briefData, { 'Project Name': 'Post it' });
+  });
+
+  test('n8n payloads work with a body wrapper, at the root and in a one-element array', () => {
+    const fields = { 'Asset Type': 'Video', 'Project Name': 'Launch' };
+
+    for (const payload of [{ body: fields }, fields, [{ body: fields }]]) {
+      const normalized = adapters().normalize(payload);
+      assert.equal(normalized.adapter, 'n8n');
+      assert.equal(normalized.assetType, 'Video');
+      assert.equal(normalized.requestType, null);
+      assert.equal(normalized.briefData['Project Name'], 'Launch');
+    }
+  });
+
+  test('Typeform answers are labelled from the form definition, hidden fields fill gaps', () => {
+    const normalized = adapters().normalize({
+      form_response: {
+        definition: { fields: [{ id: 'f1', title: 'Project name' }, { id: 'f2', ref: 'email', title: 'Your email' }] },
+        answers: [
+          { field: { id: 'f1' }, type: 'text', text: 'Typeform brief' },
+          { field: { id: 'f2', ref: 'email' }, type: 'email', email: 'client@example.com' },
+          { field: { id: 'f3', ref: 'platforms' }, type: 'choices', choices: { labels: ['Instagram', 'TikTok'] } }
+        ],
+        hidden: { asset_type: 'Social Post', project_name: 'ignored' },
+        submitted_at: '2025-10-20T10:00:00Z'
+      }
+    });
+
+    assert.equal(normalized.adapter, 'typeform');
+    assert.equal(normalized.briefData['Project Name'], 'Typeform brief');
+    assert.deepEqual(normalized.briefData.Platforms, ['Instagram', 'TikTok']);
+    assert.equal(normalized.assetType, 'Social Post');
+    assert.equal(normalized.briefData['Submitted At'], '2025-10-20T10:00:00Z');
+  });
+
+  test('JSON forms map snake_case and camelCase fields to the n8n labels', () => {
+    const normalized = adapters().normalize({ fields: { project_name: 'Form brief', clientEmail: 'a@example.com', asset_type: 'Photo' } });
+
+    assert.equal(normalized.adapter, 'json_form');
+    assert.equal(normalized.briefData['Project Name'], 'Form brief');
+    assert.equal(normalized.briefData['Client Email'], 'a@example.com');
+    assert.equal(normalized.assetType, 'Photo');
+  });
+
+  test('tenant and callbackUrl travel alongside briefData, never in it', () => {
+    const callbackUrl = 'https://hooks.example.com/done';
+    const fields = { 'Asset Type': 'Video', 'Project Name': 'Launch' };
+
+    for (const payload of [
+      { ...fields, tenant: 'acme', callbackUrl },
+      { body: { ...fields, tenant: 'acme', callback_url: callbackUrl } },
+      [{ body: fields, tenant: 'acme', callbackUrl }],
+      { requestType: 'content_request', briefData: { ...fields, callbackUrl }, tenant: 'acme' }
+    ]) {
+      const normalized = adapters().normalize(payload);
+      assert.deepEqual(normalized.envelope, { tenant: 'acme', callbackUrl });
+      assert.deepEqual(normalized.briefData, fields);
+    }
+  });
+
+  test('a callbackUrl or tenant set twice must agree', () => {
+    const registry = adapters();
+
+    assert.throws(
+      () => registry.normalize({ body: { 'Project Name': 'Launch', callbackUrl: 'https://evil.example.com' }, callbackUrl: 'https://hooks.example.com' }),
+      /callbackUrl is set more than once with different values/
+    );
+    assert.throws(() => PayloadAdapterRegistry.readEnvelope({ tenant: 'acme', body: { tenant: 'beta' } }), /tenant is set more than once/);
+    assert.equal(registry.normalize({ body: { 'Project Name': 'Launch', tenant: 'acme' }, tenant: 'acme' }).envelope.tenant, 'acme');
+  });
+
+  test('custom adapters can be registered ahead of the built-in ones', () => {
+    const registry = adapters();
+    registry.register({
+      name: 'slack',
+      detect: payload => payload.type === 'slack_brief',
+      normalize: payload => ({ requestType: 'content_request', briefData: { 'Raw Brief': payload.text } })
+    }, { before: 'api' });
+
+    assert.equal(registry.list()[0].name, 'slack');
+    assert.equal(registry.normalize({ type: 'slack_brief', text: 'hello' }).adapter, 'slack');
+  });
+
+  test('batches and unknown shapes are rejected as invalid payloads', () => {
+    const registry = adapters();
+
+    assert.throws(() => registry.normalize([{ body: {} }, { body: {} }]), /Invalid payload: batch of 2 briefs/);
+    assert.throws(() => registry.normalize('just text'), /no adapter recognised this format/);
+    assert.throws(() => registry.normalize({ requestType: 'content_request', briefData: 'text' }), /no adapter recognised/);
+  });
+});
+
+describe('batches', () => {
+  test('report per-item status derived from their jobs', () => {
+    const jobStore = new JobStore();
+    const jobs = [jobStore.create({ n: 0 }), jobStore.create({ n: 1 })];
+
+    jobStore.createBatch('batch-1', [
+      { index: 0, jobId: jobs[0].id, duplicate: false, error: null },
+      { index: 1, jobId: jobs[1].id, duplicate: true, error: null },
+      { index: 2, jobId: null, error: 'Invalid brief', fields: [{ field: 'project.name' }] }
+    ]);
+
+    let status = jobStore.getBatchStatus('batch-1');
+    assert.equal(status.status, 'processing');
+    assert.deepEqual(status.counts, { total: 3, accepted: 2, rejected: 1, succeeded: 0, failed: 0, pending: 2 });
+
+    jobStore.complete(jobs[0].id, { notionPageUrl: 'https://notion.so/a', pages: [] });
+    jobStore.fail(jobs[1].id, new Error('validation_error'), { retryable: false });
+
+    status = jobStore.getBatchStatus('batch-1');
+    assert.equal(status.status, 'partial');
+    assert.equal(status.items[0].notionPageUrl, 'https://notion.so/a');
+    assert.equal(status.items[1].duplicate, true);
+    assert.equal(status.items[2].status, 'rejected');
+    assert.equal(jobStore.getBatchStatus('missing'), null);
+  });
+});
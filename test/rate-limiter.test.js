@@ -0,0 +1,79 @@
+// Shared Notion token bucket: burst, throttling, oldest-job-first priority, 429 pauses
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../lib/rate-limiter');
+const { quietConsole } = require('./helpers');
+
+quietConsole();
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('rate limiter', () => {
+  test('serves the burst straight away and throttles the rest', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 50, burst: 2 });
+    const startedAt = Date.now();
+
+    const results = await Promise.all([1, 2, 3, 4].map(n => limiter.schedule(async () => n)));
+
+    assert.deepEqual(results, [1, 2, 3, 4]);
+    assert.equal(limiter.getStats().throttled, 2);
+    // Two tokens at 50/s = at least ~40ms for the last call
+    assert.ok(Date.now() - startedAt >= 30, `finished after ${Date.now() - startedAt}ms`);
+  });
+
+  test('serves calls of the oldest job first', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 100, burst: 1 });
+    const order = [];
+
+    // Nothing is served while paused, so both jobs' calls queue up
+    limiter.pausedUntil = Date.now() + 60;
+
+    const olderRun = limiter.runAsJob({ id: 'older' }, async () => {
+      await delay(15);
+      return limiter.schedule(async () => order.push('older'));
+    });
+    await delay(2);
+    const newerRun = limiter.runAsJob({ id: 'newer' }, () => Promise.all([
+      limiter.schedule(async () => order.push('newer-1')),
+      limiter.schedule(async () => order.push('newer-2'))
+    ]));
+
+    await Promise.all([olderRun, newerRun]);
+
+    // The older job asked last but started first, so it goes first
+    assert.deepEqual(order, ['older', 'newer-1', 'newer-2']);
+    assert.equal(limiter.getStats().throttled, 3);
+  });
+
+  test('pauses the whole bucket on a 429 and retries the call', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 0, defaultRetryAfter: 10 });
+    let attempts = 0;
+
+    const result = await limiter.schedule(async () => {
+      attempts++;
+      if (attempts === 1) throw Object.assign(new Error('rate limited'), { status: 429, retryAfter: 0.02 });
+      return 'ok';
+    });
+
+    assert.equal(result, 'ok');
+    assert.equal(attempts, 2);
+    assert.equal(limiter.getStats().rateLimited, 1);
+  });
+
+  test('retries MCP error bodies with status 429 and gives up after maxRetries', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 0, maxRetries: 2, defaultRetryAfter: 1 });
+    let attempts = 0;
+
+    const result = await limiter.schedule(async () => {
+      attempts++;
+      return { object: 'error', status: 429 };
+    });
+
+    assert.equal(attempts, 3);
+    assert.equal(result.status, 429);
+    await assert.rejects(
+      limiter.schedule(async () => { throw Object.assign(new Error('bad request'), { status: 400 }); }),
+      /bad request/
+    );
+  });
+});
@@ -0,0 +1,103 @@
+// Routing stages (explicit, alias, rule), fan-out and the review queue
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const RoutingEngine = require('../lib/routing-engine');
+const { normalizeBrief } = require('../lib/brief-schema');
+const { quietConsole, createRouter } = require('./helpers');
+
+quietConsole();
+
+const engine = () => new RoutingEngine({ briefRouter: createRouter(), llmEnabled: false });
+
+/**
+ * RoutingEngine input for a brief as n8n sends it
+ */
+function input(briefData, requestType = null) {
+  return {
+    requestType,
+    assetType: briefData['Asset Type'] || null,
+    briefData,
+    brief: normalizeBrief(briefData).brief
+  };
+}
+
+describe('routing engine', () => {
+  test('routes an explicit request type with full confidence', async () => {
+    const routing = await engine().resolve(input({ 'Project Name': 'Teaser' }, 'content_request'));
+
+    assert.equal(routing.type, 'content_request');
+    assert.equal(routing.method, 'explicit');
+    assert.equal(routing.confidence, 1);
+    assert.equal(routing.needsReview, false);
+  });
+
+  test('resolves an Asset Type alias', async () => {
+    const routing = await engine().resolve(input({ 'Asset Type': 'Video Brief', 'Project Name': 'Teaser' }));
+
+    assert.equal(routing.type, 'content_request');
+    assert.equal(routing.method, 'alias');
+  });
+
+  test('fans a list of types out into linked requests', async () => {
+    const routing = await engine().resolve(input({ 'Asset Type': 'Content Request, Publishing', 'Project Name': 'Teaser' }));
+
+    assert.equal(routing.type, 'content_request');
+    assert.deepEqual(routing.linked.map(link => link.type), ['publishing_request']);
+  });
+
+  test('adds fan-out rule matches next to an explicit type', async () => {
+    const routing = await engine().resolve(input({ 'Project Name': 'Teaser', 'Raw Brief': 'Cut a teaser and publish it on Friday' }, 'content_request'));
+
+    assert.equal(routing.type, 'content_request');
+    assert.deepEqual(routing.linked.map(link => [link.type, link.method]), [['publishing_request', 'rule']]);
+  });
+
+  test('routes by rule when no type is given', async () => {
+    const routing = await engine().resolve(input({ 'Project Name': 'Reel', 'Raw Brief': 'Please schedule the posts for next week' }));
+
+    assert.equal(routing.type, 'publishing_request');
+    assert.equal(routing.method, 'rule');
+    assert.equal(routing.confidence, 0.75);
+  });
+
+  test('ignores rules of types without a database', async () => {
+    // photoshoot has a 0.85 rule but no PHOTOSHOOT_DB_ID in the fixture env
+    const routing = await engine().resolve(input({ 'Project Name': 'Headshots', 'Raw Brief': 'Need a photographer at the studio', Location: 'London' }));
+
+    assert.equal(routing.needsReview, true);
+    assert.deepEqual(routing.candidates, []);
+  });
+
+  test('parks a known type without a database for review instead of failing it', async () => {
+    const routingEngine = engine();
+
+    for (const requestType of ['photoshoot', 'Content Request, Photoshoot']) {
+      const routing = await routingEngine.resolve(input({ 'Project Name': 'Headshots' }, requestType));
+
+      assert.equal(routing.needsReview, true);
+      assert.equal(routing.type, null);
+      assert.equal(routing.hint, requestType);
+      assert.match(routing.reason, /"photoshoot", which has no database configured \(set PHOTOSHOOT_DB_ID\)/);
+    }
+    assert.deepEqual(routingEngine.getStats().routedBy, { explicit: 0, rule: 0, llm: 0, review: 2, fanOut: 0 });
+  });
+
+  test('parks briefs nothing is confident about for review', async () => {
+    const routingEngine = engine();
+    const routing = await routingEngine.resolve(input({ 'Asset Type': 'Holiday card', 'Project Name': 'Card' }));
+
+    assert.equal(routing.needsReview, true);
+    assert.equal(routing.type, null);
+    assert.equal(routing.hint, 'Holiday card');
+    assert.match(routing.reason, /"Holiday card" is not a known request type/);
+    assert.equal(routingEngine.getStats().routedBy.review, 1);
+  });
+
+  test('RoutingReviewError parks the job instead of failing it', () => {
+    const error = new RoutingEngine.RoutingReviewError({ reason: 'rules disagree' });
+
+    assert.equal(error.needsReview, true);
+    assert.equal(error.retryable, false);
+    assert.match(error.message, /rules disagree/);
+  });
+});
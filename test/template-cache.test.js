@@ -0,0 +1,162 @@
+// Template cache invalidation: invalidate() criteria, revalidate() polling and Notion webhook events
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const TemplateFetcher = require('../lib/template-fetcher');
+const { quietConsole, connectFakeNotion, createRegistry, FIXTURE_IDS } = require('./helpers');
+
+quietConsole();
+delete process.env.TEMPLATE_MODE;
+
+let notion;
+let fetcher;
+let queries;
+
+const fetchLevel = (complexityLevel, databaseId = FIXTURE_IDS.contentRequestDb) =>
+  fetcher.fetchTemplate(databaseId, null, complexityLevel);
+
+const cachedLevels = () => fetcher.cache.keys().map(key => fetcher.cache.get(key).complexityLevel).sort();
+
+/**
+ * Edit a template page's properties, like an author in Notion (moves last_edited_time)
+ */
+function touchTemplate(pageId) {
+  return notion.callTool('API-patch-page', { page_id: pageId, properties: { Priority: { number: 1 } } });
+}
+
+beforeEach(async () => {
+  notion = await connectFakeNotion();
+
+  // Seeded pages are stamped with the load time - age them, as if nobody edited them for an hour
+  const anHourAgo = new Date(Date.now() - 3600000).toISOString();
+  for (const page of notion.fake.pages.values()) page.last_edited_time = anHourAgo;
+
+  fetcher = new TemplateFetcher(notion, { registry: createRegistry(), templatesDatabaseId: FIXTURE_IDS.templatesDb });
+
+  // Count template-database queries (revalidate() runs exactly one per page of results)
+  queries = 0;
+  const callTool = notion.callTool.bind(notion);
+  notion.callTool = (operation, args, timeout) => {
+    if (operation === 'API-post-database-query' && args.filter?.timestamp === 'last_edited_time') queries++;
+    return callTool(operation, args, timeout);
+  };
+
+  await fetchLevel('Cup of Tea');
+  await fetchLevel('Pizza');
+  await fetchLevel('3-Course Meal');
+});
+afterEach(() => notion.cleanup());
+
+describe('invalidate()', () => {
+  test('drops entries matching every given criterion', async () => {
+    assert.equal(fetcher.invalidate({ databaseId: FIXTURE_IDS.publishingDb }), 0);
+    assert.equal(fetcher.invalidate({ databaseId: FIXTURE_IDS.contentRequestDb.replace(/-/g, ''), complexityLevel: 'Pizza' }), 1);
+    assert.deepEqual(cachedLevels(), ['3-Course Meal', 'Cup of Tea']);
+
+    assert.equal(fetcher.invalidate({ pageId: FIXTURE_IDS.templates.cupOfTea }), 1);
+    assert.deepEqual(cachedLevels(), ['3-Course Meal']);
+    assert.equal(fetcher.getCacheStats().invalidation.invalidated, 2);
+  });
+
+  test('a complexity criterion also drops entries fetched without one', async () => {
+    await fetcher.fetchTemplate(FIXTURE_IDS.contentRequestDb);
+    assert.equal(fetcher.cache.keys().length, 4);
+
+    assert.equal(fetcher.invalidate({ complexityLevel: 'Pizza' }), 2);
+    assert.deepEqual(cachedLevels(), ['3-Course Meal', 'Cup of Tea']);
+  });
+
+  test('editedBefore spares entries fetched after the edit', async () => {
+    assert.equal(fetcher.invalidate({ complexityLevel: 'Pizza', editedBefore: Date.now() - 60000 }), 0);
+    assert.equal(fetcher.invalidate({ complexityLevel: 'Pizza', editedBefore: Date.now() + 1 }), 1);
+  });
+
+  test('clearCache() takes a bare database ID', () => {
+    assert.equal(fetcher.clearCache(FIXTURE_IDS.contentRequestDb), 3);
+    assert.equal(fetcher.isCached(FIXTURE_IDS.contentRequestDb), false);
+  });
+});
+
+describe('revalidate()', () => {
+  test('drops templates edited since the last check and keeps the rest', async () => {
+    assert.equal(await fetcher.revalidate(), 0, 'fixture templates predate the cache');
+
+    await touchTemplate(FIXTURE_IDS.templates.pizza);
+    assert.equal(await fetcher.revalidate(), 1);
+
+    assert.deepEqual(cachedLevels(), ['3-Course Meal', 'Cup of Tea']);
+    assert.equal(queries, 2);
+    assert.equal(fetcher.getCacheStats().invalidation.revalidations, 2);
+
+    // The next fetch reads the edited page again
+    assert.equal((await fetchLevel('Pizza')).pageId, FIXTURE_IDS.templates.pizza);
+  });
+
+  test('overlapping calls share one query, an empty cache needs none', async () => {
+    await touchTemplate(FIXTURE_IDS.templates.cupOfTea);
+    const [first, second] = await Promise.all([fetcher.revalidate(), fetcher.revalidate()]);
+
+    assert.equal(first, 1);
+    assert.equal(second, 1);
+    assert.equal(queries, 1);
+
+    fetcher.clearCache();
+    assert.equal(await fetcher.revalidate(), 0);
+    assert.equal(queries, 1);
+  });
+
+  test('a failed query keeps the window, so the next check still sees the edit', async () => {
+    const windowStart = fetcher.getCacheStats().invalidation.lastRevalidatedAt;
+    await touchTemplate(FIXTURE_IDS.templates.pizza);
+
+    const callTool = notion.callTool;
+    notion.callTool = async () => { throw Object.assign(new Error('Service unavailable'), { status: 503 }); };
+    assert.equal(await fetcher.revalidate(), 0);
+    notion.callTool = callTool;
+
+    assert.equal(fetcher.getCacheStats().invalidation.revalidationErrors, 1);
+    assert.equal(fetcher.getCacheStats().invalidation.lastRevalidatedAt, windowStart);
+    assert.equal(await fetcher.revalidate(), 1);
+  });
+});
+
+describe('handleNotionEvent()', () => {
+  test('drops a cached template page straight away and revalidates its database', async () => {
+    const removed = await fetcher.handleNotionEvent({
+      type: 'page.content_updated',
+      entity: { id: FIXTURE_IDS.templates.pizza, type: 'page' },
+      data: { parent: { id: FIXTURE_IDS.templatesDb, type: 'database' } }
+    });
+
+    assert.equal(removed, 1);
+    assert.deepEqual(cachedLevels(), ['3-Course Meal', 'Cup of Tea']);
+    assert.equal(queries, 1);
+    assert.equal(fetcher.getCacheStats().invalidation.webhookEvents, 1);
+  });
+
+  test('a new page in the templates database is caught by the revalidation', async () => {
+    await touchTemplate(FIXTURE_IDS.templates.threeCourseMeal);
+
+    const removed = await fetcher.handleNotionEvent({
+      type: 'page.created',
+      entity: { id: '1e7c0002-0000-4000-8000-0000000000ff', type: 'page' },
+      data: { parent: { id: FIXTURE_IDS.templatesDb, type: 'database' } }
+    });
+
+    assert.equal(removed, 1);
+    assert.deepEqual(cachedLevels(), ['Cup of Tea', 'Pizza']);
+  });
+
+  test('ignores pages in other databases and non-page entities', async () => {
+    assert.equal(await fetcher.handleNotionEvent({
+      type: 'page.properties_updated',
+      entity: { id: '1e7c0003-0000-4000-8000-000000000001', type: 'page' },
+      data: { parent: { id: FIXTURE_IDS.contentRequestDb, type: 'database' } }
+    }), 0);
+    assert.equal(await fetcher.handleNotionEvent({ type: 'database.schema_updated', entity: { id: FIXTURE_IDS.templatesDb, type: 'database' } }), 0);
+    assert.equal(await fetcher.handleNotionEvent(null), 0);
+
+    assert.equal(queries, 0);
+    assert.equal(fetcher.cache.keys().length, 3);
+    assert.equal(fetcher.getCacheStats().invalidation.webhookEvents, 1);
+  });
+});
@@ -0,0 +1,155 @@
+// Template resolution precedence (client -> database -> complexity -> type default), live and bundled
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TemplateFetcher = require('../lib/template-fetcher');
+const TemplateBundle = require('../lib/template-bundle');
+const TemplateSnapshotStore = require('../lib/template-snapshots');
+const { resolveTemplate } = require('../lib/template-resolution');
+const { quietConsole, connectFakeNotion, createRegistry, tempDir, FIXTURE_IDS } = require('./helpers');
+
+quietConsole();
+delete process.env.TEMPLATE_MODE;
+
+const candidate = (pageId, fields = {}) => ({
+  pageId,
+  templateType: 'Content Request',
+  complexityLevel: null,
+  status: 'Active',
+  clients: [],
+  databases: [],
+  priority: null,
+  lastEditedTime: '2025-10-01T00:00:00.000Z',
+  ...fields
+});
+
+const request = (fields = {}) => ({
+  templateType: 'Content Request',
+  complexityLevel: 'Pizza',
+  clients: [],
+  databaseId: FIXTURE_IDS.contentRequestDb,
+  requestType: 'content_request',
+  databaseName: 'Content Request',
+  ...fields
+});
+
+describe('resolution chain', () => {
+  const candidates = [
+    candidate('type-default'),
+    candidate('type-pizza', { complexityLevel: 'Pizza' }),
+    candidate('database', { databases: ['content_request'] }),
+    candidate('database-pizza', { databases: [FIXTURE_IDS.contentRequestDb.replace(/-/g, '')], complexityLevel: 'Pizza' }),
+    candidate('acme', { clients: ['Acme Studios'] }),
+    candidate('acme-pizza', { clients: ['Acme Studios'], complexityLevel: 'Pizza' }),
+    candidate('other-client', { clients: ['Globex'] }),
+    candidate('publishing', { templateType: 'Publishing' })
+  ];
+  const chosen = (pool, fields) => resolveTemplate(pool, request(fields)).candidate?.pageId ?? null;
+
+  test('picks the most specific step that matches', () => {
+    assert.equal(chosen(candidates, { clients: ['acme studios'] }), 'acme-pizza');
+    assert.equal(chosen(candidates, { clients: ['Acme Studios'], complexityLevel: 'Cup of Tea' }), 'acme');
+    assert.equal(chosen(candidates, { clients: ['Initech'] }), 'database-pizza');
+    assert.equal(chosen(candidates, { complexityLevel: 'Cup of Tea' }), 'database');
+    assert.equal(chosen(candidates, { databaseId: 'other', requestType: 'photoshoot', databaseName: 'Photoshoot' }), 'type-pizza');
+    assert.equal(chosen(candidates, { databaseId: 'other', requestType: 'photoshoot', complexityLevel: 'Cup of Tea' }), 'type-default');
+  });
+
+  test('never uses a row for another client or database', () => {
+    const pool = candidates.filter(c => !['type-default', 'type-pizza'].includes(c.pageId));
+    assert.equal(chosen(pool, { databaseId: 'other', requestType: 'photoshoot', databaseName: 'Photoshoot' }), null);
+  });
+
+  test('reports every step tried', () => {
+    const { resolution } = resolveTemplate(candidates, request({ clients: ['Initech'] }));
+
+    assert.equal(resolution.step, 'database+complexity');
+    assert.deepEqual(resolution.chain.map(step => [step.step, step.matches]), [
+      ['client+complexity', 0], ['client', 0], ['database+complexity', 1]
+    ]);
+  });
+
+  test('uses any complexity variant when the request has none and there is no default', () => {
+    const { candidate: picked, resolution } = resolveTemplate([candidates[1]], request({ complexityLevel: null, databaseId: null, requestType: null }));
+
+    assert.equal(picked.pageId, 'type-pizza');
+    assert.equal(resolution.step, 'any');
+  });
+
+  test('prefers Active rows, then Priority, then the latest edit', () => {
+    const draft = candidate('acme-draft', { clients: ['Acme Studios'], status: 'Draft' });
+    assert.equal(chosen([draft, candidates[0]], { clients: ['Acme Studios'] }), 'type-default');
+
+    const { candidate: inactive, resolution } = resolveTemplate([draft], request({ clients: ['Acme Studios'] }));
+    assert.equal(inactive.pageId, 'acme-draft');
+    assert.equal(resolution.inactive, true);
+
+    const low = candidate('low', { priority: 1, lastEditedTime: '2025-10-05T00:00:00.000Z' });
+    const high = candidate('high', { priority: 5 });
+    assert.equal(resolveTemplate([low, high], request()).resolution.tieBreak, 'priority');
+    assert.equal(chosen([low, high]), 'high');
+
+    const newer = candidate('newer', { lastEditedTime: '2025-10-09T00:00:00.000Z' });
+    assert.equal(chosen([candidates[0], newer]), 'newer');
+  });
+});
+
+describe('templates database', () => {
+  let notion;
+  let fetcher;
+
+  before(async () => {
+    notion = await connectFakeNotion();
+    fetcher = new TemplateFetcher(notion, { registry: createRegistry(), templatesDatabaseId: FIXTURE_IDS.templatesDb });
+  });
+  after(() => notion.cleanup());
+
+  test('serves the client override to that client only', async () => {
+    const acme = await fetcher.fetchTemplate(FIXTURE_IDS.contentRequestDb, null, 'Pizza', { clients: ['Acme Studios'] });
+    const other = await fetcher.fetchTemplate(FIXTURE_IDS.contentRequestDb, null, 'Pizza', { clients: ['Globex'] });
+
+    assert.equal(acme.pageId, FIXTURE_IDS.templates.acme);
+    assert.equal(acme.resolution.step, 'client');
+    assert.equal(other.pageId, FIXTURE_IDS.templates.pizza);
+    assert.equal(other.resolution.step, 'type+complexity');
+  });
+
+  test('serves each database its own template type', async () => {
+    const publishing = await fetcher.fetchTemplate(FIXTURE_IDS.publishingDb);
+
+    assert.equal(publishing.pageId, FIXTURE_IDS.templates.publishing);
+    assert.equal(publishing.templateType, 'Publishing');
+  });
+
+  test('an exported bundle resolves exactly like the live database', async (t) => {
+    const filePath = path.join(tempDir(t), 'template-bundle.json');
+    TemplateBundle.save(await fetcher.exportBundle(), filePath);
+    const bundled = new TemplateFetcher(notion, { registry: createRegistry(), bundle: new TemplateBundle({ filePath }) });
+
+    const cases = [
+      [FIXTURE_IDS.contentRequestDb, 'Pizza', ['Acme Studios']],
+      [FIXTURE_IDS.contentRequestDb, '3-Course Meal', []],
+      [FIXTURE_IDS.contentRequestDb, null, []],
+      [FIXTURE_IDS.publishingDb, null, []]
+    ];
+
+    for (const [databaseId, complexityLevel, clients] of cases) {
+      const live = await fetcher.fetchTemplate(databaseId, null, complexityLevel, { clients });
+      const offline = bundled.fetchBundledTemplate(databaseId, null, complexityLevel, { clients });
+
+      assert.equal(offline.source, 'bundle');
+      assert.equal(offline.pageId, live.pageId);
+      assert.equal(offline.snapshotHash, TemplateSnapshotStore.hashBlocks(live.blocks));
+      assert.equal(offline.blocks.length, live.blocks.length);
+    }
+  });
+
+  test('the committed fixture bundle is up to date with the fixture workspace', async () => {
+    const committed = new TemplateBundle({ filePath: path.join(__dirname, '..', 'fixtures', 'notion', 'template-bundle.json') });
+    const exported = await fetcher.exportBundle();
+    const hashes = bundle => bundle.templates.map(template => [template.pageId, TemplateSnapshotStore.hashBlocks(template.blocks)]);
+
+    // Re-export with: NOTION_BACKEND=fake TEMPLATES_DATABASE_ID=<templatesDb> node scripts/export-template-bundle.js default fixtures/notion/template-bundle.json
+    assert.deepEqual(hashes(committed), hashes(exported));
+  });
+});
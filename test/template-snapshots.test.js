@@ -0,0 +1,209 @@
+// Template snapshots: content hashing, per-page history, pins, rollback, diff and persistence
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const TemplateFetcher = require('../lib/template-fetcher');
+const TemplateSnapshotStore = require('../lib/template-snapshots');
+const { quietConsole, connectFakeNotion, createRegistry, tempDir, FIXTURE_IDS } = require('./helpers');
+
+quietConsole();
+delete process.env.TEMPLATE_MODE;
+
+const { TemplateSnapshotError } = TemplateSnapshotStore;
+
+let notion;
+let snapshots;
+let fetcher;
+
+/**
+ * Edit a template in the fake workspace, like an author adding a line in Notion
+ */
+function editTemplate(pageId, text) {
+  notion.fake.insertChildren(pageId, [{ type: 'paragraph', paragraph: { rich_text: [{ text: { content: text } }] } }]);
+  fetcher.clearCache();
+}
+
+/**
+ * Undo the last editTemplate() on a page
+ */
+function revertEdit(pageId) {
+  notion.fake.children.get(pageId.replace(/-/g, '')).pop();
+  fetcher.clearCache();
+}
+
+const fetchPizza = (clients = []) => fetcher.fetchTemplate(FIXTURE_IDS.contentRequestDb, null, 'Pizza', { clients });
+const fetchAcme = () => fetchPizza(['Acme Studios']);
+
+beforeEach(async () => {
+  notion = await connectFakeNotion();
+  snapshots = new TemplateSnapshotStore();
+  fetcher = new TemplateFetcher(notion, { registry: createRegistry(), templatesDatabaseId: FIXTURE_IDS.templatesDb, snapshots });
+});
+afterEach(() => notion.cleanup());
+
+describe('snapshots', () => {
+  test('the same content is one snapshot, an edit is a new one', async () => {
+    const first = await fetchPizza();
+    fetcher.clearCache();
+    const again = await fetchPizza();
+
+    assert.equal(again.snapshotHash, first.snapshotHash);
+    assert.equal(snapshots.list().length, 1);
+
+    editTemplate(FIXTURE_IDS.templates.pizza, 'New step');
+    const edited = await fetchPizza();
+
+    assert.notEqual(edited.snapshotHash, first.snapshotHash);
+    assert.deepEqual(snapshots.history(FIXTURE_IDS.templates.pizza).map(s => s.hash), [edited.snapshotHash, first.snapshotHash]);
+  });
+
+  test('a version that comes back is the newest again', async () => {
+    const a = await fetchPizza();
+    editTemplate(FIXTURE_IDS.templates.pizza, 'Tried something');
+    const b = await fetchPizza();
+    revertEdit(FIXTURE_IDS.templates.pizza);
+    assert.equal((await fetchPizza()).snapshotHash, a.snapshotHash);
+
+    assert.deepEqual(snapshots.history(FIXTURE_IDS.templates.pizza).map(s => s.hash), [a.snapshotHash, b.snapshotHash]);
+    assert.equal(snapshots.list()[0].hash, a.snapshotHash);
+  });
+
+  test('client overrides have their own history', async () => {
+    await fetchPizza();
+    const acme = await fetchAcme();
+
+    assert.equal(acme.pageId, FIXTURE_IDS.templates.acme);
+    assert.deepEqual(snapshots.history(FIXTURE_IDS.templates.acme).map(s => s.hash), [acme.snapshotHash]);
+    assert.equal(snapshots.history(FIXTURE_IDS.templates.pizza).length, 1);
+  });
+
+  test('hashes ignore block IDs and timestamps', () => {
+    const block = { id: 'a', created_time: '1', type: 'paragraph', paragraph: { rich_text: [{ plain_text: 'x' }] } };
+
+    assert.equal(
+      TemplateSnapshotStore.hashBlocks([block]),
+      TemplateSnapshotStore.hashBlocks([{ ...block, id: 'b', created_time: '2', last_edited_time: '3' }])
+    );
+  });
+
+  test('diff lists added and removed lines', async () => {
+    const before = await fetchPizza();
+    editTemplate(FIXTURE_IDS.templates.pizza, 'New step');
+    const after = await fetchPizza();
+
+    const diff = snapshots.diff(before.snapshotHash, after.snapshotHash);
+    assert.deepEqual({ added: diff.summary.added, removed: diff.summary.removed }, { added: 1, removed: 0 });
+    assert.deepEqual(diff.lines.filter(line => line.op === '+'), [{ op: '+', line: 'paragraph: New step' }]);
+  });
+});
+
+describe('pins and rollback', () => {
+  test('rollback serves the previous version until the live template changes again', async () => {
+    const good = await fetchPizza();
+    editTemplate(FIXTURE_IDS.templates.pizza, 'Broken step');
+    const broken = await fetchPizza();
+
+    const rollback = snapshots.rollback(FIXTURE_IDS.templates.pizza, { by: 'ops' });
+    assert.deepEqual([rollback.from, rollback.to], [broken.snapshotHash, good.snapshotHash]);
+
+    const pinned = await fetchPizza();
+    assert.equal(pinned.source, 'snapshot');
+    assert.equal(pinned.snapshotHash, good.snapshotHash);
+    assert.equal(pinned.pinned, 'rollback');
+    assert.equal(pinned.resolution.step, 'type+complexity');
+
+    // Other complexity levels stay live
+    assert.equal((await fetcher.fetchTemplate(FIXTURE_IDS.contentRequestDb, null, 'Cup of Tea')).source, 'notion');
+
+    editTemplate(FIXTURE_IDS.templates.pizza, 'Fixed step');
+    const fixed = await fetchPizza();
+    assert.equal(fixed.source, 'notion');
+    assert.equal(snapshots.getPin(FIXTURE_IDS.templates.pizza), null);
+  });
+
+  test("rolling back one client's template leaves everyone else's alone", async () => {
+    const goodAcme = await fetchAcme();
+    editTemplate(FIXTURE_IDS.templates.acme, 'Broken step');
+    await fetchAcme();
+    const globex = await fetchPizza(['Globex']);
+
+    snapshots.rollback(FIXTURE_IDS.templates.acme);
+
+    assert.equal((await fetchAcme()).snapshotHash, goodAcme.snapshotHash);
+    const other = await fetchPizza(['Globex']);
+    assert.equal(other.source, 'notion');
+    assert.equal(other.snapshotHash, globex.snapshotHash);
+
+    // Another client's fetch of a different row never lifts Acme's pin
+    editTemplate(FIXTURE_IDS.templates.pizza, 'Unrelated edit');
+    await fetchPizza(['Globex']);
+    assert.equal(snapshots.getPin(FIXTURE_IDS.templates.acme).hash, goodAcme.snapshotHash);
+  });
+
+  test('rolling back walks history in last-seen order', async () => {
+    const a = await fetchPizza();
+    editTemplate(FIXTURE_IDS.templates.pizza, 'Version B');
+    await fetchPizza();
+    revertEdit(FIXTURE_IDS.templates.pizza);
+    await fetchPizza();
+
+    // Live is A again, so the version before it is B - not A itself
+    const rollback = snapshots.rollback(FIXTURE_IDS.templates.pizza);
+    assert.equal(rollback.from, a.snapshotHash);
+    assert.notEqual(rollback.to, a.snapshotHash);
+  });
+
+  test('a plain pin holds whatever the live template does', async () => {
+    const good = await fetchPizza();
+    const pin = snapshots.pin(null, good.snapshotHash.substring(0, 8), { reason: 'launch week' });
+    assert.equal(pin.pageId, FIXTURE_IDS.templates.pizza);
+
+    editTemplate(FIXTURE_IDS.templates.pizza, 'Edit during launch week');
+    const served = await fetchPizza();
+
+    assert.equal(served.snapshotHash, good.snapshotHash);
+    assert.equal((await fetchAcme()).source, 'notion');
+    assert.equal(snapshots.unpin(FIXTURE_IDS.templates.pizza.replace(/-/g, '')).reason, 'launch week');
+    assert.equal((await fetchPizza()).source, 'notion');
+  });
+
+  test('a snapshot can only be pinned on a page it came from', async () => {
+    const pizza = await fetchPizza();
+
+    assert.throws(() => snapshots.pin(FIXTURE_IDS.templates.acme, pizza.snapshotHash),
+      error => error instanceof TemplateSnapshotError && error.status === 400 && /never captured from template page/.test(error.message));
+  });
+
+  test('rolling back without an earlier version is a 409', async () => {
+    await fetchPizza();
+
+    assert.throws(() => snapshots.rollback(FIXTURE_IDS.templates.pizza),
+      error => error instanceof TemplateSnapshotError && error.status === 409);
+    assert.throws(() => snapshots.get('0000000000000000'), error => error.status === 404);
+  });
+});
+
+describe('persistence', () => {
+  test('snapshots and pins survive a restart', async (t) => {
+    const filePath = path.join(tempDir(t), 'template-snapshots.jsonl');
+    snapshots = new TemplateSnapshotStore({ filePath });
+    fetcher = new TemplateFetcher(notion, { registry: createRegistry(), templatesDatabaseId: FIXTURE_IDS.templatesDb, snapshots });
+
+    const good = await fetchPizza();
+    editTemplate(FIXTURE_IDS.templates.pizza, 'Broken step');
+    const broken = await fetchPizza();
+    revertEdit(FIXTURE_IDS.templates.pizza);
+    await fetchPizza();
+    snapshots.pin(null, broken.snapshotHash, { reason: 'testing' });
+    snapshots.close();
+
+    const reloaded = new TemplateSnapshotStore({ filePath });
+    t.after(() => reloaded.close());
+
+    assert.equal(reloaded.list().length, 2);
+    assert.equal(reloaded.getPin(FIXTURE_IDS.templates.pizza).hash, broken.snapshotHash);
+    assert.equal(reloaded.get(good.snapshotHash).blocks.length, good.blocks.length);
+    // The version seen last is still the newest
+    assert.deepEqual(reloaded.history(FIXTURE_IDS.templates.pizza).map(s => s.hash), [good.snapshotHash, broken.snapshotHash]);
+  });
+});
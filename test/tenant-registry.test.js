@@ -0,0 +1,166 @@
+// Tenant selection, tenants file validation and per-tenant service isolation
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const TenantRegistry = require('../lib/tenant-registry');
+const JobStore = require('../lib/job-store');
+const JobQueue = require('../lib/job-queue');
+const { quietConsole, tempDir, FIXTURE_IDS } = require('./helpers');
+
+quietConsole();
+
+const { TenantError } = TenantRegistry;
+
+const acme = {
+  name: 'Acme Studios',
+  notion: { backend: 'fake' },
+  databaseRegistryPath: path.join(__dirname, '..', 'config', 'databases.json'),
+  templatesDatabaseId: FIXTURE_IDS.templatesDb,
+  defaultAssignee: { name: 'Amara Okafor', email: 'amara@acme.example', id: FIXTURE_IDS.users.amara },
+  openai: { apiKeyEnv: 'ACME_OPENAI_API_KEY', model: 'gpt-5' }
+};
+
+/**
+ * Registry over a temp tenants file
+ */
+function createTenants(t, tenants, env = {}) {
+  const filePath = path.join(tempDir(t), 'tenants.json');
+  fs.writeFileSync(filePath, JSON.stringify({ tenants }));
+
+  let built = 0;
+  const registry = new TenantRegistry({
+    filePath,
+    env: { ACME_OPENAI_API_KEY: 'sk-acme', OPENAI_API_KEY: 'sk-default', ...env },
+    createServices: tenant => ({ tenantId: tenant.id, build: ++built })
+  });
+  return registry;
+}
+
+describe('tenant selection', () => {
+  test('a key bound to a tenant wins, then path, then payload, then default', (t) => {
+    const tenants = createTenants(t, { acme, beta: { ...acme, name: 'Beta' } });
+    const unbound = { name: 'ops', scopes: ['admin'] };
+
+    assert.deepEqual(tenants.resolve({ identity: { name: 'acme', tenant: 'acme' } }), { tenantId: 'acme', source: 'apiKey', scoped: true });
+    assert.equal(tenants.resolve({ identity: unbound, pathTenant: 'beta', payloadTenant: 'acme' }).source, 'path');
+    assert.equal(tenants.resolve({ identity: unbound, payloadTenant: 'acme' }).source, 'payload');
+    assert.deepEqual(tenants.resolve({ identity: unbound }), { tenantId: 'default', source: 'default', scoped: false });
+  });
+
+  test('a key bound to one tenant cannot act for another', (t) => {
+    const tenants = createTenants(t, { acme, beta: { ...acme, name: 'Beta' } });
+    const acmeKey = { name: 'acme-n8n', tenant: 'acme', scopes: ['submit'] };
+
+    for (const sources of [{ pathTenant: 'beta' }, { payloadTenant: 'beta' }]) {
+      assert.throws(() => tenants.resolve({ identity: acmeKey, ...sources }), error =>
+        error instanceof TenantError && error.status === 403 && /belongs to tenant "acme"/.test(error.message));
+    }
+    assert.equal(tenants.resolve({ identity: acmeKey, pathTenant: 'acme' }).tenantId, 'acme');
+  });
+
+  test('only admin keys pick a tenant by path or payload', (t) => {
+    const tenants = createTenants(t, { acme });
+    const n8nKey = { method: 'apiKey', name: 'n8n', scopes: ['submit'], tenant: null };
+    const defaultWebhook = { method: 'hmac', name: 'webhook:default', scopes: ['submit'], tenant: 'default' };
+
+    for (const sources of [{ pathTenant: 'acme' }, { payloadTenant: 'acme' }]) {
+      assert.throws(() => tenants.resolve({ identity: n8nKey, ...sources }), error =>
+        error.status === 403 && /only admin keys can pick tenant "acme"/.test(error.message));
+      assert.throws(() => tenants.resolve({ identity: defaultWebhook, ...sources }), error =>
+        error.status === 403 && /Webhook secret "webhook:default" belongs to tenant "default"/.test(error.message));
+    }
+
+    // An unbound non-admin key is held to the default tenant's jobs, an unbound admin sees every tenant's
+    assert.deepEqual(tenants.resolve({ identity: n8nKey }), { tenantId: 'default', source: 'default', scoped: true });
+    assert.equal(tenants.resolve({ identity: { ...defaultWebhook, name: 'webhook:acme', tenant: 'acme' } }).tenantId, 'acme');
+  });
+
+  test('unknown tenants are 404s', (t) => {
+    const tenants = createTenants(t, { acme });
+
+    assert.throws(() => tenants.resolve({ pathTenant: 'nope' }), error => error.status === 404);
+    assert.throws(() => tenants.getServices('nope'), error => error.status === 404);
+  });
+});
+
+describe('tenants file', () => {
+  test('reports every problem at once', (t) => {
+    assert.throws(() => createTenants(t, {
+      default: acme,
+      'Bad ID': acme,
+      broken: {
+        notion: { backend: 'rest', token: 'secret_in_file' },
+        openai: { apiKey: 'sk-in-file' },
+        colour: 'blue'
+      }
+    }), (error) => {
+      const problems = error.errors.map(e => `${e.tenant}.${e.field}`);
+      assert.ok(error instanceof TenantError);
+      for (const expected of ['default.null', 'Bad ID.null', 'broken.colour', 'broken.notion.token', 'broken.notion.tokenEnv',
+        'broken.databaseRegistryPath', 'broken.templatesDatabaseId', 'broken.defaultAssignee', 'broken.openai.apiKey']) {
+        assert.ok(problems.includes(expected), `missing ${expected} in ${problems.join(', ')}`);
+      }
+      return true;
+    });
+  });
+
+  test('each tenant needs its own inbound webhook secret', (t) => {
+    const env = { INBOUND_WEBHOOK_SECRET: 'shared', ACME_INBOUND_WEBHOOK_SECRET: 'shared' };
+
+    assert.throws(() => createTenants(t, { acme: { ...acme, inboundWebhookSecretEnv: 'ACME_INBOUND_WEBHOOK_SECRET' } }, env),
+      error => error.errors.some(e => e.field === 'inboundWebhookSecretEnv' && /same secret as tenant "default"/.test(e.message)));
+
+    const tenants = createTenants(t, { acme: { ...acme, inboundWebhookSecretEnv: 'ACME_INBOUND_WEBHOOK_SECRET' } },
+      { ...env, ACME_INBOUND_WEBHOOK_SECRET: 'acme-only' });
+    assert.equal(tenants.get('acme').inboundWebhookSecret, 'acme-only');
+    assert.equal(tenants.get('default').inboundWebhookSecret, 'shared');
+  });
+
+  test('reads secrets from env vars and never lists them', (t) => {
+    const tenants = createTenants(t, { acme });
+
+    assert.equal(tenants.get('acme').openai.apiKey, 'sk-acme');
+    assert.equal(tenants.get('default').openai.apiKey, 'sk-default');
+    assert.doesNotMatch(JSON.stringify(tenants.getStatus()), /sk-/);
+  });
+
+  test('the default tenant assigns nobody unless DEFAULT_ASSIGNEE_* is set', (t) => {
+    assert.equal(createTenants(t, {}).get('default').defaultAssignee, null);
+
+    const tenants = createTenants(t, {}, { DEFAULT_ASSIGNEE_NAME: 'Amara Okafor', DEFAULT_ASSIGNEE_ID: FIXTURE_IDS.users.amara });
+    assert.deepEqual(tenants.get('default').defaultAssignee, { name: 'Amara Okafor', email: null, id: FIXTURE_IDS.users.amara });
+  });
+});
+
+describe('isolation', () => {
+  test('each tenant gets its own services, built once', (t) => {
+    const tenants = createTenants(t, { acme });
+
+    const first = tenants.getServices('acme');
+    assert.equal(tenants.getServices('acme'), first);
+    assert.notEqual(tenants.getServices('default'), first);
+    assert.deepEqual(tenants.activeServices().map(services => services.tenantId), ['acme', 'default']);
+  });
+
+  test('jobs are listed per tenant', () => {
+    const jobStore = new JobStore();
+    const acmeJob = jobStore.create({}, { tenantId: 'acme' });
+    jobStore.create({});
+
+    assert.deepEqual(jobStore.list({ tenantId: 'acme' }).map(job => job.id), [acmeJob.id]);
+    assert.equal(jobStore.list({ tenantId: 'default' }).length, 1);
+  });
+
+  test('job and queue stats are counted per tenant', () => {
+    const jobStore = new JobStore();
+    const queue = new JobQueue(jobStore, () => new Promise(() => {}), { maxConcurrent: 1 });
+    queue.enqueue(jobStore.create({}, { tenantId: 'acme' }));
+    queue.enqueue(jobStore.create({}));
+
+    assert.deepEqual([queue.getStats('acme').processing, queue.getStats('acme').queued], [1, 0]);
+    assert.deepEqual([queue.getStats('default').processing, queue.getStats('default').queued], [0, 1]);
+    assert.equal(queue.getStats().queued + queue.getStats().processing, 2);
+    assert.deepEqual([jobStore.getStats('acme').queued, jobStore.getStats().queued], [1, 2]);
+  });
+});
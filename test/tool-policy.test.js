@@ -0,0 +1,140 @@
+// Notion tool policy: timeouts per operation kind, aborting timed-out calls, retrying only what's safe
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const ToolPolicy = require('../lib/tool-policy');
+const { NotionGateway, RestNotionGateway, NOTION_OPERATIONS } = require('../lib/notion-gateway');
+const { classifyError } = require('../lib/retry-policy');
+const { quietConsole } = require('./helpers');
+
+quietConsole();
+
+const FAST = { timeout: 50, retryBaseDelay: 1, retryMaxDelay: 2 };
+
+/**
+ * Gateway whose request() answers with respond(attempt, count) and records each attempt
+ */
+class ScriptedGateway extends NotionGateway {
+  constructor(respond) {
+    super('scripted', {
+      toolPolicy: new ToolPolicy({ operations: NOTION_OPERATIONS, kinds: { read: FAST, idempotent_write: FAST, write: FAST } })
+    });
+    this.respond = respond;
+    this.attempts = [];
+  }
+
+  async request(operation, args, options) {
+    const attempt = { operation, signal: options.signal };
+    this.attempts.push(attempt);
+    return this.respond(attempt, this.attempts.length);
+  }
+}
+
+const never = () => new Promise(() => {});
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { status });
+
+describe('tool policy table', () => {
+  test('resolves kind defaults, per-tool overrides and the caller timeout', () => {
+    const policy = new ToolPolicy({
+      operations: NOTION_OPERATIONS,
+      kinds: { read: { timeout: 5000, retries: NaN } },
+      overrides: { 'API-post-search': { timeout: 2000 }, 'API-patch-block-children': { retries: undefined } }
+    });
+
+    assert.deepEqual(policy.resolve('API-retrieve-a-page'), {
+      operation: 'API-retrieve-a-page', kind: 'read', timeout: 5000, retries: 2, retryBaseDelay: 500, retryMaxDelay: 5000
+    });
+    assert.equal(policy.resolve('API-post-search').timeout, 2000);
+    assert.equal(policy.resolve('API-post-search', 900).timeout, 900);
+    assert.equal(policy.resolve('API-patch-page').retries, 1);
+
+    const append = policy.resolve('API-patch-block-children');
+    assert.equal(append.kind, 'write');
+    assert.equal(append.timeout, 60000);
+    assert.equal(append.retries, 0);
+  });
+
+  test('unknown operations are treated as writes, and an override can change the kind', () => {
+    const policy = new ToolPolicy({ operations: NOTION_OPERATIONS, overrides: { 'API-create-a-comment': { kind: 'idempotent_write' } } });
+
+    assert.equal(policy.resolve('API-something-new').kind, 'write');
+    assert.equal(policy.resolve('API-something-new').retries, 0);
+    assert.equal(policy.resolve('API-create-a-comment').kind, 'idempotent_write');
+    assert.equal(new ToolPolicy({ overrides: { 'API-post-page': { kind: 'bogus' } } }).resolve('API-post-page').kind, 'write');
+  });
+});
+
+describe('gateway timeouts and retries', () => {
+  test('a timed-out write is aborted, flagged outcome-unknown and not retried', async () => {
+    const gateway = new ScriptedGateway(never);
+
+    await assert.rejects(gateway.callTool('API-post-page', {}), error => {
+      assert.equal(error.code, 'ETOOLTIMEOUT');
+      assert.match(error.message, /Tool call timeout after 50ms: API-post-page \(write may have been applied - not retried\)/);
+      assert.equal(error.outcomeUnknown, true);
+      assert.equal(classifyError(error).retryable, false);
+      return true;
+    });
+    assert.equal(gateway.attempts.length, 1);
+    assert.equal(gateway.attempts[0].signal.aborted, true);
+  });
+
+  test('a timed-out read is aborted and retried', async () => {
+    const gateway = new ScriptedGateway((attempt, count) => count < 3 ? never() : { object: 'page', id: 'p1' });
+
+    assert.deepEqual(await gateway.callTool('API-retrieve-a-page', { page_id: 'p1' }), { object: 'page', id: 'p1' });
+    assert.equal(gateway.attempts.length, 3);
+    assert.deepEqual(gateway.attempts.map(attempt => attempt.signal.aborted), [true, true, false]);
+  });
+
+  test('transient errors are retried up to the kind budget, never for writes', async () => {
+    const read = new ScriptedGateway(() => { throw httpError(502); });
+    await assert.rejects(read.callTool('API-post-search', {}), { status: 502 });
+    assert.equal(read.attempts.length, 3, 'read: 1 + 2 retries');
+
+    const update = new ScriptedGateway(() => { throw httpError(503); });
+    await assert.rejects(update.callTool('API-patch-page', {}), { status: 503 });
+    assert.equal(update.attempts.length, 2, 'idempotent write: 1 + 1 retry');
+
+    for (const operation of ['API-post-page', 'API-patch-block-children']) {
+      const write = new ScriptedGateway(() => { throw httpError(502); });
+      await assert.rejects(write.callTool(operation, {}), { status: 502 });
+      assert.equal(write.attempts.length, 1, `${operation} is never retried`);
+    }
+  });
+
+  test('permanent errors are not retried, even for reads', async () => {
+    const gateway = new ScriptedGateway(() => { throw Object.assign(httpError(400), { code: 'validation_error' }); });
+
+    await assert.rejects(gateway.callTool('API-post-database-query', {}), { code: 'validation_error' });
+    assert.equal(gateway.attempts.length, 1);
+  });
+
+  test('the backend\'s own timeout is reported with the same write rules', async () => {
+    const gateway = new ScriptedGateway(() => { throw Object.assign(new Error('Tool call timeout after 30000ms'), { code: 'ETOOLTIMEOUT' }); });
+
+    await assert.rejects(gateway.callTool('API-patch-block-children', {}), { code: 'ETOOLTIMEOUT', outcomeUnknown: true });
+    assert.equal(gateway.attempts.length, 1);
+  });
+
+  test('the REST backend aborts the HTTP request when the policy timeout fires', async (t) => {
+    const closed = [];
+    const server = http.createServer((req) => {
+      req.on('close', () => closed.push(req.url));
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => server.close());
+
+    const notion = new RestNotionGateway({
+      token: 'secret_test',
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+      toolPolicy: new ToolPolicy({ operations: NOTION_OPERATIONS, kinds: { write: FAST } })
+    });
+
+    await assert.rejects(notion.callTool('API-post-page', { parent: { database_id: 'db-1' } }), { code: 'ETOOLTIMEOUT', outcomeUnknown: true });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(closed, ['/v1/pages']);
+  });
+});
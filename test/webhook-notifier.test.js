@@ -0,0 +1,96 @@
+// Callback URL checks (https only, no internal addresses, allowlist) and signed delivery
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const WebhookNotifier = require('../lib/webhook-notifier');
+const { quietConsole } = require('./helpers');
+
+quietConsole();
+
+describe('callback URLs at intake', () => {
+  const notifier = new WebhookNotifier({ secret: 'out' });
+
+  test('accept public https URLs', () => {
+    assert.equal(notifier.checkCallbackUrl('https://hooks.example.com/ie7?job=1'), null);
+    assert.equal(notifier.checkCallbackUrl('https://8.8.8.8/hook'), null);
+  });
+
+  test('refuse http, loopback, link-local and private addresses', () => {
+    assert.equal(notifier.checkCallbackUrl('http://hooks.example.com/'), 'must be an https URL');
+    assert.equal(notifier.checkCallbackUrl('ftp://hooks.example.com/'), 'must be an https URL');
+    assert.equal(notifier.checkCallbackUrl('not a url'), 'must be a URL');
+
+    for (const url of ['https://localhost/', 'https://api.localhost/', 'https://127.0.0.1/', 'https://169.254.169.254/latest/meta-data',
+      'https://10.1.2.3/', 'https://172.20.0.1/', 'https://192.168.1.1/', 'https://[::1]/', 'https://[fd00::1]/',
+      'https://[::ffff:127.0.0.1]/', 'https://0.0.0.0/']) {
+      assert.match(notifier.checkCallbackUrl(url), /loopback, link-local or private/, url);
+    }
+  });
+
+  test('with an allowlist, accept only listed hosts (which may be internal)', () => {
+    const allowlisted = new WebhookNotifier({ secret: 'out', callbackAllowlist: ['n8n.internal', '*.hooks.example.com'] });
+
+    assert.equal(allowlisted.checkCallbackUrl('http://n8n.internal:5678/webhook'), null);
+    assert.equal(allowlisted.checkCallbackUrl('https://eu.hooks.example.com/'), null);
+    assert.match(allowlisted.checkCallbackUrl('https://hooks.example.org/'), /not in CALLBACK_URL_ALLOWLIST/);
+  });
+});
+
+describe('delivery', () => {
+  let server;
+  let port;
+  const received = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        if (req.url === '/redirect') {
+          res.writeHead(302, { Location: '/hook' }).end();
+          return;
+        }
+        received.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(200).end('ok');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+  after(() => server.close());
+
+  test('signs ops webhooks', async () => {
+    const notifier = new WebhookNotifier({ secret: 'out', maxAttempts: 1 });
+    const outcome = await notifier.send(`http://127.0.0.1:${port}/ops`, { jobId: 'a' }, { event: 'job.failed' });
+
+    assert.equal(outcome.delivered, true);
+    const { headers, body } = received.at(-1);
+    const expected = crypto.createHmac('sha256', 'out').update(`${headers['x-ie7-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-ie7-signature'], `sha256=${expected}`);
+    assert.equal(headers['x-ie7-event'], 'job.failed');
+  });
+
+  test('refuses a callback host that resolves to an internal address', async () => {
+    const notifier = new WebhookNotifier({ secret: 'out', maxAttempts: 3, retryBaseDelay: 1 });
+    const count = received.length;
+
+    const outcome = await notifier.send(`http://localhost:${port}/hook`, { jobId: 'b' }, { callback: true });
+
+    assert.equal(outcome.delivered, false);
+    assert.equal(outcome.attempts, 1);
+    assert.match(outcome.error, /resolves to blocked address/);
+    assert.equal(received.length, count);
+  });
+
+  test('delivers to allowlisted callback hosts without following redirects', async () => {
+    const notifier = new WebhookNotifier({ secret: 'out', maxAttempts: 1, callbackAllowlist: ['localhost'] });
+
+    assert.equal((await notifier.send(`http://localhost:${port}/hook`, { jobId: 'c' }, { callback: true })).delivered, true);
+
+    const redirected = await notifier.send(`http://localhost:${port}/redirect`, { jobId: 'd' }, { callback: true });
+    assert.equal(redirected.delivered, false);
+    assert.equal(redirected.status, 302);
+    assert.notEqual(received.at(-1).body, JSON.stringify({ jobId: 'd' }));
+  });
+});